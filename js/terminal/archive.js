@@ -0,0 +1,588 @@
+/**
+ * Archive Formats
+ * Pure JavaScript tar (ustar) and zip encoding and decoding for tar, export
+ * and import. Archives are built from and read into plain entry objects, so
+ * they work the same in the browser and in Node:
+ *   { path, type: 'file'|'directory'|'symlink'|'hardlink', data: Uint8Array,
+ *     mode: number, mtime: Date, linkTarget?: string }
+ * A symlink's linkTarget is the path it holds; a hardlink's is the archive
+ * path of an earlier entry. tar entries also carry uid, gid, owner and
+ * group; zip has no owners, and stores hard links as copies.
+ */
+
+import { concatBytes } from './parser.js';
+
+const TAR_BLOCK_SIZE = 512;
+
+// Longest name and prefix fields of a ustar header
+const TAR_NAME_LENGTH = 100;
+const TAR_PREFIX_LENGTH = 155;
+
+// GNU tar stores longer names and link targets in an extra entry with this name
+const TAR_LONG_NAME = '././@LongLink';
+
+// tar type flags for each entry type
+const TAR_TYPEFLAGS = { file: '0', hardlink: '1', symlink: '2', directory: '5' };
+
+const ZIP_LOCAL_HEADER = 0x04034b50;
+const ZIP_CENTRAL_HEADER = 0x02014b50;
+const ZIP_END_OF_DIRECTORY = 0x06054b50;
+
+// General purpose flag: names are UTF-8
+const ZIP_UTF8_FLAG = 0x0800;
+
+// Version made by: zip 2.0 on Unix, so readers apply the mode bits
+const ZIP_VERSION_MADE_BY = (3 << 8) | 20;
+const ZIP_VERSION_NEEDED = 20;
+
+// Unix file type bits stored above the mode in zip external attributes
+const UNIX_DIRECTORY = 0o040000;
+const UNIX_REGULAR_FILE = 0o100000;
+const UNIX_SYMLINK = 0o120000;
+const UNIX_FILE_TYPE = 0o170000;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+let crcTable = null;
+
+/**
+ * Compute the CRC-32 checksum used by zip and gzip
+ * @param {Uint8Array} data - Bytes to check
+ * @returns {number} Unsigned checksum
+ */
+export function crc32(data) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xffffffff;
+    for (const byte of data) {
+        crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Run bytes through a CompressionStream or DecompressionStream
+ * @param {Uint8Array} data - Input bytes
+ * @param {TransformStream} transform - Stream such as new CompressionStream('gzip')
+ * @returns {Promise<Uint8Array>} Output bytes
+ */
+async function transformBytes(data, transform) {
+    const stream = new Blob([data]).stream().pipeThrough(transform);
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Compress bytes with gzip
+ * @param {Uint8Array} data - Bytes to compress
+ * @returns {Promise<Uint8Array>}
+ */
+export function gzip(data) {
+    return transformBytes(data, new CompressionStream('gzip'));
+}
+
+/**
+ * Decompress gzip data
+ * @param {Uint8Array} data - gzip bytes
+ * @returns {Promise<Uint8Array>}
+ */
+export function gunzip(data) {
+    return transformBytes(data, new DecompressionStream('gzip'));
+}
+
+/**
+ * Whether bytes start with the gzip magic number
+ * @param {Uint8Array} data - Bytes to check
+ * @returns {boolean}
+ */
+export function isGzip(data) {
+    return data.length >= 2 && data[0] === 0x1f && data[1] === 0x8b;
+}
+
+/**
+ * Whether bytes start with a zip signature
+ * @param {Uint8Array} data - Bytes to check
+ * @returns {boolean}
+ */
+export function isZip(data) {
+    return data.length >= 4 && data[0] === 0x50 && data[1] === 0x4b &&
+        ((data[2] === 3 && data[3] === 4) || (data[2] === 5 && data[3] === 6));
+}
+
+// ============================================================================
+// tar
+// ============================================================================
+
+/**
+ * Write a string into a header field, truncated to the field length
+ */
+function writeString(header, offset, length, value) {
+    header.set(encoder.encode(value).subarray(0, length), offset);
+}
+
+/**
+ * Write a number into a header field as NUL-terminated octal
+ */
+function writeOctal(header, offset, length, value) {
+    writeString(header, offset, length, value.toString(8).padStart(length - 1, '0') + '\0');
+}
+
+/**
+ * Read a NUL-terminated string from a header field
+ */
+function readString(header, offset, length) {
+    const field = header.subarray(offset, offset + length);
+    const end = field.indexOf(0);
+    return decoder.decode(end === -1 ? field : field.subarray(0, end));
+}
+
+/**
+ * Read an octal number from a header field
+ */
+function readOctal(header, offset, length) {
+    const text = readString(header, offset, length).trim();
+    return text === '' ? 0 : parseInt(text, 8);
+}
+
+/**
+ * Split a long name into ustar prefix and name fields
+ * @param {string} name - Entry name
+ * @returns {{prefix: string, name: string}|null} Null if it cannot be split
+ */
+function splitTarName(name) {
+    if (encoder.encode(name).length <= TAR_NAME_LENGTH) {
+        return { prefix: '', name };
+    }
+
+    for (let slash = name.indexOf('/'); slash !== -1; slash = name.indexOf('/', slash + 1)) {
+        const prefix = name.substring(0, slash);
+        const rest = name.substring(slash + 1);
+        if (encoder.encode(prefix).length <= TAR_PREFIX_LENGTH &&
+            encoder.encode(rest).length <= TAR_NAME_LENGTH) {
+            return { prefix, name: rest };
+        }
+    }
+    return null;
+}
+
+/**
+ * Build one 512-byte tar header
+ */
+function tarHeader({ name, prefix = '', mode, uid, gid, size, mtime, typeflag, linkname = '', owner, group }) {
+    const header = new Uint8Array(TAR_BLOCK_SIZE);
+    writeString(header, 0, 100, name);
+    writeOctal(header, 100, 8, mode);
+    writeOctal(header, 108, 8, uid);
+    writeOctal(header, 116, 8, gid);
+    writeOctal(header, 124, 12, size);
+    writeOctal(header, 136, 12, Math.floor(mtime.getTime() / 1000));
+    writeString(header, 148, 8, ' '.repeat(8));
+    writeString(header, 156, 1, typeflag);
+    writeString(header, 157, 100, linkname);
+    writeString(header, 257, 6, 'ustar\0');
+    writeString(header, 263, 2, '00');
+    writeString(header, 265, 32, owner);
+    writeString(header, 297, 32, group);
+    writeString(header, 345, 155, prefix);
+
+    const checksum = header.reduce((sum, byte) => sum + byte, 0);
+    writeString(header, 148, 8, checksum.toString(8).padStart(6, '0') + '\0 ');
+    return header;
+}
+
+/**
+ * Pad data with zeros to a whole number of tar blocks
+ */
+function padToBlock(data) {
+    const padding = (TAR_BLOCK_SIZE - (data.length % TAR_BLOCK_SIZE)) % TAR_BLOCK_SIZE;
+    return padding === 0 ? data : concatBytes([data, new Uint8Array(padding)]);
+}
+
+/**
+ * Encode entries as a ustar archive
+ * @param {Array<Object>} entries - Archive entries
+ * @returns {Uint8Array} tar bytes
+ */
+export function createTar(entries) {
+    const chunks = [];
+
+    for (const entry of entries) {
+        const isDirectory = entry.type === 'directory';
+        const fullName = isDirectory ? `${entry.path}/` : entry.path;
+        const data = entry.type === 'file' ? entry.data : new Uint8Array(0);
+        const linkTarget = entry.linkTarget || '';
+        const fields = {
+            mode: entry.mode & 0o7777,
+            uid: entry.uid ?? 1000,
+            gid: entry.gid ?? 1000,
+            mtime: entry.mtime,
+            owner: entry.owner || 'user',
+            group: entry.group || 'user'
+        };
+
+        let linkname = linkTarget;
+        if (encoder.encode(linkTarget).length > TAR_NAME_LENGTH) {
+            const longLink = encoder.encode(linkTarget + '\0');
+            chunks.push(tarHeader({ ...fields, name: TAR_LONG_NAME, mode: 0, size: longLink.length, typeflag: 'K' }));
+            chunks.push(padToBlock(longLink));
+            linkname = linkTarget.substring(0, TAR_NAME_LENGTH);
+        }
+
+        let split = splitTarName(fullName);
+        if (!split) {
+            // Store the full name in a GNU long name entry first
+            const longName = encoder.encode(fullName + '\0');
+            chunks.push(tarHeader({ ...fields, name: TAR_LONG_NAME, mode: 0, size: longName.length, typeflag: 'L' }));
+            chunks.push(padToBlock(longName));
+            split = { prefix: '', name: fullName.substring(0, TAR_NAME_LENGTH) };
+        }
+
+        chunks.push(tarHeader({ ...fields, ...split, linkname, size: data.length, typeflag: TAR_TYPEFLAGS[entry.type] || '0' }));
+        chunks.push(padToBlock(data));
+    }
+
+    // Two zero blocks mark the end of the archive
+    chunks.push(new Uint8Array(TAR_BLOCK_SIZE * 2));
+    return concatBytes(chunks);
+}
+
+/**
+ * Read the path records of a pax extended header
+ * @param {Uint8Array} data - Extended header contents
+ * @returns {Object<string, string>} Keyword to value
+ */
+function parsePaxHeader(data) {
+    const records = {};
+    const text = decoder.decode(data);
+    let offset = 0;
+
+    while (offset < text.length) {
+        const space = text.indexOf(' ', offset);
+        const length = parseInt(text.substring(offset, space), 10);
+        if (space === -1 || !length) {
+            break;
+        }
+        const record = text.substring(space + 1, offset + length - 1);
+        const equals = record.indexOf('=');
+        records[record.substring(0, equals)] = record.substring(equals + 1);
+        offset += length;
+    }
+
+    return records;
+}
+
+/**
+ * Decode a tar archive. Regular files, directories and links become
+ * entries; other special files come back with type 'other'.
+ * @param {Uint8Array} bytes - tar bytes
+ * @returns {Array<Object>} Archive entries
+ * @throws {Error} If a header is damaged or the archive is cut short
+ */
+export function parseTar(bytes) {
+    const entries = [];
+    let offset = 0;
+    let longName = null;
+    let longLink = null;
+    let ended = bytes.length === 0;
+
+    while (offset + TAR_BLOCK_SIZE <= bytes.length) {
+        const header = bytes.subarray(offset, offset + TAR_BLOCK_SIZE);
+        if (header.every(byte => byte === 0)) {
+            ended = true;
+            break;
+        }
+
+        const expected = readOctal(header, 148, 8);
+        let checksum = 0;
+        for (let i = 0; i < TAR_BLOCK_SIZE; i++) {
+            checksum += i >= 148 && i < 156 ? 0x20 : header[i];
+        }
+        if (checksum !== expected) {
+            throw new Error('This does not look like a tar archive');
+        }
+
+        const size = readOctal(header, 124, 12);
+        const typeflag = String.fromCharCode(header[156] || 0x30);
+        const data = bytes.slice(offset + TAR_BLOCK_SIZE, offset + TAR_BLOCK_SIZE + size);
+        if (data.length < size) {
+            throw new Error('Unexpected end of tar archive');
+        }
+        offset += TAR_BLOCK_SIZE + Math.ceil(size / TAR_BLOCK_SIZE) * TAR_BLOCK_SIZE;
+
+        // Extended headers name the entry that follows them
+        if (typeflag === 'L') {
+            longName = readString(data, 0, data.length);
+            continue;
+        }
+        if (typeflag === 'K') {
+            longLink = readString(data, 0, data.length);
+            continue;
+        }
+        if (typeflag === 'x') {
+            const records = parsePaxHeader(data);
+            longName = records.path || longName;
+            longLink = records.linkpath || longLink;
+            continue;
+        }
+        if (typeflag === 'g') {
+            continue;
+        }
+
+        let name = readString(header, 0, 100);
+        const prefix = readString(header, 257, 6) === 'ustar' ? readString(header, 345, 155) : '';
+        if (prefix) {
+            name = `${prefix}/${name}`;
+        }
+        if (longName !== null) {
+            name = longName;
+            longName = null;
+        }
+
+        let type = 'other';
+        if (typeflag === '0' || typeflag === '7') {
+            type = name.endsWith('/') ? 'directory' : 'file';
+        } else if (typeflag === '5') {
+            type = 'directory';
+        } else if (typeflag === '1') {
+            type = 'hardlink';
+        } else if (typeflag === '2') {
+            type = 'symlink';
+        }
+
+        let linkTarget;
+        if (type === 'hardlink' || type === 'symlink') {
+            linkTarget = longLink ?? readString(header, 157, 100);
+        }
+        longLink = null;
+
+        entries.push({
+            path: name.replace(/\/+$/, ''),
+            type,
+            data: type === 'file' ? data : new Uint8Array(0),
+            mode: readOctal(header, 100, 8),
+            uid: readOctal(header, 108, 8),
+            gid: readOctal(header, 116, 8),
+            owner: readString(header, 265, 32),
+            group: readString(header, 297, 32),
+            mtime: new Date(readOctal(header, 136, 12) * 1000),
+            linkTarget
+        });
+    }
+
+    // Input too short for a header is not an archive at all
+    if (!ended) {
+        throw new Error(offset === 0 ? 'This does not look like a tar archive' : 'Unexpected end of tar archive');
+    }
+
+    return entries;
+}
+
+// ============================================================================
+// zip
+// ============================================================================
+
+/**
+ * Convert a date to MS-DOS time and date fields
+ * @param {Date} date - Local date
+ * @returns {{time: number, date: number}}
+ */
+function toDosDateTime(date) {
+    const year = Math.max(1980, date.getFullYear());
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Convert MS-DOS time and date fields to a date
+ */
+function fromDosDateTime(time, date) {
+    return new Date(1980 + (date >> 9), ((date >> 5) & 0x0f) - 1, date & 0x1f,
+        time >> 11, (time >> 5) & 0x3f, (time & 0x1f) * 2);
+}
+
+/**
+ * Encode entries as a zip archive. Files are stored without compression,
+ * which keeps the encoder synchronous and small.
+ * @param {Array<Object>} entries - Archive entries
+ * @returns {Uint8Array} zip bytes
+ */
+export function createZip(entries) {
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const isDirectory = entry.type === 'directory';
+        const name = encoder.encode(isDirectory ? `${entry.path}/` : entry.path);
+        // A symbolic link's data is its target, as Info-ZIP stores it
+        let data = entry.type === 'symlink' ? encoder.encode(entry.linkTarget) : entry.data;
+        if (isDirectory) {
+            data = new Uint8Array(0);
+        }
+        const crc = crc32(data);
+        const { time, date } = toDosDateTime(entry.mtime);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, ZIP_LOCAL_HEADER, true);
+        local.setUint16(4, ZIP_VERSION_NEEDED, true);
+        local.setUint16(6, ZIP_UTF8_FLAG, true);
+        local.setUint16(8, 0, true);
+        local.setUint16(10, time, true);
+        local.setUint16(12, date, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, ZIP_CENTRAL_HEADER, true);
+        central.setUint16(4, ZIP_VERSION_MADE_BY, true);
+        central.setUint16(6, ZIP_VERSION_NEEDED, true);
+        central.setUint16(8, ZIP_UTF8_FLAG, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, time, true);
+        central.setUint16(14, date, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        let fileType = entry.type === 'symlink' ? UNIX_SYMLINK : UNIX_REGULAR_FILE;
+        if (isDirectory) {
+            fileType = UNIX_DIRECTORY;
+        }
+        central.setUint32(38, (((fileType | (entry.mode & 0o7777)) << 16) | (isDirectory ? 0x10 : 0)) >>> 0, true);
+        central.setUint32(42, offset, true);
+
+        localParts.push(new Uint8Array(local.buffer), name, data);
+        centralParts.push(new Uint8Array(central.buffer), name);
+        offset += 30 + name.length + data.length;
+    }
+
+    const centralDirectory = concatBytes(centralParts);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, ZIP_END_OF_DIRECTORY, true);
+    end.setUint16(8, entries.length, true);
+    end.setUint16(10, entries.length, true);
+    end.setUint32(12, centralDirectory.length, true);
+    end.setUint32(16, offset, true);
+
+    return concatBytes([...localParts, centralDirectory, new Uint8Array(end.buffer)]);
+}
+
+/**
+ * Decode a zip archive. Stored and deflated files are supported; deflated
+ * data is inflated with DecompressionStream.
+ * @param {Uint8Array} bytes - zip bytes
+ * @returns {Promise<Array<Object>>} Archive entries
+ * @throws {Error} If the archive is damaged, encrypted or uses another compression method
+ */
+export async function parseZip(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    // The end of central directory record sits before an optional comment
+    let end = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+        if (view.getUint32(i, true) === ZIP_END_OF_DIRECTORY) {
+            end = i;
+            break;
+        }
+    }
+    if (end === -1) {
+        throw new Error('This does not look like a zip archive');
+    }
+
+    const count = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+    const entries = [];
+
+    for (let i = 0; i < count; i++) {
+        if (offset + 46 > bytes.length || view.getUint32(offset, true) !== ZIP_CENTRAL_HEADER) {
+            throw new Error('Damaged zip central directory');
+        }
+
+        const madeBy = view.getUint16(offset + 4, true);
+        const flags = view.getUint16(offset + 8, true);
+        const method = view.getUint16(offset + 10, true);
+        const time = view.getUint16(offset + 12, true);
+        const date = view.getUint16(offset + 14, true);
+        const crc = view.getUint32(offset + 16, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const attributes = view.getUint32(offset + 38, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        if (flags & 1) {
+            throw new Error(`${name}: encrypted entries are not supported`);
+        }
+
+        const isDirectory = name.endsWith('/');
+        const isUnix = (madeBy >> 8) === 3;
+        const unixMode = isUnix ? (attributes >>> 16) & 0o7777 : 0;
+        const isSymlink = isUnix && ((attributes >>> 16) & UNIX_FILE_TYPE) === UNIX_SYMLINK;
+
+        const dataStart = localOffset + 30 +
+            view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const stored = bytes.slice(dataStart, dataStart + compressedSize);
+
+        let data;
+        if (method === 0) {
+            data = stored;
+        } else if (method === 8) {
+            data = await transformBytes(stored, new DecompressionStream('deflate-raw'));
+        } else {
+            throw new Error(`${name}: unsupported compression method ${method}`);
+        }
+
+        if (!isDirectory && crc32(data) !== crc) {
+            throw new Error(`${name}: checksum mismatch`);
+        }
+
+        let type = isSymlink ? 'symlink' : 'file';
+        if (isDirectory) {
+            type = 'directory';
+        }
+
+        entries.push({
+            path: name.replace(/\/+$/, ''),
+            type,
+            data: type === 'file' ? data : new Uint8Array(0),
+            mode: unixMode || (isDirectory ? 0o755 : 0o644),
+            mtime: fromDosDateTime(time, date),
+            linkTarget: isSymlink ? decoder.decode(data) : undefined
+        });
+    }
+
+    return entries;
+}
+
+/**
+ * Decode a tar, gzip-compressed tar or zip archive, detected from its contents
+ * @param {Uint8Array} bytes - Archive bytes
+ * @returns {Promise<Array<Object>>} Archive entries
+ */
+export async function readArchive(bytes) {
+    if (isZip(bytes)) {
+        return parseZip(bytes);
+    }
+    return parseTar(isGzip(bytes) ? await gunzip(bytes) : bytes);
+}
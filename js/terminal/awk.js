@@ -0,0 +1,1925 @@
+/**
+ * AWK Interpreter
+ * A POSIX awk for the awk command: BEGIN and END actions, pattern-action
+ * rules and ranges, fields, the built-in variables, associative arrays,
+ * user-defined functions, printf and the string and arithmetic functions.
+ * Programs are parsed into a syntax tree and run over the input records.
+ * Files are read and written through callbacks, so the interpreter works
+ * on any source of text. getline and output pipes are not supported.
+ */
+
+import { posixToRegExp } from './parser.js';
+
+// Most loop iterations one program may run, so a runaway loop cannot
+// freeze the page
+const MAX_LOOP_ITERATIONS = 1000000;
+
+// Deepest allowed nesting of user-defined function calls
+const MAX_CALL_DEPTH = 100;
+
+const DEFAULT_NUMBER_FORMAT = '%.6g';
+
+// Built-in functions, with the fewest and most arguments each takes
+const BUILTIN_FUNCTIONS = {
+    length: [0, 1],
+    substr: [2, 3],
+    index: [2, 2],
+    split: [2, 3],
+    sub: [2, 3],
+    gsub: [2, 3],
+    match: [2, 2],
+    sprintf: [1, Infinity],
+    sin: [1, 1],
+    cos: [1, 1],
+    atan2: [2, 2],
+    exp: [1, 1],
+    log: [1, 1],
+    sqrt: [1, 1],
+    int: [1, 1],
+    rand: [0, 0],
+    srand: [0, 1],
+    tolower: [1, 1],
+    toupper: [1, 1]
+};
+
+const KEYWORDS = new Set([
+    'BEGIN', 'END', 'function', 'func', 'if', 'else', 'while', 'for', 'do', 'break', 'continue',
+    'next', 'exit', 'return', 'delete', 'in', 'getline', 'print', 'printf'
+]);
+
+// Operators recognised by the tokenizer, longest first
+const OPERATORS = [
+    '**=', '+=', '-=', '*=', '/=', '%=', '^=', '==', '<=', '>=', '!=', '++', '--', '&&', '||', '>>',
+    '!~', '**', '{', '}', '(', ')', '[', ']', ';', ',', '+', '-', '*', '/', '%', '^', '!', '>', '<',
+    '|', '?', ':', '~', '$', '='
+];
+
+const ASSIGNMENT_OPERATORS = ['=', '+=', '-=', '*=', '/=', '%=', '^=', '**='];
+
+// Tokens a statement may continue on the next line after
+const LINE_CONTINUING_TOKENS = [',', '{', '&&', '||', 'do', 'else'];
+
+const STRING_ESCAPES = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', v: '\v', a: '\x07', '"': '"', '/': '/', '\\': '\\' };
+
+// A string that reads as a number, such as a field holding " 42 "
+const NUMERIC_STRING = /^[ \t\n]*[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?[ \t\n]*$/;
+const NUMERIC_PREFIX = /^[ \t\n]*[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?/;
+
+// A var=value operand, which sets var before the next file is read
+const ASSIGNMENT_OPERAND = /^[A-Za-z_][A-Za-z0-9_]*=/;
+
+// ============================================================================
+// Running Programs
+// ============================================================================
+
+/**
+ * Run an awk program
+ * @param {string} source - Program text
+ * @param {Object} options - Input and settings
+ * @param {string[]} options.operands - Files to read, - for the standard
+ *        input, and var=value assignments made before the next file is read
+ * @param {string[]} options.assignments - var=value assignments made before
+ *        BEGIN, as with -v
+ * @param {string|null} options.fieldSeparator - FS, as set with -F
+ * @param {function(string): string} options.readFile - Read a file, or the
+ *        standard input for -
+ * @param {function(string, string)} options.writeFile - Replace a file's
+ *        contents, for print > file and print >> file
+ * @returns {{output: string, exitCode: number}}
+ * @throws {Error} On syntax errors and fatal errors while running
+ */
+export function runAwk(source, options) {
+    const program = new AwkParser(tokenize(source)).parseProgram();
+    return new AwkRuntime(program, options).run();
+}
+
+/**
+ * Process escape sequences such as \t and \n, as in awk string literals
+ * @param {string} text - Text with escapes
+ * @returns {string}
+ */
+function processEscapes(text) {
+    return text.replace(/\\(?:([0-7]{1,3})|([\s\S]))/g, (escape, octal, char) => {
+        if (octal) {
+            return String.fromCharCode(parseInt(octal, 8));
+        }
+        return STRING_ESCAPES[char] ?? escape;
+    });
+}
+
+// ============================================================================
+// Values
+// ============================================================================
+
+/**
+ * Text from the input, such as a field, which compares as a number when it
+ * looks like one
+ */
+class StrNum {
+    constructor(text) {
+        this.text = text;
+    }
+}
+
+// The value of a variable never assigned, both "" and 0
+const UNINITIALIZED = Object.freeze(new StrNum(''));
+
+function looksNumeric(value) {
+    return typeof value === 'number'
+        || value === UNINITIALIZED
+        || (value instanceof StrNum && NUMERIC_STRING.test(value.text));
+}
+
+function toNumber(value) {
+    if (typeof value === 'number') {
+        return value;
+    }
+    const match = (value instanceof StrNum ? value.text : value).match(NUMERIC_PREFIX);
+    return match ? Number(match[0]) : 0;
+}
+
+function toText(value, numberFormat = DEFAULT_NUMBER_FORMAT) {
+    if (typeof value === 'string') {
+        return value;
+    }
+    if (value instanceof StrNum) {
+        return value.text;
+    }
+    if (Number.isInteger(value)) {
+        return String(value);
+    }
+    if (!Number.isFinite(value)) {
+        return Number.isNaN(value) ? 'nan' : (value < 0 ? '-inf' : 'inf');
+    }
+    return sprintf(numberFormat, [value]);
+}
+
+function isTrue(value) {
+    if (typeof value === 'number') {
+        return value !== 0;
+    }
+    if (value instanceof StrNum) {
+        return looksNumeric(value) ? toNumber(value) !== 0 : value.text !== '';
+    }
+    return value !== '';
+}
+
+// Compare as numbers if both values are numeric, otherwise as strings
+function compareValues(a, b, numberFormat) {
+    if (looksNumeric(a) && looksNumeric(b)) {
+        const x = toNumber(a);
+        const y = toNumber(b);
+        return x < y ? -1 : (x > y ? 1 : 0);
+    }
+    const s = toText(a, numberFormat);
+    const t = toText(b, numberFormat);
+    return s < t ? -1 : (s > t ? 1 : 0);
+}
+
+// ============================================================================
+// Formatting
+// ============================================================================
+
+/**
+ * Format values as C's printf does
+ * @param {string} format - Format with %c, %d, %i, %o, %u, %x, %X, %e, %E,
+ *        %f, %F, %g, %G, %s and %%, each with optional flags (-+ #0), width
+ *        and precision; * takes the width or precision from the values
+ * @param {Array} values - Values for the conversions; missing ones are
+ *        empty or zero
+ * @param {string} numberFormat - Format for numbers printed with %s
+ * @returns {string}
+ */
+function sprintf(format, values, numberFormat = DEFAULT_NUMBER_FORMAT) {
+    let index = 0;
+    const nextValue = () => (index < values.length ? values[index++] : UNINITIALIZED);
+
+    return format.replace(/%([-+ #0]*)(\*|\d+)?(?:\.(\*|\d*))?([cdiouxXeEfFgGs%])/g,
+        (spec, flags, width, precision, conversion) => {
+            if (conversion === '%') {
+                return '%';
+            }
+
+            let minimumWidth = null;
+            if (width === '*') {
+                minimumWidth = Math.trunc(toNumber(nextValue()));
+                if (minimumWidth < 0) {
+                    flags += '-';
+                    minimumWidth = -minimumWidth;
+                }
+            } else if (width !== undefined) {
+                minimumWidth = parseInt(width, 10);
+            }
+
+            let digits = null;
+            if (precision === '*') {
+                digits = Math.trunc(toNumber(nextValue()));
+                digits = digits < 0 ? null : digits;
+            } else if (precision !== undefined) {
+                digits = precision === '' ? 0 : parseInt(precision, 10);
+            }
+
+            return formatConversion(conversion, nextValue(), flags, minimumWidth, digits, numberFormat);
+        });
+}
+
+/**
+ * Format one printf conversion, padded to its width
+ * @param {string} conversion - Conversion character: c, d, i, o, u, x, X,
+ *        e, E, f, F, g, G or s
+ * @param {*} value - Value to convert; strings are read as numbers where
+ *        the conversion needs one
+ * @param {string} flags - Flags from -+ #0
+ * @param {number|null} width - Minimum width, or null for none
+ * @param {number|null} precision - Precision, or null for the default
+ * @param {string} numberFormat - Format for numbers printed with %s
+ * @returns {string}
+ */
+export function formatConversion(conversion, value, flags, width, precision, numberFormat = DEFAULT_NUMBER_FORMAT) {
+    let sign = '';
+    let prefix = '';
+    let body;
+    let zeroPadding = false;
+
+    if (conversion === 's') {
+        body = toText(value, numberFormat);
+        if (precision !== null) {
+            body = body.slice(0, precision);
+        }
+    } else if (conversion === 'c') {
+        if (looksNumeric(value)) {
+            const code = Math.trunc(toNumber(value));
+            body = code >= 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : '';
+        } else {
+            body = toText(value, numberFormat).charAt(0);
+        }
+    } else {
+        const number = toNumber(value);
+        const integerConversion = 'diouxX'.includes(conversion);
+        const signed = !integerConversion || conversion === 'd' || conversion === 'i';
+        const integer = integerConversion && Number.isFinite(number) ? BigInt(Math.trunc(number)) : null;
+        const negative = integer !== null ? integer < 0n : number < 0 || Object.is(number, -0);
+
+        if (negative && signed) {
+            sign = '-';
+        } else if (signed && flags.includes('+')) {
+            sign = '+';
+        } else if (signed && flags.includes(' ')) {
+            sign = ' ';
+        }
+
+        if (Number.isNaN(number)) {
+            body = 'nan';
+            sign = '';
+        } else if (!Number.isFinite(number)) {
+            body = 'inf';
+        } else if (integer !== null) {
+            if (signed) {
+                body = (negative ? -integer : integer).toString();
+            } else {
+                const unsigned = BigInt.asUintN(64, integer);
+                const base = conversion === 'o' ? 8 : (conversion === 'u' ? 10 : 16);
+                body = unsigned.toString(base);
+                if (flags.includes('#') && conversion === 'o' && !body.startsWith('0')) {
+                    prefix = '0';
+                } else if (flags.includes('#') && (conversion === 'x' || conversion === 'X') && unsigned !== 0n) {
+                    prefix = '0x';
+                }
+            }
+            if (precision !== null) {
+                body = precision === 0 && body === '0' ? '' : body.padStart(precision, '0');
+            }
+            zeroPadding = precision === null;
+        } else {
+            body = formatFloat(Math.abs(number), conversion.toLowerCase(), precision ?? 6, flags.includes('#'));
+            zeroPadding = true;
+        }
+
+        if (conversion === 'X' || conversion === 'E' || conversion === 'F' || conversion === 'G') {
+            body = body.toUpperCase();
+            prefix = prefix.toUpperCase();
+        }
+    }
+
+    const text = `${sign}${prefix}${body}`;
+    if (width === null || text.length >= width) {
+        return text;
+    }
+    if (flags.includes('-')) {
+        return text.padEnd(width);
+    }
+    if (flags.includes('0') && zeroPadding) {
+        return `${sign}${prefix}${body.padStart(width - sign.length - prefix.length, '0')}`;
+    }
+    return text.padStart(width);
+}
+
+// Format a non-negative number for %e, %f or %g
+function formatFloat(number, conversion, precision, alternate) {
+    const exponential = digits => {
+        const [mantissa, exponent] = number.toExponential(digits).split('e');
+        const point = alternate && digits === 0 ? '.' : '';
+        return `${mantissa}${point}e${exponent[0]}${exponent.slice(1).padStart(2, '0')}`;
+    };
+
+    if (conversion === 'f') {
+        return number.toFixed(Math.min(precision, 100)) + (alternate && precision === 0 ? '.' : '');
+    }
+    if (conversion === 'e') {
+        return exponential(Math.min(precision, 100));
+    }
+
+    // %g uses %e for exponents below -4 or from the precision up, and drops
+    // trailing zeros unless # is given
+    const significant = Math.min(precision === 0 ? 1 : precision, 100);
+    const exponent = number === 0 ? 0 : parseInt(number.toExponential(significant - 1).split('e')[1], 10);
+    let text = exponent < -4 || exponent >= significant
+        ? exponential(significant - 1)
+        : number.toFixed(significant - 1 - exponent);
+
+    if (!alternate) {
+        const [mantissa, suffix] = text.split('e');
+        const trimmed = mantissa.includes('.') ? mantissa.replace(/\.?0+$/, '') : mantissa;
+        text = suffix === undefined ? trimmed : `${trimmed}e${suffix}`;
+    }
+    return text;
+}
+
+// ============================================================================
+// Tokenizer
+// ============================================================================
+
+function syntaxError(message, line) {
+    return new Error(`syntax error at source line ${line}: ${message}`);
+}
+
+// Whether a / starts a regex rather than dividing what came before it
+function regexAllowedAfter(token) {
+    if (!token) {
+        return true;
+    }
+    if (['number', 'string', 'regex', 'name', 'funcname', 'builtin'].includes(token.type)) {
+        return false;
+    }
+    return !(token.type === 'op' && [')', ']', '$', '++', '--'].includes(token.value));
+}
+
+/**
+ * Split awk source into tokens. Newlines are tokens, as they end
+ * statements, except after tokens a statement continues past.
+ * @param {string} source - Program text
+ * @returns {Array<{type: string, value: *, text: string, line: number}>}
+ * @throws {Error} On characters that start no token, and unterminated
+ *         strings and regexes
+ */
+function tokenize(source) {
+    const tokens = [];
+    let line = 1;
+    let i = 0;
+
+    const push = (type, value, text) => tokens.push({ type, value, text, line });
+
+    while (i < source.length) {
+        const char = source[i];
+        const previous = tokens[tokens.length - 1];
+
+        if (char === '\\' && source[i + 1] === '\n') {
+            i += 2;
+            line++;
+        } else if (char === ' ' || char === '\t' || char === '\r') {
+            i++;
+        } else if (char === '#') {
+            while (i < source.length && source[i] !== '\n') {
+                i++;
+            }
+        } else if (char === '\n') {
+            if (previous && previous.type !== 'newline' && !LINE_CONTINUING_TOKENS.includes(previous.text)) {
+                push('newline', '\n', 'newline');
+            }
+            line++;
+            i++;
+        } else if (char === '"') {
+            let j = i + 1;
+            while (j < source.length && source[j] !== '"' && source[j] !== '\n') {
+                j += source[j] === '\\' ? 2 : 1;
+            }
+            if (j >= source.length || source[j] !== '"') {
+                throw syntaxError('unterminated string', line);
+            }
+            push('string', processEscapes(source.slice(i + 1, j)), source.slice(i, j + 1));
+            i = j + 1;
+        } else if (char === '/' && regexAllowedAfter(previous)) {
+            const end = findRegexEnd(source, i);
+            if (end === -1) {
+                throw syntaxError('unterminated regular expression', line);
+            }
+            const pattern = source.slice(i + 1, end).replace(/\\\//g, '/');
+            try {
+                push('regex', posixToRegExp(pattern, true), source.slice(i, end + 1));
+            } catch (error) {
+                throw syntaxError(`invalid regular expression /${pattern}/: ${error.message}`, line);
+            }
+            i = end + 1;
+        } else if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(source[i + 1]))) {
+            const number = source.slice(i).match(/^(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?/)[0];
+            push('number', Number(number), number);
+            i += number.length;
+        } else if (/[A-Za-z_]/.test(char)) {
+            const name = source.slice(i).match(/^[A-Za-z_][A-Za-z0-9_]*/)[0];
+            i += name.length;
+            if (KEYWORDS.has(name)) {
+                push('keyword', name, name);
+            } else if (Object.hasOwn(BUILTIN_FUNCTIONS, name)) {
+                push('builtin', name, name);
+            } else {
+                // A user function call has its ( right after the name
+                push(source[i] === '(' ? 'funcname' : 'name', name, name);
+            }
+        } else {
+            const operator = OPERATORS.find(op => source.startsWith(op, i));
+            if (!operator) {
+                throw syntaxError(`unexpected character '${char}'`, line);
+            }
+            push('op', operator, operator);
+            i += operator.length;
+        }
+    }
+
+    push('eof', null, 'end of program');
+    return tokens;
+}
+
+// Index of the / closing a regex that starts at start, or -1; a / inside a
+// bracket expression does not close it
+function findRegexEnd(source, start) {
+    let inBracket = false;
+
+    for (let j = start + 1; j < source.length; j++) {
+        const char = source[j];
+        if (char === '\n') {
+            return -1;
+        }
+        if (char === '\\') {
+            j++;
+        } else if (inBracket) {
+            if (char === '[' && source[j + 1] === ':') {
+                const close = source.indexOf(':]', j + 2);
+                j = close === -1 ? j : close + 1;
+            } else if (char === ']') {
+                inBracket = false;
+            }
+        } else if (char === '[') {
+            inBracket = true;
+            if (source[j + 1] === '^') {
+                j++;
+            }
+            if (source[j + 1] === ']') {
+                j++;
+            }
+        } else if (char === '/') {
+            return j;
+        }
+    }
+    return -1;
+}
+
+// ============================================================================
+// Parser
+// ============================================================================
+
+/**
+ * Recursive descent parser building the syntax tree of a program. Each
+ * parse method handles one level of operator precedence, from assignment
+ * (lowest) down to grouping and $ (highest).
+ */
+class AwkParser {
+    constructor(tokens) {
+        this.tokens = tokens;
+        this.position = 0;
+        this.functions = new Map();
+        this.calls = [];
+        this.loopDepth = 0;
+        this.inFunction = false;
+        // Inside an unparenthesized print list, > redirects output
+        this.noGreater = false;
+    }
+
+    parseProgram() {
+        const program = { begin: [], end: [], rules: [], functions: this.functions };
+
+        this.skipTerminators();
+        while (!this.is('eof')) {
+            if (this.acceptKeyword('BEGIN')) {
+                this.skipNewlines();
+                program.begin.push(this.parseBlock());
+            } else if (this.acceptKeyword('END')) {
+                this.skipNewlines();
+                program.end.push(this.parseBlock());
+            } else if (this.isKeyword('function') || this.isKeyword('func')) {
+                this.parseFunction();
+            } else if (this.isOp('{')) {
+                program.rules.push({ pattern: null, pattern2: null, action: this.parseBlock() });
+            } else {
+                const pattern = this.parseExpression();
+                const pattern2 = this.acceptOp(',') ? this.parseExpression() : null;
+                const action = this.isOp('{') ? this.parseBlock() : null;
+                program.rules.push({ pattern, pattern2, action });
+            }
+            this.skipTerminators();
+        }
+
+        for (const { name, line } of this.calls) {
+            if (!this.functions.has(name)) {
+                throw syntaxError(`calling undefined function ${name}`, line);
+            }
+        }
+        return program;
+    }
+
+    // ------------------------------------------------------------------------
+    // Tokens
+    // ------------------------------------------------------------------------
+
+    peek(offset = 0) {
+        return this.tokens[Math.min(this.position + offset, this.tokens.length - 1)];
+    }
+
+    next() {
+        const token = this.peek();
+        if (token.type !== 'eof') {
+            this.position++;
+        }
+        return token;
+    }
+
+    is(type, value) {
+        const token = this.peek();
+        return token.type === type && (value === undefined || token.value === value);
+    }
+
+    isOp(value) {
+        return this.is('op', value);
+    }
+
+    isKeyword(value) {
+        return this.is('keyword', value);
+    }
+
+    acceptOp(value) {
+        if (this.isOp(value)) {
+            this.position++;
+            return true;
+        }
+        return false;
+    }
+
+    acceptKeyword(value) {
+        if (this.isKeyword(value)) {
+            this.position++;
+            return true;
+        }
+        return false;
+    }
+
+    expect(type, value) {
+        if (!this.is(type, value)) {
+            this.unexpected();
+        }
+        return this.next();
+    }
+
+    expectOp(value) {
+        return this.expect('op', value);
+    }
+
+    unexpected() {
+        const token = this.peek();
+        throw syntaxError(`unexpected ${token.type === 'eof' ? token.text : `'${token.text}'`}`, token.line);
+    }
+
+    skipNewlines() {
+        while (this.is('newline')) {
+            this.position++;
+        }
+    }
+
+    skipTerminators() {
+        while (this.is('newline') || this.isOp(';')) {
+            this.position++;
+        }
+    }
+
+    // Parse with > as a comparison again, as inside parentheses
+    parenthesized(parse) {
+        const noGreater = this.noGreater;
+        this.noGreater = false;
+        try {
+            return parse();
+        } finally {
+            this.noGreater = noGreater;
+        }
+    }
+
+    // ------------------------------------------------------------------------
+    // Functions and Statements
+    // ------------------------------------------------------------------------
+
+    parseFunction() {
+        const line = this.next().line;
+        const nameToken = this.peek();
+        if (nameToken.type !== 'name' && nameToken.type !== 'funcname') {
+            this.unexpected();
+        }
+        this.next();
+        if (this.functions.has(nameToken.value)) {
+            throw syntaxError(`function ${nameToken.value} redefined`, line);
+        }
+
+        this.expectOp('(');
+        const params = [];
+        while (!this.isOp(')')) {
+            params.push(this.expect('name').value);
+            if (!this.acceptOp(',')) {
+                break;
+            }
+        }
+        this.expectOp(')');
+        this.skipNewlines();
+
+        this.inFunction = true;
+        const body = this.parseBlock();
+        this.inFunction = false;
+        this.functions.set(nameToken.value, { params, body });
+    }
+
+    parseBlock() {
+        this.expectOp('{');
+        const body = [];
+        this.skipTerminators();
+        while (!this.isOp('}')) {
+            if (this.is('eof')) {
+                this.unexpected();
+            }
+            body.push(this.parseStatement());
+            this.skipTerminators();
+        }
+        this.expectOp('}');
+        return { type: 'block', body };
+    }
+
+    parseStatement() {
+        if (this.isOp('{')) {
+            return this.parseBlock();
+        }
+        if (this.acceptOp(';')) {
+            return { type: 'empty' };
+        }
+
+        const token = this.peek();
+        if (token.type !== 'keyword') {
+            const expression = this.parseExpression();
+            this.endStatement();
+            return { type: 'expression', expression };
+        }
+
+        switch (token.value) {
+            case 'if': {
+                this.next();
+                const test = this.parseCondition();
+                const consequent = this.parseStatement();
+                const position = this.position;
+                this.skipTerminators();
+                if (this.acceptKeyword('else')) {
+                    return { type: 'if', test, consequent, alternate: this.parseStatement() };
+                }
+                this.position = position;
+                return { type: 'if', test, consequent, alternate: null };
+            }
+            case 'while': {
+                this.next();
+                const test = this.parseCondition();
+                return { type: 'while', test, body: this.parseLoopBody() };
+            }
+            case 'do': {
+                this.next();
+                const body = this.parseLoopBody();
+                this.skipTerminators();
+                this.expect('keyword', 'while');
+                const test = this.parseCondition(false);
+                this.endStatement();
+                return { type: 'do', body, test };
+            }
+            case 'for':
+                return this.parseFor();
+            case 'break':
+            case 'continue':
+                if (this.loopDepth === 0) {
+                    throw syntaxError(`${token.value} is not allowed outside a loop`, token.line);
+                }
+                this.next();
+                this.endStatement();
+                return { type: token.value };
+            case 'next':
+                this.next();
+                this.endStatement();
+                return { type: 'next' };
+            case 'exit':
+            case 'return': {
+                if (token.value === 'return' && !this.inFunction) {
+                    throw syntaxError('return is not allowed outside a function', token.line);
+                }
+                this.next();
+                const value = this.atStatementEnd() ? null : this.parseExpression();
+                this.endStatement();
+                return { type: token.value, value };
+            }
+            case 'delete': {
+                this.next();
+                const name = this.expect('name').value;
+                let subscripts = null;
+                if (this.acceptOp('[')) {
+                    subscripts = this.parenthesized(() => this.parseExpressionList());
+                    this.expectOp(']');
+                }
+                this.endStatement();
+                return { type: 'delete', name, subscripts };
+            }
+            case 'print':
+            case 'printf':
+                return this.parsePrint();
+            case 'getline':
+                throw syntaxError('getline is not supported', token.line);
+            default:
+                return this.unexpected();
+        }
+    }
+
+    // ( expression ), and the newlines after it when a statement follows
+    parseCondition(statementFollows = true) {
+        this.expectOp('(');
+        const test = this.parenthesized(() => this.parseExpression());
+        this.expectOp(')');
+        if (statementFollows) {
+            this.skipNewlines();
+        }
+        return test;
+    }
+
+    parseLoopBody() {
+        this.skipNewlines();
+        this.loopDepth++;
+        try {
+            return this.parseStatement();
+        } finally {
+            this.loopDepth--;
+        }
+    }
+
+    parseFor() {
+        this.next();
+        this.expectOp('(');
+
+        if (this.is('name') && this.peek(1).type === 'keyword' && this.peek(1).value === 'in'
+            && this.peek(2).type === 'name' && this.peek(3).type === 'op' && this.peek(3).value === ')') {
+            const variable = this.next().value;
+            this.next();
+            const array = this.next().value;
+            this.next();
+            return { type: 'forIn', variable, array, body: this.parseLoopBody() };
+        }
+
+        const clause = terminator => {
+            const expression = this.isOp(terminator) ? null : this.parenthesized(() => this.parseExpression());
+            this.expectOp(terminator);
+            this.skipNewlines();
+            return expression;
+        };
+        const init = clause(';');
+        const test = clause(';');
+        const update = clause(')');
+        return { type: 'for', init, test, update, body: this.parseLoopBody() };
+    }
+
+    parsePrint() {
+        const keyword = this.next();
+        let args = [];
+
+        if (!this.atStatementEnd() && !this.isOp('>') && !this.isOp('>>') && !this.isOp('|')) {
+            this.noGreater = true;
+            try {
+                args = this.parseExpressionList();
+            } finally {
+                this.noGreater = false;
+            }
+        }
+        // print (a, b) prints the list, as print a, b does
+        if (args.length === 1 && args[0].type === 'grouping') {
+            args = args[0].expressions;
+        }
+        if (keyword.value === 'printf' && args.length === 0) {
+            throw syntaxError('printf needs a format', keyword.line);
+        }
+
+        let redirect = null;
+        if (this.isOp('>') || this.isOp('>>')) {
+            const mode = this.next().value;
+            this.noGreater = true;
+            try {
+                redirect = { mode, target: this.parseConcatenation() };
+            } finally {
+                this.noGreater = false;
+            }
+        } else if (this.isOp('|')) {
+            throw syntaxError('output pipes are not supported', keyword.line);
+        }
+
+        this.endStatement();
+        return { type: keyword.value, args, redirect };
+    }
+
+    atStatementEnd() {
+        return this.isOp(';') || this.isOp('}') || this.is('newline') || this.is('eof');
+    }
+
+    endStatement() {
+        if (this.isOp(';') || this.is('newline')) {
+            this.position++;
+        } else if (!this.isOp('}') && !this.is('eof')) {
+            this.unexpected();
+        }
+    }
+
+    // ------------------------------------------------------------------------
+    // Expressions
+    // ------------------------------------------------------------------------
+
+    parseExpressionList() {
+        const expressions = [this.parseExpression()];
+        while (this.acceptOp(',')) {
+            expressions.push(this.parseExpression());
+        }
+        return expressions;
+    }
+
+    parseExpression() {
+        const left = this.parseTernary();
+        const token = this.peek();
+        if (token.type === 'op' && ASSIGNMENT_OPERATORS.includes(token.value) && isLvalue(left)) {
+            this.next();
+            const operator = token.value === '**=' ? '^=' : token.value;
+            return { type: 'assign', operator, target: left, value: this.parseExpression() };
+        }
+        return left;
+    }
+
+    parseTernary() {
+        const test = this.parseOr();
+        if (!this.acceptOp('?')) {
+            return test;
+        }
+        this.skipNewlines();
+        const consequent = this.parseTernary();
+        this.skipNewlines();
+        this.expectOp(':');
+        this.skipNewlines();
+        return { type: 'conditional', test, consequent, alternate: this.parseTernary() };
+    }
+
+    parseOr() {
+        let left = this.parseAnd();
+        while (this.acceptOp('||')) {
+            left = { type: 'logical', operator: '||', left, right: this.parseAnd() };
+        }
+        return left;
+    }
+
+    parseAnd() {
+        let left = this.parseIn();
+        while (this.acceptOp('&&')) {
+            left = { type: 'logical', operator: '&&', left, right: this.parseIn() };
+        }
+        return left;
+    }
+
+    // (i, j) in array tests for the element array[i, j]
+    parseIn() {
+        let left = this.parseMatch();
+        while (this.acceptKeyword('in')) {
+            const name = this.expect('name').value;
+            const subscripts = left.type === 'grouping' ? left.expressions : [left];
+            left = { type: 'in', subscripts, name };
+        }
+        return left;
+    }
+
+    parseMatch() {
+        let left = this.parseComparison();
+        while (this.isOp('~') || this.isOp('!~')) {
+            const negate = this.next().value === '!~';
+            left = { type: 'match', negate, left, right: this.parseComparison() };
+        }
+        return left;
+    }
+
+    parseComparison() {
+        const left = this.parseConcatenation();
+        const token = this.peek();
+        const comparison = ['<', '<=', '==', '!=', '>=', '>'].includes(token.value)
+            && !(token.value === '>' && this.noGreater);
+        if (token.type === 'op' && comparison) {
+            this.next();
+            return { type: 'compare', operator: token.value, left, right: this.parseConcatenation() };
+        }
+        return left;
+    }
+
+    // Expressions side by side are joined as strings
+    parseConcatenation() {
+        let left = this.parseAdditive();
+        while (this.startsConcatenation()) {
+            left = { type: 'concat', left, right: this.parseAdditive() };
+        }
+        return left;
+    }
+
+    startsConcatenation() {
+        const token = this.peek();
+        return ['number', 'string', 'regex', 'name', 'funcname', 'builtin'].includes(token.type)
+            || (token.type === 'op' && (token.value === '$' || token.value === '('));
+    }
+
+    parseAdditive() {
+        let left = this.parseMultiplicative();
+        while (this.isOp('+') || this.isOp('-')) {
+            const operator = this.next().value;
+            left = { type: 'binary', operator, left, right: this.parseMultiplicative() };
+        }
+        return left;
+    }
+
+    parseMultiplicative() {
+        let left = this.parseUnary();
+        while (this.isOp('*') || this.isOp('/') || this.isOp('%')) {
+            const operator = this.next().value;
+            left = { type: 'binary', operator, left, right: this.parseUnary() };
+        }
+        return left;
+    }
+
+    parseUnary() {
+        if (this.isOp('!') || this.isOp('-') || this.isOp('+')) {
+            const operator = this.next().value;
+            return { type: 'unary', operator, operand: this.parseUnary() };
+        }
+        return this.parsePower();
+    }
+
+    // ^ binds tighter than unary minus and groups to the right: -2^2 is -4
+    // and 2^3^2 is 512
+    parsePower() {
+        const base = this.parsePostfix();
+        if (this.isOp('^') || this.isOp('**')) {
+            this.next();
+            return { type: 'binary', operator: '^', left: base, right: this.parseUnary() };
+        }
+        return base;
+    }
+
+    parsePostfix() {
+        if (this.isOp('++') || this.isOp('--')) {
+            const token = this.next();
+            const target = this.parsePrimary();
+            if (!isLvalue(target)) {
+                throw syntaxError(`${token.value} needs a variable, field or array element`, token.line);
+            }
+            return { type: 'increment', operator: token.value, prefix: true, target };
+        }
+
+        const expression = this.parsePrimary();
+        if (isLvalue(expression) && (this.isOp('++') || this.isOp('--'))) {
+            return { type: 'increment', operator: this.next().value, prefix: false, target: expression };
+        }
+        return expression;
+    }
+
+    parsePrimary() {
+        const token = this.peek();
+
+        switch (token.type) {
+            case 'number':
+            case 'string':
+                this.next();
+                return { type: token.type, value: token.value };
+            case 'regex':
+                this.next();
+                return { type: 'regex', regex: token.value };
+            case 'builtin':
+                return this.parseBuiltin();
+            case 'funcname': {
+                this.next();
+                this.expectOp('(');
+                const args = this.isOp(')') ? [] : this.parenthesized(() => this.parseExpressionList());
+                this.expectOp(')');
+                this.calls.push({ name: token.value, line: token.line });
+                return { type: 'call', name: token.value, args };
+            }
+            case 'name':
+                this.next();
+                if (this.acceptOp('[')) {
+                    const subscripts = this.parenthesized(() => this.parseExpressionList());
+                    this.expectOp(']');
+                    return { type: 'index', name: token.value, subscripts };
+                }
+                return { type: 'variable', name: token.value };
+            case 'keyword':
+                if (token.value === 'getline') {
+                    throw syntaxError('getline is not supported', token.line);
+                }
+                return this.unexpected();
+            default:
+                break;
+        }
+
+        if (this.acceptOp('$')) {
+            return { type: 'field', index: this.parseFieldIndex() };
+        }
+        if (this.acceptOp('(')) {
+            const expressions = this.parenthesized(() => this.parseExpressionList());
+            this.expectOp(')');
+            return expressions.length === 1 ? expressions[0] : { type: 'grouping', expressions };
+        }
+        if (this.isOp('-') || this.isOp('+') || this.isOp('!')) {
+            return this.parseUnary();
+        }
+        return this.unexpected();
+    }
+
+    // $ applies to the smallest expression after it: $i++ increments the
+    // field, $++i the index
+    parseFieldIndex() {
+        if (this.isOp('++') || this.isOp('--')) {
+            const operator = this.next().value;
+            return { type: 'increment', operator, prefix: true, target: this.parsePrimary() };
+        }
+        if (this.isOp('-') || this.isOp('+') || this.isOp('!')) {
+            const operator = this.next().value;
+            return { type: 'unary', operator, operand: this.parseFieldIndex() };
+        }
+        return this.parsePrimary();
+    }
+
+    parseBuiltin() {
+        const token = this.next();
+        let args = [];
+
+        if (this.acceptOp('(')) {
+            args = this.isOp(')') ? [] : this.parenthesized(() => this.parseExpressionList());
+            this.expectOp(')');
+        } else if (token.value !== 'length') {
+            this.unexpected();
+        }
+
+        const [fewest, most] = BUILTIN_FUNCTIONS[token.value];
+        if (args.length < fewest || args.length > most) {
+            throw syntaxError(`${token.value}: wrong number of arguments`, token.line);
+        }
+        if (token.value === 'split' && args[1].type !== 'variable') {
+            throw syntaxError('split: second argument must be an array name', token.line);
+        }
+        if ((token.value === 'sub' || token.value === 'gsub') && args.length === 3 && !isLvalue(args[2])) {
+            throw syntaxError(`${token.value}: third argument must be a variable, field or array element`, token.line);
+        }
+        return { type: 'builtin', name: token.value, args };
+    }
+}
+
+function isLvalue(node) {
+    return node.type === 'variable' || node.type === 'field' || node.type === 'index';
+}
+
+// ============================================================================
+// Runtime
+// ============================================================================
+
+/**
+ * Thrown to leave a loop, rule, function or the program: break, continue,
+ * next, return and exit
+ */
+class ControlSignal {
+    constructor(kind, value = null) {
+        this.kind = kind;
+        this.value = value;
+    }
+}
+
+/**
+ * A function parameter given a variable never assigned; it is an
+ * uninitialized scalar unless the function uses it as an array, which
+ * makes the variable an array too
+ */
+class UntypedArgument {
+    constructor(scope, name) {
+        this.scope = scope;
+        this.name = name;
+    }
+}
+
+function isSignal(thrown, kind) {
+    return thrown instanceof ControlSignal && thrown.kind === kind;
+}
+
+/**
+ * Runs a parsed program: evaluates the syntax tree against the current
+ * record, variables and the stack of function calls
+ */
+class AwkRuntime {
+    constructor(program, options) {
+        this.program = program;
+        this.options = options;
+        this.globals = new Map();
+        this.frames = []; // Local variables of the functions being called
+        this.fields = [UNINITIALIZED];
+        this.fieldCount = 0;
+        this.output = [];
+        this.files = new Map();
+        this.regexCache = new Map();
+        this.activeRanges = new Set();
+        this.phase = 'BEGIN';
+        this.iterations = 0;
+        this.exitCode = 0;
+        this.seed = 0;
+        this.random = seededRandom(0);
+
+        const operands = options.operands || [];
+        const argv = new Map([['0', 'awk'], ...operands.map((operand, index) => [String(index + 1), new StrNum(operand)])]);
+
+        Object.entries({
+            FS: ' ', OFS: ' ', ORS: '\n', RS: '\n', NR: 0, FNR: 0, FILENAME: '', SUBSEP: '\x1c',
+            RSTART: 0, RLENGTH: -1, CONVFMT: DEFAULT_NUMBER_FORMAT, OFMT: DEFAULT_NUMBER_FORMAT,
+            ARGC: operands.length + 1, ARGV: argv
+        }).forEach(([name, value]) => this.globals.set(name, value));
+
+        if (options.fieldSeparator !== null && options.fieldSeparator !== undefined) {
+            this.globals.set('FS', processEscapes(options.fieldSeparator));
+        }
+        (options.assignments || []).forEach(assignment => this.assignOperand(assignment));
+    }
+
+    run() {
+        const { begin, rules, end } = this.program;
+
+        try {
+            this.phase = 'BEGIN';
+            begin.forEach(action => this.execute(action));
+            if (rules.length > 0 || end.length > 0) {
+                this.phase = 'main';
+                this.readInput();
+            }
+        } catch (thrown) {
+            if (!isSignal(thrown, 'exit')) {
+                throw thrown;
+            }
+        }
+
+        // END actions run even after exit, unless exit is called in one
+        try {
+            this.phase = 'END';
+            end.forEach(action => this.execute(action));
+        } catch (thrown) {
+            if (!isSignal(thrown, 'exit')) {
+                throw thrown;
+            }
+        }
+
+        this.files.forEach((content, name) => this.options.writeFile(name, content));
+        return { output: this.output.join(''), exitCode: this.exitCode };
+    }
+
+    // ------------------------------------------------------------------------
+    // Input
+    // ------------------------------------------------------------------------
+
+    // Run the rules on every record of every file operand, or of the
+    // standard input if there are none
+    readInput() {
+        const operands = this.options.operands || [];
+        const sources = operands.some(operand => !ASSIGNMENT_OPERAND.test(operand)) ? operands : [...operands, '-'];
+
+        for (const operand of sources) {
+            if (ASSIGNMENT_OPERAND.test(operand)) {
+                this.assignOperand(operand);
+                continue;
+            }
+
+            this.globals.set('FILENAME', operand === '-' ? '' : operand);
+            this.globals.set('FNR', 0);
+            for (const record of this.splitRecords(this.options.readFile(operand))) {
+                this.globals.set('NR', toNumber(this.globals.get('NR')) + 1);
+                this.globals.set('FNR', toNumber(this.globals.get('FNR')) + 1);
+                this.setRecord(record);
+                this.runRules();
+            }
+        }
+    }
+
+    runRules() {
+        try {
+            for (const rule of this.program.rules) {
+                if (!this.ruleMatches(rule)) {
+                    continue;
+                }
+                if (rule.action) {
+                    this.execute(rule.action);
+                } else {
+                    this.write(this.str(this.fields[0]) + this.str(this.globals.get('ORS')), null);
+                }
+            }
+        } catch (thrown) {
+            if (!isSignal(thrown, 'next')) {
+                throw thrown;
+            }
+        }
+    }
+
+    // A range pattern matches from a record matching its first pattern
+    // through the next one matching its second
+    ruleMatches(rule) {
+        if (!rule.pattern) {
+            return true;
+        }
+        if (!rule.pattern2) {
+            return isTrue(this.evaluate(rule.pattern));
+        }
+        if (this.activeRanges.has(rule)) {
+            if (isTrue(this.evaluate(rule.pattern2))) {
+                this.activeRanges.delete(rule);
+            }
+            return true;
+        }
+        if (!isTrue(this.evaluate(rule.pattern))) {
+            return false;
+        }
+        if (!isTrue(this.evaluate(rule.pattern2))) {
+            this.activeRanges.add(rule);
+        }
+        return true;
+    }
+
+    // Records are separated by RS: lines by default, blank lines if RS is
+    // empty, and matches of RS if it is longer than one character
+    splitRecords(text) {
+        const separator = this.str(this.globals.get('RS'));
+        if (text === '') {
+            return [];
+        }
+        if (separator === '') {
+            const paragraphs = text.replace(/^\n+|\n+$/g, '');
+            return paragraphs === '' ? [] : paragraphs.split(/\n\n+/);
+        }
+
+        const records = separator.length === 1 ? text.split(separator) : splitByRegex(text, this.regex(separator));
+        if (records[records.length - 1] === '') {
+            records.pop();
+        }
+        return records;
+    }
+
+    // A single space splits on runs of blanks, ignoring them at the ends;
+    // another single character splits on itself, and anything longer is a
+    // regular expression
+    splitText(text, separator) {
+        if (separator instanceof RegExp) {
+            return text === '' ? [] : splitByRegex(text, separator);
+        }
+        if (separator === ' ') {
+            const trimmed = text.replace(/^[ \t\n]+|[ \t\n]+$/g, '');
+            return trimmed === '' ? [] : trimmed.split(/[ \t\n]+/);
+        }
+        if (text === '') {
+            return [];
+        }
+        if (separator === '') {
+            return Array.from(text);
+        }
+        if (separator.length === 1 && separator !== '\\') {
+            return text.split(separator);
+        }
+        return splitByRegex(text, this.regex(separator));
+    }
+
+    assignOperand(assignment) {
+        const equals = assignment.indexOf('=');
+        this.setVar(assignment.slice(0, equals), new StrNum(processEscapes(assignment.slice(equals + 1))));
+    }
+
+    // ------------------------------------------------------------------------
+    // Fields and Variables
+    // ------------------------------------------------------------------------
+
+    setRecord(text) {
+        const fields = this.splitText(text, this.str(this.globals.get('FS')));
+        this.fields = [new StrNum(text), ...fields.map(field => new StrNum(field))];
+        this.fieldCount = fields.length;
+    }
+
+    // $0 after a field or NF changed: the fields joined by OFS
+    rebuildRecord() {
+        const separator = this.str(this.globals.get('OFS'));
+        this.fields[0] = new StrNum(this.fields.slice(1).map(field => this.str(field)).join(separator));
+    }
+
+    getField(index) {
+        const number = Math.trunc(toNumber(index));
+        if (number < 0) {
+            throw new Error(`attempt to access field ${number}`);
+        }
+        return number <= this.fieldCount ? this.fields[number] : UNINITIALIZED;
+    }
+
+    setField(index, value) {
+        const number = Math.trunc(toNumber(index));
+        if (number < 0) {
+            throw new Error(`attempt to access field ${number}`);
+        }
+        if (number === 0) {
+            this.setRecord(this.str(value));
+            return;
+        }
+        while (this.fieldCount < number) {
+            this.fields.push(UNINITIALIZED);
+            this.fieldCount++;
+        }
+        this.fields[number] = value;
+        this.rebuildRecord();
+    }
+
+    setFieldCount(value) {
+        const count = Math.trunc(toNumber(value));
+        if (count < 0) {
+            throw new Error(`NF set to negative value ${count}`);
+        }
+        while (this.fields.length <= count) {
+            this.fields.push(UNINITIALIZED);
+        }
+        this.fields.length = count + 1;
+        this.fieldCount = count;
+        this.rebuildRecord();
+    }
+
+    // The innermost function call's locals hide the globals
+    scope(name) {
+        const frame = this.frames[this.frames.length - 1];
+        return frame && frame.has(name) ? frame : this.globals;
+    }
+
+    getVar(name) {
+        const scope = this.scope(name);
+        if (scope === this.globals && name === 'NF') {
+            return this.fieldCount;
+        }
+        const value = scope.get(name);
+        return value === undefined || value instanceof UntypedArgument ? UNINITIALIZED : value;
+    }
+
+    scalar(name) {
+        const value = this.getVar(name);
+        if (value instanceof Map) {
+            throw new Error(`attempt to use array ${name} in a scalar context`);
+        }
+        return value;
+    }
+
+    setVar(name, value) {
+        const scope = this.scope(name);
+        if (scope.get(name) instanceof Map) {
+            throw new Error(`attempt to use array ${name} in a scalar context`);
+        }
+        if (scope === this.globals && name === 'NF') {
+            this.setFieldCount(value);
+        } else {
+            scope.set(name, value);
+        }
+    }
+
+    // The array a name refers to, created on first use
+    getArray(name) {
+        return this.arrayIn(this.scope(name), name);
+    }
+
+    arrayIn(scope, name) {
+        const value = scope.get(name);
+        if (value instanceof Map) {
+            return value;
+        }
+
+        let array;
+        if (value instanceof UntypedArgument) {
+            array = this.arrayIn(value.scope, value.name);
+        } else if (value === undefined || value === UNINITIALIZED) {
+            array = new Map();
+        } else {
+            throw new Error(`attempt to use scalar ${name} as an array`);
+        }
+        scope.set(name, array);
+        return array;
+    }
+
+    // Multiple subscripts are joined by SUBSEP
+    subscript(expressions) {
+        return expressions
+            .map(expression => this.str(this.evaluate(expression)))
+            .join(this.str(this.globals.get('SUBSEP')));
+    }
+
+    // Getter and setter for something that can be assigned to, so its
+    // subscript or field number is evaluated once
+    reference(node) {
+        if (node.type === 'variable') {
+            return { get: () => this.scalar(node.name), set: value => this.setVar(node.name, value) };
+        }
+        if (node.type === 'field') {
+            const index = this.evaluate(node.index);
+            return { get: () => this.getField(index), set: value => this.setField(index, value) };
+        }
+        const array = this.getArray(node.name);
+        const key = this.subscript(node.subscripts);
+        return {
+            get: () => {
+                if (!array.has(key)) {
+                    array.set(key, UNINITIALIZED);
+                }
+                return array.get(key);
+            },
+            set: value => array.set(key, value)
+        };
+    }
+
+    // Text of a value, formatting numbers with CONVFMT
+    str(value) {
+        return toText(value, toText(this.globals.get('CONVFMT')));
+    }
+
+    regex(source) {
+        if (!this.regexCache.has(source)) {
+            try {
+                this.regexCache.set(source, posixToRegExp(source, true));
+            } catch (error) {
+                throw new Error(`invalid regular expression /${source}/: ${error.message}`);
+            }
+        }
+        return this.regexCache.get(source);
+    }
+
+    // A regex literal is used as it is; anything else is a dynamic regex
+    regexOf(node) {
+        return node.type === 'regex' ? node.regex : this.regex(this.str(this.evaluate(node)));
+    }
+
+    countIteration() {
+        if (++this.iterations > MAX_LOOP_ITERATIONS) {
+            throw new Error(`loop stopped after ${MAX_LOOP_ITERATIONS} iterations`);
+        }
+    }
+
+    // ------------------------------------------------------------------------
+    // Statements
+    // ------------------------------------------------------------------------
+
+    execute(statement) {
+        switch (statement.type) {
+            case 'block':
+                statement.body.forEach(child => this.execute(child));
+                break;
+            case 'expression':
+                this.evaluate(statement.expression);
+                break;
+            case 'print': {
+                const outputFormat = toText(this.globals.get('OFMT'));
+                const values = statement.args.length > 0 ? statement.args.map(arg => this.evaluate(arg)) : [this.fields[0]];
+                const text = values
+                    .map(value => (typeof value === 'number' ? toText(value, outputFormat) : this.str(value)))
+                    .join(this.str(this.globals.get('OFS')));
+                this.write(text + this.str(this.globals.get('ORS')), statement.redirect);
+                break;
+            }
+            case 'printf': {
+                const [format, ...values] = statement.args.map(arg => this.evaluate(arg));
+                this.write(sprintf(this.str(format), values, toText(this.globals.get('CONVFMT'))), statement.redirect);
+                break;
+            }
+            case 'if':
+                if (isTrue(this.evaluate(statement.test))) {
+                    this.execute(statement.consequent);
+                } else if (statement.alternate) {
+                    this.execute(statement.alternate);
+                }
+                break;
+            case 'while':
+                while (isTrue(this.evaluate(statement.test))) {
+                    if (!this.runLoopBody(statement.body)) {
+                        break;
+                    }
+                }
+                break;
+            case 'do':
+                do {
+                    if (!this.runLoopBody(statement.body)) {
+                        break;
+                    }
+                } while (isTrue(this.evaluate(statement.test)));
+                break;
+            case 'for':
+                if (statement.init) {
+                    this.evaluate(statement.init);
+                }
+                while (!statement.test || isTrue(this.evaluate(statement.test))) {
+                    if (!this.runLoopBody(statement.body)) {
+                        break;
+                    }
+                    if (statement.update) {
+                        this.evaluate(statement.update);
+                    }
+                }
+                break;
+            case 'forIn': {
+                const array = this.getArray(statement.array);
+                for (const key of Array.from(array.keys())) {
+                    if (!array.has(key)) {
+                        continue;
+                    }
+                    this.setVar(statement.variable, key);
+                    if (!this.runLoopBody(statement.body)) {
+                        break;
+                    }
+                }
+                break;
+            }
+            case 'break':
+            case 'continue':
+                throw new ControlSignal(statement.type);
+            case 'next':
+                if (this.phase !== 'main') {
+                    throw new Error(`next used in ${this.phase} action`);
+                }
+                throw new ControlSignal('next');
+            case 'exit':
+                if (statement.value) {
+                    this.exitCode = Math.trunc(toNumber(this.evaluate(statement.value))) & 0xFF;
+                }
+                throw new ControlSignal('exit');
+            case 'return':
+                throw new ControlSignal('return', statement.value ? this.evaluate(statement.value) : UNINITIALIZED);
+            case 'delete': {
+                const array = this.getArray(statement.name);
+                if (statement.subscripts) {
+                    array.delete(this.subscript(statement.subscripts));
+                } else {
+                    array.clear();
+                }
+                break;
+            }
+            case 'empty':
+                break;
+            default:
+                throw new Error(`unknown statement ${statement.type}`);
+        }
+    }
+
+    // Run one iteration; false if the loop should stop
+    runLoopBody(body) {
+        this.countIteration();
+        try {
+            this.execute(body);
+        } catch (thrown) {
+            if (isSignal(thrown, 'break')) {
+                return false;
+            }
+            if (!isSignal(thrown, 'continue')) {
+                throw thrown;
+            }
+        }
+        return true;
+    }
+
+    // Output goes to the command's output, or for > and >> to a file,
+    // which is emptied by the first > to it and written at the end
+    write(text, redirect) {
+        if (!redirect) {
+            this.output.push(text);
+            return;
+        }
+
+        const name = this.str(this.evaluate(redirect.target));
+        if (name === '/dev/stdout' || name === '/dev/stderr' || name === '-') {
+            this.output.push(text);
+            return;
+        }
+        if (!this.files.has(name)) {
+            let existing = '';
+            if (redirect.mode === '>>') {
+                try {
+                    existing = this.options.readFile(name);
+                } catch (error) {
+                    existing = '';
+                }
+            }
+            this.files.set(name, existing);
+        }
+        this.files.set(name, this.files.get(name) + text);
+    }
+
+    // ------------------------------------------------------------------------
+    // Expressions
+    // ------------------------------------------------------------------------
+
+    evaluate(node) {
+        switch (node.type) {
+            case 'number':
+            case 'string':
+                return node.value;
+            case 'regex':
+                return node.regex.test(this.str(this.fields[0])) ? 1 : 0;
+            case 'variable':
+                return this.scalar(node.name);
+            case 'field':
+                return this.getField(this.evaluate(node.index));
+            case 'index':
+                return this.reference(node).get();
+            case 'grouping':
+                throw new Error('a parenthesized list can only be used with in or print');
+            case 'assign':
+                return this.assign(node);
+            case 'conditional':
+                return isTrue(this.evaluate(node.test)) ? this.evaluate(node.consequent) : this.evaluate(node.alternate);
+            case 'logical': {
+                const left = isTrue(this.evaluate(node.left));
+                if (node.operator === '&&') {
+                    return left && isTrue(this.evaluate(node.right)) ? 1 : 0;
+                }
+                return left || isTrue(this.evaluate(node.right)) ? 1 : 0;
+            }
+            case 'in':
+                return this.getArray(node.name).has(this.subscript(node.subscripts)) ? 1 : 0;
+            case 'match': {
+                const text = this.str(this.evaluate(node.left));
+                return this.regexOf(node.right).test(text) !== node.negate ? 1 : 0;
+            }
+            case 'compare':
+                return this.compare(node) ? 1 : 0;
+            case 'concat':
+                return this.str(this.evaluate(node.left)) + this.str(this.evaluate(node.right));
+            case 'binary':
+                return arithmetic(node.operator, toNumber(this.evaluate(node.left)), toNumber(this.evaluate(node.right)));
+            case 'unary': {
+                const value = this.evaluate(node.operand);
+                if (node.operator === '!') {
+                    return isTrue(value) ? 0 : 1;
+                }
+                return node.operator === '-' ? -toNumber(value) : toNumber(value);
+            }
+            case 'increment': {
+                const reference = this.reference(node.target);
+                const old = toNumber(reference.get());
+                const updated = node.operator === '++' ? old + 1 : old - 1;
+                reference.set(updated);
+                return node.prefix ? updated : old;
+            }
+            case 'builtin':
+                return this.callBuiltin(node.name, node.args);
+            case 'call':
+                return this.callFunction(node.name, node.args);
+            default:
+                throw new Error(`unknown expression ${node.type}`);
+        }
+    }
+
+    assign(node) {
+        const reference = this.reference(node.target);
+        let value = this.evaluate(node.value);
+        if (value instanceof Map) {
+            throw new Error('attempt to use an array in a scalar context');
+        }
+        if (node.operator !== '=') {
+            value = arithmetic(node.operator[0], toNumber(reference.get()), toNumber(value));
+        }
+        reference.set(value);
+        return value;
+    }
+
+    compare(node) {
+        const order = compareValues(this.evaluate(node.left), this.evaluate(node.right), toText(this.globals.get('CONVFMT')));
+        switch (node.operator) {
+            case '<': return order < 0;
+            case '<=': return order <= 0;
+            case '>': return order > 0;
+            case '>=': return order >= 0;
+            case '==': return order === 0;
+            default: return order !== 0;
+        }
+    }
+
+    callBuiltin(name, args) {
+        const number = index => toNumber(this.evaluate(args[index]));
+        const text = index => this.str(this.evaluate(args[index]));
+
+        switch (name) {
+            case 'length':
+                if (args.length === 0) {
+                    return this.str(this.fields[0]).length;
+                }
+                if (args[0].type === 'variable' && this.getVar(args[0].name) instanceof Map) {
+                    return this.getVar(args[0].name).size;
+                }
+                return text(0).length;
+            case 'substr': {
+                // Characters from position m (counting from 1) up to m + n
+                const string = text(0);
+                const start = Math.round(number(1));
+                const end = args.length === 3 ? start + Math.round(number(2)) : Infinity;
+                const from = Math.max(start, 1);
+                const to = Math.min(end, string.length + 1);
+                return Number.isNaN(from) || Number.isNaN(to) || to <= from ? '' : string.slice(from - 1, to - 1);
+            }
+            case 'index':
+                return text(0).indexOf(text(1)) + 1;
+            case 'split': {
+                const string = text(0);
+                const array = this.getArray(args[1].name);
+                let separator = this.str(this.globals.get('FS'));
+                if (args.length === 3) {
+                    separator = args[2].type === 'regex' ? args[2].regex : text(2);
+                }
+                const parts = this.splitText(string, separator);
+                array.clear();
+                parts.forEach((part, index) => array.set(String(index + 1), new StrNum(part)));
+                return parts.length;
+            }
+            case 'sub':
+            case 'gsub':
+                return this.substitute(name === 'gsub', args);
+            case 'match': {
+                const match = this.regexOf(args[1]).exec(text(0));
+                this.globals.set('RSTART', match ? match.index + 1 : 0);
+                this.globals.set('RLENGTH', match ? match[0].length : -1);
+                return match ? match.index + 1 : 0;
+            }
+            case 'sprintf': {
+                const [format, ...values] = args.map(arg => this.evaluate(arg));
+                return sprintf(this.str(format), values, toText(this.globals.get('CONVFMT')));
+            }
+            case 'sin':
+                return Math.sin(number(0));
+            case 'cos':
+                return Math.cos(number(0));
+            case 'atan2':
+                return Math.atan2(number(0), number(1));
+            case 'exp':
+                return Math.exp(number(0));
+            case 'log':
+                return Math.log(number(0));
+            case 'sqrt':
+                return Math.sqrt(number(0));
+            case 'int':
+                return Math.trunc(number(0));
+            case 'rand':
+                return this.random();
+            case 'srand': {
+                const previous = this.seed;
+                this.seed = args.length === 1 ? number(0) : Math.floor(Date.now() / 1000);
+                this.random = seededRandom(this.seed);
+                return previous;
+            }
+            case 'tolower':
+                return text(0).toLowerCase();
+            case 'toupper':
+                return text(0).toUpperCase();
+            default:
+                throw new Error(`unknown function ${name}`);
+        }
+    }
+
+    // sub and gsub: in the replacement, & is the matched text and \& a
+    // literal &
+    substitute(global, args) {
+        const regex = this.regexOf(args[0]);
+        const replacement = this.str(this.evaluate(args[1]));
+        const target = this.reference(args.length === 3 ? args[2] : { type: 'field', index: { type: 'number', value: 0 } });
+        const pattern = global ? new RegExp(regex.source, `${regex.flags}g`) : regex;
+
+        let count = 0;
+        const result = this.str(target.get()).replace(pattern, match => {
+            count++;
+            return replacement.replace(/\\\\|\\&|&/g, token => {
+                if (token === '&') {
+                    return match;
+                }
+                return token === '\\&' ? '&' : '\\';
+            });
+        });
+
+        if (count > 0) {
+            target.set(result);
+        }
+        return count;
+    }
+
+    // Arrays are passed by reference and everything else by value; locals
+    // are the parameters no argument was given for
+    callFunction(name, args) {
+        const definition = this.program.functions.get(name);
+        if (args.length > definition.params.length) {
+            throw new Error(`function ${name} called with ${args.length} arguments, declared with ${definition.params.length}`);
+        }
+        if (this.frames.length >= MAX_CALL_DEPTH) {
+            throw new Error(`function calls nested more than ${MAX_CALL_DEPTH} deep`);
+        }
+
+        const frame = new Map();
+        definition.params.forEach((param, index) => {
+            if (index >= args.length) {
+                frame.set(param, UNINITIALIZED);
+            } else if (args[index].type === 'variable') {
+                frame.set(param, this.argumentVariable(args[index].name));
+            } else {
+                frame.set(param, this.evaluate(args[index]));
+            }
+        });
+
+        this.frames.push(frame);
+        try {
+            this.execute(definition.body);
+            return UNINITIALIZED;
+        } catch (thrown) {
+            if (isSignal(thrown, 'return')) {
+                return thrown.value;
+            }
+            throw thrown;
+        } finally {
+            this.frames.pop();
+        }
+    }
+
+    // A variable passed to a function: arrays by reference, and a variable
+    // never assigned so that the function can make it an array
+    argumentVariable(name) {
+        const scope = this.scope(name);
+        const value = scope.get(name);
+        if (value instanceof UntypedArgument) {
+            return value;
+        }
+        if (value === UNINITIALIZED || (value === undefined && !(scope === this.globals && name === 'NF'))) {
+            return new UntypedArgument(scope, name);
+        }
+        return this.getVar(name);
+    }
+}
+
+function arithmetic(operator, a, b) {
+    switch (operator) {
+        case '+': return a + b;
+        case '-': return a - b;
+        case '*': return a * b;
+        case '/':
+            if (b === 0) {
+                throw new Error('division by zero');
+            }
+            return a / b;
+        case '%':
+            if (b === 0) {
+                throw new Error('division by zero in %');
+            }
+            return a % b;
+        default: return a ** b;
+    }
+}
+
+// Split text on the non-empty matches of a regex, ignoring its groups
+function splitByRegex(text, regex) {
+    const pattern = new RegExp(regex.source, regex.flags.includes('g') ? regex.flags : `${regex.flags}g`);
+    const parts = [];
+    let last = 0;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+        if (match[0] === '') {
+            pattern.lastIndex++;
+            continue;
+        }
+        parts.push(text.slice(last, match.index));
+        last = match.index + match[0].length;
+    }
+    parts.push(text.slice(last));
+    return parts;
+}
+
+// rand() gives the same sequence for the same seed, as awk's does
+function seededRandom(seed) {
+    let state = (Math.trunc(seed) ^ 0x5DEECE6D) >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
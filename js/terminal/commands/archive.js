@@ -0,0 +1,414 @@
+/**
+ * Archive Commands for Portfolio Terminal
+ * Implements tar inside the virtual filesystem, and export/import for
+ * downloading the tree as a .tar or .zip and loading one back
+ */
+
+import { CommandResult, parseOptions } from '../parser.js';
+import { createTar, createZip, readArchive, gzip } from '../archive.js';
+import { modeToPermissions } from '../filesystem.js';
+
+// File types offered by the import file picker
+const ARCHIVE_TYPES = '.tar,.tgz,.tar.gz,.zip';
+
+// Time (ms) to keep a download's object URL alive after the click
+const DOWNLOAD_URL_LIFETIME = 1000;
+
+// How tar -tv shows where each kind of link points
+const LINK_ARROWS = { symlink: ' -> ', hardlink: ' link to ' };
+
+// Long tar options and the letters they stand for
+const TAR_LONG_OPTIONS = {
+    create: 'c',
+    extract: 'x',
+    list: 't',
+    verbose: 'v',
+    gzip: 'z',
+    file: 'f',
+    directory: 'C'
+};
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Parse tar options, accepting bundled letters with or without a leading
+ * dash (tar -cvf a.tar dir, tar cvf a.tar dir) and long options
+ * @param {string[]} args - Command arguments
+ * @returns {Object} Parsed options, or {error}
+ */
+function parseTarArgs(args) {
+    const words = [...args];
+    if (words.length > 0 && !words[0].startsWith('-')) {
+        words[0] = `-${words[0]}`;
+    }
+
+    let parsed;
+    try {
+        parsed = parseOptions(words, { flags: 'ctxvz', values: 'fC', long: TAR_LONG_OPTIONS });
+    } catch (error) {
+        return { error: error.message };
+    }
+
+    const { flags, values, operands } = parsed;
+    const modes = [...flags].filter(flag => 'ctx'.includes(flag));
+    if (modes.length > 1) {
+        return { error: "You may not specify more than one '-ctx' option" };
+    }
+
+    // The last -f or -C given wins
+    const last = (option, fallback) => (values[option] ? values[option][values[option].length - 1] : fallback);
+    return {
+        mode: modes.length > 0 ? modes[0] : null,
+        file: last('f', null),
+        verbose: flags.has('v'),
+        gzip: flags.has('z'),
+        directory: last('C', '.'),
+        operands
+    };
+}
+
+/**
+ * Format an archive entry as a tar -tv line
+ * @param {Object} entry - Archive entry
+ * @returns {string}
+ */
+function formatListing(entry) {
+    const permissions = modeToPermissions(entry.mode, entry.type);
+    const size = String(entry.data.length).padStart(8);
+    const date = entry.mtime.toISOString().replace('T', ' ').substring(0, 16);
+    const owner = `${entry.owner || (entry.uid ?? 'user')}/${entry.group || (entry.gid ?? 'user')}`;
+    return `${permissions} ${owner} ${size} ${date} ${entryName(entry)}${LINK_ARROWS[entry.type] || ''}${entry.linkTarget ?? ''}`;
+}
+
+/**
+ * Name of an entry as tar prints it, with a slash after directories
+ */
+function entryName(entry) {
+    return entry.type === 'directory' ? `${entry.path}/` : entry.path;
+}
+
+/**
+ * Extract archive entries into a directory
+ * @param {Array<Object>} entries - Archive entries
+ * @param {VirtualFilesystem} filesystem - Filesystem instance
+ * @param {string} destination - Directory to extract into
+ * @param {string} command - Command name for error messages
+ * @returns {{extracted: Array<Object>, errors: string[]}}
+ */
+function extractEntries(entries, filesystem, destination, command) {
+    const extracted = [];
+    const errors = [];
+
+    for (const entry of entries) {
+        if (entry.type === 'other') {
+            errors.push(`${command}: ${entry.path}: Cannot create: special files are not supported`);
+            continue;
+        }
+
+        try {
+            filesystem.extractEntry(entry, destination);
+            extracted.push(entry);
+        } catch (error) {
+            errors.push(`${command}: ${error.message}`);
+        }
+    }
+
+    return { extracted, errors };
+}
+
+/**
+ * Format a byte count for humans
+ * @param {number} bytes - Byte count
+ * @returns {string} Such as '512 B' or '3.4 KB'
+ */
+function formatSize(bytes) {
+    if (bytes < 1024) {
+        return `${bytes} B`;
+    }
+    return bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Make the browser download bytes as a file
+ * @param {Uint8Array} bytes - File contents
+ * @param {string} filename - Suggested file name
+ * @param {string} type - MIME type
+ */
+function downloadBytes(bytes, filename, type) {
+    const url = URL.createObjectURL(new Blob([bytes], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), DOWNLOAD_URL_LIFETIME);
+}
+
+/**
+ * Ask the visitor to choose a file
+ * @param {string} accept - File types to offer
+ * @param {AbortSignal|null} signal - Stops waiting, as Ctrl-C does
+ * @returns {Promise<File|null>} The chosen file, or null if cancelled
+ */
+function pickFile(accept, signal) {
+    return new Promise((resolve, reject) => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = accept;
+        input.style.display = 'none';
+
+        const finish = (file) => {
+            input.remove();
+            resolve(file);
+        };
+        input.addEventListener('change', () => finish(input.files[0] || null), { once: true });
+        input.addEventListener('cancel', () => finish(null), { once: true });
+
+        if (signal) {
+            signal.addEventListener('abort', () => {
+                input.remove();
+                reject(signal.reason);
+            }, { once: true });
+        }
+
+        document.body.appendChild(input);
+        input.click();
+    });
+}
+
+// ============================================================================
+// Command Implementations
+// ============================================================================
+
+/**
+ * tar - Create, list and extract tar archives in the virtual filesystem
+ * @param {string[]} args - Command arguments
+ * @param {VirtualFilesystem} filesystem - Filesystem instance
+ * @returns {Promise<CommandResult>}
+ */
+export async function tar(args, filesystem) {
+    const options = parseTarArgs(args);
+    if (options.error) {
+        return CommandResult.error(`tar: ${options.error}\nTry 'man tar' for more information.`, 2);
+    }
+    if (!options.mode) {
+        return CommandResult.error("tar: You must specify one of the '-ctx' options", 2);
+    }
+    if (!options.file) {
+        return CommandResult.error('tar: an archive must be given with -f', 2);
+    }
+    if (!filesystem.isDirectory(options.directory)) {
+        return CommandResult.error(`tar: ${options.directory}: Cannot open: No such file or directory`, 2);
+    }
+
+    const output = [];
+    const errors = [];
+
+    if (options.mode === 'c') {
+        if (options.operands.length === 0) {
+            return CommandResult.error('tar: Cowardly refusing to create an empty archive', 2);
+        }
+
+        const archivePath = filesystem.resolvePath(options.file);
+        const entries = [];
+        let strippedSlash = false;
+
+        for (const operand of options.operands) {
+            const path = operand.startsWith('/') ? operand : `${options.directory}/${operand}`;
+            if (!filesystem.exists(path)) {
+                errors.push(`tar: ${operand}: Cannot stat: No such file or directory`);
+                continue;
+            }
+
+            const name = operand.replace(/^\/+/, '').replace(/\/+$/, '');
+            strippedSlash = strippedSlash || operand.startsWith('/');
+            const root = filesystem.resolvePath(path);
+
+            for (const entry of filesystem.archiveEntries(path, name)) {
+                // Do not archive the archive itself
+                const entryPath = root === '/' ? `/${entry.path}` : root + entry.path.substring(name.length);
+                if (entryPath !== archivePath) {
+                    entries.push(entry);
+                }
+            }
+        }
+
+        if (strippedSlash) {
+            output.push("tar: Removing leading '/' from member names");
+        }
+        if (options.verbose) {
+            output.push(...entries.map(entryName));
+        }
+
+        const bytes = createTar(entries);
+        try {
+            if (options.gzip) {
+                filesystem.writeBytes(options.file, await gzip(bytes), 'application/gzip');
+            } else {
+                filesystem.writeBytes(options.file, bytes, 'application/x-tar');
+            }
+        } catch (error) {
+            return CommandResult.error(`tar: ${options.file}: Cannot open: ${error.message.replace(/^.*: /, '')}`, 2);
+        }
+    } else {
+        if (!filesystem.isFile(options.file)) {
+            return CommandResult.error(`tar: ${options.file}: Cannot open: No such file or directory`, 2);
+        }
+
+        let entries;
+        try {
+            entries = await readArchive(filesystem.readBytes(options.file));
+        } catch (error) {
+            return CommandResult.error(`tar: ${options.file}: ${error.message}`, 2);
+        }
+
+        // Operands select members, with everything below a selected directory
+        if (options.operands.length > 0) {
+            const names = options.operands.map(name => name.replace(/\/+$/, ''));
+            names.filter(name => !entries.some(entry => entry.path === name))
+                .forEach(name => errors.push(`tar: ${name}: Not found in archive`));
+            entries = entries.filter(entry =>
+                names.some(name => entry.path === name || entry.path.startsWith(`${name}/`)));
+        }
+
+        if (options.mode === 't') {
+            output.push(...entries.map(entry => options.verbose ? formatListing(entry) : entryName(entry)));
+        } else {
+            const result = extractEntries(entries, filesystem, options.directory, 'tar');
+            errors.push(...result.errors);
+            if (options.verbose) {
+                output.push(...result.extracted.map(entryName));
+            }
+        }
+    }
+
+    if (errors.length > 0) {
+        output.push(...errors, 'tar: Exiting with failure status due to previous errors');
+        return CommandResult.error(output.join('\n'), 2);
+    }
+    return CommandResult.success(output.join('\n'));
+}
+
+/**
+ * export --tar/--zip - Download the filesystem, or a subtree, as an archive
+ * @param {string[]} args - Format flag followed by an optional path
+ * @param {VirtualFilesystem} filesystem - Filesystem instance
+ * @returns {CommandResult}
+ */
+export function exportArchive(args, filesystem) {
+    const format = args[0] === '--zip' ? 'zip' : 'tar';
+    if (args.length > 2) {
+        return CommandResult.error(`export: too many arguments\nUsage: export --${format} [PATH]`, 2);
+    }
+
+    const path = args[1] || '/';
+    if (!filesystem.exists(path)) {
+        return CommandResult.error(`export: ${path}: No such file or directory`);
+    }
+    if (typeof document === 'undefined') {
+        return CommandResult.error('export: downloads need a browser');
+    }
+
+    const resolved = filesystem.resolvePath(path);
+    const base = resolved === '/' ? 'filesystem' : resolved.split('/').pop();
+    const entries = filesystem.archiveEntries(path, resolved === '/' ? '' : base);
+    const bytes = format === 'zip' ? createZip(entries) : createTar(entries);
+    const filename = `${base}.${format}`;
+
+    downloadBytes(bytes, filename, format === 'zip' ? 'application/zip' : 'application/x-tar');
+
+    const fileCount = entries.filter(entry => entry.type === 'file').length;
+    return CommandResult.success(`Downloaded ${filename} (${fileCount} files, ${formatSize(bytes.length)})`);
+}
+
+/**
+ * import - Load a .tar, .tar.gz or .zip chosen by the visitor into a directory
+ * @param {string[]} args - Optional destination directory
+ * @param {VirtualFilesystem} filesystem - Filesystem instance
+ * @param {Object} executor - Command executor, which pauses the time limit while the picker is open
+ * @param {AbortSignal|null} signal - Aborts the wait for a file
+ * @returns {Promise<CommandResult>}
+ */
+export async function importArchive(args, filesystem, executor, signal = null) {
+    if (args.length > 1) {
+        return CommandResult.error('import: too many arguments\nUsage: import [DIR]', 2);
+    }
+
+    const destination = args[0] || '.';
+    if (!filesystem.isDirectory(destination)) {
+        return CommandResult.error(`import: ${destination}: Not a directory`);
+    }
+    if (typeof document === 'undefined') {
+        return CommandResult.error('import: choosing a file needs a browser');
+    }
+
+    const file = await executor.waitForUser(pickFile(ARCHIVE_TYPES, signal));
+    if (!file) {
+        return CommandResult.error('import: no file chosen');
+    }
+
+    let entries;
+    try {
+        entries = await readArchive(new Uint8Array(await file.arrayBuffer()));
+    } catch (error) {
+        return CommandResult.error(`import: ${file.name}: ${error.message}`);
+    }
+
+    const { extracted, errors } = extractEntries(entries, filesystem, destination, 'import');
+    const fileCount = extracted.filter(entry => entry.type === 'file').length;
+    const summary = `Imported ${fileCount} files from ${file.name} into ${filesystem.resolvePath(destination)}`;
+
+    if (errors.length > 0) {
+        return CommandResult.error([...errors, summary].join('\n'));
+    }
+    return CommandResult.success(summary);
+}
+
+// ============================================================================
+// Command Definitions
+// ============================================================================
+
+export const commands = [
+    {
+        name: 'tar',
+        category: 'files',
+        summary: 'Create and extract tar archives',
+        usage: 'tar -c [-vz] -f ARCHIVE [-C DIR] FILE...\n    tar -x [-v] -f ARCHIVE [-C DIR] [MEMBER...]\n    tar -t [-v] -f ARCHIVE [MEMBER...]',
+        description: 'Store files and directories, with their modes and modification times, in a tar archive inside the virtual filesystem, or list and extract one. Compressed archives are recognised automatically when listing or extracting. The first argument may omit the dash, as in tar cvf.',
+        flags: [
+            '-c, --create    Create a new archive',
+            '-x, --extract    Extract files from an archive',
+            '-t, --list    List the contents of an archive',
+            '-f, --file    Use archive file ARCHIVE',
+            '-C, --directory    Change to DIR before archiving or extracting',
+            '-v, --verbose    List the files processed',
+            '-z, --gzip    Compress the archive with gzip'
+        ],
+        examples: [
+            'tar -cf backup.tar ~/notes',
+            'tar -tvf backup.tar',
+            'tar -xf backup.tar -C /tmp',
+            'tar czf site.tar.gz cyberops intel'
+        ],
+        run: (args, { filesystem }) => tar(args, filesystem)
+    },
+    {
+        name: 'import',
+        category: 'files',
+        summary: 'Load an archive from your computer',
+        usage: 'import [DIR]',
+        description: 'Open a file picker and extract the chosen .tar, .tar.gz or .zip archive into DIR, or into the current directory. The command time limit is paused while the picker is open. Use export --tar or export --zip to download files.',
+        examples: ['import', 'import /tmp'],
+        run: (args, { filesystem, executor, signal }) => importArchive(args, filesystem, executor, signal)
+    }
+];
+
+export default {
+    tar,
+    exportArchive,
+    importArchive
+};
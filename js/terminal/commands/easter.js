@@ -1,10 +1,24 @@
 /**
  * Easter Egg Commands for Portfolio Terminal
- * Fun hidden commands for users to discover
+ * Fun hidden commands for users to discover. They return their output at
+ * once rather than animating it, so none of them need the abort signal.
  */
 
 import { CommandResult } from '../parser.js';
 
+// Logo shown by neofetch, one line beside each line of information
+const NEOFETCH_LOGO = [
+    '       ___',
+    '      /   \\',
+    '     |  o  |',
+    '     |  _  |',
+    '      \\_|_/',
+    '       | |',
+    '      /   \\',
+    '     |     |',
+    '     |_____|'
+];
+
 /**
  * sudo - Fake sudo with permission denial
  * @param {string[]} args - Command arguments
@@ -13,32 +27,22 @@ import { CommandResult } from '../parser.js';
 export function sudo(args) {
     const denials = [
         "Nice try! This terminal doesn't have root access.",
-        "Permission denied: Guest users cannot sudo.",
-        "[sudo] password for guest: \nSorry, try again.\n[sudo] password for guest: \nSorry, try again.\n[sudo] password for guest: \nsudo: 3 incorrect password attempts",
+        "Permission denied: user is not in the sudoers file.",
+        "[sudo] password for user: \nSorry, try again.\n[sudo] password for user: \nSorry, try again.\n[sudo] password for user: \nsudo: 3 incorrect password attempts",
         "sudo: you must be sudoer to use sudo. This incident will be reported.",
-        "We trust you have received the usual lecture from the local System\nAdministrator. It usually boils down to these three things:\n\n    #1) Respect the privacy of others.\n    #2) Think before you type.\n    #3) With great power comes great responsibility.\n\n[sudo] password for guest: \nPermission denied."
+        "We trust you have received the usual lecture from the local System\nAdministrator. It usually boils down to these three things:\n\n    #1) Respect the privacy of others.\n    #2) Think before you type.\n    #3) With great power comes great responsibility.\n\n[sudo] password for user: \nPermission denied."
     ];
 
     return CommandResult.success(denials[Math.floor(Math.random() * denials.length)]);
 }
 
 /**
- * rm - Safe remove with easter eggs for dangerous commands
- * @param {string[]} args - Command arguments
- * @param {VirtualFilesystem} filesystem - Filesystem instance
+ * rm -rf / - Pretend to wipe the system; the real rm refuses to remove the
+ * root directory and shows this instead
  * @returns {CommandResult}
  */
-export function rm(args, filesystem) {
-    if (args.length === 0) {
-        return CommandResult.error('rm: missing operand');
-    }
-
-    // Check for dangerous rm -rf / patterns
-    const cmdLine = args.join(' ');
-    if (cmdLine.match(/(-rf?|--recursive)\s+(\/|\*|~)/i) ||
-        cmdLine.match(/\/(\/|\*)\s+(-rf?|--recursive)/i)) {
-
-        const explosion = `
+export function rmRoot() {
+    const explosion = `
     CRITICAL ERROR: System deletion initiated!
 
          ,-^^-,
@@ -60,28 +64,9 @@ export function rm(args, filesystem) {
     Nothing was actually deleted. Nice try though!
 
     Pro tip: Never run 'rm -rf /' on a real system.
-        `;
-
-        return CommandResult.success(explosion);
-    }
-
-    // Handle normal rm operations (safe removal)
-    const flags = args.filter(arg => arg.startsWith('-'));
-    const files = args.filter(arg => !arg.startsWith('-'));
-
-    if (files.length === 0) {
-        return CommandResult.error('rm: missing operand');
-    }
+    `;
 
-    // Attempt to remove files
-    try {
-        for (const file of files) {
-            filesystem.rm(file);
-        }
-        return CommandResult.success('');
-    } catch (error) {
-        return CommandResult.error(error.message);
-    }
+    return CommandResult.success(explosion);
 }
 
 /**
@@ -163,20 +148,46 @@ export function hack(args) {
 }
 
 /**
- * neofetch - Display system info (portfolio-themed)
+ * neofetch - Display system info (portfolio-themed), read from /proc
+ * @param {Object} filesystem - Virtual filesystem instance
  * @returns {CommandResult}
  */
-export function neofetch() {
+export function neofetch(filesystem) {
+    const read = (path) => {
+        try {
+            return filesystem.cat(path).trim();
+        } catch (error) {
+            return 'unknown';
+        }
+    };
+    const field = (content, name) => {
+        const line = content.split('\n').find(entry => entry.startsWith(name));
+        return line ? line.substring(line.indexOf(':') + 1).trim() : 'unknown';
+    };
+
+    const title = `${filesystem.userName(filesystem.uid)}@${read('/proc/sys/kernel/hostname')}`;
+    const cpuinfo = read('/proc/cpuinfo');
+    const cpus = cpuinfo.split('\n').filter(line => line.startsWith('processor')).length;
+    const meminfo = read('/proc/meminfo');
+    const total = parseInt(field(meminfo, 'MemTotal'), 10);
+    const available = parseInt(field(meminfo, 'MemAvailable'), 10);
+
+    const lines = [
+        title,
+        '-'.repeat(title.length),
+        `OS: ${read('/proc/sys/kernel/ostype')} ${read('/proc/sys/kernel/arch')}`,
+        `Kernel: ${read('/proc/sys/kernel/osrelease')}`,
+        `Uptime: ${formatUptime(parseFloat(read('/proc/uptime')))}`,
+        `Shell: ${read('/proc/self/comm')}`,
+        'Theme: Matrix Hacker',
+        `CPU: ${field(cpuinfo, 'model name')} (${cpus})`,
+        Number.isNaN(total)
+            ? 'Memory: unknown'
+            : `Memory: ${Math.round((total - available) / 1024)}MiB / ${Math.round(total / 1024)}MiB`
+    ];
+
     const info = `
-       ___           jeremy@portfolio
-      /   \\          -----------------
-     |  o  |         OS: PortfolioOS v1.0
-     |  _  |         Shell: cyber-term 2.0
-      \\_|_/          Theme: Matrix Hacker
-       | |           Terminal: Web-based
-      /   \\          CPU: Your Browser
-     |     |         Memory: Unlimited
-     |_____|         Uptime: Since page load
+${NEOFETCH_LOGO.map((logoLine, index) => logoLine.padEnd(21) + lines[index]).join('\n')}
 
     System Type: Static Portfolio
     Environment: Cybersecurity Showcase
@@ -190,6 +201,24 @@ export function neofetch() {
     return CommandResult.success(info);
 }
 
+// Uptime in the style of neofetch, such as "1 hour, 5 mins"
+function formatUptime(seconds) {
+    if (Number.isNaN(seconds)) {
+        return 'unknown';
+    }
+    const units = [['day', 86400], ['hour', 3600], ['min', 60]];
+    const parts = [];
+    let remaining = Math.floor(seconds);
+    units.forEach(([unit, size]) => {
+        const count = Math.floor(remaining / size);
+        remaining %= size;
+        if (count > 0) {
+            parts.push(`${count} ${unit}${count === 1 ? '' : 's'}`);
+        }
+    });
+    return parts.length > 0 ? parts.join(', ') : `${remaining} secs`;
+}
+
 /**
  * sl - Steam locomotive (for typo of ls)
  * @returns {CommandResult}
@@ -272,3 +301,52 @@ export function quit() {
 export function logout() {
     return exit();
 }
+
+/**
+ * Command definitions registered by the executor; easter eggs have no
+ * category, so help leaves them for users to discover
+ */
+export const commands = [
+    {
+        name: 'sudo',
+        summary: 'Execute a command as another user',
+        usage: 'sudo COMMAND',
+        run: (args) => sudo(args)
+    },
+    {
+        name: 'cowsay',
+        summary: 'Make a cow say something',
+        usage: 'cowsay MESSAGE',
+        run: (args) => cowsay(args)
+    },
+    {
+        name: 'matrix',
+        summary: 'Enter the Matrix',
+        usage: 'matrix',
+        run: () => matrix()
+    },
+    {
+        name: 'hack',
+        summary: 'Hack the planet',
+        usage: 'hack [TARGET]',
+        run: (args) => hack(args)
+    },
+    {
+        name: 'neofetch',
+        summary: 'Display system information',
+        usage: 'neofetch',
+        run: (args, { filesystem }) => neofetch(filesystem)
+    },
+    {
+        name: 'sl',
+        summary: 'Steam locomotive',
+        usage: 'sl',
+        run: () => sl()
+    },
+    {
+        name: 'fortune',
+        summary: 'Print a random quote',
+        usage: 'fortune',
+        run: () => fortune()
+    }
+];
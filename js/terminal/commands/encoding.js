@@ -13,11 +13,7 @@ import { CommandResult } from '../parser.js';
  * Simple MD5 implementation for browser
  * Note: This is a basic implementation for demonstration purposes
  */
-function simpleMD5(str) {
-    // Convert string to UTF-8 byte array
-    const encoder = new TextEncoder();
-    const data = encoder.encode(str);
-
+function simpleMD5(data) {
     // For a real implementation, we'd use Web Crypto API or a full MD5 library
     // This is a placeholder that creates a deterministic hash-like output
     let hash = 0;
@@ -35,12 +31,10 @@ function simpleMD5(str) {
  * Simple SHA256 implementation placeholder
  * Uses Web Crypto API if available, falls back to simple hash
  */
-async function simpleSHA256(str) {
+async function simpleSHA256(data) {
     // Try to use Web Crypto API
     if (crypto && crypto.subtle) {
         try {
-            const encoder = new TextEncoder();
-            const data = encoder.encode(str);
             const hashBuffer = await crypto.subtle.digest('SHA-256', data);
             const hashArray = Array.from(new Uint8Array(hashBuffer));
             return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
@@ -50,8 +44,6 @@ async function simpleSHA256(str) {
     }
 
     // Fallback: simple hash
-    const encoder = new TextEncoder();
-    const data = encoder.encode(str);
     let hash = 0;
     for (let i = 0; i < data.length; i++) {
         hash = ((hash << 5) - hash) + data[i];
@@ -62,45 +54,47 @@ async function simpleSHA256(str) {
 }
 
 /**
- * Convert string to hex bytes for xxd output
- */
-function stringToHexBytes(str) {
-    const bytes = [];
-    for (let i = 0; i < str.length; i++) {
-        bytes.push(str.charCodeAt(i));
-    }
-    return bytes;
-}
-
-/**
- * Convert hex string to binary string
+ * Convert hex string to bytes, ignoring whitespace and colons
+ * @param {string} hex - Hex digits
+ * @returns {Uint8Array}
  */
-function hexToString(hex) {
+export function hexToBytes(hex) {
     // Remove whitespace and colons
     hex = hex.replace(/[\s:]/g, '');
 
-    let result = '';
+    const bytes = [];
     for (let i = 0; i < hex.length; i += 2) {
         const byte = parseInt(hex.substr(i, 2), 16);
         if (!isNaN(byte)) {
-            result += String.fromCharCode(byte);
+            bytes.push(byte);
         }
     }
-    return result;
+    return Uint8Array.from(bytes);
+}
+
+/**
+ * Convert bytes to a string with one character per byte, as btoa takes
+ */
+function bytesToBinaryString(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return binary;
 }
 
 /**
- * Extract printable ASCII strings from data
+ * Extract printable ASCII strings from bytes
  */
 function extractStrings(data, minLength = 4) {
     const results = [];
     let current = '';
 
     for (let i = 0; i < data.length; i++) {
-        const code = data.charCodeAt(i);
+        const code = data[i];
         // Printable ASCII range: 32-126
         if (code >= 32 && code <= 126) {
-            current += data[i];
+            current += String.fromCharCode(code);
         } else {
             if (current.length >= minLength) {
                 results.push(current);
@@ -122,13 +116,14 @@ function extractStrings(data, minLength = 4) {
 // ============================================================================
 
 /**
- * Base64 encode/decode
+ * Base64 encode/decode; decoded data that is not text is output as bytes
  * @param {string[]} args - Command arguments
  * @param {Object} filesystem - Virtual filesystem instance
  * @param {string|null} pipeInput - Piped input
+ * @param {Uint8Array|null} pipeBytes - Exact bytes of the piped input
  * @returns {CommandResult}
  */
-export function base64(args, filesystem, pipeInput = null) {
+export function base64(args, filesystem, pipeInput = null, pipeBytes = null) {
     let decode = false;
     let input = null;
 
@@ -142,16 +137,16 @@ export function base64(args, filesystem, pipeInput = null) {
     }
 
     // Get input from pipe, file, or argument
-    let data = '';
+    let data;
     if (pipeInput) {
-        data = pipeInput.trim();
+        data = pipeBytes;
     } else if (input) {
         // Try to read as file first
         try {
-            data = filesystem.cat(input);
+            data = filesystem.readBytes(input);
         } catch (e) {
             // Not a file, treat as direct text
-            data = input;
+            data = new TextEncoder().encode(input);
         }
     } else {
         return CommandResult.error('base64: missing operand\nTry: base64 <text> or echo "text" | base64');
@@ -160,11 +155,11 @@ export function base64(args, filesystem, pipeInput = null) {
     try {
         if (decode) {
             // Decode from base64
-            const decoded = atob(data);
-            return CommandResult.success(decoded);
+            const decoded = atob(new TextDecoder().decode(data).trim());
+            return CommandResult.bytes(Uint8Array.from(decoded, char => char.charCodeAt(0)));
         } else {
             // Encode to base64
-            const encoded = btoa(data);
+            const encoded = btoa(bytesToBinaryString(data));
             return CommandResult.success(encoded);
         }
     } catch (e) {
@@ -181,9 +176,10 @@ export function base64(args, filesystem, pipeInput = null) {
  * @param {string[]} args - Command arguments
  * @param {Object} filesystem - Virtual filesystem instance
  * @param {string|null} pipeInput - Piped input
+ * @param {Uint8Array|null} pipeBytes - Exact bytes of the piped input
  * @returns {CommandResult}
  */
-export function xxd(args, filesystem, pipeInput = null) {
+export function xxd(args, filesystem, pipeInput = null, pipeBytes = null) {
     let reverse = false;
     let input = null;
 
@@ -197,12 +193,12 @@ export function xxd(args, filesystem, pipeInput = null) {
     }
 
     // Get input from pipe, file, or argument
-    let data = '';
+    let bytes;
     if (pipeInput) {
-        data = pipeInput;
+        bytes = pipeBytes;
     } else if (input) {
         try {
-            data = filesystem.cat(input);
+            bytes = filesystem.readBytes(input);
         } catch (e) {
             return CommandResult.error(`xxd: ${input}: No such file or directory`);
         }
@@ -213,14 +209,12 @@ export function xxd(args, filesystem, pipeInput = null) {
     if (reverse) {
         // Reverse mode: hex to binary
         try {
-            const result = hexToString(data);
-            return CommandResult.success(result);
+            return CommandResult.bytes(hexToBytes(new TextDecoder().decode(bytes)));
         } catch (e) {
             return CommandResult.error(`xxd: invalid hex input: ${e.message}`);
         }
     } else {
         // Normal mode: binary to hex dump
-        const bytes = stringToHexBytes(data);
         const lines = [];
 
         for (let i = 0; i < bytes.length; i += 16) {
@@ -261,9 +255,10 @@ export function xxd(args, filesystem, pipeInput = null) {
  * @param {string[]} args - Command arguments
  * @param {Object} filesystem - Virtual filesystem instance
  * @param {string|null} pipeInput - Piped input
+ * @param {Uint8Array|null} pipeBytes - Exact bytes of the piped input
  * @returns {CommandResult}
  */
-export function strings(args, filesystem, pipeInput = null) {
+export function strings(args, filesystem, pipeInput = null, pipeBytes = null) {
     let minLength = 4;
     let input = null;
 
@@ -278,12 +273,12 @@ export function strings(args, filesystem, pipeInput = null) {
     }
 
     // Get input from pipe or file
-    let data = '';
+    let data;
     if (pipeInput) {
-        data = pipeInput;
+        data = pipeBytes;
     } else if (input) {
         try {
-            data = filesystem.cat(input);
+            data = filesystem.readBytes(input);
         } catch (e) {
             return CommandResult.error(`strings: ${input}: No such file or directory`);
         }
@@ -304,9 +299,10 @@ export function strings(args, filesystem, pipeInput = null) {
  * @param {string[]} args - Command arguments
  * @param {Object} filesystem - Virtual filesystem instance
  * @param {string|null} pipeInput - Piped input
+ * @param {Uint8Array|null} pipeBytes - Exact bytes of the piped input
  * @returns {CommandResult}
  */
-export function md5sum(args, filesystem, pipeInput = null) {
+export function md5sum(args, filesystem, pipeInput = null, pipeBytes = null) {
     let input = null;
 
     // Parse arguments
@@ -317,19 +313,19 @@ export function md5sum(args, filesystem, pipeInput = null) {
     }
 
     // Get input from pipe, file, or argument
-    let data = '';
+    let data;
     let filename = '-';
 
     if (pipeInput) {
-        data = pipeInput;
+        data = pipeBytes;
         filename = '-';
     } else if (input) {
         try {
-            data = filesystem.cat(input);
+            data = filesystem.readBytes(input);
             filename = input;
         } catch (e) {
             // Not a file, treat as direct text
-            data = input;
+            data = new TextEncoder().encode(input);
             filename = '-';
         }
     } else {
@@ -345,14 +341,14 @@ export function md5sum(args, filesystem, pipeInput = null) {
 // ============================================================================
 
 /**
- * Calculate SHA256 hash
- * Note: This is synchronous wrapper, actual hashing may be async
+ * Calculate SHA256 hash with Web Crypto
  * @param {string[]} args - Command arguments
  * @param {Object} filesystem - Virtual filesystem instance
  * @param {string|null} pipeInput - Piped input
- * @returns {CommandResult}
+ * @param {Uint8Array|null} pipeBytes - Exact bytes of the piped input
+ * @returns {Promise<CommandResult>}
  */
-export function sha256sum(args, filesystem, pipeInput = null) {
+export async function sha256sum(args, filesystem, pipeInput = null, pipeBytes = null) {
     let input = null;
 
     // Parse arguments
@@ -363,32 +359,31 @@ export function sha256sum(args, filesystem, pipeInput = null) {
     }
 
     // Get input from pipe, file, or argument
-    let data = '';
+    let data;
     let filename = '-';
 
     if (pipeInput) {
-        data = pipeInput;
+        data = pipeBytes;
         filename = '-';
     } else if (input) {
         try {
-            data = filesystem.cat(input);
+            data = filesystem.readBytes(input);
             filename = input;
         } catch (e) {
             // Not a file, treat as direct text
-            data = input;
+            data = new TextEncoder().encode(input);
             filename = '-';
         }
     } else {
         return CommandResult.error('sha256sum: missing operand\nTry: sha256sum <file> or echo "text" | sha256sum');
     }
 
-    // Note: We return a promise here for async crypto
-    // Terminal handler should handle Promise returns
-    return simpleSHA256(data).then(hash => {
+    try {
+        const hash = await simpleSHA256(data);
         return CommandResult.success(`${hash}  ${filename}`);
-    }).catch(e => {
+    } catch (e) {
         return CommandResult.error(`sha256sum: error: ${e.message}`);
-    });
+    }
 }
 
 // ============================================================================
@@ -472,6 +467,79 @@ export function rev(args, filesystem, pipeInput = null) {
     return CommandResult.success(reversed.join('\n'));
 }
 
+// ============================================================================
+// Command Definitions
+// ============================================================================
+
+export const commands = [
+    {
+        name: 'base64',
+        category: 'encoding',
+        summary: 'Base64 encode/decode',
+        usage: 'base64 [-d] [FILE|TEXT]',
+        description: 'Base64 encode FILE, TEXT or the piped input, or decode it with -d.',
+        flags: ['-d, --decode    Decode the input'],
+        examples: ['base64 notes.txt', 'echo aGVsbG8= | base64 -d'],
+        run: (args, { filesystem, pipeInput, pipeBytes }) => base64(args, filesystem, pipeInput, pipeBytes)
+    },
+    {
+        name: 'xxd',
+        category: 'encoding',
+        summary: 'Make a hex dump',
+        usage: 'xxd [-r] [FILE|TEXT]',
+        description: 'Print a hex dump of FILE, TEXT or the piped input, or turn a hex dump back into bytes with -r.',
+        flags: ['-r, --revert    Convert a hex dump back to bytes'],
+        examples: ['xxd notes.txt', 'echo hi | xxd'],
+        run: (args, { filesystem, pipeInput, pipeBytes }) => xxd(args, filesystem, pipeInput, pipeBytes)
+    },
+    {
+        name: 'strings',
+        category: 'encoding',
+        summary: 'Print printable strings',
+        usage: 'strings [-n MIN] [FILE]',
+        description: 'Print the runs of at least 4 printable characters in FILE or the piped input.',
+        flags: ['-n    Print runs of at least MIN characters instead'],
+        examples: ['strings -n 8 dump.bin'],
+        run: (args, { filesystem, pipeInput, pipeBytes }) => strings(args, filesystem, pipeInput, pipeBytes)
+    },
+    {
+        name: 'md5sum',
+        category: 'encoding',
+        summary: 'Calculate MD5 hash',
+        usage: 'md5sum [FILE|TEXT]',
+        description: 'Print the MD5 hash of FILE, TEXT or the piped input.',
+        examples: ['md5sum notes.txt', 'echo -n secret | md5sum'],
+        run: (args, { filesystem, pipeInput, pipeBytes }) => md5sum(args, filesystem, pipeInput, pipeBytes)
+    },
+    {
+        name: 'sha256sum',
+        category: 'encoding',
+        summary: 'Calculate SHA256 hash',
+        usage: 'sha256sum [FILE|TEXT]',
+        description: 'Print the SHA-256 hash of FILE, TEXT or the piped input.',
+        examples: ['sha256sum notes.txt', 'echo -n secret | sha256sum'],
+        run: (args, { filesystem, pipeInput, pipeBytes }) => sha256sum(args, filesystem, pipeInput, pipeBytes)
+    },
+    {
+        name: 'rot13',
+        category: 'encoding',
+        summary: 'ROT13 cipher',
+        usage: 'rot13 [TEXT...]',
+        description: 'Rotate each letter of TEXT or the piped input by 13 places.',
+        examples: ['rot13 uryyb', 'cat secret.txt | rot13'],
+        run: (args, { pipeInput }) => rot13(args, pipeInput)
+    },
+    {
+        name: 'rev',
+        category: 'encoding',
+        summary: 'Reverse lines',
+        usage: 'rev [FILE|TEXT]',
+        description: 'Reverse the characters of each line of FILE, TEXT or the piped input.',
+        examples: ['rev notes.txt', 'echo olleh | rev'],
+        run: (args, { filesystem, pipeInput }) => rev(args, filesystem, pipeInput)
+    }
+];
+
 // ============================================================================
 // Exports
 // ============================================================================
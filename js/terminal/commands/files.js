@@ -1,18 +1,39 @@
 /**
  * File Command Handlers
- * Commands: cat, head, tail, less, file, stat
+ * Commands: cat, head, tail, less, file, stat, revisions, reset, touch, mkdir,
+ * cp, mv, rm, ln, readlink, realpath, find
  */
 
-import { CommandResult } from '../parser.js';
+import { CommandResult, globToRegExp, bytesToText, parseOptions } from '../parser.js';
+import { rmRoot } from './easter.js';
+
+// Node type for each letter accepted by find -type
+const FIND_TYPES = { f: 'file', d: 'directory', l: 'symlink' };
+
+// Signatures file recognizes binary formats by, at a byte offset
+const MAGIC_NUMBERS = [
+    { offset: 0, magic: 'PK\x03\x04', type: 'Zip archive data' },
+    { offset: 0, magic: '\x1f\x8b', type: 'gzip compressed data' },
+    { offset: 257, magic: 'ustar', type: 'POSIX tar archive' },
+    { offset: 0, magic: '%PDF', type: 'PDF document' },
+    { offset: 0, magic: '\x89PNG\r\n\x1a\n', type: 'PNG image data' },
+    { offset: 0, magic: '\xff\xd8\xff', type: 'JPEG image data' },
+    { offset: 0, magic: 'GIF8', type: 'GIF image data' },
+    { offset: 0, magic: '\x7fELF', type: 'ELF executable' },
+    { offset: 0, magic: '\xd4\xc3\xb2\xa1', type: 'pcap capture file (little-endian)' },
+    { offset: 0, magic: '\xa1\xb2\xc3\xd4', type: 'pcap capture file (big-endian)' },
+    { offset: 0, magic: '\x0a\x0d\x0d\x0a', type: 'pcapng capture file' }
+];
 
 /**
- * Display file contents
+ * Display file contents; files that are not text are output as their bytes
  * @param {string[]} args - Command arguments
  * @param {VirtualFilesystem} filesystem - Filesystem instance
  * @param {string|null} pipeInput - Input from pipe
+ * @param {Uint8Array|null} pipeBytes - Exact bytes of the piped input
  * @returns {CommandResult}
  */
-export function cat(args, filesystem, pipeInput = null) {
+export function cat(args, filesystem, pipeInput = null, pipeBytes = null) {
     // Handle piped input
     if (pipeInput !== null) {
         // Check for -n flag (line numbers)
@@ -24,7 +45,7 @@ export function cat(args, filesystem, pipeInput = null) {
             return CommandResult.success(numbered);
         }
 
-        return CommandResult.success(pipeInput);
+        return CommandResult.bytes(pipeBytes);
     }
 
     // Parse arguments
@@ -51,9 +72,9 @@ export function cat(args, filesystem, pipeInput = null) {
     const outputs = [];
     for (const file of files) {
         try {
-            const content = filesystem.cat(file);
+            const content = bytesToText(filesystem.readBytes(file));
 
-            if (showLineNumbers) {
+            if (showLineNumbers && typeof content === 'string') {
                 const lines = content.split('\n');
                 const numbered = lines.map((line, idx) => `${(idx + 1).toString().padStart(6, ' ')}  ${line}`).join('\n');
                 outputs.push(numbered);
@@ -65,6 +86,18 @@ export function cat(args, filesystem, pipeInput = null) {
         }
     }
 
+    // Binary files are joined byte for byte, as cat does
+    if (outputs.some(output => typeof output !== 'string')) {
+        const encoder = new TextEncoder();
+        const parts = outputs.map(output => typeof output === 'string' ? encoder.encode(output) : output);
+        const bytes = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+        parts.reduce((offset, part) => {
+            bytes.set(part, offset);
+            return offset + part.length;
+        }, 0);
+        return CommandResult.bytes(bytes);
+    }
+
     return CommandResult.success(outputs.join('\n\n'));
 }
 
@@ -221,23 +254,29 @@ export function file(args, filesystem) {
                 continue;
             }
 
-            // Get file content
-            const content = filesystem.cat(path);
+            // Binary formats are known by their magic bytes
+            const bytes = filesystem.readBytes(path);
+            const format = MAGIC_NUMBERS.find(({ offset, magic }) =>
+                bytes.length >= offset + magic.length &&
+                Array.from(magic).every((char, index) => bytes[offset + index] === char.charCodeAt(0)));
+            if (format) {
+                results.push(`${path}: ${format.type}`);
+                continue;
+            }
+
+            // Anything else that is not UTF-8 is unknown data
+            const content = bytesToText(bytes);
+            if (typeof content !== 'string') {
+                results.push(`${path}: data`);
+                continue;
+            }
             const trimmed = content.trim();
 
             // Detect file type based on content
             let fileType = 'ASCII text';
 
-            // Check for binary/archive signatures (magic bytes)
-            if (content.startsWith('PK\x03\x04') || content.startsWith('PK')) {
-                fileType = 'Zip archive data';
-            }
-            // PDF
-            else if (content.startsWith('%PDF')) {
-                fileType = 'PDF document';
-            }
             // HTML
-            else if (content.match(/^<!DOCTYPE\s+html/i) || content.match(/^<html/i)) {
+            if (content.match(/^<!DOCTYPE\s+html/i) || content.match(/^<html/i)) {
                 fileType = 'HTML document';
             }
             // XML
@@ -296,21 +335,32 @@ export function file(args, filesystem) {
  * @returns {CommandResult}
  */
 export function stat(args, filesystem) {
-    if (args.length === 0) {
+    let parsed;
+    try {
+        parsed = parseOptions(args, { flags: 'L', long: { dereference: 'L' } });
+    } catch (error) {
+        return CommandResult.error(`stat: ${error.message}`, 2);
+    }
+
+    const { flags: options, operands } = parsed;
+    if (operands.length === 0) {
         return CommandResult.error('stat: missing file operand');
     }
 
     const results = [];
 
-    for (const path of args) {
+    for (const path of operands) {
         try {
-            const info = filesystem.stat(path);
+            const info = filesystem.stat(path, options.has('L'));
 
             const output = [
-                `  File: ${info.name}`,
+                `  File: ${info.target === undefined ? info.name : `${info.name} -> ${info.target}`}`,
                 `  Type: ${info.type}`,
                 `  Size: ${info.size} bytes`,
-                `  Permissions: ${info.permissions}`,
+                `  Links: ${info.links}`,
+                `  Permissions: ${info.permissions} (${info.mode.toString(8).padStart(4, '0')})`,
+                `  Owner: ${info.owner} (${info.uid})`,
+                `  Group: ${info.group} (${info.gid})`,
                 `  Created: ${new Date(info.createdAt).toLocaleString()}`,
                 `  Modified: ${new Date(info.modifiedAt).toLocaleString()}`,
                 `  Path: ${info.path}`
@@ -318,9 +368,836 @@ export function stat(args, filesystem) {
 
             results.push(output);
         } catch (error) {
-            results.push(`stat: cannot stat '${path}': ${error.message}`);
+            results.push(error.message);
         }
     }
 
     return CommandResult.success(results.join('\n\n'));
 }
+
+/**
+ * List the earlier contents of a file kept by the filesystem, print one, or
+ * restore one; revisions are numbered from 1, the most recent
+ * @param {string[]} args - Command arguments
+ * @param {VirtualFilesystem} filesystem - Filesystem instance
+ * @returns {CommandResult}
+ */
+export function revisions(args, filesystem) {
+    let action = null;
+    let number = null;
+    const operands = [];
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '-p' || args[i] === '-r') {
+            if (i + 1 >= args.length) {
+                return CommandResult.error(`revisions: option requires an argument -- '${args[i][1]}'`, 2);
+            }
+            action = args[i][1];
+            number = Number(args[++i]);
+            if (!Number.isInteger(number) || number < 1) {
+                return CommandResult.error(`revisions: invalid revision number: '${args[i]}'`, 2);
+            }
+        } else if (args[i].startsWith('-') && args[i].length > 1) {
+            return CommandResult.error(`revisions: invalid option -- '${args[i].substring(1)}'\nUsage: revisions [-p N | -r N] FILE`, 2);
+        } else {
+            operands.push(args[i]);
+        }
+    }
+
+    if (operands.length !== 1) {
+        return CommandResult.error('revisions: expected one file operand\nUsage: revisions [-p N | -r N] FILE', 2);
+    }
+
+    const path = operands[0];
+    try {
+        const history = filesystem.revisions(path);
+
+        if (action === null) {
+            if (history.length === 0) {
+                return CommandResult.success('');
+            }
+            const lines = history.map(({ content, modifiedAt }, index) => {
+                const size = typeof content === 'string' ? new TextEncoder().encode(content).length : content.length;
+                return `${String(index + 1).padStart(2)}  ${new Date(modifiedAt).toLocaleString()}  ${size} bytes`;
+            });
+            return CommandResult.success(lines.join('\n'));
+        }
+
+        const revision = history[number - 1];
+        if (!revision) {
+            return CommandResult.error(`revisions: ${path}: no revision ${number}`);
+        }
+
+        if (action === 'p') {
+            return typeof revision.content === 'string'
+                ? CommandResult.success(revision.content)
+                : CommandResult.bytes(revision.content);
+        }
+
+        filesystem.writeFile(path, revision.content);
+        return CommandResult.success('');
+    } catch (error) {
+        return CommandResult.error(error.message.replace(/^[a-zA-Z]+:/, 'revisions:'));
+    }
+}
+
+/**
+ * Discard local changes, restoring the shipped files
+ * @param {string[]} args - Command arguments
+ * @param {VirtualFilesystem} filesystem - Filesystem instance
+ * @param {Object} executor - Command executor holding PWD and OLDPWD
+ * @returns {CommandResult}
+ */
+export function reset(args, filesystem, executor = null) {
+    if (args.length > 0) {
+        return CommandResult.error('reset: too many arguments\nUsage: reset', 2);
+    }
+
+    filesystem.reset();
+
+    if (executor) {
+        executor.setVariable('OLDPWD', filesystem.pwd());
+        executor.setVariable('PWD', filesystem.pwd());
+    }
+
+    return CommandResult.success('Filesystem reset: local changes discarded');
+}
+
+/**
+ * Get the last component of a path
+ * @param {string} path - File path
+ * @returns {string}
+ */
+function basename(path) {
+    const parts = path.split('/').filter(part => part !== '');
+    return parts.length > 0 ? parts[parts.length - 1] : '/';
+}
+
+/**
+ * Join a directory operand and a name the way the user typed the directory
+ * @param {string} directory - Directory operand
+ * @param {string} name - Entry name
+ * @returns {string}
+ */
+export function joinPath(directory, name) {
+    return directory.endsWith('/') ? `${directory}${name}` : `${directory}/${name}`;
+}
+
+/**
+ * Collect output and error lines from a command with several operands
+ * @param {string[]} lines - Output and error lines in order
+ * @param {boolean} failed - Whether any operand failed
+ * @returns {CommandResult}
+ */
+function operandsResult(lines, failed) {
+    const output = lines.join('\n');
+    return failed ? CommandResult.error(output) : CommandResult.success(output);
+}
+
+/**
+ * Create empty files, or update the modification time of existing ones
+ * @param {string[]} args - Command arguments
+ * @param {VirtualFilesystem} filesystem - Filesystem instance
+ * @returns {CommandResult}
+ */
+export function touch(args, filesystem) {
+    let parsed;
+    try {
+        parsed = parseOptions(args, { flags: 'c', long: { 'no-create': 'c' } });
+    } catch (error) {
+        return CommandResult.error(`touch: ${error.message}`, 2);
+    }
+
+    const { flags: options, operands } = parsed;
+    if (operands.length === 0) {
+        return CommandResult.error('touch: missing file operand');
+    }
+
+    const errors = [];
+    for (const path of operands) {
+        try {
+            filesystem.touch(path, !options.has('c'));
+        } catch (error) {
+            errors.push(error.message);
+        }
+    }
+
+    return operandsResult(errors, errors.length > 0);
+}
+
+/**
+ * Create directories
+ * @param {string[]} args - Command arguments
+ * @param {VirtualFilesystem} filesystem - Filesystem instance
+ * @returns {CommandResult}
+ */
+export function mkdir(args, filesystem) {
+    let parsed;
+    try {
+        parsed = parseOptions(args, { flags: 'pv', long: { parents: 'p', verbose: 'v' } });
+    } catch (error) {
+        return CommandResult.error(`mkdir: ${error.message}`, 2);
+    }
+
+    const { flags: options, operands } = parsed;
+    if (operands.length === 0) {
+        return CommandResult.error('mkdir: missing operand');
+    }
+
+    const lines = [];
+    let failed = false;
+
+    for (const path of operands) {
+        try {
+            if (filesystem.mkdir(path, options.has('p')) && options.has('v')) {
+                lines.push(`mkdir: created directory '${path}'`);
+            }
+        } catch (error) {
+            lines.push(error.message);
+            failed = true;
+        }
+    }
+
+    return operandsResult(lines, failed);
+}
+
+/**
+ * Work out where each source of cp or mv goes: into the last operand if it
+ * is a directory, otherwise to the last operand itself
+ * @param {string} command - Command name for error messages
+ * @param {string[]} operands - Source operands followed by the target
+ * @param {VirtualFilesystem} filesystem - Filesystem instance
+ * @returns {{moves: Array<{source: string, destination: string}>}|{error: CommandResult}}
+ */
+function planTransfer(command, operands, filesystem) {
+    if (operands.length === 0) {
+        return { error: CommandResult.error(`${command}: missing file operand`) };
+    }
+    if (operands.length === 1) {
+        return { error: CommandResult.error(`${command}: missing destination file operand after '${operands[0]}'`) };
+    }
+
+    const sources = operands.slice(0, -1);
+    const target = operands[operands.length - 1];
+    const intoDirectory = filesystem.isDirectory(target);
+
+    if (sources.length > 1 && !intoDirectory) {
+        return { error: CommandResult.error(`${command}: target '${target}' is not a directory`) };
+    }
+
+    return {
+        moves: sources.map(source => ({
+            source,
+            destination: intoDirectory ? joinPath(target, basename(source)) : target
+        }))
+    };
+}
+
+/**
+ * Copy files and directories
+ * @param {string[]} args - Command arguments
+ * @param {VirtualFilesystem} filesystem - Filesystem instance
+ * @returns {CommandResult}
+ */
+export function cp(args, filesystem) {
+    let parsed;
+    try {
+        parsed = parseOptions(args, {
+            flags: 'rRnv',
+            long: { recursive: 'r', 'no-clobber': 'n', verbose: 'v' }
+        });
+    } catch (error) {
+        return CommandResult.error(`cp: ${error.message}`, 2);
+    }
+
+    const { flags: options, operands } = parsed;
+    const plan = planTransfer('cp', operands, filesystem);
+    if (plan.error) {
+        return plan.error;
+    }
+
+    const recursive = options.has('r') || options.has('R');
+    const lines = [];
+    let failed = false;
+
+    for (const { source, destination } of plan.moves) {
+        if (options.has('n') && filesystem.exists(destination)) {
+            continue;
+        }
+        try {
+            filesystem.copy(source, destination, recursive);
+            if (options.has('v')) {
+                lines.push(`'${source}' -> '${destination}'`);
+            }
+        } catch (error) {
+            lines.push(error.message);
+            failed = true;
+        }
+    }
+
+    return operandsResult(lines, failed);
+}
+
+/**
+ * Move or rename files and directories
+ * @param {string[]} args - Command arguments
+ * @param {VirtualFilesystem} filesystem - Filesystem instance
+ * @param {Object} executor - Command executor holding PWD
+ * @returns {CommandResult}
+ */
+export function mv(args, filesystem, executor = null) {
+    let parsed;
+    try {
+        parsed = parseOptions(args, {
+            flags: 'fnv',
+            long: { force: 'f', 'no-clobber': 'n', verbose: 'v' }
+        });
+    } catch (error) {
+        return CommandResult.error(`mv: ${error.message}`, 2);
+    }
+
+    const { flags: options, operands } = parsed;
+    const plan = planTransfer('mv', operands, filesystem);
+    if (plan.error) {
+        return plan.error;
+    }
+
+    const lines = [];
+    let failed = false;
+
+    for (const { source, destination } of plan.moves) {
+        if (options.has('n') && filesystem.exists(destination)) {
+            continue;
+        }
+        try {
+            filesystem.move(source, destination);
+            if (options.has('v')) {
+                lines.push(`renamed '${source}' -> '${destination}'`);
+            }
+        } catch (error) {
+            lines.push(error.message);
+            failed = true;
+        }
+    }
+
+    // Moving a parent of the current directory changes its path
+    if (executor) {
+        executor.setVariable('PWD', filesystem.pwd());
+    }
+
+    return operandsResult(lines, failed);
+}
+
+/**
+ * Remove files and directories. Removing the root directory recursively
+ * shows the rm -rf / easter egg and deletes nothing.
+ * @param {string[]} args - Command arguments
+ * @param {VirtualFilesystem} filesystem - Filesystem instance
+ * @returns {CommandResult}
+ */
+export function rm(args, filesystem) {
+    let parsed;
+    try {
+        parsed = parseOptions(args, {
+            flags: 'rRfdv',
+            long: { recursive: 'r', force: 'f', dir: 'd', verbose: 'v' }
+        });
+    } catch (error) {
+        return CommandResult.error(`rm: ${error.message}`, 2);
+    }
+
+    const { flags: options, operands } = parsed;
+    const recursive = options.has('r') || options.has('R');
+    const force = options.has('f');
+
+    if (operands.length === 0) {
+        return force ? CommandResult.success('') : CommandResult.error('rm: missing operand');
+    }
+
+    // rm -rf / and rm -rf /* would empty the whole filesystem
+    const targets = new Set(operands.map(path => filesystem.resolvePath(path)));
+    const topLevel = filesystem.ls('/').filter(entry => !entry.name.startsWith('.'));
+    if (recursive && (targets.has('/') || topLevel.every(entry => targets.has(`/${entry.name}`)))) {
+        return rmRoot();
+    }
+
+    // rm removes a link to a directory like a file, leaving the directory
+    const isDirectory = path => filesystem.isDirectory(path) && !filesystem.isSymlink(path);
+    const lines = [];
+    let failed = false;
+
+    for (const path of operands) {
+        const name = path.split('/').filter(part => part !== '').pop();
+        let error = null;
+
+        if (name === '.' || name === '..') {
+            error = `rm: refusing to remove '.' or '..' directory: skipping '${path}'`;
+        } else if (!filesystem.exists(path, false)) {
+            error = force ? null : `rm: cannot remove '${path}': No such file or directory`;
+        } else if (isDirectory(path) && !recursive) {
+            if (!options.has('d') || filesystem.resolvePath(path) === '/') {
+                error = `rm: cannot remove '${path}': Is a directory`;
+            } else if (filesystem.ls(path).length > 0) {
+                error = `rm: cannot remove '${path}': Directory not empty`;
+            }
+        }
+
+        if (error) {
+            lines.push(error);
+            failed = true;
+            continue;
+        }
+        if (!filesystem.exists(path, false)) {
+            continue;
+        }
+
+        const directory = isDirectory(path);
+        try {
+            filesystem.rm(path, true);
+            if (options.has('v')) {
+                lines.push(directory ? `removed directory '${path}'` : `removed '${path}'`);
+            }
+        } catch (removeError) {
+            lines.push(removeError.message);
+            failed = true;
+        }
+    }
+
+    return operandsResult(lines, failed);
+}
+
+/**
+ * Make hard or symbolic links
+ * @param {string[]} args - Command arguments
+ * @param {VirtualFilesystem} filesystem - Filesystem instance
+ * @returns {CommandResult}
+ */
+export function ln(args, filesystem) {
+    let parsed;
+    try {
+        parsed = parseOptions(args, {
+            flags: 'sfv',
+            long: { symbolic: 's', force: 'f', verbose: 'v' }
+        });
+    } catch (error) {
+        return CommandResult.error(`ln: ${error.message}`, 2);
+    }
+
+    const { flags: options, operands } = parsed;
+    if (operands.length === 0) {
+        return CommandResult.error('ln: missing file operand');
+    }
+
+    // With a single target, the link is made in the current directory
+    const plan = planTransfer('ln', operands.length === 1 ? [operands[0], '.'] : operands, filesystem);
+    if (plan.error) {
+        return plan.error;
+    }
+
+    const symbolic = options.has('s');
+    const lines = [];
+    let failed = false;
+
+    for (const { source, destination } of plan.moves) {
+        try {
+            if (options.has('f') && filesystem.exists(destination, false)) {
+                if (filesystem.isDirectory(destination) && !filesystem.isSymlink(destination)) {
+                    throw new Error(`ln: '${destination}': cannot overwrite directory`);
+                }
+                filesystem.rm(destination);
+            }
+            if (symbolic) {
+                filesystem.symlink(source, destination);
+            } else {
+                filesystem.link(source, destination);
+            }
+            if (options.has('v')) {
+                lines.push(`'${destination}' ${symbolic ? '->' : '=>'} '${source}'`);
+            }
+        } catch (error) {
+            lines.push(error.message);
+            failed = true;
+        }
+    }
+
+    return operandsResult(lines, failed);
+}
+
+/**
+ * Print where symbolic links point
+ * @param {string[]} args - Command arguments
+ * @param {VirtualFilesystem} filesystem - Filesystem instance
+ * @returns {CommandResult}
+ */
+export function readlink(args, filesystem) {
+    let parsed;
+    try {
+        parsed = parseOptions(args, {
+            flags: 'fe',
+            long: { canonicalize: 'f', 'canonicalize-existing': 'e' }
+        });
+    } catch (error) {
+        return CommandResult.error(`readlink: ${error.message}`, 2);
+    }
+
+    const { flags: options, operands } = parsed;
+    if (operands.length === 0) {
+        return CommandResult.error('readlink: missing operand');
+    }
+
+    // Like readlink without -v, paths that are not links fail silently
+    const lines = [];
+    let failed = false;
+
+    for (const path of operands) {
+        try {
+            if (options.has('f') || options.has('e')) {
+                lines.push(filesystem.realpath(path, !options.has('e')));
+            } else {
+                lines.push(filesystem.readlink(path));
+            }
+        } catch (error) {
+            failed = true;
+        }
+    }
+
+    return operandsResult(lines, failed);
+}
+
+/**
+ * Print paths with every symbolic link, '.' and '..' resolved
+ * @param {string[]} args - Command arguments
+ * @param {VirtualFilesystem} filesystem - Filesystem instance
+ * @returns {CommandResult}
+ */
+export function realpath(args, filesystem) {
+    let parsed;
+    try {
+        parsed = parseOptions(args, { flags: 'e', long: { 'canonicalize-existing': 'e' } });
+    } catch (error) {
+        return CommandResult.error(`realpath: ${error.message}`, 2);
+    }
+
+    const { flags: options, operands } = parsed;
+    if (operands.length === 0) {
+        return CommandResult.error('realpath: missing operand');
+    }
+
+    const lines = [];
+    let failed = false;
+
+    for (const path of operands) {
+        try {
+            lines.push(filesystem.realpath(path, !options.has('e')));
+        } catch (error) {
+            lines.push(`realpath: ${path}: ${error.message}`);
+            failed = true;
+        }
+    }
+
+    return operandsResult(lines, failed);
+}
+
+/**
+ * Parse the expression of find into tests on each entry
+ * @param {string[]} args - Arguments after the starting points
+ * @returns {{tests: Function[], maxDepth: number, minDepth: number}|{error: CommandResult}}
+ */
+function parseFindExpression(args) {
+    const tests = [];
+    let maxDepth = Infinity;
+    let minDepth = 0;
+
+    for (let i = 0; i < args.length; i++) {
+        const option = args[i];
+
+        if (option === '-print') {
+            continue;
+        }
+        if (!['-name', '-iname', '-type', '-maxdepth', '-mindepth'].includes(option)) {
+            return { error: CommandResult.error(`find: unknown predicate '${option}'`) };
+        }
+
+        const value = args[++i];
+        if (value === undefined) {
+            return { error: CommandResult.error(`find: missing argument to '${option}'`) };
+        }
+
+        if (option === '-name' || option === '-iname') {
+            const regex = globToRegExp(value, option === '-iname');
+            tests.push(entry => regex.test(entry.name));
+        } else if (option === '-type') {
+            const type = FIND_TYPES[value];
+            if (!type) {
+                return { error: CommandResult.error(`find: Unknown argument to -type: ${value}`) };
+            }
+            tests.push(entry => entry.type === type);
+        } else {
+            if (!/^\d+$/.test(value)) {
+                return { error: CommandResult.error(`find: Expected a positive decimal integer argument to ${option}, but got '${value}'`) };
+            }
+            if (option === '-maxdepth') {
+                maxDepth = Number(value);
+            } else {
+                minDepth = Number(value);
+            }
+        }
+    }
+
+    return { tests, maxDepth, minDepth };
+}
+
+/**
+ * Search for files in a directory hierarchy
+ * @param {string[]} args - Starting points followed by the expression
+ * @param {VirtualFilesystem} filesystem - Filesystem instance
+ * @returns {CommandResult}
+ */
+export function find(args, filesystem) {
+    const expressionStart = args.findIndex(arg => arg.startsWith('-'));
+    const starts = expressionStart === -1 ? args : args.slice(0, expressionStart);
+    const expression = parseFindExpression(expressionStart === -1 ? [] : args.slice(expressionStart));
+
+    if (expression.error) {
+        return expression.error;
+    }
+
+    const { tests, maxDepth, minDepth } = expression;
+    const lines = [];
+    let failed = false;
+
+    const visit = (path, entry, depth) => {
+        if (depth >= minDepth && tests.every(test => test(entry))) {
+            lines.push(path);
+        }
+        if (entry.type !== 'directory' || depth >= maxDepth) {
+            return;
+        }
+
+        let children;
+        try {
+            children = filesystem.ls(path).sort((a, b) => a.name.localeCompare(b.name));
+        } catch (error) {
+            lines.push(`find: '${path}': Permission denied`);
+            failed = true;
+            return;
+        }
+        for (const child of children) {
+            visit(joinPath(path, child.name), child, depth + 1);
+        }
+    };
+
+    for (const start of starts.length > 0 ? starts : ['.']) {
+        if (!filesystem.exists(start, false)) {
+            lines.push(`find: '${start}': No such file or directory`);
+            failed = true;
+            continue;
+        }
+        visit(start, { ...filesystem.stat(start, false), name: basename(start) }, 0);
+    }
+
+    return operandsResult(lines, failed);
+}
+
+/**
+ * Command definitions registered by the executor
+ */
+export const commands = [
+    {
+        name: 'cat',
+        category: 'files',
+        summary: 'Display file contents',
+        usage: 'cat [-n] FILE...',
+        description: 'Print the contents of each FILE, or the piped input.',
+        flags: ['-n    Number all output lines'],
+        examples: ['cat ~/README.md', 'cat -n notes.txt'],
+        run: (args, { filesystem, pipeInput, pipeBytes }) => cat(args, filesystem, pipeInput, pipeBytes)
+    },
+    {
+        name: 'head',
+        category: 'files',
+        summary: 'Display first lines of file',
+        usage: 'head [-n LINES] [FILE...]',
+        description: 'Print the first 10 lines of each FILE, or of the piped input.',
+        flags: ['-n    Print the first LINES lines instead (also -LINES)'],
+        examples: ['head -n 5 notes.txt', 'ls | head -3'],
+        run: (args, { filesystem, pipeInput }) => head(args, filesystem, pipeInput)
+    },
+    {
+        name: 'tail',
+        category: 'files',
+        summary: 'Display last lines of file',
+        usage: 'tail [-n LINES] [FILE...]',
+        description: 'Print the last 10 lines of each FILE, or of the piped input.',
+        flags: ['-n    Print the last LINES lines instead (also -LINES)'],
+        examples: ['tail -n 5 notes.txt', 'history | tail -3'],
+        run: (args, { filesystem, pipeInput }) => tail(args, filesystem, pipeInput)
+    },
+    {
+        name: 'less',
+        category: 'files',
+        summary: 'View file contents',
+        usage: 'less FILE',
+        description: 'Display the contents of FILE.',
+        run: (args, { filesystem }) => less(args, filesystem)
+    },
+    {
+        name: 'file',
+        category: 'files',
+        summary: 'Determine file type',
+        usage: 'file FILE...',
+        description: 'Guess the type of each FILE from its name and contents.',
+        examples: ['file ~/README.md'],
+        run: (args, { filesystem }) => file(args, filesystem)
+    },
+    {
+        name: 'stat',
+        category: 'files',
+        summary: 'Display file status',
+        usage: 'stat [-L] FILE...',
+        description: 'Show the type, size, link count, permissions, owner, group and timestamps of each FILE. A symbolic link is described itself, with its target.',
+        flags: ['-L, --dereference    Describe the file a symbolic link points to'],
+        examples: ['stat ~/.bashrc', 'stat -L ~/link'],
+        run: (args, { filesystem }) => stat(args, filesystem)
+    },
+    {
+        name: 'revisions',
+        category: 'files',
+        summary: 'List or restore earlier file contents',
+        usage: 'revisions [-p N | -r N] FILE',
+        description: 'List the earlier contents of FILE, most recent first, with the time each was written and its size. Every write keeps the content it replaces; the last 20 are kept.',
+        flags: [
+            '-p N    Print revision N',
+            '-r N    Restore revision N, which keeps the current content as a revision'
+        ],
+        examples: ['revisions notes.txt', 'revisions -p 1 notes.txt', 'revisions -r 2 notes.txt'],
+        run: (args, { filesystem }) => revisions(args, filesystem)
+    },
+    {
+        name: 'reset',
+        category: 'files',
+        summary: 'Discard local file changes',
+        usage: 'reset',
+        description: 'Restore the shipped files, discarding every file and directory created, changed or removed in this browser, and return to the home directory.',
+        run: (args, { filesystem, executor }) => reset(args, filesystem, executor)
+    },
+    {
+        name: 'touch',
+        category: 'files',
+        summary: 'Create empty files or update timestamps',
+        usage: 'touch [-c] FILE...',
+        description: 'Set the modification time of each FILE to now, creating it empty if it does not exist.',
+        flags: ['-c, --no-create    Do not create missing files'],
+        examples: ['touch notes.txt'],
+        run: (args, { filesystem }) => touch(args, filesystem)
+    },
+    {
+        name: 'mkdir',
+        category: 'files',
+        summary: 'Create directories',
+        usage: 'mkdir [-pv] DIRECTORY...',
+        description: 'Create each DIRECTORY. Its parent must exist unless -p is given.',
+        flags: [
+            '-p, --parents    Create missing parents, and accept directories that exist',
+            '-v, --verbose    Print a message for each directory created'
+        ],
+        examples: ['mkdir notes', 'mkdir -p projects/demo/src'],
+        run: (args, { filesystem }) => mkdir(args, filesystem)
+    },
+    {
+        name: 'cp',
+        category: 'files',
+        summary: 'Copy files and directories',
+        usage: 'cp [-rnv] SOURCE DEST\n    cp [-rnv] SOURCE... DIRECTORY',
+        description: 'Copy SOURCE to DEST, or each SOURCE into DIRECTORY. Copying a directory onto one that exists merges their contents.',
+        flags: [
+            '-r, -R, --recursive    Copy directories and their contents',
+            '-n, --no-clobber       Do not overwrite existing files',
+            '-v, --verbose          Print each file copied'
+        ],
+        examples: ['cp README.md readme-backup.md', 'cp -r cyberops /tmp'],
+        run: (args, { filesystem }) => cp(args, filesystem)
+    },
+    {
+        name: 'mv',
+        category: 'files',
+        summary: 'Move or rename files',
+        usage: 'mv [-fnv] SOURCE DEST\n    mv [-fnv] SOURCE... DIRECTORY',
+        description: 'Rename SOURCE to DEST, or move each SOURCE into DIRECTORY. A directory can only replace an empty one.',
+        flags: [
+            '-f, --force         Overwrite existing files (the default)',
+            '-n, --no-clobber    Do not overwrite existing files',
+            '-v, --verbose       Print each file moved'
+        ],
+        examples: ['mv notes.txt todo.txt', 'mv *.txt ~/notes'],
+        run: (args, { filesystem, executor }) => mv(args, filesystem, executor)
+    },
+    {
+        name: 'rm',
+        category: 'files',
+        summary: 'Remove files/directories',
+        usage: 'rm [-rfdv] FILE...',
+        description: 'Remove each FILE. Directories need -r, or -d if they are empty. "reset" brings back anything removed from the shipped files.',
+        flags: [
+            '-r, -R, --recursive    Remove directories and their contents',
+            '-f, --force            Ignore missing files',
+            '-d, --dir              Remove empty directories',
+            '-v, --verbose          Print each file removed'
+        ],
+        examples: ['rm notes.txt', 'rm -r /tmp/build'],
+        run: (args, { filesystem }) => rm(args, filesystem)
+    },
+    {
+        name: 'ln',
+        category: 'files',
+        summary: 'Make links between files',
+        usage: 'ln [-sfv] TARGET [LINK_NAME]  or  ln [-sfv] TARGET... DIRECTORY',
+        description: 'Make LINK_NAME a hard link to TARGET, or with -s a symbolic link holding the path TARGET. Without LINK_NAME the link is made in the current directory; with a DIRECTORY, inside it under the name of each TARGET. A relative symbolic link is followed from the directory the link is in.',
+        flags: [
+            '-s, --symbolic    Make symbolic links instead of hard links',
+            '-f, --force       Replace existing files',
+            '-v, --verbose     Print the name of each link made'
+        ],
+        examples: ['ln -s ~/cyberops/dhm.txt ~/dhm.txt', 'ln -s ../cyberops projects', 'ln notes.txt notes-backup.txt'],
+        run: (args, { filesystem }) => ln(args, filesystem)
+    },
+    {
+        name: 'readlink',
+        category: 'files',
+        summary: 'Print symbolic link targets',
+        usage: 'readlink [-fe] FILE...',
+        description: 'Print the target stored in each symbolic link FILE. Files that are not links print nothing and make the exit status 1.',
+        flags: [
+            '-f, --canonicalize             Print the full path with every link resolved; the last component may be missing',
+            '-e, --canonicalize-existing    Like -f, but every component must exist'
+        ],
+        examples: ['readlink ~/dhm.txt', 'readlink -f ~/dhm.txt'],
+        run: (args, { filesystem }) => readlink(args, filesystem)
+    },
+    {
+        name: 'realpath',
+        category: 'files',
+        summary: 'Print resolved paths',
+        usage: 'realpath [-e] FILE...',
+        description: 'Print the absolute path of each FILE with every symbolic link, "." and ".." resolved. The last component may be missing unless -e is given.',
+        flags: ['-e, --canonicalize-existing    Every component must exist'],
+        examples: ['realpath .', 'realpath ../notes'],
+        run: (args, { filesystem }) => realpath(args, filesystem)
+    },
+    {
+        name: 'find',
+        category: 'files',
+        summary: 'Search for files',
+        usage: 'find [PATH...] [-name PATTERN] [-iname PATTERN] [-type f|d|l] [-maxdepth N] [-mindepth N]',
+        description: 'List PATH, or the current directory, and everything below it that passes every test. Patterns match entry names and may use *, ? and [...]; quote them so the shell does not expand them. Symbolic links are listed but not followed.',
+        flags: [
+            '-name PATTERN     Name matches PATTERN',
+            '-iname PATTERN    Like -name, ignoring case',
+            '-type f|d|l       Entry is a file (f), a directory (d) or a symbolic link (l)',
+            '-maxdepth N       Descend at most N levels below PATH',
+            '-mindepth N       Skip entries less than N levels below PATH'
+        ],
+        examples: ["find ~ -name '*.md'", 'find . -type d -maxdepth 1'],
+        run: (args, { filesystem }) => find(args, filesystem)
+    }
+];
@@ -0,0 +1,1122 @@
+/**
+ * Git Commands for Portfolio Terminal
+ * A small git over the virtual filesystem: init, add, commit, log, diff,
+ * checkout and status. A repository is a .git directory laid out as git
+ * lays it out, with blob, tree and commit objects named by the SHA-1 of
+ * their content, so hashes match real git's. Objects are stored without
+ * compression, and the index is a text file of mode, hash and path lines.
+ */
+
+import { CommandResult, bytesToText, concatBytes } from '../parser.js';
+import { hexToBytes } from './encoding.js';
+import { joinPath } from './files.js';
+import { splitLines } from './text.js';
+
+const GIT_DIRECTORY = '.git';
+const DEFAULT_BRANCH = 'master';
+
+// Tree entry modes for each kind of node
+const MODES = { file: '100644', executable: '100755', symlink: '120000', tree: '40000' };
+
+// Hashes are shortened to this many digits in output
+const SHORT_HASH_LENGTH = 7;
+const NULL_HASH = '0'.repeat(SHORT_HASH_LENGTH);
+
+// Unchanged lines shown around each change in a diff
+const CONTEXT_LINES = 3;
+
+// Most pairs of lines a diff compares; larger changes are shown as the
+// old lines removed and the new ones added
+const MAX_DIFF_CELLS = 4000000;
+
+// Marks the last line of a file that does not end in a newline, so it
+// differs from the same line with one
+const NO_NEWLINE = '\0';
+
+// Exit status of commands that fail as git's die() does
+const FATAL_EXIT = 128;
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+// ============================================================================
+// Hashing and Objects
+// ============================================================================
+
+/**
+ * SHA-1 digest, computed here since Web Crypto is async and missing on
+ * insecure origins
+ * @param {Uint8Array} bytes - Data to hash
+ * @returns {string} 40 hex digits
+ */
+function sha1(bytes) {
+    const blocks = Math.ceil((bytes.length + 9) / 64);
+    const padded = new Uint8Array(blocks * 64);
+    padded.set(bytes);
+    padded[bytes.length] = 0x80;
+    const view = new DataView(padded.buffer);
+    view.setUint32(padded.length - 8, Math.floor(bytes.length / 0x20000000));
+    view.setUint32(padded.length - 4, (bytes.length * 8) >>> 0);
+
+    const state = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476, 0xc3d2e1f0];
+    const words = new Uint32Array(80);
+    for (let offset = 0; offset < padded.length; offset += 64) {
+        for (let i = 0; i < 16; i++) {
+            words[i] = view.getUint32(offset + i * 4);
+        }
+        for (let i = 16; i < 80; i++) {
+            const word = words[i - 3] ^ words[i - 8] ^ words[i - 14] ^ words[i - 16];
+            words[i] = (word << 1) | (word >>> 31);
+        }
+
+        let [a, b, c, d, e] = state;
+        for (let i = 0; i < 80; i++) {
+            let mixed;
+            let constant;
+            if (i < 20) {
+                mixed = (b & c) | (~b & d);
+                constant = 0x5a827999;
+            } else if (i < 40) {
+                mixed = b ^ c ^ d;
+                constant = 0x6ed9eba1;
+            } else if (i < 60) {
+                mixed = (b & c) | (b & d) | (c & d);
+                constant = 0x8f1bbcdc;
+            } else {
+                mixed = b ^ c ^ d;
+                constant = 0xca62c1d6;
+            }
+            const next = (((a << 5) | (a >>> 27)) + mixed + e + constant + words[i]) >>> 0;
+            e = d;
+            d = c;
+            c = ((b << 30) | (b >>> 2)) >>> 0;
+            b = a;
+            a = next;
+        }
+        [a, b, c, d, e].forEach((value, i) => {
+            state[i] = (state[i] + value) >>> 0;
+        });
+    }
+
+    return state.map(value => value.toString(16).padStart(8, '0')).join('');
+}
+
+function bytesToHex(bytes) {
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// An object as git hashes it: a type and size header, then the body
+function encodeObject(type, body) {
+    return concatBytes([encoder.encode(`${type} ${body.length}\0`), body]);
+}
+
+function blobHash(bytes) {
+    return sha1(encodeObject('blob', bytes));
+}
+
+function objectPath(repo, hash) {
+    return `${repo.gitDir}/objects/${hash.substring(0, 2)}/${hash.substring(2)}`;
+}
+
+// Store an object, if it is not stored already, and return its hash
+function writeObject(repo, type, body) {
+    const data = encodeObject(type, body);
+    const hash = sha1(data);
+    const path = objectPath(repo, hash);
+
+    if (!repo.filesystem.exists(path)) {
+        repo.filesystem.mkdir(path.substring(0, path.lastIndexOf('/')), true);
+        repo.filesystem.writeBytes(path, data, 'application/x-git-object');
+    }
+    return hash;
+}
+
+function readObject(repo, hash) {
+    const data = repo.filesystem.readBytes(objectPath(repo, hash));
+    const end = data.indexOf(0);
+    return {
+        type: decoder.decode(data.subarray(0, end)).split(' ')[0],
+        body: data.subarray(end + 1)
+    };
+}
+
+// ============================================================================
+// Trees and Commits
+// ============================================================================
+
+/**
+ * Store the trees for a set of files
+ * @param {Object} repo - Repository
+ * @param {Map<string, {mode: string, hash: string}>} files - Files by path
+ * @returns {string} Hash of the top tree
+ */
+function writeTree(repo, files) {
+    const root = new Map();
+    files.forEach((entry, path) => {
+        const parts = path.split('/');
+        const name = parts.pop();
+        let directory = root;
+        for (const part of parts) {
+            if (!directory.has(part)) {
+                directory.set(part, new Map());
+            }
+            directory = directory.get(part);
+        }
+        directory.set(name, entry);
+    });
+
+    const write = (directory) => {
+        // Git orders entries by name, comparing a tree's as if it ended in '/'
+        const sortName = name => (directory.get(name) instanceof Map ? `${name}/` : name);
+        const names = Array.from(directory.keys()).sort((a, b) => (sortName(a) < sortName(b) ? -1 : 1));
+
+        const chunks = [];
+        for (const name of names) {
+            const child = directory.get(name);
+            const { mode, hash } = child instanceof Map ? { mode: MODES.tree, hash: write(child) } : child;
+            chunks.push(encoder.encode(`${mode} ${name}\0`), hexToBytes(hash));
+        }
+        return writeObject(repo, 'tree', concatBytes(chunks));
+    };
+    return write(root);
+}
+
+/**
+ * List the files in a tree and the trees below it
+ * @param {Object} repo - Repository
+ * @param {string|null} hash - Tree hash; null is an empty tree
+ * @returns {Map<string, {mode: string, hash: string}>} Files by path
+ */
+function readTree(repo, hash, prefix = '', files = new Map()) {
+    if (!hash) {
+        return files;
+    }
+
+    const { body } = readObject(repo, hash);
+    let offset = 0;
+    while (offset < body.length) {
+        const space = body.indexOf(0x20, offset);
+        const end = body.indexOf(0, space);
+        const mode = decoder.decode(body.subarray(offset, space));
+        const path = prefix + decoder.decode(body.subarray(space + 1, end));
+        const entryHash = bytesToHex(body.subarray(end + 1, end + 21));
+        offset = end + 21;
+
+        if (mode === MODES.tree) {
+            readTree(repo, entryHash, `${path}/`, files);
+        } else {
+            files.set(path, { mode, hash: entryHash });
+        }
+    }
+    return files;
+}
+
+function readCommit(repo, hash) {
+    const text = decoder.decode(readObject(repo, hash).body);
+    const split = text.indexOf('\n\n');
+    const commit = { hash, tree: null, parents: [], author: '', time: 0, message: text.substring(split + 2) };
+
+    for (const line of text.substring(0, split).split('\n')) {
+        const [key, ...words] = line.split(' ');
+        const value = words.join(' ');
+        if (key === 'tree') {
+            commit.tree = value;
+        } else if (key === 'parent') {
+            commit.parents.push(value);
+        } else if (key === 'author') {
+            const match = value.match(/^(.*) (\d+) [+-]\d{4}$/);
+            commit.author = match ? match[1] : value;
+            commit.time = match ? Number(match[2]) : 0;
+        }
+    }
+    return commit;
+}
+
+// The name and address commits are signed with: the current user at the
+// terminal's host name
+function identity(filesystem) {
+    let host = 'localhost';
+    try {
+        host = filesystem.cat('/proc/sys/kernel/hostname').trim() || host;
+    } catch (error) {
+        // Without /proc, keep the default
+    }
+    const name = filesystem.userName(filesystem.uid);
+    return `${name} <${name}@${host}>`;
+}
+
+// Dates as git shows them, in UTC: Mon Oct 19 17:23:00 2026 +0000
+function formatDate(seconds) {
+    const date = new Date(seconds * 1000);
+    const time = date.toISOString().substring(11, 19);
+    return `${DAY_NAMES[date.getUTCDay()]} ${MONTH_NAMES[date.getUTCMonth()]} ${date.getUTCDate()} ${time} ${date.getUTCFullYear()} +0000`;
+}
+
+// ============================================================================
+// Repository
+// ============================================================================
+
+/**
+ * Find the repository holding the current directory
+ * @param {VirtualFilesystem} filesystem - Filesystem instance
+ * @returns {Object|null} {filesystem, root, gitDir}, or null outside a repository
+ */
+function findRepository(filesystem) {
+    let directory = filesystem.pwd();
+    for (;;) {
+        const gitDir = joinPath(directory, GIT_DIRECTORY);
+        if (filesystem.isDirectory(gitDir)) {
+            return { filesystem, root: directory, gitDir };
+        }
+        if (directory === '/') {
+            return null;
+        }
+        directory = directory.substring(0, directory.lastIndexOf('/')) || '/';
+    }
+}
+
+function currentBranch(repo) {
+    const head = repo.filesystem.cat(`${repo.gitDir}/HEAD`).trim();
+    return head.replace(/^ref: refs\/heads\//, '');
+}
+
+function headCommit(repo) {
+    const ref = `${repo.gitDir}/refs/heads/${currentBranch(repo)}`;
+    return repo.filesystem.exists(ref) ? repo.filesystem.cat(ref).trim() : null;
+}
+
+function setHeadCommit(repo, hash) {
+    const ref = `${repo.gitDir}/refs/heads/${currentBranch(repo)}`;
+    repo.filesystem.mkdir(ref.substring(0, ref.lastIndexOf('/')), true);
+    repo.filesystem.writeFile(ref, `${hash}\n`);
+}
+
+function headTree(repo) {
+    const commit = headCommit(repo);
+    return readTree(repo, commit ? readCommit(repo, commit).tree : null);
+}
+
+function readIndex(repo) {
+    const index = new Map();
+    const path = `${repo.gitDir}/index`;
+    if (!repo.filesystem.exists(path)) {
+        return index;
+    }
+
+    for (const line of repo.filesystem.cat(path).split('\n')) {
+        const match = line.match(/^(\d+) ([0-9a-f]{40}) (.+)$/);
+        if (match) {
+            index.set(match[3], { mode: match[1], hash: match[2] });
+        }
+    }
+    return index;
+}
+
+function writeIndex(repo, index) {
+    const lines = Array.from(index.keys()).sort().map(path => {
+        const { mode, hash } = index.get(path);
+        return `${mode} ${hash} ${path}\n`;
+    });
+    repo.filesystem.writeFile(`${repo.gitDir}/index`, lines.join(''));
+}
+
+/**
+ * Hash every file below the top of the repository, except .git
+ * directories and what the user cannot read
+ * @param {Object} repo - Repository
+ * @returns {Map<string, {mode: string, hash: string, bytes: Uint8Array}>}
+ */
+function readWorkingTree(repo) {
+    const { filesystem } = repo;
+    const files = new Map();
+
+    const visit = (directory, prefix) => {
+        let entries;
+        try {
+            entries = filesystem.ls(directory);
+        } catch (error) {
+            return;
+        }
+
+        for (const entry of entries) {
+            const path = joinPath(directory, entry.name);
+            if (entry.name === GIT_DIRECTORY || filesystem.mounts.has(path)) {
+                continue;
+            }
+
+            if (entry.type === 'directory') {
+                visit(path, `${prefix}${entry.name}/`);
+            } else if (entry.type === 'symlink') {
+                const bytes = encoder.encode(entry.target);
+                files.set(`${prefix}${entry.name}`, { mode: MODES.symlink, hash: blobHash(bytes), bytes });
+            } else {
+                try {
+                    const bytes = filesystem.readBytes(path);
+                    const mode = entry.permissions[3] === 'x' ? MODES.executable : MODES.file;
+                    files.set(`${prefix}${entry.name}`, { mode, hash: blobHash(bytes), bytes });
+                } catch (error) {
+                    // Unreadable files are left out, as git would fail on them
+                }
+            }
+        }
+    };
+
+    visit(repo.root, '');
+    return files;
+}
+
+// Content of a file from the working tree, or from its stored blob
+function fileBytes(repo, entry) {
+    return entry.bytes || readObject(repo, entry.hash).body;
+}
+
+/**
+ * Resolve a revision: HEAD, a branch, a full or abbreviated hash, each
+ * optionally followed by ~N or ^ for an ancestor
+ * @param {Object} repo - Repository
+ * @param {string} revision - Revision name
+ * @returns {string|null} Commit hash, or null if there is no such commit
+ */
+function resolveRevision(repo, revision) {
+    const match = revision.match(/^(.+?)((?:~\d*|\^)*)$/);
+    if (!match) {
+        return null;
+    }
+
+    const [, name, ancestry] = match;
+    let hash = null;
+    if (name === 'HEAD') {
+        hash = headCommit(repo);
+    } else if (/^[\w./-]+$/.test(name) && repo.filesystem.isFile(`${repo.gitDir}/refs/heads/${name}`)) {
+        hash = repo.filesystem.cat(`${repo.gitDir}/refs/heads/${name}`).trim();
+    } else if (/^[0-9a-f]{4,40}$/.test(name)) {
+        const directory = `${repo.gitDir}/objects/${name.substring(0, 2)}`;
+        const names = repo.filesystem.isDirectory(directory) ? repo.filesystem.ls(directory).map(entry => entry.name) : [];
+        const found = names.filter(rest => rest.startsWith(name.substring(2)));
+        hash = found.length === 1 ? name.substring(0, 2) + found[0] : null;
+    }
+
+    for (const step of ancestry.match(/~\d*|\^/g) || []) {
+        const count = step === '^' || step === '~' ? 1 : Number(step.substring(1));
+        for (let i = 0; i < count && hash; i++) {
+            hash = readCommit(repo, hash).parents[0] || null;
+        }
+    }
+
+    if (hash && readObject(repo, hash).type !== 'commit') {
+        return null;
+    }
+    return hash;
+}
+
+// A path as git names it, relative to the top of the repository; null if
+// it is outside the repository
+function repoPath(repo, path) {
+    const absolute = repo.filesystem.resolvePath(path);
+    if (absolute === repo.root) {
+        return '';
+    }
+    const prefix = repo.root === '/' ? '/' : `${repo.root}/`;
+    return absolute.startsWith(prefix) ? absolute.substring(prefix.length) : null;
+}
+
+// A repository path as shown to the user, relative to the current directory
+function displayPath(repo, path) {
+    const from = repo.filesystem.pwd().split('/').filter(Boolean);
+    const to = joinPath(repo.root, path).split('/').filter(Boolean);
+    let common = 0;
+    while (common < from.length && common < to.length && from[common] === to[common]) {
+        common++;
+    }
+    return [...Array(from.length - common).fill('..'), ...to.slice(common)].join('/') || '.';
+}
+
+function matchesPathspec(path, pathspec) {
+    return pathspec === '' || path === pathspec || path.startsWith(`${pathspec}/`);
+}
+
+// Turn path arguments into repository paths, or return the error for the
+// first that is outside the repository
+function parsePathspecs(repo, paths) {
+    const pathspecs = [];
+    for (const path of paths) {
+        const pathspec = repoPath(repo, path);
+        if (pathspec === null) {
+            return { error: CommandResult.error(`fatal: ${path}: '${path}' is outside repository at '${repo.root}'`, FATAL_EXIT) };
+        }
+        pathspecs.push(pathspec);
+    }
+    return { pathspecs };
+}
+
+// ============================================================================
+// Diffs
+// ============================================================================
+
+// Lines of a file, the last marked if it has no newline
+function diffLinesOf(text) {
+    const lines = splitLines(text);
+    if (text !== '' && !text.endsWith('\n')) {
+        lines[lines.length - 1] += NO_NEWLINE;
+    }
+    return lines;
+}
+
+/**
+ * Compare two lists of lines by their longest common subsequence
+ * @param {string[]} before - Old lines
+ * @param {string[]} after - New lines
+ * @returns {Array<[string, string]>} Each line with ' ', '-' or '+'
+ */
+function diffLines(before, after) {
+    let start = 0;
+    while (start < before.length && start < after.length && before[start] === after[start]) {
+        start++;
+    }
+    let endBefore = before.length;
+    let endAfter = after.length;
+    while (endBefore > start && endAfter > start && before[endBefore - 1] === after[endAfter - 1]) {
+        endBefore--;
+        endAfter--;
+    }
+
+    const operations = before.slice(0, start).map(line => [' ', line]);
+    const rows = endBefore - start;
+    const columns = endAfter - start;
+
+    if (rows * columns > MAX_DIFF_CELLS) {
+        operations.push(...before.slice(start, endBefore).map(line => ['-', line]));
+        operations.push(...after.slice(start, endAfter).map(line => ['+', line]));
+    } else {
+        // lengths[i][j]: longest common subsequence of the lines from i and j on
+        const width = columns + 1;
+        const lengths = new Uint32Array((rows + 1) * width);
+        for (let i = rows - 1; i >= 0; i--) {
+            for (let j = columns - 1; j >= 0; j--) {
+                lengths[i * width + j] = before[start + i] === after[start + j]
+                    ? lengths[(i + 1) * width + j + 1] + 1
+                    : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+            }
+        }
+
+        let i = 0;
+        let j = 0;
+        while (i < rows || j < columns) {
+            if (i < rows && j < columns && before[start + i] === after[start + j]) {
+                operations.push([' ', before[start + i++]]);
+                j++;
+            } else if (i < rows && (j === columns || lengths[(i + 1) * width + j] >= lengths[i * width + j + 1])) {
+                operations.push(['-', before[start + i++]]);
+            } else {
+                operations.push(['+', after[start + j++]]);
+            }
+        }
+    }
+
+    operations.push(...before.slice(endBefore).map(line => [' ', line]));
+    return operations;
+}
+
+// Unified diff hunks for a list of diffLines operations
+function formatHunks(operations) {
+    // Lines of each file before each operation
+    const oldLine = [0];
+    const newLine = [0];
+    operations.forEach(([type], i) => {
+        oldLine.push(oldLine[i] + (type === '+' ? 0 : 1));
+        newLine.push(newLine[i] + (type === '-' ? 0 : 1));
+    });
+
+    const range = (first, count) => (count === 1 ? `${first + 1}` : `${count === 0 ? first : first + 1},${count}`);
+    const output = [];
+    let i = 0;
+    while (i < operations.length) {
+        if (operations[i][0] === ' ') {
+            i++;
+            continue;
+        }
+
+        // Changes separated by at most twice the context share a hunk
+        let last = i;
+        for (let j = i; j < operations.length && j - last <= 2 * CONTEXT_LINES + 1; j++) {
+            if (operations[j][0] !== ' ') {
+                last = j;
+            }
+        }
+        const start = Math.max(0, i - CONTEXT_LINES);
+        const end = Math.min(operations.length, last + CONTEXT_LINES + 1);
+
+        output.push(`@@ -${range(oldLine[start], oldLine[end] - oldLine[start])} +${range(newLine[start], newLine[end] - newLine[start])} @@`);
+        for (const [type, line] of operations.slice(start, end)) {
+            if (line.endsWith(NO_NEWLINE)) {
+                output.push(`${type}${line.slice(0, -1)}`, '\\ No newline at end of file');
+            } else {
+                output.push(`${type}${line}`);
+            }
+        }
+        i = end;
+    }
+    return output;
+}
+
+// Lines added and removed between two versions of a file; binary files count none
+function countChanges(repo, before, after) {
+    const oldText = before ? bytesToText(fileBytes(repo, before)) : '';
+    const newText = after ? bytesToText(fileBytes(repo, after)) : '';
+    if (typeof oldText !== 'string' || typeof newText !== 'string') {
+        return { insertions: 0, deletions: 0 };
+    }
+
+    const operations = diffLines(diffLinesOf(oldText), diffLinesOf(newText));
+    return {
+        insertions: operations.filter(([type]) => type === '+').length,
+        deletions: operations.filter(([type]) => type === '-').length
+    };
+}
+
+/**
+ * The diff of one file between two versions, as git diff shows it
+ * @param {Object} repo - Repository
+ * @param {string} path - Repository path
+ * @param {Object|null} before - Old version, or null if the file is new
+ * @param {Object|null} after - New version, or null if it was deleted
+ * @returns {string[]} Lines of the diff
+ */
+function diffFile(repo, path, before, after) {
+    const output = [`diff --git a/${path} b/${path}`];
+    if (!before) {
+        output.push(`new file mode ${after.mode}`);
+    } else if (!after) {
+        output.push(`deleted file mode ${before.mode}`);
+    } else if (before.mode !== after.mode) {
+        output.push(`old mode ${before.mode}`, `new mode ${after.mode}`);
+    }
+
+    if (before && after && before.hash === after.hash) {
+        return output;
+    }
+
+    const sameMode = before && after && before.mode === after.mode ? ` ${before.mode}` : '';
+    const shortHash = entry => (entry ? entry.hash.substring(0, SHORT_HASH_LENGTH) : NULL_HASH);
+    output.push(`index ${shortHash(before)}..${shortHash(after)}${sameMode}`);
+
+    const oldName = before ? `a/${path}` : '/dev/null';
+    const newName = after ? `b/${path}` : '/dev/null';
+    const oldText = before ? bytesToText(fileBytes(repo, before)) : '';
+    const newText = after ? bytesToText(fileBytes(repo, after)) : '';
+    if (typeof oldText !== 'string' || typeof newText !== 'string') {
+        output.push(`Binary files ${oldName} and ${newName} differ`);
+        return output;
+    }
+
+    // Empty files added or deleted have no hunks, and so no file names
+    const hunks = formatHunks(diffLines(diffLinesOf(oldText), diffLinesOf(newText)));
+    if (hunks.length > 0) {
+        output.push(`--- ${oldName}`, `+++ ${newName}`, ...hunks);
+    }
+    return output;
+}
+
+// Paths whose version differs between two sets of files, in order
+function changedPaths(before, after) {
+    const paths = new Set([...before.keys(), ...after.keys()]);
+    return Array.from(paths).sort().filter(path => {
+        const old = before.get(path);
+        const current = after.get(path);
+        return !old || !current || old.hash !== current.hash || old.mode !== current.mode;
+    });
+}
+
+// ============================================================================
+// Subcommands
+// ============================================================================
+
+function init(args, filesystem) {
+    const directory = filesystem.resolvePath(args.find(arg => !arg.startsWith('-')) || '.');
+    const gitDir = joinPath(directory, GIT_DIRECTORY);
+
+    if (filesystem.isDirectory(gitDir)) {
+        return CommandResult.success(`Reinitialized existing Git repository in ${gitDir}/`);
+    }
+
+    filesystem.mkdir(`${gitDir}/objects`, true);
+    filesystem.mkdir(`${gitDir}/refs/heads`, true);
+    filesystem.writeFile(`${gitDir}/HEAD`, `ref: refs/heads/${DEFAULT_BRANCH}\n`);
+    return CommandResult.success(`Initialized empty Git repository in ${gitDir}/`);
+}
+
+function add(args, repo) {
+    const all = args.some(arg => arg === '-A' || arg === '--all');
+    const paths = args.filter(arg => !arg.startsWith('-'));
+    if (paths.length === 0 && !all) {
+        return CommandResult.success("Nothing specified, nothing added.\nhint: Maybe you wanted to say 'git add .'?");
+    }
+
+    const { pathspecs, error } = parsePathspecs(repo, paths.length > 0 ? paths : ['.']);
+    if (error) {
+        return error;
+    }
+    if (all && paths.length === 0) {
+        pathspecs[0] = '';
+    }
+
+    const index = readIndex(repo);
+    const working = readWorkingTree(repo);
+    for (let i = 0; i < pathspecs.length; i++) {
+        let matched = false;
+        working.forEach((file, path) => {
+            if (matchesPathspec(path, pathspecs[i])) {
+                index.set(path, { mode: file.mode, hash: writeObject(repo, 'blob', file.bytes) });
+                matched = true;
+            }
+        });
+        index.forEach((file, path) => {
+            if (matchesPathspec(path, pathspecs[i]) && !working.has(path)) {
+                index.delete(path);
+                matched = true;
+            }
+        });
+        if (!matched) {
+            return CommandResult.error(`fatal: pathspec '${paths[i]}' did not match any files`, FATAL_EXIT);
+        }
+    }
+
+    writeIndex(repo, index);
+    return CommandResult.success('');
+}
+
+function commit(args, repo) {
+    const messages = [];
+    let all = false;
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--all') {
+            all = true;
+        } else if (arg.startsWith('--message=')) {
+            messages.push(arg.substring('--message='.length));
+        } else if (arg === '--message' || /^-[a-z]*m/.test(arg)) {
+            // -m MSG, -mMSG and bundles such as -am MSG
+            all = all || /^-[a-z]*a[a-z]*m/.test(arg);
+            const attached = arg.startsWith('--') ? '' : arg.substring(arg.indexOf('m') + 1);
+            const message = attached || args[++i];
+            if (message === undefined) {
+                return CommandResult.error("error: switch `m' requires a value", FATAL_EXIT);
+            }
+            messages.push(message);
+        } else if (arg === '-a') {
+            all = true;
+        } else {
+            return CommandResult.error(`error: unknown option '${arg.replace(/^-+/, '')}'`, FATAL_EXIT);
+        }
+    }
+
+    const index = readIndex(repo);
+    if (all) {
+        const working = readWorkingTree(repo);
+        index.forEach((file, path) => {
+            const current = working.get(path);
+            if (!current) {
+                index.delete(path);
+            } else if (current.hash !== file.hash || current.mode !== file.mode) {
+                index.set(path, { mode: current.mode, hash: writeObject(repo, 'blob', current.bytes) });
+            }
+        });
+        writeIndex(repo, index);
+    }
+
+    const parent = headCommit(repo);
+    const parentFiles = headTree(repo);
+    const changed = changedPaths(parentFiles, index);
+    if (changed.length === 0) {
+        const result = status([], repo);
+        return CommandResult.error(result.output, 1);
+    }
+
+    const message = messages.join('\n\n').trim();
+    if (message === '') {
+        return CommandResult.error('Aborting commit due to empty commit message.');
+    }
+
+    const signature = `${identity(repo.filesystem)} ${Math.floor(Date.now() / 1000)} +0000`;
+    const body = [
+        `tree ${writeTree(repo, index)}`,
+        ...(parent ? [`parent ${parent}`] : []),
+        `author ${signature}`,
+        `committer ${signature}`,
+        '',
+        `${message}\n`
+    ].join('\n');
+    const hash = writeObject(repo, 'commit', encoder.encode(body));
+    setHeadCommit(repo, hash);
+
+    // Summary: the commit, its counts of changes, and files created or deleted
+    let insertions = 0;
+    let deletions = 0;
+    const modes = [];
+    for (const path of changed) {
+        const before = parentFiles.get(path);
+        const after = index.get(path);
+        const counts = countChanges(repo, before, after);
+        insertions += counts.insertions;
+        deletions += counts.deletions;
+        if (!before) {
+            modes.push(` create mode ${after.mode} ${path}`);
+        } else if (!after) {
+            modes.push(` delete mode ${before.mode} ${path}`);
+        }
+    }
+
+    const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+    const counts = [` ${plural(changed.length, 'file')} changed`];
+    if (insertions > 0 || deletions === 0) {
+        counts.push(`${plural(insertions, 'insertion')}(+)`);
+    }
+    if (deletions > 0 || insertions === 0) {
+        counts.push(`${plural(deletions, 'deletion')}(-)`);
+    }
+
+    const root = parent ? '' : ' (root-commit)';
+    return CommandResult.success([
+        `[${currentBranch(repo)}${root} ${hash.substring(0, SHORT_HASH_LENGTH)}] ${message.split('\n')[0]}`,
+        counts.join(', '),
+        ...modes
+    ].join('\n'));
+}
+
+function log(args, repo) {
+    let oneline = false;
+    let limit = Infinity;
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        let count = null;
+        if (arg === '--oneline') {
+            oneline = true;
+        } else if (arg === '-n') {
+            count = args[++i];
+        } else if (/^-n?\d+$/.test(arg) || arg.startsWith('--max-count=')) {
+            count = arg.replace(/^(-n?|--max-count=)/, '');
+        } else {
+            return CommandResult.error(`fatal: unrecognized argument: ${arg}`, FATAL_EXIT);
+        }
+        if (count !== null) {
+            if (!/^\d+$/.test(count || '')) {
+                return CommandResult.error(`fatal: '${count}': not an integer`, FATAL_EXIT);
+            }
+            limit = Number(count);
+        }
+    }
+
+    const branch = currentBranch(repo);
+    let hash = headCommit(repo);
+    if (!hash) {
+        return CommandResult.error(`fatal: your current branch '${branch}' does not have any commits yet`, FATAL_EXIT);
+    }
+
+    const output = [];
+    const head = hash;
+    for (let shown = 0; hash && shown < limit; shown++) {
+        const entry = readCommit(repo, hash);
+        const decoration = hash === head ? ` (HEAD -> ${branch})` : '';
+        if (oneline) {
+            output.push(`${hash.substring(0, SHORT_HASH_LENGTH)}${decoration} ${entry.message.split('\n')[0]}`);
+        } else {
+            if (output.length > 0) {
+                output.push('');
+            }
+            output.push(
+                `commit ${hash}${decoration}`,
+                `Author: ${entry.author}`,
+                `Date:   ${formatDate(entry.time)}`,
+                '',
+                ...entry.message.replace(/\n+$/, '').split('\n').map(line => `    ${line}`)
+            );
+        }
+        hash = entry.parents[0] || null;
+    }
+
+    return CommandResult.success(output.join('\n'));
+}
+
+function diff(args, repo) {
+    const separator = args.indexOf('--');
+    const options = separator === -1 ? args : args.slice(0, separator);
+    const paths = separator === -1 ? [] : args.slice(separator + 1);
+    let cached = false;
+    let revision = null;
+
+    for (const arg of options) {
+        if (arg === '--cached' || arg === '--staged') {
+            cached = true;
+        } else if (arg.startsWith('-')) {
+            return CommandResult.error(`error: invalid option: ${arg}`, FATAL_EXIT);
+        } else if (revision === null && paths.length === 0 && resolveRevision(repo, arg)) {
+            revision = resolveRevision(repo, arg);
+        } else {
+            paths.push(arg);
+        }
+    }
+
+    const { pathspecs, error } = parsePathspecs(repo, paths);
+    if (error) {
+        return error;
+    }
+
+    const index = readIndex(repo);
+    const before = revision ? readTree(repo, readCommit(repo, revision).tree) : (cached ? headTree(repo) : index);
+    let after = index;
+    if (!cached) {
+        // The working tree, less files git does not track
+        const working = readWorkingTree(repo);
+        after = new Map(Array.from(working).filter(([path]) => before.has(path) || index.has(path)));
+    }
+
+    const output = [];
+    for (const path of changedPaths(before, after)) {
+        if (pathspecs.length === 0 || pathspecs.some(pathspec => matchesPathspec(path, pathspec))) {
+            output.push(...diffFile(repo, path, before.get(path) || null, after.get(path) || null));
+        }
+    }
+    return CommandResult.success(output.join('\n'));
+}
+
+function checkout(args, repo) {
+    const separator = args.indexOf('--');
+    const before = separator === -1 ? args : args.slice(0, separator);
+    let paths = separator === -1 ? args : args.slice(separator + 1);
+    let revision = null;
+
+    // git checkout REVISION -- PATH restores paths from a commit; a lone
+    // name that is not a path would switch branches
+    if (before.length > 0 && (separator !== -1 || before.length > 1 || !repo.filesystem.exists(before[0], false))) {
+        revision = resolveRevision(repo, before[0]);
+        if (revision && separator === -1 && args.length === 1) {
+            return CommandResult.error('error: switching branches is not supported; use git checkout REVISION -- FILE', 1);
+        }
+        if (revision) {
+            paths = separator === -1 ? args.slice(1) : paths;
+        } else if (separator !== -1) {
+            return CommandResult.error(`fatal: invalid reference: ${before[0]}`, FATAL_EXIT);
+        }
+    }
+    if (paths.length === 0) {
+        return CommandResult.error('error: you must name the files to restore: git checkout [REVISION] -- FILE...', 1);
+    }
+
+    const { pathspecs, error } = parsePathspecs(repo, paths);
+    if (error) {
+        return error;
+    }
+
+    const index = readIndex(repo);
+    const source = revision ? readTree(repo, readCommit(repo, revision).tree) : index;
+    const restored = [];
+    for (let i = 0; i < pathspecs.length; i++) {
+        const matches = Array.from(source.keys()).filter(path => matchesPathspec(path, pathspecs[i]));
+        if (matches.length === 0) {
+            return CommandResult.error(`error: pathspec '${paths[i]}' did not match any file(s) known to git`, 1);
+        }
+        restored.push(...matches.filter(path => !restored.includes(path)));
+    }
+
+    const { filesystem } = repo;
+    for (const path of restored) {
+        const entry = source.get(path);
+        const absolute = joinPath(repo.root, path);
+        const bytes = fileBytes(repo, entry);
+        filesystem.mkdir(absolute.substring(0, absolute.lastIndexOf('/')) || '/', true);
+
+        if (entry.mode === MODES.symlink || filesystem.isSymlink(absolute)) {
+            if (filesystem.exists(absolute, false)) {
+                filesystem.rm(absolute);
+            }
+        }
+        if (entry.mode === MODES.symlink) {
+            filesystem.symlink(decoder.decode(bytes), absolute);
+        } else {
+            filesystem.writeFile(absolute, bytesToText(bytes));
+            const { mode } = filesystem.stat(absolute);
+            filesystem.chmod(absolute, entry.mode === MODES.executable ? mode | 0o111 : mode & ~0o111);
+        }
+        index.set(path, { mode: entry.mode, hash: entry.hash });
+    }
+
+    if (revision) {
+        writeIndex(repo, index);
+    }
+    const from = revision ? revision.substring(0, SHORT_HASH_LENGTH) : 'the index';
+    return CommandResult.success(`Updated ${restored.length} path${restored.length === 1 ? '' : 's'} from ${from}`);
+}
+
+function status(args, repo) {
+    const short = args.some(arg => arg === '-s' || arg === '--short');
+    const head = headTree(repo);
+    const index = readIndex(repo);
+    const working = readWorkingTree(repo);
+
+    const staged = changedPaths(head, index).map(path => ({
+        path,
+        code: !head.has(path) ? 'A' : (!index.has(path) ? 'D' : 'M')
+    }));
+    const unstaged = Array.from(index.keys()).sort()
+        .filter(path => !working.has(path) || working.get(path).hash !== index.get(path).hash || working.get(path).mode !== index.get(path).mode)
+        .map(path => ({ path, code: working.has(path) ? 'M' : 'D' }));
+
+    // An untracked directory is shown once, rather than each file in it
+    const trackedDirectories = new Set();
+    index.forEach((file, path) => {
+        const parts = path.split('/');
+        for (let i = 1; i < parts.length; i++) {
+            trackedDirectories.add(parts.slice(0, i).join('/'));
+        }
+    });
+    const untracked = [];
+    for (const path of Array.from(working.keys()).sort()) {
+        if (index.has(path)) {
+            continue;
+        }
+        const parts = path.split('/');
+        let depth = 1;
+        while (depth < parts.length && trackedDirectories.has(parts.slice(0, depth).join('/'))) {
+            depth++;
+        }
+        const shown = depth < parts.length ? `${parts.slice(0, depth).join('/')}/` : path;
+        if (!untracked.includes(shown)) {
+            untracked.push(shown);
+        }
+    }
+
+    const show = path => displayPath(repo, path.replace(/\/$/, '')) + (path.endsWith('/') ? '/' : '');
+
+    if (short) {
+        const codes = new Map();
+        staged.forEach(({ path, code }) => codes.set(path, [code, ' ']));
+        unstaged.forEach(({ path, code }) => codes.set(path, [(codes.get(path) || [' '])[0], code]));
+        const lines = Array.from(codes.keys()).sort().map(path => `${codes.get(path).join('')} ${show(path)}`);
+        lines.push(...untracked.map(path => `?? ${show(path)}`));
+        return CommandResult.success(lines.join('\n'));
+    }
+
+    const labels = { A: 'new file:   ', M: 'modified:   ', D: 'deleted:    ' };
+    const output = [`On branch ${currentBranch(repo)}`];
+    if (!headCommit(repo)) {
+        output.push('', 'No commits yet');
+    }
+    if (staged.length > 0) {
+        output.push('', 'Changes to be committed:', ...staged.map(({ path, code }) => `\t${labels[code]}${show(path)}`));
+    }
+    if (unstaged.length > 0) {
+        output.push(
+            '',
+            'Changes not staged for commit:',
+            '  (use "git add <file>..." to update what will be committed)',
+            '  (use "git checkout -- <file>..." to discard changes in working directory)',
+            ...unstaged.map(({ path, code }) => `\t${labels[code]}${show(path)}`)
+        );
+    }
+    if (untracked.length > 0) {
+        output.push(
+            '',
+            'Untracked files:',
+            '  (use "git add <file>..." to include in what will be committed)',
+            ...untracked.map(path => `\t${show(path)}`)
+        );
+    }
+
+    output.push('');
+    if (staged.length > 0) {
+        output.pop();
+    } else if (unstaged.length > 0) {
+        output.push('no changes added to commit (use "git add" and/or "git commit -a")');
+    } else if (untracked.length > 0) {
+        output.push('nothing added to commit but untracked files present (use "git add" to track)');
+    } else if (!headCommit(repo)) {
+        output.push('nothing to commit (create/copy files and use "git add" to track)');
+    } else {
+        output.push('nothing to commit, working tree clean');
+    }
+    return CommandResult.success(output.join('\n'));
+}
+
+// Subcommands that run inside a repository
+const SUBCOMMANDS = { add, commit, log, diff, checkout, status };
+
+/**
+ * Run a git subcommand
+ * @param {string[]} args - Subcommand and its arguments
+ * @param {VirtualFilesystem} filesystem - Filesystem instance
+ * @returns {CommandResult}
+ */
+export function git(args, filesystem) {
+    const [name, ...rest] = args;
+    if (!name || name === 'help' || name === '--help') {
+        return CommandResult.success([
+            'usage: git <command> [<args>]',
+            '',
+            '   init       Create an empty Git repository',
+            '   add        Add file contents to the index',
+            '   commit     Record changes to the repository',
+            '   log        Show commit logs',
+            '   diff       Show changes between commits, commit and working tree, etc',
+            '   checkout   Restore working tree files',
+            '   status     Show the working tree status'
+        ].join('\n'));
+    }
+
+    const run = name === 'init' ? null : SUBCOMMANDS[name];
+    if (name !== 'init' && !run) {
+        return CommandResult.error(`git: '${name}' is not a git command. See 'git --help'.`, 1);
+    }
+
+    try {
+        if (!run) {
+            return init(rest, filesystem);
+        }
+        const repo = findRepository(filesystem);
+        if (!repo) {
+            return CommandResult.error('fatal: not a git repository (or any of the parent directories): .git', FATAL_EXIT);
+        }
+        return run(rest, repo);
+    } catch (error) {
+        return CommandResult.error(`fatal: ${error.message}`, FATAL_EXIT);
+    }
+}
+
+// ============================================================================
+// Command Definitions
+// ============================================================================
+
+export const commands = [
+    {
+        name: 'git',
+        category: 'git',
+        summary: 'Track versions of files with a small git',
+        usage: 'git init [DIR]\n    git add [-A] PATH...\n    git commit [-a] -m MESSAGE\n    git log [--oneline] [-n COUNT]\n    git diff [--cached] [REVISION] [--] [PATH...]\n    git checkout [REVISION] [--] PATH...\n    git status [-s]',
+        description: 'Keep the history of a directory in a .git repository, as git does. add stages files in the index, commit records the staged files, log lists commits, diff compares the working tree with the index (or the index with the last commit with --cached), checkout restores files from the index or a commit, and status lists what has changed. Objects are named by their SHA-1, so hashes match real git. Branches and remotes are not supported.',
+        flags: [
+            '-A, --all    add: stage every change in the repository',
+            '-a, --all    commit: stage changes to tracked files first',
+            '-m, --message    commit: use MESSAGE as the commit message',
+            '--oneline    log: show each commit on one line',
+            '-n, --max-count    log: show at most COUNT commits',
+            '--cached, --staged    diff: compare the index with the last commit',
+            '-s, --short    status: show the status in short format'
+        ],
+        examples: [
+            'git init',
+            'git add . && git commit -m "First commit"',
+            'git log --oneline',
+            'git diff HEAD~1 -- notes.txt',
+            'git checkout -- notes.txt'
+        ],
+        run: (args, { filesystem }) => git(args, filesystem)
+    }
+];
+
+export default {
+    git
+};
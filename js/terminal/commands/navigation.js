@@ -1,31 +1,57 @@
 /**
  * Navigation Commands for Portfolio Terminal
- * Implements pwd, cd, and ls with Unix-like behavior
+ * Implements pwd, cd, ls and tree with Unix-like behavior
  */
 
-import { CommandResult } from '../parser.js';
+import { CommandResult, escapeHtml } from '../parser.js';
 
 /**
  * pwd - Print working directory
+ * @param {string[]} args - Command arguments (-P for the path without links)
  * @param {VirtualFilesystem} filesystem - The virtual filesystem instance
  * @returns {CommandResult} Current directory path
  */
-export function pwd(filesystem) {
-    return CommandResult.success(filesystem.pwd());
+export function pwd(args, filesystem) {
+    const physical = args.includes('-P') && !args.slice(args.lastIndexOf('-P')).includes('-L');
+
+    try {
+        return CommandResult.success(physical ? filesystem.realpath('.') : filesystem.pwd());
+    } catch (error) {
+        return CommandResult.error(`pwd: error retrieving current directory: ${error.message}`);
+    }
 }
 
 /**
  * cd - Change directory
- * @param {string[]} args - Command arguments (path)
+ * @param {string[]} args - Command arguments (path, or - for the previous directory)
  * @param {VirtualFilesystem} filesystem - The virtual filesystem instance
+ * @param {Object} executor - Command executor holding HOME, PWD and OLDPWD
  * @returns {CommandResult} Success or error result
  */
-export function cd(args, filesystem) {
-    const path = args.length > 0 ? args[0] : '~';
+export function cd(args, filesystem, executor = null) {
+    const home = executor ? executor.getVariable('HOME') : null;
+    let path = args.length > 0 ? args[0] : (home || '~');
+    let printDirectory = false;
+
+    if (path === '-') {
+        const oldPwd = executor ? executor.getVariable('OLDPWD') : null;
+        if (!oldPwd) {
+            return CommandResult.error('cd: OLDPWD not set');
+        }
+        path = oldPwd;
+        printDirectory = true;
+    }
 
     try {
-        filesystem.cd(path);
-        return CommandResult.success('');
+        const previous = filesystem.pwd();
+        const current = filesystem.cd(path);
+
+        if (executor) {
+            executor.setVariable('OLDPWD', previous);
+            executor.setVariable('PWD', current);
+        }
+
+        return CommandResult.success(printDirectory ? current : '');
     } catch (error) {
         return CommandResult.error(error.message);
     }
@@ -35,9 +61,11 @@ export function cd(args, filesystem) {
  * ls - List directory contents
  * @param {string[]} args - Command arguments (flags and path)
  * @param {VirtualFilesystem} filesystem - The virtual filesystem instance
+ * @param {boolean} toTerminal - Whether output is shown rather than piped or
+ *        captured; like ls on a pipe, plain output lists one entry per line
  * @returns {CommandResult} Formatted directory listing
  */
-export function ls(args, filesystem) {
+export function ls(args, filesystem, toTerminal = true) {
     // Parse flags and path
     let showLong = false;
     let showAll = false;
@@ -55,35 +83,29 @@ export function ls(args, filesystem) {
     }
 
     try {
-        const entries = filesystem.ls(targetPath);
+        // Like GNU ls, -l describes a link operand itself unless it ends in /
+        const followLinks = !showLong || targetPath.endsWith('/');
+        const entries = filesystem.ls(targetPath, followLinks);
 
         // Filter hidden entries if -a not specified
         let displayEntries = entries;
-        if (showAll) {
+        const listsDirectory = filesystem.isDirectory(targetPath) && (followLinks || !filesystem.isSymlink(targetPath));
+        if (showAll && listsDirectory) {
             // Add . and .. entries
             const resolvedPath = filesystem.resolvePath(targetPath);
             displayEntries = [
-                {
-                    name: '.',
-                    type: 'directory',
-                    size: entries.length,
-                    permissions: 'drwxr-xr-x',
-                    modifiedAt: new Date().toISOString()
-                },
-                {
-                    name: '..',
-                    type: 'directory',
-                    size: 0,
-                    permissions: 'drwxr-xr-x',
-                    modifiedAt: new Date().toISOString()
-                },
+                { ...filesystem.stat(resolvedPath), name: '.' },
+                { ...filesystem.stat(`${resolvedPath}/..`), name: '..' },
                 ...entries
             ];
         }
 
         // Format output
         if (showLong) {
-            return CommandResult.success(formatLongListing(displayEntries));
+            const listing = formatLongListing(displayEntries);
+            return CommandResult.success(toTerminal ? listing : stripMarkup(listing));
+        } else if (!toTerminal) {
+            return CommandResult.success(displayEntries.map(entry => entry.name).join('\n'));
         } else {
             return CommandResult.success(formatSimpleListing(displayEntries));
         }
@@ -92,6 +114,130 @@ export function ls(args, filesystem) {
     }
 }
 
+/**
+ * tree - List the contents of directories in a tree
+ * @param {string[]} args - Command arguments (flags and paths)
+ * @param {VirtualFilesystem} filesystem - The virtual filesystem instance
+ * @param {boolean} toTerminal - Whether output is shown rather than piped or
+ *        captured; only shown output colours directories
+ * @returns {CommandResult} Tree listing followed by a count of its entries
+ */
+export function tree(args, filesystem, toTerminal = true) {
+    let showAll = false;
+    let directoriesOnly = false;
+    let maxLevel = Infinity;
+    const paths = [];
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+
+        if (arg === '-L') {
+            const level = args[++i];
+            if (level === undefined) {
+                return CommandResult.error('tree: Missing argument to -L option.');
+            }
+            if (!/^\d+$/.test(level) || Number(level) < 1) {
+                return CommandResult.error('tree: Invalid level, must be greater than 0.');
+            }
+            maxLevel = Number(level);
+        } else if (arg.startsWith('-') && arg.length > 1) {
+            for (const flag of arg.substring(1)) {
+                if (flag === 'a') {
+                    showAll = true;
+                } else if (flag === 'd') {
+                    directoriesOnly = true;
+                } else {
+                    return CommandResult.error(`tree: Invalid argument -\`${flag}'.`);
+                }
+            }
+        } else {
+            paths.push(arg);
+        }
+    }
+
+    const lines = [];
+    let directories = 0;
+    let files = 0;
+    let failed = false;
+
+    // On the terminal every name is escaped markup, so that names and link
+    // targets are shown as text rather than rendered as HTML
+    const label = (name, type) => (toTerminal
+        ? `<span class="${entryClass({ type })}">${escapeHtml(name)}</span>`
+        : name);
+    const describe = (entry) => entry.type === 'symlink'
+        ? `${label(entry.name, 'symlink')} -> ${toTerminal ? escapeHtml(entry.target) : entry.target}`
+        : label(entry.name, entry.type);
+
+    const walk = (path, prefix, level) => {
+        let entries;
+        try {
+            entries = filesystem.ls(path);
+        } catch (error) {
+            // tree marks directories it cannot read on the line naming them
+            lines[lines.length - 1] += '  [error opening dir]';
+            return;
+        }
+
+        entries = entries
+            .filter(entry => showAll || !entry.name.startsWith('.'))
+            .filter(entry => !directoriesOnly || entry.type === 'directory')
+            .sort((a, b) => a.name.localeCompare(b.name));
+
+        entries.forEach((entry, index) => {
+            const last = index === entries.length - 1;
+            lines.push(`${prefix}${last ? '└── ' : '├── '}${describe(entry)}`);
+
+            // Links are listed but not followed, and count as what they point to
+            if (entry.type === 'symlink') {
+                if (filesystem.isDirectory(`${path}/${entry.name}`)) {
+                    directories++;
+                } else {
+                    files++;
+                }
+            } else if (entry.type === 'directory') {
+                directories++;
+                if (level < maxLevel) {
+                    walk(`${path}/${entry.name}`, prefix + (last ? '    ' : '│   '), level + 1);
+                }
+            } else {
+                files++;
+            }
+        });
+    };
+
+    for (const path of paths.length > 0 ? paths : ['.']) {
+        if (filesystem.isDirectory(path)) {
+            lines.push(label(path, 'directory'));
+            walk(path, '', 1);
+        } else if (filesystem.exists(path)) {
+            lines.push(label(path, 'file'));
+            files++;
+        } else {
+            lines.push(`${label(path, 'file')}  [error opening dir]`);
+            failed = true;
+        }
+    }
+
+    const count = (number, one, many) => `${number} ${number === 1 ? one : many}`;
+    const summary = count(directories, 'directory', 'directories');
+    lines.push('', directoriesOnly ? summary : `${summary}, ${count(files, 'file', 'files')}`);
+
+    const output = lines.join('\n');
+    return failed ? CommandResult.error(output, 2) : CommandResult.success(output);
+}
+
+/**
+ * Remove the span markup used to colour terminal output and undo the
+ * escaping of the text inside it
+ * @param {string} text - HTML-formatted text
+ * @returns {string} Plain text
+ */
+function stripMarkup(text) {
+    return text.replace(/<\/?span[^>]*>/g, '')
+        .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
 /**
  * Format simple directory listing (default)
  * @param {Array} entries - Directory entries
@@ -102,10 +248,7 @@ function formatSimpleListing(entries) {
         return '';
     }
 
-    const items = entries.map(entry => {
-        const cssClass = entry.type === 'directory' ? 'ls-directory' : 'ls-file';
-        return `<span class="${cssClass}">${entry.name}</span>`;
-    });
+    const items = entries.map(entry => `<span class="${entryClass(entry)}">${escapeHtml(entry.name)}</span>`);
 
     return items.join('  ');
 }
@@ -120,19 +263,38 @@ function formatLongListing(entries) {
         return '';
     }
 
+    const linkWidth = Math.max(...entries.map(entry => String(entry.links ?? 1).length));
+    const ownerWidth = Math.max(...entries.map(entry => entry.owner.length));
+    const groupWidth = Math.max(...entries.map(entry => entry.group.length));
+
     const lines = entries.map(entry => {
         const permissions = entry.permissions || (entry.type === 'directory' ? 'drwxr-xr-x' : '-rw-r--r--');
+        const links = String(entry.links ?? 1).padStart(linkWidth);
+        const owner = escapeHtml(entry.owner.padEnd(ownerWidth));
+        const group = escapeHtml(entry.group.padEnd(groupWidth));
         const size = formatSize(entry.size);
         const date = formatDate(entry.modifiedAt);
-        const cssClass = entry.type === 'directory' ? 'ls-directory' : 'ls-file';
+        const target = entry.type === 'symlink' ? ` -> ${escapeHtml(entry.target)}` : '';
 
-        // Format: permissions  links  user  group  size  date  name
-        return `<span class="ls-permissions">${permissions}</span>  1  user  user  <span class="ls-size">${size}</span>  <span class="ls-date">${date}</span>  <span class="${cssClass}">${entry.name}</span>`;
+        // Format: permissions  links  owner  group  size  date  name[ -> target]
+        return `<span class="ls-permissions">${permissions}</span>  ${links}  ${owner}  ${group}  <span class="ls-size">${size}</span>  <span class="ls-date">${date}</span>  <span class="${entryClass(entry)}">${escapeHtml(entry.name)}</span>${target}`;
     });
 
     return lines.join('\n');
 }
 
+/**
+ * CSS class that colours an entry's name
+ * @param {Object} entry - Directory entry
+ * @returns {string} ls-directory, ls-symlink or ls-file
+ */
+function entryClass(entry) {
+    if (entry.type === 'directory') {
+        return 'ls-directory';
+    }
+    return entry.type === 'symlink' ? 'ls-symlink' : 'ls-file';
+}
+
 /**
  * Format file size for display
  * @param {number} bytes - Size in bytes
@@ -168,3 +330,57 @@ function formatDate(isoDate) {
 
     return `${month} ${day} ${hours}:${minutes}`;
 }
+
+/**
+ * Command definitions registered by the executor
+ */
+export const commands = [
+    {
+        name: 'pwd',
+        category: 'navigation',
+        summary: 'Print working directory',
+        usage: 'pwd [-LP]',
+        description: 'Print the full path of the current directory, as reached through any symbolic links.',
+        flags: [
+            '-L    Print the path as reached, with symbolic links (default)',
+            '-P    Print the path with every symbolic link resolved'
+        ],
+        run: (args, { filesystem }) => pwd(args, filesystem)
+    },
+    {
+        name: 'cd',
+        category: 'navigation',
+        summary: 'Change directory',
+        usage: 'cd [DIR]',
+        description: 'Change the current directory to DIR, or to $HOME without arguments. "cd -" returns to $OLDPWD and prints it.',
+        examples: ['cd ~/cyberops', 'cd ..', 'cd -'],
+        run: (args, { filesystem, executor }) => cd(args, filesystem, executor)
+    },
+    {
+        name: 'ls',
+        category: 'navigation',
+        summary: 'List directory contents',
+        usage: 'ls [-la] [PATH]',
+        description: 'List the entries of PATH, or of the current directory. Hidden entries, whose names start with a dot, are only shown with -a. The long format shows the number of links to each entry and where symbolic links point.',
+        flags: [
+            '-l    Use a long listing format',
+            '-a    Show hidden entries, including . and ..'
+        ],
+        examples: ['ls', 'ls -la ~', 'ls ~/cyberops | wc -l'],
+        run: (args, { filesystem, toTerminal }) => ls(args, filesystem, toTerminal)
+    },
+    {
+        name: 'tree',
+        category: 'navigation',
+        summary: 'Display directory tree',
+        usage: 'tree [-ad] [-L LEVEL] [DIR...]',
+        description: 'List the contents of each DIR, or of the current directory, as a tree, followed by the number of directories and files listed. Symbolic links are shown with their targets and not followed.',
+        flags: [
+            '-a          Show hidden entries',
+            '-d          List directories only',
+            '-L LEVEL    Descend at most LEVEL directories deep'
+        ],
+        examples: ['tree', 'tree -L 1 ~', 'tree -d /'],
+        run: (args, { filesystem, toTerminal }) => tree(args, filesystem, toTerminal)
+    }
+];
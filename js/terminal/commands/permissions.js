@@ -0,0 +1,458 @@
+/**
+ * Permission Commands for Portfolio Terminal
+ * Implements chmod, chown, chgrp, umask and id on the virtual filesystem's
+ * mode bits, owners and groups
+ */
+
+import { CommandResult } from '../parser.js';
+
+// Bits that each "who" letter of a symbolic mode refers to
+const WHO_BITS = {
+    u: 0o4700,
+    g: 0o2070,
+    o: 0o1007,
+    a: 0o7777
+};
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Apply a symbolic mode such as u+x,go-w or a=r to mode bits
+ * @param {number} mode - Current mode bits
+ * @param {string} spec - Comma-separated symbolic mode clauses
+ * @param {boolean} isDirectory - Whether X adds execute permission anyway
+ * @param {number} umask - Bits left alone by clauses without u, g, o or a
+ * @returns {number|null} New mode bits, or null if spec is invalid
+ */
+export function applySymbolicMode(mode, spec, isDirectory = false, umask = 0) {
+    for (const clause of spec.split(',')) {
+        const match = clause.match(/^([ugoa]*)((?:[-+=](?:[ugo]|[rwxXst]*))+)$/);
+        if (!match) {
+            return null;
+        }
+
+        const who = match[1];
+        const whoMask = who === ''
+            ? WHO_BITS.a
+            : [...who].reduce((mask, letter) => mask | WHO_BITS[letter], 0);
+        // Without u, g, o or a the umask limits what is changed
+        const changeMask = who === '' ? WHO_BITS.a & ~umask : whoMask;
+
+        for (const [, operator, perms] of match[2].matchAll(/([-+=])([ugo]|[rwxXst]*)/g)) {
+            let bits = 0;
+
+            if (/^[ugo]$/.test(perms)) {
+                // Copy the permissions of one class to the others
+                const shift = { u: 6, g: 3, o: 0 }[perms];
+                bits = ((mode >> shift) & 7) * 0o111;
+            } else {
+                for (const letter of perms) {
+                    if (letter === 'r') bits |= 0o444;
+                    if (letter === 'w') bits |= 0o222;
+                    if (letter === 'x') bits |= 0o111;
+                    if (letter === 'X' && (isDirectory || (mode & 0o111))) bits |= 0o111;
+                    if (letter === 's') bits |= 0o6000;
+                    if (letter === 't') bits |= 0o1000;
+                }
+            }
+
+            bits &= changeMask;
+            if (operator === '+') {
+                mode |= bits;
+            } else if (operator === '-') {
+                mode &= ~bits;
+            } else {
+                mode = (mode & ~whoMask) | bits;
+            }
+        }
+    }
+
+    return mode;
+}
+
+/**
+ * Visit a path and, if recursive, everything below it
+ * @param {VirtualFilesystem} filesystem - Filesystem instance
+ * @param {string} path - Starting path
+ * @param {boolean} recursive - Whether to descend into directories
+ * @param {Function} visit - Called with each path
+ */
+function walk(filesystem, path, recursive, visit) {
+    visit(path);
+    if (!recursive || !filesystem.isDirectory(path)) {
+        return;
+    }
+
+    let entries = [];
+    try {
+        entries = filesystem.ls(path);
+    } catch (error) {
+        // An unreadable directory changes but is not descended into
+    }
+    // Links met on the way are skipped rather than followed
+    for (const entry of entries.filter(entry => entry.type !== 'symlink')) {
+        walk(filesystem, path.endsWith('/') ? `${path}${entry.name}` : `${path}/${entry.name}`, true, visit);
+    }
+}
+
+/**
+ * Split -R from the other arguments
+ * @param {string[]} args - Command arguments
+ * @param {string} command - Command name for error messages
+ * @returns {{recursive: boolean, operands: string[]}|{error: CommandResult}}
+ */
+function parseRecursive(args, command) {
+    let recursive = false;
+    const operands = [];
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--') {
+            operands.push(...args.slice(i + 1));
+            break;
+        } else if (arg === '-R' || arg === '--recursive') {
+            recursive = true;
+        } else if (arg.startsWith('-') && operands.length === 0 && !/^-[rwxXst]+$/.test(arg)) {
+            // chmod -x FILE removes execute permission rather than being an option
+            return { error: CommandResult.error(`${command}: invalid option -- '${arg.replace(/^-+/, '')}'`, 2) };
+        } else {
+            operands.push(arg);
+        }
+    }
+
+    return { recursive, operands };
+}
+
+/**
+ * Look up a user name or numeric user ID
+ * @param {VirtualFilesystem} filesystem - Filesystem holding /etc/passwd
+ * @param {string} name - User name or number
+ * @returns {Object|null} {uid, gid} of the user, or null if unknown
+ */
+function resolveUser(filesystem, name) {
+    if (/^\d+$/.test(name)) {
+        const user = filesystem.findUser(Number(name));
+        return { uid: Number(name), gid: user ? user.gid : null };
+    }
+    return filesystem.findUser(name);
+}
+
+/**
+ * Look up a group name or numeric group ID
+ * @param {VirtualFilesystem} filesystem - Filesystem holding /etc/group
+ * @param {string} name - Group name or number
+ * @returns {number|null} Group ID, or null if unknown
+ */
+function resolveGroup(filesystem, name) {
+    if (/^\d+$/.test(name)) {
+        return Number(name);
+    }
+    const group = filesystem.findGroup(name);
+    return group ? group.gid : null;
+}
+
+/**
+ * Change the owner and group of each operand, reporting failures per path
+ * @param {string} command - Command name for error messages
+ * @param {VirtualFilesystem} filesystem - Filesystem instance
+ * @param {string[]} paths - Paths to change
+ * @param {boolean} recursive - Whether to descend into directories
+ * @param {number|null} uid - New owner, or null to keep it
+ * @param {number|null} gid - New group, or null to keep it
+ * @returns {CommandResult}
+ */
+function changeOwnership(command, filesystem, paths, recursive, uid, gid) {
+    const errors = [];
+
+    for (const path of paths) {
+        walk(filesystem, path, recursive, current => {
+            try {
+                filesystem.chown(current, uid, gid);
+            } catch (error) {
+                errors.push(`${command}: ${error.message}`);
+            }
+        });
+    }
+
+    return errors.length > 0 ? CommandResult.error(errors.join('\n')) : CommandResult.success('');
+}
+
+// ============================================================================
+// Commands
+// ============================================================================
+
+/**
+ * chmod - Change file mode bits
+ * @param {string[]} args - Command arguments
+ * @param {VirtualFilesystem} filesystem - Filesystem instance
+ * @returns {CommandResult}
+ */
+export function chmod(args, filesystem) {
+    const parsed = parseRecursive(args, 'chmod');
+    if (parsed.error) {
+        return parsed.error;
+    }
+
+    const [spec, ...paths] = parsed.operands;
+    if (spec === undefined) {
+        return CommandResult.error('chmod: missing operand');
+    }
+    if (paths.length === 0) {
+        return CommandResult.error(`chmod: missing operand after '${spec}'`);
+    }
+
+    const octal = /^[0-7]{1,4}$/.test(spec);
+    if (!octal && applySymbolicMode(0, spec) === null) {
+        return CommandResult.error(`chmod: invalid mode: '${spec}'`);
+    }
+
+    const errors = [];
+    for (const path of paths) {
+        walk(filesystem, path, parsed.recursive, current => {
+            try {
+                const info = filesystem.stat(current);
+                const mode = octal
+                    ? parseInt(spec, 8)
+                    : applySymbolicMode(info.mode, spec, info.type === 'directory', filesystem.umask);
+                filesystem.chmod(current, mode);
+            } catch (error) {
+                errors.push(`chmod: ${error.message.replace(/^stat: /, '')}`);
+            }
+        });
+    }
+
+    return errors.length > 0 ? CommandResult.error(errors.join('\n')) : CommandResult.success('');
+}
+
+/**
+ * chown - Change file owner and group
+ * @param {string[]} args - Command arguments
+ * @param {VirtualFilesystem} filesystem - Filesystem instance
+ * @returns {CommandResult}
+ */
+export function chown(args, filesystem) {
+    const parsed = parseRecursive(args, 'chown');
+    if (parsed.error) {
+        return parsed.error;
+    }
+
+    const [spec, ...paths] = parsed.operands;
+    if (spec === undefined) {
+        return CommandResult.error('chown: missing operand');
+    }
+    if (paths.length === 0) {
+        return CommandResult.error(`chown: missing operand after '${spec}'`);
+    }
+
+    // OWNER, OWNER:GROUP, OWNER: (the owner's login group) or :GROUP
+    const separator = spec.indexOf(':');
+    const ownerName = separator === -1 ? spec : spec.substring(0, separator);
+    const groupName = separator === -1 ? '' : spec.substring(separator + 1);
+
+    let uid = null;
+    let gid = null;
+
+    if (ownerName !== '') {
+        const user = resolveUser(filesystem, ownerName);
+        if (!user) {
+            return CommandResult.error(`chown: invalid user: '${spec}'`);
+        }
+        uid = user.uid;
+        if (separator !== -1 && groupName === '') {
+            gid = user.gid;
+        }
+    }
+    if (groupName !== '') {
+        gid = resolveGroup(filesystem, groupName);
+        if (gid === null) {
+            return CommandResult.error(`chown: invalid group: '${spec}'`);
+        }
+    }
+
+    return changeOwnership('chown', filesystem, paths, parsed.recursive, uid, gid);
+}
+
+/**
+ * chgrp - Change group ownership
+ * @param {string[]} args - Command arguments
+ * @param {VirtualFilesystem} filesystem - Filesystem instance
+ * @returns {CommandResult}
+ */
+export function chgrp(args, filesystem) {
+    const parsed = parseRecursive(args, 'chgrp');
+    if (parsed.error) {
+        return parsed.error;
+    }
+
+    const [group, ...paths] = parsed.operands;
+    if (group === undefined) {
+        return CommandResult.error('chgrp: missing operand');
+    }
+    if (paths.length === 0) {
+        return CommandResult.error(`chgrp: missing operand after '${group}'`);
+    }
+
+    const gid = resolveGroup(filesystem, group);
+    if (gid === null) {
+        return CommandResult.error(`chgrp: invalid group: '${group}'`);
+    }
+
+    return changeOwnership('chgrp', filesystem, paths, parsed.recursive, null, gid);
+}
+
+/**
+ * umask - Show or set the mask applied to the mode of new files
+ * @param {string[]} args - Command arguments ([-S] [MODE])
+ * @param {VirtualFilesystem} filesystem - Filesystem holding the umask
+ * @returns {CommandResult}
+ */
+export function umask(args, filesystem) {
+    const symbolic = args[0] === '-S';
+    const mode = symbolic ? args[1] : args[0];
+
+    if (mode === undefined) {
+        if (!symbolic) {
+            return CommandResult.success(filesystem.umask.toString(8).padStart(4, '0'));
+        }
+
+        const allowed = ~filesystem.umask & 0o777;
+        const classes = ['u', 'g', 'o'].map((who, index) => {
+            const bits = (allowed >> (6 - index * 3)) & 7;
+            return `${who}=${bits & 4 ? 'r' : ''}${bits & 2 ? 'w' : ''}${bits & 1 ? 'x' : ''}`;
+        });
+        return CommandResult.success(classes.join(','));
+    }
+
+    if (/^\d+$/.test(mode)) {
+        if (!/^[0-7]+$/.test(mode) || parseInt(mode, 8) > 0o777) {
+            return CommandResult.error(`umask: ${mode}: octal number out of range`);
+        }
+        filesystem.umask = parseInt(mode, 8);
+        return CommandResult.success('');
+    }
+
+    // A symbolic umask describes the permissions to keep
+    const allowed = applySymbolicMode(~filesystem.umask & 0o777, mode, true);
+    if (allowed === null) {
+        return CommandResult.error(`umask: ${mode}: invalid symbolic mode operator`);
+    }
+    filesystem.umask = ~allowed & 0o777;
+    return CommandResult.success('');
+}
+
+/**
+ * id - Print user and group IDs
+ * @param {string[]} args - Command arguments ([-u|-g|-G] [-n] [USER])
+ * @param {VirtualFilesystem} filesystem - Filesystem holding /etc/passwd and /etc/group
+ * @returns {CommandResult}
+ */
+export function id(args, filesystem) {
+    const flags = args.filter(arg => arg.startsWith('-')).join('').replace(/-/g, '');
+    const names = args.filter(arg => !arg.startsWith('-'));
+
+    const unknown = [...flags].find(flag => !'ugGn'.includes(flag));
+    if (unknown) {
+        return CommandResult.error(`id: invalid option -- '${unknown}'`, 2);
+    }
+
+    let user = { name: filesystem.userName(filesystem.uid), uid: filesystem.uid, gid: filesystem.gid };
+    let groups = filesystem.userGroups();
+
+    if (names.length > 0) {
+        user = filesystem.findUser(names[0]);
+        if (!user) {
+            return CommandResult.error(`id: '${names[0]}': no such user`);
+        }
+        groups = [user.gid, ...filesystem.groups()
+            .filter(group => group.members.includes(user.name) && group.gid !== user.gid)
+            .map(group => group.gid)];
+    }
+
+    const byName = flags.includes('n');
+    if (flags.includes('u')) {
+        return CommandResult.success(byName ? user.name : String(user.uid));
+    }
+    if (flags.includes('g')) {
+        return CommandResult.success(byName ? filesystem.groupName(user.gid) : String(user.gid));
+    }
+    if (flags.includes('G')) {
+        return CommandResult.success(groups.map(gid => byName ? filesystem.groupName(gid) : gid).join(' '));
+    }
+
+    const groupList = groups.map(gid => `${gid}(${filesystem.groupName(gid)})`).join(',');
+    return CommandResult.success(
+        `uid=${user.uid}(${user.name}) gid=${user.gid}(${filesystem.groupName(user.gid)}) groups=${groupList}`
+    );
+}
+
+// ============================================================================
+// Command Definitions
+// ============================================================================
+
+export const commands = [
+    {
+        name: 'chmod',
+        category: 'files',
+        summary: 'Change file permissions',
+        usage: 'chmod [-R] MODE FILE...',
+        description: 'Set the mode of each FILE to MODE: an octal number such as 755, or symbolic clauses such as u+x, go-w or a=r separated by commas. Only the owner of a file and root may change its mode.',
+        flags: ['-R, --recursive    Change directories and their contents'],
+        examples: ['chmod +x script.sh', 'chmod 600 notes.txt', 'chmod -R go-rwx private'],
+        run: (args, { filesystem }) => chmod(args, filesystem)
+    },
+    {
+        name: 'chown',
+        category: 'files',
+        summary: 'Change file owner and group',
+        usage: 'chown [-R] OWNER[:[GROUP]] FILE...\n    chown [-R] :GROUP FILE...',
+        description: 'Change the owner and/or group of each FILE. OWNER: sets the group to the owner\'s login group. Only root may change the owner.',
+        flags: ['-R, --recursive    Change directories and their contents'],
+        examples: ['chown root:root file', 'chown :users notes.txt'],
+        run: (args, { filesystem }) => chown(args, filesystem)
+    },
+    {
+        name: 'chgrp',
+        category: 'files',
+        summary: 'Change group ownership',
+        usage: 'chgrp [-R] GROUP FILE...',
+        description: 'Change the group of each FILE to GROUP. The owner of a file may choose any group they belong to.',
+        flags: ['-R, --recursive    Change directories and their contents'],
+        examples: ['chgrp users notes.txt'],
+        run: (args, { filesystem }) => chgrp(args, filesystem)
+    },
+    {
+        name: 'umask',
+        category: 'utility',
+        summary: 'Set the file creation mask',
+        usage: 'umask [-S] [MODE]',
+        description: 'Print the mask of permissions removed from new files and directories, or set it to MODE, given in octal or as symbolic permissions to keep.',
+        flags: ['-S    Print the mask as symbolic permissions'],
+        examples: ['umask', 'umask 077', 'umask -S'],
+        run: (args, { filesystem }) => umask(args, filesystem)
+    },
+    {
+        name: 'id',
+        category: 'utility',
+        summary: 'Print user and group IDs',
+        usage: 'id [-u|-g|-G] [-n] [USER]',
+        description: 'Print the user ID, primary group and groups of USER, or of the current user.',
+        flags: [
+            '-u    Print only the user ID',
+            '-g    Print only the primary group ID',
+            '-G    Print all group IDs',
+            '-n    Print names instead of numbers'
+        ],
+        examples: ['id', 'id -un', 'id root'],
+        run: (args, { filesystem }) => id(args, filesystem)
+    }
+];
+
+export default {
+    chmod,
+    chown,
+    chgrp,
+    umask,
+    id
+};
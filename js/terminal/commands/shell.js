@@ -0,0 +1,555 @@
+/**
+ * Shell Scripting Commands for Portfolio Terminal
+ * Implements sh/bash and source/. for running scripts from the virtual filesystem,
+ * test/[ for conditions, and the builtins that steer loops, functions and scripts
+ */
+
+import { CommandResult } from '../parser.js';
+import { isValidVariableName } from './utility.js';
+import { exit as farewell } from './easter.js';
+
+/**
+ * sh - Run a script in a subshell
+ * @param {string[]} args - Script path followed by its arguments
+ * @param {Object} executor - Command executor that runs the script
+ * @returns {Promise<CommandResult>}
+ */
+export function sh(args, executor) {
+    if (args.length === 0) {
+        return CommandResult.error('sh: interactive subshells are not supported\nUsage: sh SCRIPT [ARGS...]', 2);
+    }
+
+    return executor.runScript(args[0], args.slice(1), true);
+}
+
+/**
+ * source - Run a script in the current shell
+ * @param {string[]} args - Script path followed by its arguments
+ * @param {Object} executor - Command executor that runs the script
+ * @returns {Promise<CommandResult>}
+ */
+export function source(args, executor) {
+    if (args.length === 0) {
+        return CommandResult.error('source: filename argument required\nUsage: source FILE [ARGS...]', 2);
+    }
+
+    return executor.runScript(args[0], args.slice(1), false);
+}
+
+// ============================================================================
+// test / [
+// ============================================================================
+
+/**
+ * Unary tests: file tests against the virtual filesystem and string tests
+ */
+const UNARY_TESTS = {
+    '-e': (operand, filesystem) => filesystem.exists(operand),
+    '-f': (operand, filesystem) => filesystem.isFile(operand),
+    '-d': (operand, filesystem) => filesystem.isDirectory(operand),
+    '-h': (operand, filesystem) => filesystem.isSymlink(operand),
+    '-L': (operand, filesystem) => filesystem.isSymlink(operand),
+    '-s': (operand, filesystem) => filesystem.isFile(operand) && filesystem.readFile(operand).length > 0,
+    '-r': (operand, filesystem) => filesystem.canAccess(operand, 'r'),
+    '-w': (operand, filesystem) => filesystem.canAccess(operand, 'w'),
+    '-x': (operand, filesystem) => filesystem.canAccess(operand, 'x'),
+    '-z': (operand) => operand.length === 0,
+    '-n': (operand) => operand.length > 0
+};
+
+/**
+ * Parse an integer operand of a numeric comparison
+ * @param {string} value - Operand
+ * @returns {number}
+ * @throws {Error} If the operand is not an integer
+ */
+function toInteger(value) {
+    if (!/^\s*[-+]?\d+\s*$/.test(value)) {
+        throw new Error(`${value}: integer expression expected`);
+    }
+    return parseInt(value, 10);
+}
+
+/**
+ * Binary tests: string and integer comparisons
+ */
+const BINARY_TESTS = {
+    '=': (left, right) => left === right,
+    '==': (left, right) => left === right,
+    '!=': (left, right) => left !== right,
+    '<': (left, right) => left < right,
+    '>': (left, right) => left > right,
+    '-eq': (left, right) => toInteger(left) === toInteger(right),
+    '-ne': (left, right) => toInteger(left) !== toInteger(right),
+    '-lt': (left, right) => toInteger(left) < toInteger(right),
+    '-le': (left, right) => toInteger(left) <= toInteger(right),
+    '-gt': (left, right) => toInteger(left) > toInteger(right),
+    '-ge': (left, right) => toInteger(left) >= toInteger(right)
+};
+
+/**
+ * Evaluate a test expression: primaries combined with !, -a, -o and parentheses
+ * @param {string[]} args - Expression words
+ * @param {Object} filesystem - Virtual filesystem for file tests
+ * @returns {boolean}
+ * @throws {Error} If the expression is malformed
+ */
+function evaluateTest(args, filesystem) {
+    let position = 0;
+
+    const parsePrimary = () => {
+        if (position >= args.length) {
+            throw new Error('argument expected');
+        }
+
+        const token = args[position];
+
+        if (BINARY_TESTS[args[position + 1]] && position + 2 < args.length) {
+            position += 3;
+            return BINARY_TESTS[args[position - 2]](token, args[position - 1]);
+        }
+
+        if (token === '(' && position + 1 < args.length) {
+            position++;
+            const value = parseOr();
+            if (args[position] !== ')') {
+                throw new Error("`)' expected");
+            }
+            position++;
+            return value;
+        }
+
+        if (UNARY_TESTS[token] && position + 1 < args.length) {
+            position += 2;
+            return UNARY_TESTS[token](args[position - 1], filesystem);
+        }
+
+        // A lone word is true if it is not empty
+        position++;
+        return token.length > 0;
+    };
+
+    const parseNot = () => {
+        if (args[position] === '!' && position + 1 < args.length) {
+            position++;
+            return !parseNot();
+        }
+        return parsePrimary();
+    };
+
+    const parseAnd = () => {
+        let value = parseNot();
+        while (args[position] === '-a') {
+            position++;
+            value = parseNot() && value;
+        }
+        return value;
+    };
+
+    const parseOr = () => {
+        let value = parseAnd();
+        while (args[position] === '-o') {
+            position++;
+            value = parseAnd() || value;
+        }
+        return value;
+    };
+
+    if (args.length === 0) {
+        return false;
+    }
+
+    const result = parseOr();
+    if (position < args.length) {
+        throw new Error('too many arguments');
+    }
+    return result;
+}
+
+/**
+ * test - Evaluate a conditional expression
+ * @param {string[]} args - Expression words
+ * @param {Object} filesystem - Virtual filesystem for file tests
+ * @returns {CommandResult} Exit code 0 if true, 1 if false, 2 on error
+ */
+export function test(args, filesystem) {
+    try {
+        return evaluateTest(args, filesystem) ? CommandResult.success('') : CommandResult.error('', 1);
+    } catch (error) {
+        return CommandResult.error(`test: ${error.message}`, 2);
+    }
+}
+
+/**
+ * [ - Evaluate a conditional expression closed by ]
+ * @param {string[]} args - Expression words followed by ]
+ * @param {Object} filesystem - Virtual filesystem for file tests
+ * @returns {CommandResult} Exit code 0 if true, 1 if false, 2 on error
+ */
+export function bracket(args, filesystem) {
+    if (args[args.length - 1] !== ']') {
+        return CommandResult.error("[: missing `]'", 2);
+    }
+
+    try {
+        return evaluateTest(args.slice(0, -1), filesystem) ? CommandResult.success('') : CommandResult.error('', 1);
+    } catch (error) {
+        return CommandResult.error(`[: ${error.message}`, 2);
+    }
+}
+
+/**
+ * true - Do nothing, successfully
+ * @returns {CommandResult}
+ */
+export function trueCommand() {
+    return CommandResult.success('');
+}
+
+/**
+ * false - Do nothing, unsuccessfully
+ * @returns {CommandResult}
+ */
+export function falseCommand() {
+    return CommandResult.error('', 1);
+}
+
+// ============================================================================
+// Control Flow
+// ============================================================================
+
+/**
+ * Build a result that tells the executor to leave a loop, function or script
+ * @param {Object} control - {type, levels} for break/continue, {type} otherwise
+ * @param {number} exitCode - Exit status to leave with
+ * @returns {CommandResult}
+ */
+function controlResult(control, exitCode = 0) {
+    const result = new CommandResult('', exitCode === 0, exitCode);
+    result.control = control;
+    return result;
+}
+
+/**
+ * Parse the optional status argument of return and exit
+ * @param {string} name - Builtin name, for errors
+ * @param {string[]} args - Arguments
+ * @param {Object} executor - Command executor, for the last exit code
+ * @returns {{exitCode: number, error: CommandResult|null}}
+ */
+function parseStatus(name, args, executor) {
+    if (args.length === 0) {
+        return { exitCode: executor.lastExitCode, error: null };
+    }
+    if (!/^[-+]?\d+$/.test(args[0])) {
+        return { exitCode: 2, error: CommandResult.error(`${name}: ${args[0]}: numeric argument required`, 2) };
+    }
+    // Exit statuses wrap to 0-255, like bash
+    return { exitCode: ((parseInt(args[0], 10) % 256) + 256) % 256, error: null };
+}
+
+/**
+ * Shared implementation of break and continue
+ * @param {string} type - 'break' or 'continue'
+ * @param {string[]} args - Optional number of loops to leave
+ * @param {Object} executor - Command executor
+ * @returns {CommandResult}
+ */
+function loopControl(type, args, executor) {
+    const levels = args.length > 0 ? Number(args[0]) : 1;
+    if (!Number.isInteger(levels) || levels < 1) {
+        return CommandResult.error(`${type}: ${args[0]}: loop count out of range`, 1);
+    }
+
+    if (executor.loopDepth === 0) {
+        return CommandResult.success(`${type}: only meaningful in a \`for', \`while', or \`until' loop`);
+    }
+
+    return controlResult({ type, levels: Math.min(levels, executor.loopDepth) });
+}
+
+/**
+ * break - Leave the innermost loop, or N enclosing loops
+ * @param {string[]} args - Optional loop count
+ * @param {Object} executor - Command executor
+ * @returns {CommandResult}
+ */
+export function breakCommand(args, executor) {
+    return loopControl('break', args, executor);
+}
+
+/**
+ * continue - Start the next iteration of the innermost loop, or of the Nth enclosing loop
+ * @param {string[]} args - Optional loop count
+ * @param {Object} executor - Command executor
+ * @returns {CommandResult}
+ */
+export function continueCommand(args, executor) {
+    return loopControl('continue', args, executor);
+}
+
+/**
+ * return - Leave a function or sourced script
+ * @param {string[]} args - Optional exit status
+ * @param {Object} executor - Command executor
+ * @returns {CommandResult}
+ */
+export function returnCommand(args, executor) {
+    if (!executor.canReturn()) {
+        return CommandResult.error("return: can only `return' from a function or sourced script", 1);
+    }
+
+    const { exitCode, error } = parseStatus('return', args, executor);
+    return controlResult({ type: 'return' }, error ? error.exitCode : exitCode);
+}
+
+/**
+ * exit - Leave a script or subshell
+ * @param {string[]} args - Optional exit status
+ * @param {Object} executor - Command executor
+ * @returns {CommandResult}
+ */
+export function exitCommand(args, executor) {
+    const { exitCode, error } = parseStatus('exit', args, executor);
+    const result = controlResult({ type: 'exit' }, exitCode);
+    if (error) {
+        result.output = error.output;
+    }
+    return result;
+}
+
+/**
+ * shift - Drop the first N positional parameters
+ * @param {string[]} args - Optional count (default 1)
+ * @param {Object} executor - Command executor
+ * @returns {CommandResult}
+ */
+export function shift(args, executor) {
+    const count = args.length > 0 ? Number(args[0]) : 1;
+    if (!Number.isInteger(count) || count < 0) {
+        return CommandResult.error(`shift: ${args[0]}: numeric argument required`, 1);
+    }
+
+    const parameters = executor.getPositionalParameters();
+    if (count > parameters.length) {
+        return CommandResult.error('', 1);
+    }
+
+    executor.setPositionalParameters(parameters.slice(count));
+    return CommandResult.success('');
+}
+
+/**
+ * local - Declare variables that only last until the function returns
+ * @param {string[]} args - NAME or NAME=value pairs
+ * @param {Object} executor - Command executor
+ * @returns {CommandResult}
+ */
+export function local(args, executor) {
+    const errors = [];
+
+    for (const arg of args) {
+        const separator = arg.indexOf('=');
+        const name = separator === -1 ? arg : arg.substring(0, separator);
+        const value = separator === -1 ? undefined : arg.substring(separator + 1);
+
+        if (!isValidVariableName(name)) {
+            errors.push(`local: \`${arg}': not a valid identifier`);
+            continue;
+        }
+
+        if (!executor.setLocalVariable(name, value)) {
+            return CommandResult.error('local: can only be used in a function', 1);
+        }
+    }
+
+    if (errors.length > 0) {
+        return CommandResult.error(errors.join('\n'), 1);
+    }
+
+    return CommandResult.success('');
+}
+
+// ============================================================================
+// Command Definitions
+// ============================================================================
+
+const shCommand = {
+    name: 'sh',
+    category: 'scripting',
+    summary: 'Run a shell script',
+    usage: 'sh SCRIPT [ARGS...]',
+    description: 'Run SCRIPT in a subshell, so variables, functions, aliases and directory changes made by the script do not affect the current shell. ARGS are available to the script as $1 to $9, $@ and $#. The whole script is parsed before it runs, and errors are reported with the script name and line number. Scripts that start with #!/bin/sh or #!/bin/bash can also be run directly as ./SCRIPT.',
+    examples: [
+        'sh ~/setup.sh',
+        'bash /tmp/demo.sh',
+        './demo.sh'
+    ],
+    run: (args, { executor }) => sh(args, executor)
+};
+
+const sourceCommand = {
+    name: 'source',
+    category: 'scripting',
+    summary: 'Run a script in the current shell',
+    usage: 'source FILE [ARGS...]',
+    description: 'Run the commands in FILE in the current shell, so variables, aliases and directory changes stay in effect afterwards. ~/.bashrc is sourced this way when the terminal starts.',
+    examples: [
+        'source ~/.bashrc',
+        '. ~/aliases.sh'
+    ],
+    run: (args, { executor }) => source(args, executor)
+};
+
+const testCommand = {
+    name: 'test',
+    category: 'scripting',
+    summary: 'Evaluate a condition',
+    usage: 'test EXPRESSION\n    [ EXPRESSION ]',
+    description: 'Evaluate EXPRESSION and exit with status 0 if it is true, 1 if it is false, or 2 if it is malformed. Used as the condition of if and while. Expressions can be negated with ! and combined with -a (and), -o (or) and parentheses. A lone STRING is true if it is not empty.',
+    flags: [
+        '-e FILE    FILE exists',
+        '-f FILE    FILE is a regular file',
+        '-d FILE    FILE is a directory',
+        '-L FILE    FILE is a symbolic link (also -h)',
+        '-s FILE    FILE is a file and is not empty',
+        '-r FILE    FILE exists and is readable',
+        '-w FILE    FILE exists and is writable',
+        '-x FILE    FILE exists and is executable',
+        '-z STRING    STRING is empty',
+        '-n STRING    STRING is not empty',
+        'S1 = S2    The strings are equal (also ==)',
+        'S1 != S2    The strings differ',
+        '-eq, -ne, -lt, -le, -gt, -ge    Compare two integers'
+    ],
+    examples: [
+        'test -f ~/.bashrc && echo found',
+        'if [ -d ~/cyberops ]; then ls ~/cyberops; fi',
+        '[ "$USER" = user ] && echo hi',
+        'i=0; while [ $i -lt 3 ]; do echo $i; i=$((i + 1)); done'
+    ],
+    run: (args, { filesystem }) => test(args, filesystem)
+};
+
+export const commands = [
+    shCommand,
+    { ...shCommand, name: 'bash', usage: 'bash SCRIPT [ARGS...]' },
+    sourceCommand,
+    { ...sourceCommand, name: '.', usage: '. FILE [ARGS...]' },
+    testCommand,
+    { ...testCommand, name: '[', run: (args, { filesystem }) => bracket(args, filesystem) },
+    {
+        name: 'true',
+        category: 'scripting',
+        summary: 'Return a successful status',
+        usage: 'true',
+        description: 'Do nothing and exit with status 0.',
+        examples: [
+            'while true; do echo once; break; done'
+        ],
+        run: () => trueCommand()
+    },
+    {
+        name: ':',
+        category: 'scripting',
+        summary: 'Do nothing',
+        usage: ': [ARGS...]',
+        description: 'Do nothing with ARGS, which are still expanded, and exit with status 0.',
+        examples: [
+            'while :; do echo once; break; done'
+        ],
+        run: () => trueCommand()
+    },
+    {
+        name: 'false',
+        category: 'scripting',
+        summary: 'Return an unsuccessful status',
+        usage: 'false',
+        description: 'Do nothing and exit with status 1.',
+        examples: [
+            'false || echo failed'
+        ],
+        run: () => falseCommand()
+    },
+    {
+        name: 'break',
+        category: 'scripting',
+        summary: 'Leave a loop',
+        usage: 'break [N]',
+        description: 'Leave the innermost for, while or until loop, or the N innermost loops.',
+        examples: [
+            'for i in 1 2 3; do [ $i = 2 ] && break; echo $i; done'
+        ],
+        run: (args, { executor }) => breakCommand(args, executor)
+    },
+    {
+        name: 'continue',
+        category: 'scripting',
+        summary: 'Skip to the next loop iteration',
+        usage: 'continue [N]',
+        description: 'Skip the rest of the current loop iteration and start the next one, in the Nth enclosing loop if N is given.',
+        examples: [
+            'for i in 1 2 3; do [ $i = 2 ] && continue; echo $i; done'
+        ],
+        run: (args, { executor }) => continueCommand(args, executor)
+    },
+    {
+        name: 'return',
+        category: 'scripting',
+        summary: 'Return from a function or sourced script',
+        usage: 'return [N]',
+        description: 'Return from a function or sourced script with status N, or with the status of the last command.',
+        examples: [
+            'is_dir() { [ -d "$1" ]; return; }'
+        ],
+        run: (args, { executor }) => returnCommand(args, executor)
+    },
+    {
+        name: 'exit',
+        category: 'scripting',
+        summary: 'Exit a script or subshell',
+        usage: 'exit [N]',
+        description: 'Stop a script or subshell with status N, or with the status of the last command.',
+        examples: [
+            '[ -f "$1" ] || exit 1'
+        ],
+        run: (args, { executor }) => executor.isInteractive() ? farewell() : exitCommand(args, executor)
+    },
+    {
+        name: 'shift',
+        category: 'scripting',
+        summary: 'Shift the positional parameters',
+        usage: 'shift [N]',
+        description: 'Drop the first N (default 1) positional parameters, so $2 becomes $1.',
+        examples: [
+            'while [ $# -gt 0 ]; do echo "$1"; shift; done'
+        ],
+        run: (args, { executor }) => shift(args, executor)
+    },
+    {
+        name: 'local',
+        category: 'scripting',
+        summary: 'Declare function-local variables',
+        usage: 'local NAME[=VALUE]...',
+        description: 'Create variables that only exist until the current function returns. Can only be used inside a function.',
+        examples: [
+            'greet() { local name=${1:-world}; echo "hello $name"; }'
+        ],
+        run: (args, { executor }) => local(args, executor)
+    }
+];
+
+export default {
+    sh,
+    source,
+    test,
+    bracket,
+    trueCommand,
+    falseCommand,
+    breakCommand,
+    continueCommand,
+    returnCommand,
+    exitCommand,
+    shift,
+    local
+};
@@ -1,50 +1,111 @@
 /**
  * Text Processing Commands
- * Provides grep, wc, sort, uniq, cut, and tr utilities for terminal
+ * Provides grep, wc, sort, uniq, cut, tr, sed, awk, nl, tac, paste, join,
+ * comm, column, fold, fmt, split, seq, printf, expand, unexpand, tee and
+ * xargs utilities for terminal
  */
 
-import { CommandResult } from '../parser.js';
+import { CommandResult, bytesToText, concatBytes, escapeHtml, globToRegExp, parseOptions, posixToRegExp, toBytes } from '../parser.js';
+import { formatConversion, runAwk } from '../awk.js';
 
 // ============================================================================
 // Helper Functions
 // ============================================================================
 
 /**
- * Parse flags from arguments array
- * @param {string[]} args - Command arguments
- * @returns {{flags: Set<string>, positional: string[]}}
+ * Write a file a command produces; a failure is reported as "FILE: reason",
+ * without the filesystem's own wording, for the command to prefix
+ * @param {VirtualFilesystem} filesystem - Filesystem instance
+ * @param {string} path - File to write
+ * @param {string|Uint8Array} content - File contents
+ * @throws {Error} If the file cannot be written
  */
-function parseFlags(args) {
-    const flags = new Set();
-    const positional = [];
+function writeOutputFile(filesystem, path, content) {
+    try {
+        filesystem.writeFile(path, content);
+    } catch (error) {
+        throw new Error(`${path}: ${error.message.replace(/^.*: /, '')}`);
+    }
+}
 
-    for (const arg of args) {
-        if (arg.startsWith('-') && arg.length > 1 && !arg.startsWith('--')) {
-            // Handle combined flags like -in
-            for (let i = 1; i < arg.length; i++) {
-                flags.add(arg[i]);
-            }
-        } else if (!arg.startsWith('-')) {
-            positional.push(arg);
-        }
+/**
+ * Parse the last value given for a numeric option
+ * @param {string[]|undefined} values - Values collected by parseOptions
+ * @param {number} fallback - Value when the option was not given
+ * @param {string} description - What the number means, for the error message
+ * @returns {number}
+ */
+function countOption(values, fallback, description) {
+    if (!values) {
+        return fallback;
     }
 
-    return { flags, positional };
+    const value = values[values.length - 1];
+    if (!/^\d+$/.test(value)) {
+        throw new Error(`${value}: invalid ${description}`);
+    }
+    return parseInt(value, 10);
 }
 
 /**
- * Parse flag with value (e.g., -d ',' or -f '1,3')
- * @param {string[]} args - Command arguments
- * @param {string} flag - Flag character to look for
+ * Get the last value given for an option
+ * @param {Object} values - Values collected by parseOptions
+ * @param {string} option - Short option name
+ * @param {string|null} fallback - Value when the option was not given
  * @returns {string|null}
  */
-function getFlagValue(args, flag) {
-    for (let i = 0; i < args.length; i++) {
-        if (args[i] === `-${flag}` && i + 1 < args.length) {
-            return args[i + 1];
+function optionValue(values, option, fallback = null) {
+    const given = values[option];
+    return given ? given[given.length - 1] : fallback;
+}
+
+/**
+ * Read the operands one after another, '-' or no operands at all meaning
+ * the piped input; a file that does not end in a newline is given one
+ * @param {string[]} operands - File names
+ * @param {VirtualFilesystem} filesystem - Filesystem instance
+ * @param {string|null} pipeInput - Piped input
+ * @returns {string}
+ */
+function readOperands(operands, filesystem, pipeInput) {
+    if (operands.length === 0) {
+        if (pipeInput === null) {
+            throw new Error('no input provided (use pipe or provide filename)');
+        }
+        return pipeInput;
+    }
+
+    return operands.map(operand => {
+        let text;
+        if (operand === '-') {
+            text = pipeInput === null ? '' : pipeInput;
+        } else {
+            try {
+                text = filesystem.cat(operand);
+            } catch (error) {
+                throw new Error(error.message.replace(/^cat: /, ''));
+            }
         }
+        return text === '' || text.endsWith('\n') ? text : `${text}\n`;
+    }).join('');
+}
+
+/**
+ * Split text into lines; a final newline ends the last line rather than
+ * starting an empty one
+ * @param {string} text - Text to split
+ * @returns {string[]}
+ */
+export function splitLines(text) {
+    if (text === '') {
+        return [];
     }
-    return null;
+
+    const lines = text.split('\n');
+    if (text.endsWith('\n')) {
+        lines.pop();
+    }
+    return lines;
 }
 
 /**
@@ -70,128 +131,509 @@ function readInput(filename, filesystem, pipeInput) {
 // grep - Search for patterns in files
 // ============================================================================
 
+// Options that take a value, by short name and long name
+const GREP_VALUE_OPTIONS = {
+    A: 'after-context',
+    B: 'before-context',
+    C: 'context',
+    e: 'regexp',
+    m: 'max-count'
+};
+
+// Long options without a value and the short flag each one stands for
+const GREP_LONG_FLAGS = {
+    'ignore-case': 'i',
+    'line-number': 'n',
+    'invert-match': 'v',
+    'recursive': 'r',
+    'dereference-recursive': 'R',
+    'count': 'c',
+    'files-with-matches': 'l',
+    'files-without-match': 'L',
+    'only-matching': 'o',
+    'word-regexp': 'w',
+    'line-regexp': 'x',
+    'extended-regexp': 'E',
+    'fixed-strings': 'F',
+    'basic-regexp': 'G',
+    'with-filename': 'H',
+    'no-filename': 'h',
+    'quiet': 'q',
+    'silent': 'q',
+    'no-messages': 's'
+};
+
+const GREP_FLAGS = 'invrRclLowxEFGHhqs';
+
+// Name grep gives piped input in its output
+const STANDARD_INPUT_LABEL = '(standard input)';
+
 /**
- * Search for patterns in text
+ * Parse grep's command line
  * @param {string[]} args - Command arguments
- * @param {VirtualFilesystem} filesystem - Filesystem instance
- * @param {string|null} pipeInput - Piped input from previous command
- * @returns {CommandResult}
+ * @returns {{flags: Set<string>, patterns: string[]|null, operands: string[],
+ *     after: number, before: number, context: boolean, maxCount: number|null,
+ *     include: string[], exclude: string[], excludeDir: string[], color: string}}
  */
-export function grep(args, filesystem, pipeInput = null) {
-    try {
-        if (args.length === 0) {
-            return CommandResult.error('grep: missing pattern');
+function parseGrepArgs(args) {
+    const options = {
+        flags: new Set(),
+        patterns: null,
+        operands: [],
+        after: 0,
+        before: 0,
+        context: false,
+        maxCount: null,
+        include: [],
+        exclude: [],
+        excludeDir: [],
+        color: 'auto'
+    };
+
+    const count = (value, name) => {
+        if (!/^\d+$/.test(value)) {
+            throw new Error(name === 'm' || name === 'max-count'
+                ? 'invalid max count'
+                : `${value}: invalid context length argument`);
         }
-
-        const { flags, positional } = parseFlags(args);
-
-        // Extract pattern and files
-        const pattern = positional[0];
-        const files = positional.slice(1);
-
-        if (!pattern) {
-            return CommandResult.error('grep: missing pattern');
+        return parseInt(value, 10);
+    };
+
+    const setValue = (name, value) => {
+        switch (name) {
+            case 'A': case 'after-context':
+                options.after = count(value, name);
+                options.context = true;
+                break;
+            case 'B': case 'before-context':
+                options.before = count(value, name);
+                options.context = true;
+                break;
+            case 'C': case 'context':
+                options.after = options.before = count(value, name);
+                options.context = true;
+                break;
+            case 'm': case 'max-count':
+                options.maxCount = count(value, name);
+                break;
+            case 'e': case 'regexp':
+                options.patterns = (options.patterns || []).concat(value.split('\n'));
+                break;
+            case 'include':
+                options.include.push(value);
+                break;
+            case 'exclude':
+                options.exclude.push(value);
+                break;
+            case 'exclude-dir':
+                options.excludeDir.push(value);
+                break;
         }
+    };
 
-        // Build regex flags
-        let regexFlags = 'g';
-        if (flags.has('i')) {
-            regexFlags += 'i'; // Case insensitive
-        }
+    let i = 0;
+    for (; i < args.length; i++) {
+        const arg = args[i];
 
-        let regex;
-        try {
-            regex = new RegExp(pattern, regexFlags);
-        } catch (e) {
-            return CommandResult.error(`grep: invalid pattern: ${e.message}`);
+        if (arg === '--') {
+            i++;
+            break;
         }
 
-        const results = [];
-        const showLineNumbers = flags.has('n');
-        const invertMatch = flags.has('v');
-        const recursive = flags.has('r');
+        if (arg.startsWith('--')) {
+            const [name, ...rest] = arg.slice(2).split('=');
+            const value = rest.length > 0 ? rest.join('=') : null;
 
-        // Process piped input
-        if (pipeInput !== null) {
-            const lines = pipeInput.split('\n');
-            lines.forEach((line, index) => {
-                const matches = regex.test(line);
-                regex.lastIndex = 0; // Reset regex state
-
-                if (matches !== invertMatch) { // XOR logic for invert
-                    if (showLineNumbers) {
-                        results.push(`${index + 1}:${line}`);
-                    } else {
-                        results.push(line);
-                    }
+            if (name === 'color' || name === 'colour') {
+                if (value !== null && !['always', 'never', 'auto'].includes(value)) {
+                    throw new Error(`invalid argument '${value}' for '--color'`);
                 }
-            });
+                options.color = value || 'auto';
+            } else if (GREP_LONG_FLAGS[name] && value === null) {
+                options.flags.add(GREP_LONG_FLAGS[name]);
+            } else if (Object.values(GREP_VALUE_OPTIONS).includes(name) || ['include', 'exclude', 'exclude-dir'].includes(name)) {
+                if (value !== null) {
+                    setValue(name, value);
+                } else if (i + 1 < args.length) {
+                    setValue(name, args[++i]);
+                } else {
+                    throw new Error(`option '--${name}' requires an argument`);
+                }
+            } else {
+                throw new Error(`unrecognized option '${arg}'`);
+            }
+            continue;
+        }
 
-            return CommandResult.success(results.join('\n'));
+        if (!arg.startsWith('-') || arg === '-') {
+            options.operands.push(arg);
+            continue;
         }
 
-        // Process files
-        if (files.length === 0) {
-            return CommandResult.error('grep: no files specified (use pipe or provide filename)');
+        // -NUM is the same as -C NUM
+        if (/^-\d+$/.test(arg)) {
+            setValue('C', arg.slice(1));
+            continue;
         }
 
-        // Handle recursive search
-        if (recursive) {
-            for (const path of files) {
-                if (filesystem.isDirectory(path)) {
-                    const foundFiles = filesystem.find(path, '*');
-                    for (const file of foundFiles) {
-                        if (filesystem.isFile(file)) {
-                            processFile(file, regex, invertMatch, showLineNumbers, files.length > 1, results, filesystem);
-                        }
-                    }
+        for (let j = 1; j < arg.length; j++) {
+            const char = arg[j];
+
+            if (GREP_VALUE_OPTIONS[char]) {
+                if (j + 1 < arg.length) {
+                    setValue(char, arg.slice(j + 1));
+                } else if (i + 1 < args.length) {
+                    setValue(char, args[++i]);
                 } else {
-                    processFile(path, regex, invertMatch, showLineNumbers, files.length > 1, results, filesystem);
+                    throw new Error(`option requires an argument -- '${char}'`);
                 }
+                break;
             }
-        } else {
-            for (const file of files) {
-                processFile(file, regex, invertMatch, showLineNumbers, files.length > 1, results, filesystem);
+
+            if (!GREP_FLAGS.includes(char)) {
+                throw new Error(`invalid option -- '${char}'`);
             }
+            options.flags.add(char);
         }
+    }
+
+    options.operands.push(...args.slice(i));
+    return options;
+}
 
-        if (results.length === 0) {
-            return CommandResult.error('', 1); // No matches, exit code 1
+/**
+ * Compile grep patterns, one regular expression each so that back-references
+ * keep their own numbering
+ * @param {string[]} patterns - Patterns from the command line
+ * @param {Set<string>} flags - Parsed flags
+ * @returns {RegExp[]}
+ */
+function compileGrepPatterns(patterns, flags) {
+    const regexFlags = flags.has('i') ? 'gi' : 'g';
+    // Of -E, -F and -G the last one given wins; a Set keeps insertion order
+    const syntax = [...flags].filter(flag => 'EFG'.includes(flag)).pop() || 'G';
+
+    return patterns.map(pattern => {
+        let source;
+        if (syntax === 'F') {
+            source = pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        } else {
+            source = posixToRegExp(pattern, syntax === 'E').source;
         }
 
-        return CommandResult.success(results.join('\n'));
-    } catch (error) {
-        return CommandResult.error(`grep: ${error.message}`);
+        if (flags.has('x')) {
+            source = `^(?:${source})$`;
+        } else if (flags.has('w')) {
+            source = `(?<![\\w])(?:${source})(?![\\w])`;
+        }
+
+        return new RegExp(source, regexFlags);
+    });
+}
+
+/**
+ * Find the non-overlapping, non-empty matches of any pattern in a line,
+ * taking the leftmost and then the longest match at each step
+ * @param {RegExp[]} regexes - Compiled patterns
+ * @param {string} line - Line to search
+ * @returns {{index: number, text: string}[]}
+ */
+function findGrepMatches(regexes, line) {
+    const matches = [];
+    let position = 0;
+
+    while (position <= line.length) {
+        let best = null;
+
+        for (const regex of regexes) {
+            regex.lastIndex = position;
+            const match = regex.exec(line);
+            if (match && (!best || match.index < best.index ||
+                    (match.index === best.index && match[0].length > best.text.length))) {
+                best = { index: match.index, text: match[0] };
+            }
+        }
+
+        if (!best) {
+            break;
+        }
+        if (best.text.length > 0) {
+            matches.push(best);
+        }
+        position = best.index + Math.max(best.text.length, 1);
     }
+
+    return matches;
+}
+
+/**
+ * List the files under a directory for a recursive search, honouring
+ * --include, --exclude and --exclude-dir
+ * @param {string} directory - Directory to walk
+ * @param {VirtualFilesystem} filesystem - Filesystem instance
+ * @param {Object} options - Parsed grep options
+ * @param {string[]} errors - Collects unreadable directories
+ * @returns {string[]}
+ */
+function collectGrepFiles(directory, filesystem, options, errors) {
+    const files = [];
+    const followLinks = options.flags.has('R');
+    const matchesAny = (globs, name) => globs.some(glob => globToRegExp(glob).test(name));
+
+    const walk = (path) => {
+        let entries;
+        try {
+            entries = filesystem.ls(path);
+        } catch (error) {
+            errors.push(`grep: ${path}: Permission denied`);
+            return;
+        }
+
+        entries.sort((a, b) => a.name < b.name ? -1 : (a.name > b.name ? 1 : 0));
+
+        for (const entry of entries) {
+            const childPath = path.endsWith('/') ? `${path}${entry.name}` : `${path}/${entry.name}`;
+            const isLink = entry.type === 'symlink';
+
+            if (isLink && !followLinks) {
+                continue;
+            }
+
+            if (filesystem.isDirectory(childPath)) {
+                if (!matchesAny(options.excludeDir, entry.name)) {
+                    walk(childPath);
+                }
+            } else if (filesystem.isFile(childPath)) {
+                if (options.include.length > 0 && !matchesAny(options.include, entry.name)) {
+                    continue;
+                }
+                if (!matchesAny(options.exclude, entry.name)) {
+                    files.push(childPath);
+                }
+            }
+        }
+    };
+
+    walk(directory);
+    return files;
 }
 
 /**
- * Process a single file for grep
+ * Search for patterns in text
+ * @param {string[]} args - Command arguments
+ * @param {VirtualFilesystem} filesystem - Filesystem instance
+ * @param {string|null} pipeInput - Piped input from previous command
+ * @param {boolean} toTerminal - Whether output goes straight to the terminal
+ * @returns {CommandResult}
  */
-function processFile(file, regex, invertMatch, showLineNumbers, multipleFiles, results, filesystem) {
+export function grep(args, filesystem, pipeInput = null, toTerminal = false) {
+    let options;
+    let regexes;
+
     try {
-        const content = filesystem.cat(file);
+        options = parseGrepArgs(args);
+
+        if (options.patterns === null) {
+            if (options.operands.length === 0) {
+                return CommandResult.error('grep: missing pattern', 2);
+            }
+            options.patterns = options.operands.shift().split('\n');
+        }
+
+        regexes = compileGrepPatterns(options.patterns, options.flags);
+    } catch (error) {
+        return CommandResult.error(`grep: ${error.message}`, 2);
+    }
+
+    const { flags } = options;
+    const recursive = flags.has('r') || flags.has('R');
+    const color = options.color === 'always' || (options.color === 'auto' && toTerminal);
+    const errors = [];
+
+    // Work out the inputs: each is a name to show and the text to search
+    let operands = options.operands;
+    if (operands.length === 0) {
+        if (recursive) {
+            operands = ['.'];
+        } else if (pipeInput !== null) {
+            operands = ['-'];
+        } else {
+            return CommandResult.error('grep: no files specified (use pipe or provide filename)', 2);
+        }
+    }
+
+    const files = [];
+    let searchesDirectory = false;
+    for (const operand of operands) {
+        if (operand !== '-' && filesystem.isDirectory(operand)) {
+            if (recursive) {
+                searchesDirectory = true;
+                files.push(...collectGrepFiles(operand, filesystem, options, errors));
+            } else {
+                errors.push(`grep: ${operand}: Is a directory`);
+            }
+        } else {
+            files.push(operand);
+        }
+    }
+
+    const showNames = flags.has('H') ||
+        (!flags.has('h') && (operands.length > 1 || searchesDirectory));
+    // Any context option, even -A0, separates groups of lines that are not
+    // next to each other, in one file or across files, with "--"
+    const contextEnabled = !flags.has('o') && options.context;
+    const output = [];
+    let anySelected = false;
+    let printedLines = null;
+
+    // Build one output line from text parts, marking up the coloured ones
+    const formatLine = (parts) => {
+        if (!color || !parts.some(part => part.className)) {
+            return parts.map(part => part.text).join('');
+        }
+        return parts.map(part => part.className
+            ? `<span class="${part.className}">${escapeHtml(part.text)}</span>`
+            : escapeHtml(part.text)).join('');
+    };
+
+    const prefixParts = (name, lineNumber, separator) => {
+        const parts = [];
+        if (showNames) {
+            parts.push({ text: name, className: 'grep-filename' });
+            parts.push({ text: separator, className: 'grep-separator' });
+        }
+        if (flags.has('n')) {
+            parts.push({ text: String(lineNumber), className: 'grep-line-number' });
+            parts.push({ text: separator, className: 'grep-separator' });
+        }
+        return parts;
+    };
+
+    const highlightParts = (line) => {
+        if (!color) {
+            return [{ text: line }];
+        }
+        const parts = [];
+        let position = 0;
+        for (const match of findGrepMatches(regexes, line)) {
+            parts.push({ text: line.slice(position, match.index) });
+            parts.push({ text: match.text, className: 'grep-match' });
+            position = match.index + match.text.length;
+        }
+        parts.push({ text: line.slice(position) });
+        return parts.filter(part => part.text !== '');
+    };
+
+    const isMatch = (line) => regexes.some(regex => {
+        regex.lastIndex = 0;
+        return regex.test(line);
+    });
+
+    for (const file of files) {
+        let content;
+        try {
+            if (file === '-') {
+                if (pipeInput === null) {
+                    continue;
+                }
+                content = pipeInput;
+            } else {
+                content = filesystem.cat(file);
+            }
+        } catch (error) {
+            errors.push(`grep: ${file}: ${error.message.replace(/^cat: [^:]*: /, '')}`);
+            continue;
+        }
+
+        const name = file === '-' ? STANDARD_INPUT_LABEL : file;
         const lines = content.split('\n');
+        if (content.endsWith('\n')) {
+            lines.pop();
+        }
 
-        lines.forEach((line, index) => {
-            const matches = regex.test(line);
-            regex.lastIndex = 0; // Reset regex state
+        let selectedCount = 0;
+        let lastPrinted = -1;
+        let afterRemaining = 0;
+        const listing = flags.has('c') || flags.has('l') || flags.has('L') || flags.has('q');
 
-            if (matches !== invertMatch) {
-                let output = '';
-                if (multipleFiles) {
-                    output += `${file}:`;
+        const printLine = (index, separator) => {
+            const adjacent = printedLines === lines && lastPrinted === index - 1;
+            if (contextEnabled && printedLines !== null && !adjacent) {
+                output.push(formatLine([{ text: '--', className: 'grep-separator' }]));
+            }
+            output.push(formatLine([...prefixParts(name, index + 1, separator), ...highlightParts(lines[index])]));
+            printedLines = lines;
+            lastPrinted = index;
+        };
+
+        for (let index = 0; index < lines.length; index++) {
+            const limitReached = options.maxCount !== null && selectedCount >= options.maxCount;
+
+            if (!limitReached && isMatch(lines[index]) !== flags.has('v')) {
+                selectedCount++;
+                if (listing) {
+                    continue;
+                }
+
+                if (flags.has('o')) {
+                    if (!flags.has('v')) {
+                        for (const match of findGrepMatches(regexes, lines[index])) {
+                            output.push(formatLine([
+                                ...prefixParts(name, index + 1, ':'),
+                                { text: match.text, className: 'grep-match' }
+                            ]));
+                        }
+                    }
+                    continue;
                 }
-                if (showLineNumbers) {
-                    output += `${index + 1}:`;
+
+                for (let before = Math.max(index - options.before, lastPrinted + 1); before < index; before++) {
+                    printLine(before, '-');
                 }
-                output += line;
-                results.push(output);
+                printLine(index, ':');
+                afterRemaining = options.after;
+            } else if (afterRemaining > 0 && !listing) {
+                printLine(index, '-');
+                afterRemaining--;
+            } else if (limitReached) {
+                break;
             }
-        });
-    } catch (error) {
-        results.push(`grep: ${file}: ${error.message}`);
+        }
+
+        if (selectedCount > 0) {
+            anySelected = true;
+        }
+
+        if (flags.has('q')) {
+            if (anySelected) {
+                break;
+            }
+        } else if (flags.has('l') || flags.has('L')) {
+            if ((selectedCount > 0) === flags.has('l')) {
+                output.push(formatLine([{ text: name, className: 'grep-filename' }]));
+            }
+        } else if (flags.has('c')) {
+            const parts = showNames
+                ? [{ text: name, className: 'grep-filename' }, { text: ':', className: 'grep-separator' }]
+                : [];
+            output.push(formatLine([...parts, { text: String(selectedCount) }]));
+        }
     }
+
+    if (flags.has('q')) {
+        output.length = 0;
+    }
+    if (!flags.has('s') && !(flags.has('q') && anySelected)) {
+        output.push(...errors);
+    }
+
+    if (errors.length > 0 && !(flags.has('q') && anySelected)) {
+        return new CommandResult(output.join('\n'), false, 2);
+    }
+    if (!anySelected) {
+        return new CommandResult(output.join('\n'), false, 1);
+    }
+    return CommandResult.success(output.join('\n'));
 }
 
 // ============================================================================
@@ -207,7 +649,10 @@ function processFile(file, regex, invertMatch, showLineNumbers, multipleFiles, r
  */
 export function wc(args, filesystem, pipeInput = null) {
     try {
-        const { flags, positional } = parseFlags(args);
+        const { flags, operands: positional } = parseOptions(args, {
+            flags: 'lwc',
+            long: { lines: 'l', words: 'w', bytes: 'c' }
+        });
 
         const countLines = flags.has('l');
         const countWords = flags.has('w');
@@ -218,11 +663,12 @@ export function wc(args, filesystem, pipeInput = null) {
 
         const results = [];
 
-        // Process piped input
+        // Process piped input; a single count is printed unpadded, as GNU wc does
         if (pipeInput !== null) {
             const counts = getCounts(pipeInput);
             const output = formatCounts(counts, showAll, countLines, countWords, countChars);
-            return CommandResult.success(output);
+            const singleCount = [countLines, countWords, countChars].filter(Boolean).length === 1;
+            return CommandResult.success(singleCount ? output.trim() : output);
         }
 
         // Process files
@@ -301,121 +747,435 @@ function formatCounts(counts, showAll, showLines, showWords, showChars, filename
 // sort - Sort lines of text
 // ============================================================================
 
+// Ordering options that can be given for the whole sort or for a single key
+const SORT_KEY_OPTIONS = 'bfhnrV';
+
+// Suffixes -h understands, in increasing order of size
+const SIZE_SUFFIXES = 'KMGTPEZYRQ';
+
+const SORT_LONG_OPTIONS = {
+    'ignore-leading-blanks': 'b',
+    'check': 'c',
+    'ignore-case': 'f',
+    'human-numeric-sort': 'h',
+    'key': 'k',
+    'numeric-sort': 'n',
+    'reverse': 'r',
+    'stable': 's',
+    'field-separator': 't',
+    'unique': 'u',
+    'version-sort': 'V'
+};
+
+const isBlank = char => char === ' ' || char === '\t';
+
 /**
- * Sort lines of text
- * @param {string[]} args - Command arguments
- * @param {VirtualFilesystem} filesystem - Filesystem instance
- * @param {string|null} pipeInput - Piped input from previous command
- * @returns {CommandResult}
+ * Parse a -k key definition POS1[,POS2], where each position is F[.C][OPTS]
+ * @param {string} spec - Key definition
+ * @param {Set<string>} globalOptions - Ordering options given for the whole sort
+ * @returns {Object} Fields and characters to skip, and the key's ordering options
  */
-export function sort(args, filesystem, pipeInput = null) {
-    try {
-        const { flags, positional } = parseFlags(args);
+function parseSortKey(spec, globalOptions) {
+    const match = /^(\d+)(?:\.(\d+))?([a-zA-Z]*)(?:,(\d+)(?:\.(\d+))?([a-zA-Z]*))?$/.exec(spec);
+    const options = new Set(match ? (match[3] + (match[6] || '')) : '');
+    const invalid = reason => new Error(`${reason}: invalid field specification '${spec}'`);
 
-        const reverse = flags.has('r');
-        const numeric = flags.has('n');
+    if (!match || [...options].some(option => !SORT_KEY_OPTIONS.includes(option))) {
+        throw invalid('stray character in field spec');
+    }
+    if (parseInt(match[1], 10) === 0 || (match[4] !== undefined && parseInt(match[4], 10) === 0)) {
+        throw invalid('field number is zero');
+    }
+    if (match[2] !== undefined && parseInt(match[2], 10) === 0) {
+        throw invalid('character offset is zero');
+    }
 
-        let content;
+    const key = {
+        startField: parseInt(match[1], 10) - 1,
+        startChar: match[2] !== undefined ? parseInt(match[2], 10) - 1 : 0,
+        endField: match[4] !== undefined ? parseInt(match[4], 10) - 1 : Infinity,
+        endChar: match[5] !== undefined ? parseInt(match[5], 10) : 0,
+        skipStartBlanks: match[3].includes('b'),
+        skipEndBlanks: (match[6] || '').includes('b'),
+        options
+    };
+
+    // A key without ordering options of its own takes the global ones
+    if (options.size === 0) {
+        key.options = globalOptions;
+        key.skipStartBlanks = key.skipEndBlanks = globalOptions.has('b');
+    }
 
-        // Get input
-        if (pipeInput !== null) {
-            content = pipeInput;
-        } else if (positional.length > 0) {
-            content = filesystem.cat(positional[0]);
-        } else {
-            return CommandResult.error('sort: no input provided (use pipe or provide filename)');
-        }
+    return key;
+}
 
-        const lines = content.split('\n');
+/**
+ * Extract the text of a sort key from a line. Without a separator a field
+ * is a run of non-blanks together with the blanks before it.
+ * @param {string} line - Line to take the key from
+ * @param {Object} key - Key from parseSortKey
+ * @param {string|null} separator - Field separator given with -t
+ * @returns {string}
+ */
+function sortKeyText(line, key, separator) {
+    const length = line.length;
 
-        // Sort lines
-        if (numeric) {
-            lines.sort((a, b) => {
-                const numA = parseFloat(a) || 0;
-                const numB = parseFloat(b) || 0;
-                return reverse ? numB - numA : numA - numB;
-            });
-        } else {
-            lines.sort((a, b) => {
-                const result = a.localeCompare(b);
-                return reverse ? -result : result;
-            });
+    const skipField = (position, skipSeparator) => {
+        if (separator !== null) {
+            while (position < length && line[position] !== separator) {
+                position++;
+            }
+            return position < length && skipSeparator ? position + 1 : position;
+        }
+        while (position < length && isBlank(line[position])) {
+            position++;
         }
+        while (position < length && !isBlank(line[position])) {
+            position++;
+        }
+        return position;
+    };
 
-        return CommandResult.success(lines.join('\n'));
-    } catch (error) {
-        return CommandResult.error(`sort: ${error.message}`);
+    let start = 0;
+    for (let field = 0; field < key.startField && start < length; field++) {
+        start = skipField(start, true);
+    }
+    if (key.skipStartBlanks) {
+        while (start < length && isBlank(line[start])) {
+            start++;
+        }
+    }
+    start = Math.min(length, start + key.startChar);
+
+    let end = length;
+    if (key.endField !== Infinity) {
+        // Without a character position the key runs to the end of the field
+        let fields = key.endChar === 0 ? key.endField + 1 : key.endField;
+        end = 0;
+        while (end < length && fields-- > 0) {
+            end = skipField(end, fields > 0 || key.endChar !== 0);
+        }
+        if (key.endChar !== 0) {
+            if (key.skipEndBlanks) {
+                while (end < length && isBlank(line[end])) {
+                    end++;
+                }
+            }
+            end = Math.min(length, end + key.endChar);
+        }
     }
-}
 
-// ============================================================================
-// uniq - Remove duplicate lines
-// ============================================================================
+    return line.slice(start, Math.max(start, end));
+}
 
 /**
- * Remove or count duplicate consecutive lines
- * @param {string[]} args - Command arguments
- * @param {VirtualFilesystem} filesystem - Filesystem instance
- * @param {string|null} pipeInput - Piped input from previous command
- * @returns {CommandResult}
+ * Read the leading number of a key, after any blanks, as -n does
+ * @param {string} text - Key text
+ * @returns {{value: number, suffix: string, nonzero: boolean}}
  */
-export function uniq(args, filesystem, pipeInput = null) {
-    try {
-        const { flags, positional } = parseFlags(args);
+function leadingNumber(text) {
+    const match = /^[ \t]*(-?)(\d*)(?:\.(\d*))?([kKMGTPEZYRQ]?)/.exec(text);
+    const digits = match[2] + (match[3] || '');
 
-        const showCount = flags.has('c');
-        const onlyDuplicates = flags.has('d');
+    if (digits === '') {
+        return { value: 0, suffix: '', nonzero: false };
+    }
 
-        let content;
+    const value = parseFloat(`${match[1]}${match[2] || '0'}.${match[3] || '0'}`);
+    return { value: value === 0 ? 0 : value, suffix: match[4].toUpperCase(), nonzero: /[1-9]/.test(digits) };
+}
 
-        // Get input
-        if (pipeInput !== null) {
-            content = pipeInput;
-        } else if (positional.length > 0) {
-            content = filesystem.cat(positional[0]);
-        } else {
-            return CommandResult.error('uniq: no input provided (use pipe or provide filename)');
+/**
+ * Compare two version strings the way GNU's filevercmp does: runs of
+ * digits compare as numbers, letters sort before other characters and ~
+ * before everything, even the end of the string. Versions that differ
+ * only in leading zeros compare equal.
+ * @param {string} a - First version
+ * @param {string} b - Second version
+ * @returns {number}
+ */
+function compareVersions(a, b) {
+    // Empty strings come first, then ., .. and other hidden names
+    if (a === '' || b === '') {
+        return a === '' ? (b === '' ? 0 : -1) : 1;
+    }
+    if (a[0] === '.' || b[0] === '.') {
+        if (a[0] !== '.' || b[0] !== '.') {
+            return a[0] === '.' ? -1 : 1;
         }
-
-        const lines = content.split('\n');
-        const results = [];
-
-        let currentLine = null;
-        let count = 0;
-
-        for (const line of lines) {
-            if (line === currentLine) {
-                count++;
-            } else {
-                // Output previous line if exists
-                if (currentLine !== null) {
-                    if (!onlyDuplicates || count > 1) {
-                        if (showCount) {
-                            results.push(`${count.toString().padStart(7)} ${currentLine}`);
-                        } else {
-                            results.push(currentLine);
-                        }
-                    }
-                }
-                currentLine = line;
-                count = 1;
+        for (const special of ['.', '..']) {
+            if (a === special || b === special) {
+                return a === b ? 0 : (a === special ? -1 : 1);
             }
         }
+    }
 
-        // Output last line
-        if (currentLine !== null) {
-            if (!onlyDuplicates || count > 1) {
-                if (showCount) {
-                    results.push(`${count.toString().padStart(7)} ${currentLine}`);
-                } else {
-                    results.push(currentLine);
-                }
-            }
-        }
+    // A file suffix such as .tar.gz only counts when the rest is equal
+    const suffix = /(\.[A-Za-z~][A-Za-z0-9~]*)*$/;
+    const stemA = a.slice(0, Math.max(1, a.length - suffix.exec(a)[0].length));
+    const stemB = b.slice(0, Math.max(1, b.length - suffix.exec(b)[0].length));
+    const result = compareVersionParts(stemA, stemB);
 
-        return CommandResult.success(results.join('\n'));
-    } catch (error) {
-        return CommandResult.error(`uniq: ${error.message}`);
+    if (result !== 0 || (stemA === a && stemB === b)) {
+        return result;
+    }
+    return compareVersionParts(a, b);
+}
+
+/**
+ * The digit-aware comparison behind compareVersions
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number}
+ */
+function compareVersionParts(a, b) {
+    const isDigit = char => char >= '0' && char <= '9';
+    const order = (text, index) => {
+        if (index >= text.length || isDigit(text[index])) {
+            return 0;
+        }
+        const char = text[index];
+        if (/[A-Za-z]/.test(char)) {
+            return char.charCodeAt(0);
+        }
+        return char === '~' ? -1 : char.charCodeAt(0) + 256;
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        while ((i < a.length && !isDigit(a[i])) || (j < b.length && !isDigit(b[j]))) {
+            const difference = order(a, i) - order(b, j);
+            if (difference !== 0) {
+                return difference;
+            }
+            i++;
+            j++;
+        }
+
+        while (a[i] === '0') {
+            i++;
+        }
+        while (b[j] === '0') {
+            j++;
+        }
+
+        let firstDifference = 0;
+        while (isDigit(a[i]) && isDigit(b[j])) {
+            if (firstDifference === 0) {
+                firstDifference = a.charCodeAt(i) - b.charCodeAt(j);
+            }
+            i++;
+            j++;
+        }
+        if (isDigit(a[i])) {
+            return 1;
+        }
+        if (isDigit(b[j])) {
+            return -1;
+        }
+        if (firstDifference !== 0) {
+            return firstDifference;
+        }
+    }
+
+    return 0;
+}
+
+/**
+ * Compare two key texts using a key's ordering options
+ * @param {string} a - First key text
+ * @param {string} b - Second key text
+ * @param {Set<string>} options - Ordering options of the key
+ * @returns {number}
+ */
+function compareSortKeys(a, b, options) {
+    let result;
+
+    if (options.has('n') || options.has('h')) {
+        const numberA = leadingNumber(a);
+        const numberB = leadingNumber(b);
+        result = 0;
+
+        // -h puts every size with a bigger suffix after those with a smaller one
+        if (options.has('h')) {
+            const unit = number => number.nonzero && number.suffix
+                ? (SIZE_SUFFIXES.indexOf(number.suffix) + 1) * Math.sign(number.value)
+                : 0;
+            result = unit(numberA) - unit(numberB);
+        }
+        if (result === 0) {
+            result = numberA.value - numberB.value;
+        }
+    } else if (options.has('V')) {
+        result = compareVersions(a, b);
+    } else {
+        if (options.has('f')) {
+            a = a.toUpperCase();
+            b = b.toUpperCase();
+        }
+        result = a < b ? -1 : (a > b ? 1 : 0);
+    }
+
+    result = Math.sign(result);
+    return options.has('r') ? -result : result;
+}
+
+/**
+ * Sort lines of text
+ * @param {string[]} args - Command arguments
+ * @param {VirtualFilesystem} filesystem - Filesystem instance
+ * @param {string|null} pipeInput - Piped input from previous command
+ * @returns {CommandResult}
+ */
+export function sort(args, filesystem, pipeInput = null) {
+    try {
+        const { flags, values, operands } = parseOptions(args, {
+            flags: `${SORT_KEY_OPTIONS}csu`,
+            values: 'kt',
+            long: SORT_LONG_OPTIONS
+        });
+
+        const separator = optionValue(values, 't');
+        if (separator !== null) {
+            if (separator.length !== 1) {
+                throw new Error(separator === '' ? 'empty tab' : `multi-character tab '${separator}'`);
+            }
+        }
+
+        const globalOptions = new Set([...flags].filter(flag => SORT_KEY_OPTIONS.includes(flag)));
+        const keys = (values.k || []).map(spec => parseSortKey(spec, globalOptions));
+        if (keys.length === 0) {
+            keys.push(parseSortKey('1', globalOptions));
+        }
+
+        // Equal keys fall back to comparing whole lines unless -s or -u is given
+        const lastResort = !flags.has('s') && !flags.has('u');
+        const compareKeys = (a, b) => {
+            for (const key of keys) {
+                const result = compareSortKeys(sortKeyText(a, key, separator), sortKeyText(b, key, separator), key.options);
+                if (result !== 0) {
+                    return result;
+                }
+            }
+            return 0;
+        };
+        const compare = (a, b) => {
+            const result = compareKeys(a, b);
+            if (result !== 0 || !lastResort) {
+                return result;
+            }
+            const plain = a < b ? -1 : (a > b ? 1 : 0);
+            return flags.has('r') ? -plain : plain;
+        };
+
+        const lines = splitLines(readOperands(operands, filesystem, pipeInput));
+
+        if (flags.has('c')) {
+            for (let i = 1; i < lines.length; i++) {
+                const result = compare(lines[i - 1], lines[i]);
+                if (result > 0 || (result === 0 && flags.has('u'))) {
+                    return CommandResult.error(`sort: ${operands[0] || '-'}:${i + 1}: disorder: ${lines[i]}`);
+                }
+            }
+            return CommandResult.success('');
+        }
+
+        // Array.prototype.sort is stable, so -u keeps the first of equal lines
+        lines.sort(compare);
+        const sorted = flags.has('u')
+            ? lines.filter((line, index) => index === 0 || compareKeys(lines[index - 1], line) !== 0)
+            : lines;
+
+        return CommandResult.success(sorted.join('\n'));
+    } catch (error) {
+        return CommandResult.error(`sort: ${error.message}`, 2);
+    }
+}
+
+// ============================================================================
+// uniq - Remove duplicate lines
+// ============================================================================
+
+const UNIQ_LONG_OPTIONS = {
+    'count': 'c',
+    'repeated': 'd',
+    'unique': 'u',
+    'ignore-case': 'i',
+    'skip-fields': 'f',
+    'skip-chars': 's'
+};
+
+/**
+ * Remove or count duplicate consecutive lines
+ * @param {string[]} args - Command arguments
+ * @param {VirtualFilesystem} filesystem - Filesystem instance
+ * @param {string|null} pipeInput - Piped input from previous command
+ * @returns {CommandResult}
+ */
+export function uniq(args, filesystem, pipeInput = null) {
+    try {
+        const { flags, values, operands } = parseOptions(args, {
+            flags: 'cdui',
+            values: 'fs',
+            long: UNIQ_LONG_OPTIONS
+        });
+
+        const skipFields = countOption(values.f, 0, 'number of fields to skip');
+        const skipChars = countOption(values.s, 0, 'number of bytes to skip');
+        const showCount = flags.has('c');
+
+        // The part of a line that is compared: after the skipped fields
+        // (blanks then non-blanks) and then the skipped characters
+        const comparedPart = (line) => {
+            let position = 0;
+            for (let field = 0; field < skipFields; field++) {
+                while (position < line.length && isBlank(line[position])) {
+                    position++;
+                }
+                while (position < line.length && !isBlank(line[position])) {
+                    position++;
+                }
+            }
+            const part = line.slice(position + skipChars);
+            return flags.has('i') ? part.toLowerCase() : part;
+        };
+
+        const lines = splitLines(readOperands(operands.slice(0, 1), filesystem, pipeInput));
+        const results = [];
+
+        const flush = (line, count) => {
+            if ((flags.has('d') && count < 2) || (flags.has('u') && count > 1)) {
+                return;
+            }
+            results.push(showCount ? `${count.toString().padStart(7)} ${line}` : line);
+        };
+
+        let groupLine = null;
+        let groupKey = null;
+        let count = 0;
+
+        for (const line of lines) {
+            const key = comparedPart(line);
+            if (groupLine !== null && key === groupKey) {
+                count++;
+                continue;
+            }
+            if (groupLine !== null) {
+                flush(groupLine, count);
+            }
+            groupLine = line;
+            groupKey = key;
+            count = 1;
+        }
+
+        if (groupLine !== null) {
+            flush(groupLine, count);
+        }
+
+        return CommandResult.success(results.join('\n'));
+    } catch (error) {
+        return CommandResult.error(`uniq: ${error.message}`);
     }
 }
 
@@ -432,10 +1192,13 @@ export function uniq(args, filesystem, pipeInput = null) {
  */
 export function cut(args, filesystem, pipeInput = null) {
     try {
-        const { positional } = parseFlags(args);
+        const { values, operands: positional } = parseOptions(args, {
+            values: 'df',
+            long: { delimiter: 'd', fields: 'f' }
+        });
 
-        const delimiter = getFlagValue(args, 'd') || '\t';
-        const fieldsStr = getFlagValue(args, 'f');
+        const delimiter = optionValue(values, 'd', '\t');
+        const fieldsStr = optionValue(values, 'f');
 
         if (!fieldsStr) {
             return CommandResult.error('cut: you must specify a list of fields with -f');
@@ -514,7 +1277,7 @@ export function tr(args, pipeInput = null) {
             return CommandResult.error('tr: requires piped input');
         }
 
-        const { flags, positional } = parseFlags(args);
+        const { flags, operands: positional } = parseOptions(args, { flags: 'd', long: { delete: 'd' } });
         const deleteMode = flags.has('d');
 
         if (deleteMode) {
@@ -555,3 +1318,2550 @@ export function tr(args, pipeInput = null) {
         return CommandResult.error(`tr: ${error.message}`);
     }
 }
+
+// ============================================================================
+// sed - Stream editor
+// ============================================================================
+
+/**
+ * Edit text with a sed script
+ * @param {string[]} args - Command arguments
+ * @param {VirtualFilesystem} filesystem - Filesystem instance
+ * @param {string|null} pipeInput - Piped input from previous command
+ * @returns {CommandResult}
+ */
+export function sed(args, filesystem, pipeInput = null) {
+    try {
+        const scripts = [];
+        const files = [];
+        let quiet = false;
+        let extended = false;
+        let inPlace = null; // Backup suffix when editing files in place
+
+        for (let i = 0; i < args.length; i++) {
+            const arg = args[i];
+
+            if (arg === '--') {
+                files.push(...args.slice(i + 1));
+                break;
+            } else if (arg === '--expression') {
+                if (i + 1 >= args.length) {
+                    return CommandResult.error("sed: option '--expression' requires an argument");
+                }
+                scripts.push(args[++i]);
+            } else if (arg.startsWith('--expression=')) {
+                scripts.push(arg.slice('--expression='.length));
+            } else if (arg === '--quiet' || arg === '--silent') {
+                quiet = true;
+            } else if (arg === '--regexp-extended') {
+                extended = true;
+            } else if (arg === '--in-place' || arg.startsWith('--in-place=')) {
+                inPlace = arg.slice('--in-place='.length);
+            } else if (arg.startsWith('--')) {
+                return CommandResult.error(`sed: unrecognized option '${arg}'`);
+            } else if (arg.startsWith('-') && arg.length > 1) {
+                // Combined flags like -ne; -e and -i take the rest of the argument
+                for (let j = 1; j < arg.length; j++) {
+                    const flag = arg[j];
+                    if (flag === 'n') {
+                        quiet = true;
+                    } else if (flag === 'E' || flag === 'r') {
+                        extended = true;
+                    } else if (flag === 'i') {
+                        inPlace = arg.slice(j + 1);
+                        break;
+                    } else if (flag === 'e') {
+                        if (j + 1 < arg.length) {
+                            scripts.push(arg.slice(j + 1));
+                        } else if (i + 1 < args.length) {
+                            scripts.push(args[++i]);
+                        } else {
+                            return CommandResult.error("sed: option requires an argument -- 'e'");
+                        }
+                        break;
+                    } else {
+                        return CommandResult.error(`sed: invalid option -- '${flag}'`);
+                    }
+                }
+            } else {
+                files.push(arg);
+            }
+        }
+
+        // Without -e, the first operand is the script
+        if (scripts.length === 0) {
+            if (files.length === 0) {
+                return CommandResult.error('sed: no script specified');
+            }
+            scripts.push(files.shift());
+        }
+
+        const program = compileSedScript(scripts, extended);
+
+        // In-place edits run the script on each file separately
+        if (inPlace !== null) {
+            if (files.length === 0) {
+                return CommandResult.error('sed: no input files');
+            }
+            for (const file of files) {
+                const original = filesystem.cat(file);
+                if (inPlace) {
+                    writeOutputFile(filesystem, file + inPlace, original);
+                }
+                writeOutputFile(filesystem, file, runSedScript(program, original, quiet));
+            }
+            return CommandResult.success('');
+        }
+
+        // Otherwise the files are one stream, as if concatenated
+        let content;
+        if (files.length > 0) {
+            content = files
+                .map(file => filesystem.cat(file))
+                .map((text, index, texts) => index < texts.length - 1 && text && !text.endsWith('\n') ? `${text}\n` : text)
+                .join('');
+        } else if (pipeInput !== null) {
+            content = pipeInput;
+        } else {
+            return CommandResult.error('sed: no input provided (use pipe or provide filename)');
+        }
+
+        return CommandResult.success(runSedScript(program, content, quiet));
+    } catch (error) {
+        return CommandResult.error(`sed: ${error.message.replace(/^cat: /, '')}`);
+    }
+}
+
+/**
+ * Compile sed scripts into a list of commands
+ * @param {string[]} scripts - Scripts given with -e, or the script operand;
+ *        commands are separated by ; or newlines
+ * @param {boolean} extended - Whether regular expressions are extended (-E)
+ * @returns {Array<Object>} Commands with their name, addresses, and for s
+ *          the regex, replacement parts and flags
+ * @throws {Error} Naming the expression and position of the first problem
+ */
+function compileSedScript(scripts, extended) {
+    const program = [];
+    let lastRegex = null; // An empty regex, as in s//X/, reuses the last one
+
+    scripts.forEach((script, index) => {
+        let pos = 0;
+
+        const fail = message => {
+            throw new Error(`-e expression #${index + 1}, char ${pos}: ${message}`);
+        };
+
+        const skipBlanks = () => {
+            while (script[pos] === ' ' || script[pos] === '\t') {
+                pos++;
+            }
+        };
+
+        // Text up to the next unescaped delimiter, which is consumed; an
+        // escaped delimiter stands for itself and other escapes are kept
+        const readDelimited = delimiter => {
+            let text = '';
+            while (pos < script.length) {
+                const char = script[pos++];
+                if (char === delimiter) {
+                    return text;
+                }
+                if (char === '\\' && pos < script.length) {
+                    const next = script[pos++];
+                    text += next === delimiter ? next : `\\${next}`;
+                } else if (char === '\n') {
+                    break;
+                } else {
+                    text += char;
+                }
+            }
+            return null;
+        };
+
+        const compileRegex = (pattern, ignoreCase, global) => {
+            if (pattern === '') {
+                if (!lastRegex) {
+                    fail('no previous regular expression');
+                }
+                return new RegExp(lastRegex.source, global ? `${lastRegex.flags}g` : lastRegex.flags);
+            }
+            try {
+                const flags = ignoreCase ? 'i' : '';
+                lastRegex = posixToRegExp(pattern, extended, flags);
+                return new RegExp(lastRegex.source, global ? `${flags}g` : flags);
+            } catch (error) {
+                fail(`invalid regular expression: ${error.message}`);
+            }
+        };
+
+        const parseAddress = () => {
+            const char = script[pos];
+            if (/[0-9]/.test(char)) {
+                const start = pos;
+                while (/[0-9]/.test(script[pos])) {
+                    pos++;
+                }
+                const line = parseInt(script.slice(start, pos), 10);
+                if (line === 0) {
+                    fail('invalid usage of line address 0');
+                }
+                return { line };
+            }
+            if (char === '$') {
+                pos++;
+                return { last: true };
+            }
+            if (char === '/' || char === '\\') {
+                // \cREGEXc uses c as the delimiter
+                const delimiter = char === '/' ? '/' : script[pos + 1];
+                pos += char === '/' ? 1 : 2;
+                const pattern = readDelimited(delimiter);
+                if (pattern === null) {
+                    fail('unterminated address regex');
+                }
+                const ignoreCase = script[pos] === 'I';
+                if (ignoreCase) {
+                    pos++;
+                }
+                return { regex: compileRegex(pattern, ignoreCase, false) };
+            }
+            return null;
+        };
+
+        const parseSubstitution = command => {
+            const delimiter = script[pos++];
+            if (!delimiter || delimiter === '\n' || delimiter === '\\') {
+                fail("unterminated `s' command");
+            }
+
+            const pattern = readDelimited(delimiter);
+            const replacement = pattern === null ? null : readDelimited(delimiter);
+            if (replacement === null) {
+                fail("unterminated `s' command");
+            }
+
+            let ignoreCase = false;
+            command.global = false;
+            command.print = false;
+            command.occurrence = 1;
+
+            while (pos < script.length) {
+                const char = script[pos];
+                if (char === 'g') {
+                    command.global = true;
+                } else if (char === 'p') {
+                    command.print = true;
+                } else if (char === 'i' || char === 'I') {
+                    ignoreCase = true;
+                } else if (/[0-9]/.test(char)) {
+                    const start = pos;
+                    while (/[0-9]/.test(script[pos + 1])) {
+                        pos++;
+                    }
+                    command.occurrence = parseInt(script.slice(start, pos + 1), 10);
+                    if (command.occurrence === 0) {
+                        fail("number option to `s' command may not be zero");
+                    }
+                } else if (' \t;\n#'.includes(char)) {
+                    break;
+                } else {
+                    pos++;
+                    fail("unknown option to `s'");
+                }
+                pos++;
+            }
+
+            command.regex = compileRegex(pattern, ignoreCase, true);
+            command.replacement = parseSedReplacement(replacement);
+
+            // Every back-reference needs a group to refer to
+            const groups = new RegExp(`${command.regex.source}|`).exec('').length - 1;
+            const reference = command.replacement.find(part => typeof part === 'number' && part > groups);
+            if (reference !== undefined) {
+                fail(`invalid reference \\${reference} on \`s' command's RHS`);
+            }
+        };
+
+        while (pos < script.length) {
+            const char = script[pos];
+            if (char === ';' || char === '\n' || char === ' ' || char === '\t') {
+                pos++;
+                continue;
+            }
+            if (char === '#') {
+                while (pos < script.length && script[pos] !== '\n') {
+                    pos++;
+                }
+                continue;
+            }
+
+            const command = { address1: parseAddress(), address2: null, negate: false };
+            if (command.address1 && script[pos] === ',') {
+                pos++;
+                skipBlanks();
+                command.address2 = parseAddress();
+                if (!command.address2) {
+                    fail("unexpected `,'");
+                }
+            }
+
+            skipBlanks();
+            if (script[pos] === '!') {
+                command.negate = true;
+                pos++;
+                skipBlanks();
+            }
+
+            command.name = script[pos++];
+            if (command.name === 's') {
+                parseSubstitution(command);
+            } else if (command.name === 'q') {
+                if (command.address2) {
+                    fail('command only uses one address');
+                }
+            } else if (command.name === undefined || command.name === ';' || command.name === '\n') {
+                fail('missing command');
+            } else if (command.name !== 'd' && command.name !== 'p') {
+                fail(`unknown command: \`${command.name}'`);
+            }
+
+            skipBlanks();
+            if (pos < script.length && !';\n#'.includes(script[pos])) {
+                pos++;
+                fail('extra characters after command');
+            }
+            program.push(command);
+        }
+    });
+
+    return program;
+}
+
+/**
+ * Split the replacement of an s command into literal strings and group
+ * numbers: & is the whole match (0) and \1 to \9 its groups
+ */
+function parseSedReplacement(text) {
+    const parts = [];
+    let literal = '';
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        let group = null;
+
+        if (char === '\\' && i + 1 < text.length) {
+            const next = text[++i];
+            if (/[0-9]/.test(next)) {
+                group = parseInt(next, 10);
+            } else if (next === 'n') {
+                literal += '\n';
+            } else if (next === 't') {
+                literal += '\t';
+            } else {
+                literal += next;
+            }
+        } else if (char === '&') {
+            group = 0;
+        } else {
+            literal += char;
+        }
+
+        if (group !== null) {
+            if (literal) {
+                parts.push(literal);
+                literal = '';
+            }
+            parts.push(group);
+        }
+    }
+
+    if (literal) {
+        parts.push(literal);
+    }
+    return parts;
+}
+
+/**
+ * Run a compiled sed script over text
+ * @param {Array<Object>} program - Commands from compileSedScript
+ * @param {string} text - Input text
+ * @param {boolean} quiet - Whether lines are only printed by p (-n)
+ * @returns {string} Output text, ending in a newline if the input did
+ */
+function runSedScript(program, text, quiet) {
+    const trailingNewline = text.endsWith('\n');
+    const body = trailingNewline ? text.slice(0, -1) : text;
+    const lines = text === '' ? [] : body.split('\n');
+    const activeRanges = new Set();
+    const output = [];
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = { number: i + 1, last: i === lines.length - 1 };
+        let space = lines[i];
+        let deleted = false;
+        let quit = false;
+
+        for (const command of program) {
+            if (sedAddressMatches(command, line, space, activeRanges) === command.negate) {
+                continue;
+            }
+
+            if (command.name === 'd') {
+                deleted = true;
+                break;
+            } else if (command.name === 'p') {
+                output.push(space);
+            } else if (command.name === 's') {
+                const result = sedSubstitute(command, space);
+                if (result !== null) {
+                    space = result;
+                    if (command.print) {
+                        output.push(space);
+                    }
+                }
+            } else if (command.name === 'q') {
+                quit = true;
+                break;
+            }
+        }
+
+        if (!deleted && !quiet) {
+            output.push(space);
+        }
+        if (quit) {
+            break;
+        }
+    }
+
+    if (output.length === 0) {
+        return '';
+    }
+    return output.join('\n') + (trailingNewline ? '\n' : '');
+}
+
+/**
+ * Whether a command's address selects the current line. A range starts on
+ * a line matching its first address and ends on the next line matching the
+ * second, or covers one line if the second is a line number already passed.
+ */
+function sedAddressMatches(command, line, space, activeRanges) {
+    const { address1, address2 } = command;
+    const matches = address => (address.line !== undefined && address.line === line.number)
+        || (address.last === true && line.last)
+        || (address.regex !== undefined && address.regex.test(space));
+
+    if (!address1) {
+        return true;
+    }
+    if (!address2) {
+        return matches(address1);
+    }
+
+    if (activeRanges.has(command)) {
+        const ended = address2.line !== undefined ? line.number >= address2.line : matches(address2);
+        if (ended) {
+            activeRanges.delete(command);
+        }
+        return true;
+    }
+
+    if (!matches(address1)) {
+        return false;
+    }
+    const singleLine = address2.line !== undefined ? address2.line <= line.number : address2.last === true && line.last;
+    if (!singleLine) {
+        activeRanges.add(command);
+    }
+    return true;
+}
+
+/**
+ * Apply an s command to the pattern space
+ * @returns {string|null} The new pattern space, or null if nothing matched
+ */
+function sedSubstitute(command, space) {
+    let count = 0;
+    let replaced = false;
+    let previousEnd = -1;
+
+    const result = space.replace(command.regex, (...match) => {
+        // An empty match right after a match is not a match, as in sed:
+        // s/a*/X/g turns "aaa" into "X", not "XX"
+        const offset = match[match.length - 2];
+        if (match[0] === '' && offset === previousEnd) {
+            return '';
+        }
+        previousEnd = offset + match[0].length;
+
+        count++;
+        if (count < command.occurrence || (count > command.occurrence && !command.global)) {
+            return match[0];
+        }
+        replaced = true;
+        return command.replacement
+            .map(part => (typeof part === 'number' ? match[part] ?? '' : part))
+            .join('');
+    });
+
+    return replaced ? result : null;
+}
+
+// ============================================================================
+// awk - Pattern scanning and processing language
+// ============================================================================
+
+/**
+ * Run an awk program over text
+ * @param {string[]} args - Command arguments
+ * @param {VirtualFilesystem} filesystem - Filesystem instance
+ * @param {string|null} pipeInput - Piped input from previous command
+ * @returns {CommandResult}
+ */
+export function awk(args, filesystem, pipeInput = null) {
+    try {
+        const assignments = [];
+        const operands = [];
+        let fieldSeparator = null;
+        let programFile = null;
+
+        // Options come before the program; everything after it is an operand
+        for (let i = 0; i < args.length; i++) {
+            const arg = args[i];
+
+            if (operands.length > 0 || !arg.startsWith('-') || arg === '-') {
+                operands.push(arg);
+                continue;
+            }
+            if (arg === '--') {
+                operands.push(...args.slice(i + 1));
+                break;
+            }
+
+            const option = arg[1];
+            if (!'Fvf'.includes(option)) {
+                return CommandResult.error(`awk: invalid option -- '${option}'`, 2);
+            }
+            const value = arg.length > 2 ? arg.slice(2) : args[++i];
+            if (value === undefined) {
+                return CommandResult.error(`awk: option requires an argument -- '${option}'`, 2);
+            }
+
+            if (option === 'F') {
+                fieldSeparator = value === 't' ? '\t' : value;
+            } else if (option === 'v') {
+                if (!/^[A-Za-z_][A-Za-z0-9_]*=/.test(value)) {
+                    return CommandResult.error(`awk: invalid -v argument '${value}'`, 2);
+                }
+                assignments.push(value);
+            } else {
+                programFile = value;
+            }
+        }
+
+        const source = programFile !== null ? filesystem.cat(programFile) : operands.shift();
+        if (source === undefined) {
+            return CommandResult.error('awk: no program given\nUsage: awk [-F FS] [-v VAR=VALUE] {PROGRAM | -f FILE} [FILE...]', 2);
+        }
+
+        const { output, exitCode } = runAwk(source, {
+            operands,
+            assignments,
+            fieldSeparator,
+            readFile: name => {
+                if (name !== '-') {
+                    return filesystem.cat(name);
+                }
+                if (pipeInput === null) {
+                    throw new Error('no input provided (use pipe or provide filename)');
+                }
+                return pipeInput;
+            },
+            writeFile: (name, content) => writeOutputFile(filesystem, name, content)
+        });
+
+        return new CommandResult(output, exitCode === 0, exitCode);
+    } catch (error) {
+        return CommandResult.error(`awk: ${error.message.replace(/^cat: /, '')}`, 2);
+    }
+}
+
+// ============================================================================
+// nl - Number lines
+// ============================================================================
+
+const NL_LONG_OPTIONS = {
+    'body-numbering': 'b',
+    'number-format': 'n',
+    'number-width': 'w',
+    'number-separator': 's',
+    'starting-line-number': 'v',
+    'line-increment': 'i'
+};
+
+/**
+ * Number the lines of files; numbering carries on from one file to the next
+ * @param {string[]} args - Command arguments
+ * @param {VirtualFilesystem} filesystem - Filesystem instance
+ * @param {string|null} pipeInput - Piped input from previous command
+ * @returns {CommandResult}
+ */
+export function nl(args, filesystem, pipeInput = null) {
+    try {
+        const { values, operands } = parseOptions(args, { values: 'bnwsvi', long: NL_LONG_OPTIONS });
+
+        const signedOption = (option, fallback, description) => {
+            const value = optionValue(values, option);
+            if (value === null) {
+                return fallback;
+            }
+            if (!/^[+-]?\d+$/.test(value)) {
+                throw new Error(`invalid ${description}: '${value}'`);
+            }
+            return parseInt(value, 10);
+        };
+
+        const style = optionValue(values, 'b', 't');
+        const format = optionValue(values, 'n', 'rn');
+        const width = countOption(values.w, 6, 'line number field width');
+        const separator = optionValue(values, 's', '\t');
+        const increment = signedOption('i', 1, 'line number increment');
+        let number = signedOption('v', 1, 'starting line number');
+
+        let numbered;
+        if (style === 'a') {
+            numbered = () => true;
+        } else if (style === 't') {
+            numbered = line => line !== '';
+        } else if (style === 'n') {
+            numbered = () => false;
+        } else if (style.startsWith('p')) {
+            const regex = posixToRegExp(style.slice(1));
+            numbered = line => regex.test(line);
+        } else {
+            throw new Error(`invalid body numbering style: '${style}'`);
+        }
+
+        if (!['ln', 'rn', 'rz'].includes(format)) {
+            throw new Error(`invalid line numbering format: '${format}'`);
+        }
+        if (width === 0) {
+            throw new Error('invalid line number field width: \'0\'');
+        }
+
+        const formatNumber = (value) => {
+            if (format === 'ln') {
+                return String(value).padEnd(width);
+            }
+            if (format === 'rn') {
+                return String(value).padStart(width);
+            }
+            return value < 0
+                ? `-${String(-value).padStart(width - 1, '0')}`
+                : String(value).padStart(width, '0');
+        };
+
+        // Lines left unnumbered are indented to line up with the others
+        const blank = ' '.repeat(width + separator.length);
+
+        const lines = splitLines(readOperands(operands, filesystem, pipeInput)).map(line => {
+            if (!numbered(line)) {
+                return `${blank}${line}`;
+            }
+            const text = `${formatNumber(number)}${separator}${line}`;
+            number += increment;
+            return text;
+        });
+
+        return CommandResult.success(lines.join('\n'));
+    } catch (error) {
+        return CommandResult.error(`nl: ${error.message}`);
+    }
+}
+
+// ============================================================================
+// tac - Print lines in reverse
+// ============================================================================
+
+/**
+ * Print the lines of each file, last line first
+ * @param {string[]} args - Command arguments
+ * @param {VirtualFilesystem} filesystem - Filesystem instance
+ * @param {string|null} pipeInput - Piped input from previous command
+ * @returns {CommandResult}
+ */
+export function tac(args, filesystem, pipeInput = null) {
+    try {
+        const { operands } = parseOptions(args);
+        const texts = operands.length === 0
+            ? [readOperands([], filesystem, pipeInput)]
+            : operands.map(operand => readOperands([operand], filesystem, pipeInput));
+
+        const lines = texts.flatMap(text => splitLines(text).reverse());
+        return CommandResult.success(lines.join('\n'));
+    } catch (error) {
+        return CommandResult.error(`tac: ${error.message}`);
+    }
+}
+
+// ============================================================================
+// paste - Merge lines of files
+// ============================================================================
+
+/**
+ * Parse a paste or xargs delimiter list, where \n, \t, \\ and \0 (nothing)
+ * are escapes
+ * @param {string} list - Delimiters as given on the command line
+ * @returns {string[]}
+ */
+function parseDelimiters(list) {
+    const delimiters = [];
+
+    for (let i = 0; i < list.length; i++) {
+        if (list[i] !== '\\') {
+            delimiters.push(list[i]);
+            continue;
+        }
+
+        i++;
+        if (i === list.length) {
+            throw new Error(`delimiter list ends with an unescaped backslash: ${list}`);
+        }
+        const escapes = { n: '\n', t: '\t', '\\': '\\', '0': '' };
+        delimiters.push(escapes[list[i]] ?? list[i]);
+    }
+
+    return delimiters.length > 0 ? delimiters : [''];
+}
+
+/**
+ * Join corresponding lines of files, or with -s all lines of each file
+ * @param {string[]} args - Command arguments
+ * @param {VirtualFilesystem} filesystem - Filesystem instance
+ * @param {string|null} pipeInput - Piped input from previous command
+ * @returns {CommandResult}
+ */
+export function paste(args, filesystem, pipeInput = null) {
+    try {
+        const { flags, values, operands } = parseOptions(args, {
+            flags: 's',
+            values: 'd',
+            long: { delimiters: 'd', serial: 's' }
+        });
+
+        const delimiters = parseDelimiters(optionValue(values, 'd', '\t'));
+        const files = operands.length > 0 ? operands : ['-'];
+        if (operands.length === 0 && pipeInput === null) {
+            throw new Error('no input provided (use pipe or provide filename)');
+        }
+
+        // Each - takes the next line of the piped input in turn, so that
+        // paste - - joins pairs of lines
+        const stdinLines = splitLines(pipeInput === null ? '' : pipeInput);
+        let stdinIndex = 0;
+        const sources = files.map(file => (file === '-' ? null : splitLines(readOperands([file], filesystem, pipeInput))));
+        const joinColumns = (columns) => columns.reduce((line, column, index) =>
+            (index === 0 ? column : `${line}${delimiters[(index - 1) % delimiters.length]}${column}`), '');
+
+        const results = [];
+
+        if (flags.has('s')) {
+            for (const source of sources) {
+                if (source === null) {
+                    results.push(joinColumns(stdinLines.slice(stdinIndex)));
+                    stdinIndex = stdinLines.length;
+                } else {
+                    results.push(joinColumns(source));
+                }
+            }
+            return CommandResult.success(results.join('\n'));
+        }
+
+        const positions = sources.map(() => 0);
+        const nextLine = (index) => {
+            const source = sources[index];
+            if (source === null) {
+                return stdinIndex < stdinLines.length ? stdinLines[stdinIndex++] : null;
+            }
+            return positions[index] < source.length ? source[positions[index]++] : null;
+        };
+
+        for (;;) {
+            const row = sources.map((source, index) => nextLine(index));
+            if (row.every(column => column === null)) {
+                break;
+            }
+            results.push(joinColumns(row.map(column => column ?? '')));
+        }
+
+        return CommandResult.success(results.join('\n'));
+    } catch (error) {
+        return CommandResult.error(`paste: ${error.message}`);
+    }
+}
+
+// ============================================================================
+// join - Join lines of two files on a common field
+// ============================================================================
+
+/**
+ * Join the lines of two files sorted on the join field
+ * @param {string[]} args - Command arguments
+ * @param {VirtualFilesystem} filesystem - Filesystem instance
+ * @param {string|null} pipeInput - Piped input from previous command
+ * @returns {CommandResult}
+ */
+export function join(args, filesystem, pipeInput = null) {
+    try {
+        const { flags, values, operands } = parseOptions(args, {
+            flags: 'i',
+            values: '12jtaveo',
+            long: { 'ignore-case': 'i' }
+        });
+
+        if (operands.length < 2) {
+            throw new Error(operands.length === 0 ? 'missing operand' : `missing operand after '${operands[0]}'`);
+        }
+        if (operands.length > 2) {
+            throw new Error(`extra operand '${operands[2]}'`);
+        }
+
+        const separator = optionValue(values, 't');
+        if (separator !== null && separator.length !== 1) {
+            throw new Error(`multi-character tab '${separator}'`);
+        }
+
+        const fieldOption = (option) => {
+            const value = optionValue(values, option, optionValue(values, 'j', '1'));
+            if (!/^\d+$/.test(value) || parseInt(value, 10) === 0) {
+                throw new Error(`invalid field number: '${value}'`);
+            }
+            return parseInt(value, 10) - 1;
+        };
+        const joinFields = [fieldOption('1'), fieldOption('2')];
+
+        const fileNumbers = (option) => (values[option] || []).map(value => {
+            if (value !== '1' && value !== '2') {
+                throw new Error(`invalid file number: '${value}'`);
+            }
+            return parseInt(value, 10) - 1;
+        });
+        const onlyUnpaired = fileNumbers('v');
+        const unpaired = new Set([...fileNumbers('a'), ...onlyUnpaired]);
+        const empty = optionValue(values, 'e');
+
+        // -o lists 0 for the join field or FILE.FIELD, separated by commas or blanks
+        const outputFormat = values.o
+            ? values.o.join(',').split(/[,\s]+/).filter(spec => spec !== '').map(spec => {
+                if (spec === '0') {
+                    return { file: null };
+                }
+                const match = /^([12])\.(\d+)$/.exec(spec);
+                if (!match || parseInt(match[2], 10) === 0) {
+                    throw new Error(`invalid field specifier: '${spec}'`);
+                }
+                return { file: parseInt(match[1], 10) - 1, field: parseInt(match[2], 10) - 1 };
+            })
+            : null;
+
+        const splitFields = (line) => {
+            if (separator !== null) {
+                return line.split(separator);
+            }
+            const trimmed = line.replace(/^[ \t]+/, '');
+            return trimmed === '' ? [] : trimmed.split(/[ \t]+/).filter(field => field !== '');
+        };
+
+        const files = operands.map((operand, index) =>
+            splitLines(readOperands([operand], filesystem, pipeInput)).map(line => {
+                const fields = splitFields(line);
+                return { fields, key: fields[joinFields[index]] ?? '' };
+            }));
+
+        const compareKeys = (a, b) => {
+            if (flags.has('i')) {
+                a = a.toLowerCase();
+                b = b.toLowerCase();
+            }
+            return a < b ? -1 : (a > b ? 1 : 0);
+        };
+
+        const outputSeparator = separator ?? ' ';
+        const formatLine = (records) => {
+            const key = (records[0] || records[1]).key;
+
+            if (outputFormat) {
+                return outputFormat.map(spec => {
+                    if (spec.file === null) {
+                        return key;
+                    }
+                    const record = records[spec.file];
+                    const field = record ? record.fields[spec.field] : undefined;
+                    return field ?? (empty ?? '');
+                }).join(outputSeparator);
+            }
+
+            const fields = [key];
+            records.forEach((record, index) => {
+                if (record) {
+                    fields.push(...record.fields.filter((field, position) => position !== joinFields[index]));
+                }
+            });
+            return fields.join(outputSeparator);
+        };
+
+        const results = [];
+        const [first, second] = files;
+        const printUnpaired = (record, file) => {
+            if (unpaired.has(file)) {
+                results.push(formatLine(file === 0 ? [record, null] : [null, record]));
+            }
+        };
+
+        let i = 0;
+        let j = 0;
+        while (i < first.length && j < second.length) {
+            const order = compareKeys(first[i].key, second[j].key);
+            if (order < 0) {
+                printUnpaired(first[i++], 0);
+            } else if (order > 0) {
+                printUnpaired(second[j++], 1);
+            } else {
+                let groupEnd1 = i;
+                while (groupEnd1 < first.length && compareKeys(first[groupEnd1].key, first[i].key) === 0) {
+                    groupEnd1++;
+                }
+                let groupEnd2 = j;
+                while (groupEnd2 < second.length && compareKeys(second[groupEnd2].key, second[j].key) === 0) {
+                    groupEnd2++;
+                }
+
+                if (onlyUnpaired.length === 0) {
+                    for (let a = i; a < groupEnd1; a++) {
+                        for (let b = j; b < groupEnd2; b++) {
+                            results.push(formatLine([first[a], second[b]]));
+                        }
+                    }
+                }
+                i = groupEnd1;
+                j = groupEnd2;
+            }
+        }
+        first.slice(i).forEach(record => printUnpaired(record, 0));
+        second.slice(j).forEach(record => printUnpaired(record, 1));
+
+        return CommandResult.success(results.join('\n'));
+    } catch (error) {
+        return CommandResult.error(`join: ${error.message}`);
+    }
+}
+
+// ============================================================================
+// comm - Compare two sorted files
+// ============================================================================
+
+/**
+ * Print the lines only in the first file, only in the second and in both,
+ * in three columns
+ * @param {string[]} args - Command arguments
+ * @param {VirtualFilesystem} filesystem - Filesystem instance
+ * @param {string|null} pipeInput - Piped input from previous command
+ * @returns {CommandResult}
+ */
+export function comm(args, filesystem, pipeInput = null) {
+    try {
+        const { flags, operands } = parseOptions(args, { flags: '123' });
+
+        if (operands.length < 2) {
+            throw new Error(operands.length === 0 ? 'missing operand' : `missing operand after '${operands[0]}'`);
+        }
+        if (operands.length > 2) {
+            throw new Error(`extra operand '${operands[2]}'`);
+        }
+
+        const [first, second] = operands.map(operand => splitLines(readOperands([operand], filesystem, pipeInput)));
+
+        // Each column is indented by a tab for every column shown before it
+        const prefixes = [
+            '',
+            flags.has('1') ? '' : '\t',
+            (flags.has('1') ? '' : '\t') + (flags.has('2') ? '' : '\t')
+        ];
+        const results = [];
+        const print = (column, line) => {
+            if (!flags.has(String(column + 1))) {
+                results.push(`${prefixes[column]}${line}`);
+            }
+        };
+
+        let i = 0;
+        let j = 0;
+        while (i < first.length || j < second.length) {
+            if (j >= second.length || (i < first.length && first[i] < second[j])) {
+                print(0, first[i++]);
+            } else if (i >= first.length || second[j] < first[i]) {
+                print(1, second[j++]);
+            } else {
+                print(2, first[i]);
+                i++;
+                j++;
+            }
+        }
+
+        return CommandResult.success(results.join('\n'));
+    } catch (error) {
+        return CommandResult.error(`comm: ${error.message}`);
+    }
+}
+
+// ============================================================================
+// column - Format text into columns
+// ============================================================================
+
+// Width column fills when no -c is given
+const DEFAULT_COLUMN_WIDTH = 80;
+
+/**
+ * Lay out lines in columns, or with -t lay out their fields as a table
+ * @param {string[]} args - Command arguments
+ * @param {VirtualFilesystem} filesystem - Filesystem instance
+ * @param {string|null} pipeInput - Piped input from previous command
+ * @returns {CommandResult}
+ */
+export function column(args, filesystem, pipeInput = null) {
+    try {
+        const { flags, values, operands } = parseOptions(args, {
+            flags: 't',
+            values: 'sco',
+            long: { table: 't', separator: 's', 'output-separator': 'o', 'output-width': 'c' }
+        });
+
+        const entries = splitLines(readOperands(operands, filesystem, pipeInput)).filter(line => line.trim() !== '');
+
+        if (flags.has('t')) {
+            // Runs of separator characters count as one, as with strtok
+            const separators = optionValue(values, 's', ' \t');
+            const pattern = new RegExp(`[${separators.replace(/[\\\]^-]/g, '\\$&')}]+`);
+            const rows = entries.map(line => line.split(pattern).filter(field => field !== ''));
+            const widths = [];
+            rows.forEach(row => row.forEach((field, index) => {
+                widths[index] = Math.max(widths[index] || 0, field.length);
+            }));
+
+            const outputSeparator = optionValue(values, 'o', '  ');
+            const lines = rows.map(row => row
+                .map((field, index) => (index === row.length - 1 ? field : field.padEnd(widths[index])))
+                .join(outputSeparator));
+            return CommandResult.success(lines.join('\n'));
+        }
+
+        // Fill columns top to bottom, each as wide as the longest entry
+        // rounded up to the next tab stop, as BSD and util-linux column do
+        const width = countOption(values.c, DEFAULT_COLUMN_WIDTH, 'output width');
+        if (entries.length === 0) {
+            return CommandResult.success('');
+        }
+
+        const longest = Math.max(...entries.map(entry => entry.length));
+        const columnWidth = (longest + 8) & ~7;
+        const columns = Math.max(1, Math.floor(width / columnWidth));
+        const rows = Math.ceil(entries.length / columns);
+        const lines = [];
+
+        for (let row = 0; row < rows; row++) {
+            let line = '';
+            let position = 0;
+            let end = columnWidth;
+            for (let index = row; index < entries.length; index += rows) {
+                line += entries[index];
+                position += entries[index].length;
+                if (index + rows >= entries.length) {
+                    break;
+                }
+                for (let tabStop = (position + 8) & ~7; tabStop <= end; tabStop = (position + 8) & ~7) {
+                    line += '\t';
+                    position = tabStop;
+                }
+                end += columnWidth;
+            }
+            lines.push(line);
+        }
+
+        return CommandResult.success(lines.join('\n'));
+    } catch (error) {
+        return CommandResult.error(`column: ${error.message}`);
+    }
+}
+
+// ============================================================================
+// fold - Wrap long lines
+// ============================================================================
+
+/**
+ * Break lines longer than a width. Tabs advance to the next multiple of 8
+ * columns unless -b counts characters.
+ * @param {string[]} args - Command arguments
+ * @param {VirtualFilesystem} filesystem - Filesystem instance
+ * @param {string|null} pipeInput - Piped input from previous command
+ * @returns {CommandResult}
+ */
+export function fold(args, filesystem, pipeInput = null) {
+    try {
+        const { flags, values, operands } = parseOptions(args, {
+            flags: 'bs',
+            values: 'w',
+            long: { bytes: 'b', spaces: 's', width: 'w' }
+        });
+
+        const width = countOption(values.w, 80, 'number of columns');
+        if (width === 0) {
+            throw new Error('invalid number of columns: \'0\'');
+        }
+
+        const advance = (column, char) => {
+            if (flags.has('b')) {
+                return column + 1;
+            }
+            if (char === '\b') {
+                return Math.max(0, column - 1);
+            }
+            if (char === '\r') {
+                return 0;
+            }
+            return char === '\t' ? column + 8 - (column % 8) : column + 1;
+        };
+
+        const results = splitLines(readOperands(operands, filesystem, pipeInput)).map(line => {
+            let output = '';
+            let pending = '';
+            let column = 0;
+
+            for (const char of line) {
+                column = advance(column, char);
+                while (column > width) {
+                    // With -s, break after the last blank if there is one
+                    const blank = flags.has('s') ? Math.max(pending.lastIndexOf(' '), pending.lastIndexOf('\t')) : -1;
+                    if (blank !== -1) {
+                        output += `${pending.slice(0, blank + 1)}\n`;
+                        pending = pending.slice(blank + 1);
+                    } else if (pending === '') {
+                        break;
+                    } else {
+                        output += `${pending}\n`;
+                        pending = '';
+                    }
+                    column = [...pending, char].reduce(advance, 0);
+                }
+                pending += char;
+            }
+
+            return output + pending;
+        });
+
+        return CommandResult.success(results.join('\n'));
+    } catch (error) {
+        return CommandResult.error(`fold: ${error.message}`);
+    }
+}
+
+// ============================================================================
+// fmt - Fill paragraphs
+// ============================================================================
+
+// fmt aims for lines this percentage shorter than the maximum width
+const FMT_LEEWAY = 7;
+
+// Costs fmt weighs when choosing line breaks, as in GNU fmt: squared
+// distances from the goal width and between neighbouring lines, with
+// bonuses and penalties for breaking near punctuation
+const fmtEquivalent = n => n * n;
+const FMT_LINE_COST = fmtEquivalent(70);
+const FMT_SENTENCE_BONUS = fmtEquivalent(50);
+const FMT_NOBREAK_COST = fmtEquivalent(600);
+const FMT_PAREN_BONUS = fmtEquivalent(40);
+const FMT_PUNCT_BONUS = fmtEquivalent(40);
+const fmtShortCost = n => fmtEquivalent(n * 10);
+const fmtRaggedCost = n => fmtShortCost(n) / 2;
+const fmtWidowCost = n => fmtEquivalent(200) / (n + 2);
+const fmtOrphanCost = n => fmtEquivalent(150) / (n + 2);
+
+/**
+ * Split one paragraph's lines into words, noting the punctuation and
+ * spacing fmt takes into account when breaking lines
+ * @param {string[]} lines - Lines of the paragraph, indentation included
+ * @param {boolean} uniform - Use one space between words, two after sentences
+ * @returns {Object[]}
+ */
+function fmtWords(lines, uniform) {
+    const words = [];
+
+    for (const line of lines) {
+        const pattern = /(\S+)([ \t]*)/g;
+        let match;
+        pattern.lastIndex = line.search(/\S/);
+
+        // Spaces count by column, so a tab may stand for several
+        let column = 0;
+        const advance = char => {
+            column += char === '\t' ? 8 - (column % 8) : 1;
+        };
+        [...line.slice(0, pattern.lastIndex)].forEach(advance);
+
+        while ((match = pattern.exec(line)) !== null) {
+            const text = match[1];
+            const atLineEnd = pattern.lastIndex === line.length;
+            const trimmed = text.replace(/[)\]'"]+$/, '');
+            const word = {
+                text,
+                length: text.length,
+                paren: '([\'`"'.includes(text[0]),
+                punct: /[!-/:-@[-`{-~]/.test(text[text.length - 1]),
+                period: trimmed !== '' && '.?!'.includes(trimmed[trimmed.length - 1])
+            };
+
+            column += text.length;
+            const wordEnd = column;
+            [...match[2]].forEach(advance);
+            const space = column - wordEnd;
+            word.final = word.period && (atLineEnd || space > 1);
+            word.space = atLineEnd || uniform ? (word.final ? 2 : 1) : space;
+
+            words.push(word);
+            if (atLineEnd) {
+                break;
+            }
+        }
+    }
+
+    return words;
+}
+
+/**
+ * Choose the line breaks of a paragraph that cost least overall
+ * @param {Object[]} words - Words from fmtWords
+ * @param {number} indent - Indentation of every line
+ * @param {number} maxWidth - Lines are kept shorter than this
+ * @param {number} goalWidth - Preferred line length
+ * @param {boolean} tabs - Whether to space with tabs where they fit
+ * @returns {string[]}
+ */
+function fmtParagraph(words, indent, maxWidth, goalWidth, tabs) {
+    const count = words.length;
+    const bestCost = new Array(count + 1).fill(0);
+    const nextBreak = new Array(count).fill(count);
+    const lineLength = new Array(count).fill(0);
+
+    const lineCost = (next, length) => {
+        if (next === count) {
+            return 0;
+        }
+        let cost = fmtShortCost(goalWidth - length);
+        if (nextBreak[next] !== count) {
+            cost += fmtRaggedCost(length - lineLength[next]);
+        }
+        return cost;
+    };
+
+    const baseCost = (index) => {
+        let cost = FMT_LINE_COST;
+        if (index > 0) {
+            const previous = words[index - 1];
+            if (previous.period) {
+                cost += previous.final ? -FMT_SENTENCE_BONUS : FMT_NOBREAK_COST;
+            } else if (previous.punct) {
+                cost -= FMT_PUNCT_BONUS;
+            } else if (index > 1 && words[index - 2].final) {
+                cost += fmtWidowCost(previous.length);
+            }
+        }
+        if (words[index].paren) {
+            cost -= FMT_PAREN_BONUS;
+        } else if (words[index].final) {
+            cost += fmtOrphanCost(words[index].length);
+        }
+        return cost;
+    };
+
+    for (let start = count - 1; start >= 0; start--) {
+        let best = Infinity;
+        let length = indent + words[start].length;
+        let next = start;
+
+        // Each line has at least one word, however long
+        do {
+            next++;
+            const cost = lineCost(next, length) + bestCost[next];
+            if (cost < best) {
+                best = cost;
+                nextBreak[start] = next;
+                lineLength[start] = length;
+            }
+            if (next === count) {
+                break;
+            }
+            length += words[next - 1].space + words[next].length;
+        } while (length < maxWidth);
+
+        bestCost[start] = best + baseCost(start);
+    }
+
+    // Once the input has used tabs, spacing that crosses a tab stop uses them too
+    const space = (line, width) => {
+        let column = line.length;
+        const target = column + width;
+        const tabTarget = target - (target % 8);
+        if (tabs && column + 1 < tabTarget) {
+            while (column < tabTarget) {
+                line += '\t';
+                column = column - (column % 8) + 8;
+            }
+        }
+        return line + ' '.repeat(Math.max(0, target - column));
+    };
+
+    const lines = [];
+    for (let start = 0; start < count; start = nextBreak[start]) {
+        let line = space('', indent);
+        let column = indent;
+        for (let index = start; index < nextBreak[start]; index++) {
+            line += words[index].text;
+            column += words[index].length;
+            if (index < nextBreak[start] - 1) {
+                const spaced = space(' '.repeat(column), words[index].space);
+                line += spaced.slice(column);
+                column += words[index].space;
+            }
+        }
+        lines.push(line);
+    }
+    return lines;
+}
+
+/**
+ * Refill paragraphs to a width. Blank lines separate paragraphs, and lines
+ * with different indentation are never joined.
+ * @param {string[]} args - Command arguments
+ * @param {VirtualFilesystem} filesystem - Filesystem instance
+ * @param {string|null} pipeInput - Piped input from previous command
+ * @returns {CommandResult}
+ */
+export function fmt(args, filesystem, pipeInput = null) {
+    try {
+        // -WIDTH is an old way to write -w WIDTH
+        const widthArgs = args.map(arg => (/^-\d+$/.test(arg) ? `-w${arg.slice(1)}` : arg));
+        const { flags, values, operands } = parseOptions(widthArgs, {
+            flags: 'u',
+            values: 'w',
+            long: { 'uniform-spacing': 'u', width: 'w' }
+        });
+
+        const maxWidth = countOption(values.w, 75, 'width');
+        const goalWidth = Math.floor(maxWidth * (2 * (100 - FMT_LEEWAY) + 1) / 200);
+        const indentOf = line => {
+            let column = 0;
+            for (const char of line.match(/^[ \t]*/)[0]) {
+                column += char === '\t' ? 8 - (column % 8) : 1;
+            }
+            return column;
+        };
+
+        const lines = splitLines(readOperands(operands, filesystem, pipeInput));
+        const results = [];
+        let tabs = false;
+
+        for (let i = 0; i < lines.length;) {
+            if (lines[i].trim() === '') {
+                results.push(lines[i++]);
+                continue;
+            }
+
+            const indent = indentOf(lines[i]);
+            const paragraph = [];
+            while (i < lines.length && lines[i].trim() !== '' && indentOf(lines[i]) === indent) {
+                paragraph.push(lines[i++]);
+            }
+            tabs = tabs || paragraph.some(line => line.includes('\t'));
+            results.push(...fmtParagraph(fmtWords(paragraph, flags.has('u')), indent, maxWidth, goalWidth, tabs));
+        }
+
+        return CommandResult.success(results.join('\n'));
+    } catch (error) {
+        return CommandResult.error(`fmt: ${error.message}`);
+    }
+}
+
+// ============================================================================
+// split - Split a file into pieces
+// ============================================================================
+
+const SPLIT_SIZE_SUFFIXES = { '': 1, K: 1024, M: 1024 ** 2, G: 1024 ** 3 };
+
+/**
+ * Write successive pieces of a file to PREFIXaa, PREFIXab and so on
+ * @param {string[]} args - Command arguments
+ * @param {VirtualFilesystem} filesystem - Filesystem instance
+ * @param {string|null} pipeInput - Piped input from previous command
+ * @returns {CommandResult}
+ */
+export function split(args, filesystem, pipeInput = null) {
+    try {
+        const { flags, values, operands } = parseOptions(args, {
+            flags: 'd',
+            values: 'lba',
+            long: { lines: 'l', bytes: 'b', 'suffix-length': 'a', 'numeric-suffixes': 'd' }
+        });
+
+        if (operands.length > 2) {
+            throw new Error(`extra operand '${operands[2]}'`);
+        }
+
+        const [input = '-', prefix = 'x'] = operands;
+        const suffixLength = countOption(values.a, 2, 'suffix length');
+        const text = readOperands(input === '-' && pipeInput === null ? [] : [input], filesystem, pipeInput);
+
+        let pieces;
+        if (values.b) {
+            const size = optionValue(values, 'b');
+            const match = /^(\d+)([KMG]?)$/.exec(size);
+            if (!match || parseInt(match[1], 10) === 0) {
+                throw new Error(`invalid number of bytes: '${size}'`);
+            }
+            const bytes = parseInt(match[1], 10) * SPLIT_SIZE_SUFFIXES[match[2]];
+            pieces = [];
+            for (let start = 0; start < text.length; start += bytes) {
+                pieces.push(text.slice(start, start + bytes));
+            }
+        } else {
+            const count = countOption(values.l, 1000, 'number of lines');
+            if (count === 0) {
+                throw new Error('invalid number of lines: \'0\'');
+            }
+            const lines = text.match(/[^\n]*\n|[^\n]+$/g) || [];
+            pieces = [];
+            for (let start = 0; start < lines.length; start += count) {
+                pieces.push(lines.slice(start, start + count).join(''));
+            }
+        }
+
+        const digits = flags.has('d') ? '0123456789' : 'abcdefghijklmnopqrstuvwxyz';
+        if (pieces.length > digits.length ** suffixLength) {
+            throw new Error('output file suffixes exhausted');
+        }
+
+        pieces.forEach((piece, index) => {
+            let suffix = '';
+            for (let position = 0; position < suffixLength; position++) {
+                suffix = digits[index % digits.length] + suffix;
+                index = Math.floor(index / digits.length);
+            }
+            writeOutputFile(filesystem, `${prefix}${suffix}`, piece);
+        });
+
+        return CommandResult.success('');
+    } catch (error) {
+        return CommandResult.error(`split: ${error.message}`);
+    }
+}
+
+// ============================================================================
+// seq - Print a sequence of numbers
+// ============================================================================
+
+// Most numbers seq prints, so a typo cannot build an enormous output
+const MAX_SEQ_NUMBERS = 1000000;
+
+/**
+ * Print numbers from FIRST to LAST in steps of INCREMENT
+ * @param {string[]} args - Command arguments
+ * @returns {CommandResult}
+ */
+export function seq(args) {
+    try {
+        // Options end at the first operand, which may be a negative number
+        const optionArgs = [];
+        let i = 0;
+        while (i < args.length && args[i].startsWith('-') && args[i] !== '-' && !/^-\.?\d/.test(args[i])) {
+            const arg = args[i++];
+            optionArgs.push(arg);
+            if (arg === '--') {
+                break;
+            }
+            const valueAt = arg.startsWith('--') ? -1 : arg.search(/[sf]/);
+            const needsValue = valueAt === arg.length - 1 || arg === '--separator' || arg === '--format';
+            if (needsValue && i < args.length) {
+                optionArgs.push(args[i++]);
+            }
+        }
+
+        const { flags, values } = parseOptions(optionArgs, {
+            flags: 'w',
+            values: 'sf',
+            long: { separator: 's', format: 'f', 'equal-width': 'w' }
+        });
+        const operands = args.slice(i);
+
+        if (operands.length === 0) {
+            throw new Error('missing operand');
+        }
+        if (operands.length > 3) {
+            throw new Error(`extra operand '${operands[3]}'`);
+        }
+
+        const numbers = operands.map(operand => {
+            if (!/^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/.test(operand)) {
+                throw new Error(`invalid floating point argument: '${operand}'`);
+            }
+            return Number(operand);
+        });
+        const [first, increment, last] = numbers.length === 1
+            ? [1, 1, numbers[0]]
+            : (numbers.length === 2 ? [numbers[0], 1, numbers[1]] : numbers);
+
+        if (increment === 0) {
+            throw new Error(`invalid Zero increment value: '${operands[1]}'`);
+        }
+
+        // Without -f, print as many decimals as FIRST and INCREMENT have
+        const format = optionValue(values, 'f');
+        let formatNumber;
+        if (format !== null) {
+            const directives = format.replace(/%%/g, '').match(/%[-+ #0']*\d*(?:\.\d*)?[a-zA-Z]?/g) || [];
+            if (directives.length !== 1 || !/[eEfFgG]$/.test(directives[0])) {
+                throw new Error(`format '${format}' has ${directives.length === 0 ? 'no % directive' : 'an invalid % directive'}`);
+            }
+            formatNumber = value => format.replace(/%%|%([-+ #0']*)(\d*)(?:\.(\d*))?([eEfFgG])/g, (spec, specFlags, width, precision, conversion) =>
+                (spec === '%%' ? '%' : formatConversion(conversion, value, specFlags.replace(/'/g, ''),
+                    width === '' ? null : parseInt(width, 10),
+                    precision === undefined ? null : (parseInt(precision, 10) || 0))));
+        } else {
+            const decimals = operands.slice(0, operands.length === 3 ? 2 : 1).map(operand => {
+                if (/[eE]/.test(operand)) {
+                    return null;
+                }
+                const point = operand.indexOf('.');
+                return point === -1 ? 0 : operand.length - point - 1;
+            });
+            const precision = decimals.includes(null) ? null : Math.max(...decimals);
+            formatNumber = precision === null
+                ? value => formatConversion('g', value, '', null, null)
+                : value => formatConversion('f', value, '', null, precision);
+        }
+
+        let pad = text => text;
+        if (flags.has('w')) {
+            const width = Math.max(formatNumber(first).length, formatNumber(last).length);
+            pad = text => (text.startsWith('-')
+                ? `-${text.slice(1).padStart(width - 1, '0')}`
+                : text.padStart(width, '0'));
+        }
+
+        const results = [];
+        const lastText = formatNumber(last);
+        for (let index = 0; ; index++) {
+            const value = first + index * increment;
+            const text = formatNumber(value);
+
+            // Stop past LAST, unless rounding only makes it look that way
+            if (increment > 0 ? value > last : value < last) {
+                if (text === lastText) {
+                    results.push(pad(text));
+                }
+                break;
+            }
+            if (results.length >= MAX_SEQ_NUMBERS) {
+                throw new Error(`too many numbers (at most ${MAX_SEQ_NUMBERS})`);
+            }
+            results.push(pad(text));
+        }
+
+        return CommandResult.success(results.join(optionValue(values, 's', '\n')));
+    } catch (error) {
+        return CommandResult.error(`seq: ${error.message}`);
+    }
+}
+
+// ============================================================================
+// printf - Format and print data
+// ============================================================================
+
+const PRINTF_ESCAPES = {
+    '"': '"',
+    '\\': '\\',
+    a: '\x07',
+    b: '\b',
+    e: '\x1b',
+    f: '\f',
+    n: '\n',
+    r: '\r',
+    t: '\t',
+    v: '\v'
+};
+
+/**
+ * Encode text as UTF-8, one byte per character. printf builds its output
+ * this way, so that \xHH and \NNN give raw bytes and widths count bytes, as
+ * in C.
+ * @param {string} text - Text
+ * @returns {string}
+ */
+function toByteString(text) {
+    let bytes = '';
+    for (const byte of new TextEncoder().encode(text)) {
+        bytes += String.fromCharCode(byte);
+    }
+    return bytes;
+}
+
+/**
+ * Decode the escape sequence after a backslash
+ * @param {string} text - Text holding the escape
+ * @param {number} start - Index just past the backslash
+ * @param {boolean} octalZero - Octal escapes are written \0NNN, as in %b
+ * @returns {{text: string, end: number, stop: boolean}} The decoded bytes, as
+ *          from toByteString, the index after the escape, and whether it
+ *          was \c, which ends all output
+ */
+function printfEscape(text, start, octalZero) {
+    const char = text[start];
+
+    if (char === 'c') {
+        return { text: '', end: start + 1, stop: true };
+    }
+    if (char === 'x' && /[0-9a-fA-F]/.test(text[start + 1] || '')) {
+        const digits = /^[0-9a-fA-F]{1,2}/.exec(text.slice(start + 1))[0];
+        return { text: String.fromCharCode(parseInt(digits, 16)), end: start + 1 + digits.length, stop: false };
+    }
+    if ((char === 'u' || char === 'U') && /[0-9a-fA-F]/.test(text[start + 1] || '')) {
+        const digits = new RegExp(`^[0-9a-fA-F]{1,${char === 'u' ? 4 : 8}}`).exec(text.slice(start + 1))[0];
+        const bytes = toByteString(String.fromCodePoint(Math.min(parseInt(digits, 16), 0x10FFFF)));
+        return { text: bytes, end: start + 1 + digits.length, stop: false };
+    }
+    if (/[0-7]/.test(char || '')) {
+        const from = octalZero && char === '0' ? start + 1 : start;
+        const digits = /^[0-7]{0,3}/.exec(text.slice(from))[0];
+        return { text: String.fromCharCode(parseInt(digits || '0', 8) & 0xFF), end: from + digits.length, stop: false };
+    }
+    if (char !== undefined && PRINTF_ESCAPES[char] !== undefined) {
+        return { text: PRINTF_ESCAPES[char], end: start + 1, stop: false };
+    }
+    return { text: char === undefined ? '\\' : toByteString(`\\${char}`), end: start + 1, stop: false };
+}
+
+/**
+ * Read a printf argument as a number. A leading quote gives the code of
+ * the next character; integers may be hexadecimal (0x) or octal (0).
+ * @param {string|null} text - The argument, or null when there are no more
+ * @param {boolean} integer - Whether an integer conversion wants it
+ * @returns {{value: number, error: string|null}}
+ */
+function printfNumber(text, integer) {
+    if (text === null) {
+        return { value: 0, error: null };
+    }
+    if (/^['"]/.test(text)) {
+        return { value: text.length > 1 ? text.codePointAt(1) : 0, error: null };
+    }
+
+    const match = integer
+        ? /^\s*([+-]?)(0[xX][0-9a-fA-F]+|0[0-7]*|[1-9]\d*)/.exec(text)
+        : /^\s*([+-]?)(0[xX][0-9a-fA-F]+|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?|inf(?:inity)?|nan)/i.exec(text);
+    if (!match) {
+        return { value: 0, error: `'${text}': expected a numeric value` };
+    }
+
+    const digits = match[2];
+    let value;
+    if (/^0[xX]/.test(digits)) {
+        value = parseInt(digits, 16);
+    } else if (integer) {
+        value = digits.length > 1 && digits[0] === '0' ? parseInt(digits, 8) : parseInt(digits, 10);
+    } else if (/^inf/i.test(digits)) {
+        value = Infinity;
+    } else {
+        value = /^nan$/i.test(digits) ? NaN : Number(digits);
+    }
+    if (match[1] === '-') {
+        value = -value;
+    }
+
+    const error = match[0].length < text.length ? `'${text}': value not completely converted` : null;
+    return { value, error };
+}
+
+/**
+ * Print ARGUMENTs according to FORMAT, reusing FORMAT until all of them
+ * are used
+ * @param {string[]} args - Command arguments
+ * @returns {CommandResult}
+ */
+export function printf(args) {
+    const operands = args[0] === '--' ? args.slice(1) : args;
+    if (operands.length === 0) {
+        return CommandResult.error('printf: missing operand');
+    }
+
+    const [format, ...values] = operands;
+    const errors = [];
+    let output = '';
+    let index = 0;
+    let stop = false;
+
+    // Errors follow whatever was printed, on a line of their own
+    const finish = () => {
+        const bytes = Uint8Array.from(output, char => char.charCodeAt(0));
+        if (errors.length === 0) {
+            return CommandResult.bytes(bytes);
+        }
+        const text = new TextDecoder().decode(bytes);
+        const separator = text === '' || text.endsWith('\n') ? '' : '\n';
+        return new CommandResult(`${text}${separator}${errors.join('\n')}`, false, 1);
+    };
+    const nextValue = () => (index < values.length ? values[index++] : null);
+    const nextNumber = (integer) => {
+        const { value, error } = printfNumber(nextValue(), integer);
+        if (error) {
+            errors.push(`printf: ${error}`);
+        }
+        return value;
+    };
+
+    do {
+        const used = index;
+
+        for (let i = 0; i < format.length && !stop;) {
+            const char = format[i];
+
+            if (char === '\\') {
+                const escape = printfEscape(format, i + 1, false);
+                output += escape.text;
+                stop = escape.stop;
+                i = escape.end;
+                continue;
+            }
+            if (char !== '%') {
+                const end = format.slice(i).search(/[\\%]/);
+                output += toByteString(end === -1 ? format.slice(i) : format.slice(i, i + end));
+                i = end === -1 ? format.length : i + end;
+                continue;
+            }
+
+            const match = /^%([-+ #0']*)(\*|\d+)?(?:\.(\*|\d*))?([diouxXeEfFgGcsb%])/.exec(format.slice(i));
+            if (!match || (match[4] === '%' && match[0] !== '%%')) {
+                const directive = /^%[-+ #0']*(?:\*|\d+)?(?:\.(?:\*|\d*))?.?/.exec(format.slice(i))[0];
+                errors.push(`printf: ${directive}: invalid conversion specification`);
+                return finish();
+            }
+            i += match[0].length;
+
+            let [, specFlags, width, precision, conversion] = match;
+            if (conversion === '%') {
+                output += '%';
+                continue;
+            }
+
+            // Grouping thousands makes no difference in the C locale
+            specFlags = specFlags.replace(/'/g, '');
+            if (width === '*') {
+                width = Math.trunc(nextNumber(true));
+                if (width < 0) {
+                    specFlags += '-';
+                    width = -width;
+                }
+            } else {
+                width = width === undefined ? null : parseInt(width, 10);
+            }
+            if (precision === '*') {
+                precision = Math.trunc(nextNumber(true));
+                precision = precision < 0 ? null : precision;
+            } else {
+                precision = precision === undefined ? null : (parseInt(precision, 10) || 0);
+            }
+
+            if (conversion === 'b') {
+                const text = nextValue() ?? '';
+                let expanded = '';
+                for (let j = 0; j < text.length && !stop;) {
+                    if (text[j] === '\\') {
+                        const escape = printfEscape(text, j + 1, true);
+                        expanded += escape.text;
+                        stop = escape.stop;
+                        j = escape.end;
+                    } else {
+                        const end = text.indexOf('\\', j);
+                        expanded += toByteString(end === -1 ? text.slice(j) : text.slice(j, end));
+                        j = end === -1 ? text.length : end;
+                    }
+                }
+                output += formatConversion('s', expanded, specFlags, width, precision);
+            } else if (conversion === 's' || conversion === 'c') {
+                const text = toByteString(nextValue() ?? '');
+                output += formatConversion(conversion, conversion === 'c' ? text.charAt(0) : text, specFlags, width, precision);
+            } else {
+                const number = nextNumber('diouxX'.includes(conversion));
+                output += formatConversion(conversion, number, specFlags, width, precision);
+            }
+        }
+
+        // The format is used again only while it consumes arguments
+        if (index === used) {
+            break;
+        }
+    } while (!stop && index < values.length);
+
+    return finish();
+}
+
+// ============================================================================
+// expand, unexpand - Convert between tabs and spaces
+// ============================================================================
+
+/**
+ * Parse a -t list of tab stops: one size for stops every N columns, or
+ * the columns of each stop
+ * @param {string|null} list - Stops separated by commas or blanks
+ * @returns {number[]|null} The stops, or null for the default of every 8 columns
+ */
+function parseTabStops(list) {
+    if (list === null) {
+        return null;
+    }
+
+    const stops = list.split(/[,\s]+/).filter(stop => stop !== '').map(stop => {
+        if (!/^\d+$/.test(stop)) {
+            throw new Error(`tab size contains invalid character(s): '${stop}'`);
+        }
+        return parseInt(stop, 10);
+    });
+
+    if (stops.some(stop => stop === 0)) {
+        throw new Error('tab size cannot be 0');
+    }
+    if (stops.some((stop, index) => index > 0 && stop <= stops[index - 1])) {
+        throw new Error('tab sizes must be ascending');
+    }
+    return stops;
+}
+
+/**
+ * Find the column of the tab stop after a column
+ * @param {number} column - Current column
+ * @param {number[]|null} stops - Tab stops from parseTabStops
+ * @returns {number|null} The next stop, or null past the last of a list
+ */
+function nextTabStop(column, stops) {
+    if (stops === null || stops.length === 1) {
+        const size = stops === null ? 8 : stops[0];
+        return column + size - (column % size);
+    }
+    const stop = stops.find(candidate => candidate > column);
+    return stop === undefined ? null : stop;
+}
+
+/**
+ * Convert tabs to spaces
+ * @param {string[]} args - Command arguments
+ * @param {VirtualFilesystem} filesystem - Filesystem instance
+ * @param {string|null} pipeInput - Piped input from previous command
+ * @returns {CommandResult}
+ */
+export function expand(args, filesystem, pipeInput = null) {
+    try {
+        const { flags, values, operands } = parseOptions(args, {
+            flags: 'i',
+            values: 't',
+            long: { initial: 'i', tabs: 't' }
+        });
+        const stops = parseTabStops(values.t ? values.t.join(',') : null);
+
+        const results = splitLines(readOperands(operands, filesystem, pipeInput)).map(line => {
+            let output = '';
+            let column = 0;
+            let leading = true;
+
+            for (const char of line) {
+                if (char === '\t' && leading) {
+                    // Past the last stop of a list, a tab becomes one space
+                    const stop = nextTabStop(column, stops);
+                    const next = stop === null ? column + 1 : stop;
+                    output += ' '.repeat(next - column);
+                    column = next;
+                    continue;
+                }
+
+                if (char === '\b') {
+                    column = Math.max(0, column - 1);
+                } else {
+                    column++;
+                }
+                if (flags.has('i') && char !== ' ' && char !== '\t') {
+                    leading = false;
+                }
+                output += char;
+            }
+
+            return output;
+        });
+
+        return CommandResult.success(results.join('\n'));
+    } catch (error) {
+        return CommandResult.error(`expand: ${error.message}`);
+    }
+}
+
+/**
+ * Convert spaces to tabs, following GNU unexpand: blanks are only replaced
+ * when they reach a tab stop, and a lone space before a stop stays a space
+ * unless more blanks follow
+ * @param {string[]} args - Command arguments
+ * @param {VirtualFilesystem} filesystem - Filesystem instance
+ * @param {string|null} pipeInput - Piped input from previous command
+ * @returns {CommandResult}
+ */
+export function unexpand(args, filesystem, pipeInput = null) {
+    try {
+        const { flags, values, operands } = parseOptions(args, {
+            flags: 'af',
+            values: 't',
+            long: { all: 'a', 'first-only': 'f', tabs: 't' }
+        });
+        const stops = parseTabStops(values.t ? values.t.join(',') : null);
+
+        // -t implies -a, unless --first-only is given
+        const entireLine = !flags.has('f') && (flags.has('a') || stops !== null);
+
+        const results = splitLines(readOperands(operands, filesystem, pipeInput)).map(line => {
+            let output = '';
+            let convert = true;
+            let column = 0;
+            let previousBlank = true;
+            let oneBlankBeforeStop = false;
+            let pending = [];
+
+            for (let char of line) {
+                if (convert) {
+                    const blank = char === ' ' || char === '\t';
+
+                    if (blank) {
+                        const stop = nextTabStop(column, stops);
+                        if (stop === null) {
+                            convert = false;
+                        } else if (char === '\t') {
+                            column = stop;
+                            if (pending.length > 0) {
+                                pending[0] = '\t';
+                            }
+                            pending = oneBlankBeforeStop ? pending.slice(0, 1) : [];
+                        } else {
+                            column++;
+                            if (!(previousBlank && column === stop)) {
+                                // Whether these blanks become a tab is not known yet
+                                if (column === stop) {
+                                    oneBlankBeforeStop = true;
+                                }
+                                pending.push(char);
+                                previousBlank = true;
+                                continue;
+                            }
+                            // Replace the pending blanks with a tab, or two
+                            pending[0] = char = '\t';
+                            pending = oneBlankBeforeStop ? pending.slice(0, 1) : [];
+                        }
+                    } else if (char === '\b') {
+                        column = Math.max(0, column - 1);
+                    } else {
+                        column++;
+                    }
+
+                    if (pending.length > 0) {
+                        if (pending.length > 1 && oneBlankBeforeStop) {
+                            pending[0] = '\t';
+                        }
+                        output += pending.join('');
+                        pending = [];
+                        oneBlankBeforeStop = false;
+                    }
+                    previousBlank = blank;
+                    convert = convert && (entireLine || blank);
+                }
+                output += char;
+            }
+
+            if (pending.length > 1 && oneBlankBeforeStop) {
+                pending[0] = '\t';
+            }
+            return output + pending.join('');
+        });
+
+        return CommandResult.success(results.join('\n'));
+    } catch (error) {
+        return CommandResult.error(`unexpand: ${error.message}`);
+    }
+}
+
+// ============================================================================
+// tee - Copy input to files
+// ============================================================================
+
+/**
+ * Write the piped input to each FILE and pass it on; input that is not
+ * text is written and passed on as its raw bytes
+ * @param {string[]} args - Command arguments
+ * @param {VirtualFilesystem} filesystem - Filesystem instance
+ * @param {string|null} pipeInput - Piped input from previous command
+ * @param {Uint8Array|null} pipeBytes - Exact bytes of the piped input
+ * @returns {CommandResult}
+ */
+export function tee(args, filesystem, pipeInput = null, pipeBytes = null) {
+    let options;
+    try {
+        options = parseOptions(args, { flags: 'a', long: { append: 'a' } });
+    } catch (error) {
+        return CommandResult.error(`tee: ${error.message}`);
+    }
+
+    const text = pipeInput === null ? '' : pipeInput;
+    const content = pipeBytes === null ? '' : bytesToText(pipeBytes);
+    const errors = [];
+
+    for (const file of options.operands) {
+        try {
+            let data = content;
+            // Appending keeps lines apart, as >> does
+            if (options.flags.has('a') && filesystem.fileExists(file)) {
+                const current = bytesToText(filesystem.readBytes(file));
+                if (typeof current === 'string' && typeof content === 'string') {
+                    data = `${current}${current && content && !current.endsWith('\n') ? '\n' : ''}${content}`;
+                } else {
+                    data = concatBytes([toBytes(current), toBytes(content)]);
+                }
+            }
+            writeOutputFile(filesystem, file, data);
+        } catch (error) {
+            errors.push(`tee: ${error.message.replace(/^cat: /, '')}`);
+        }
+    }
+
+    if (errors.length > 0) {
+        return new CommandResult([text.replace(/\n$/, ''), ...errors].filter(line => line !== '').join('\n'), false, 1);
+    }
+    return pipeBytes === null ? CommandResult.success('') : CommandResult.bytes(pipeBytes);
+}
+
+// ============================================================================
+// xargs - Build command lines from input
+// ============================================================================
+
+/**
+ * Split xargs input into items: blanks and newlines separate them, and
+ * quotes and backslashes keep them together
+ * @param {string} input - Piped input
+ * @returns {string[]}
+ */
+function xargsItems(input) {
+    const items = [];
+    let current = null;
+    let quote = null;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quote) {
+            if (char === quote) {
+                quote = null;
+            } else if (char === '\n') {
+                break;
+            } else {
+                current += char;
+            }
+        } else if (char === '\\') {
+            current = (current ?? '') + (input[++i] ?? '');
+        } else if (char === '\'' || char === '"') {
+            quote = char;
+            current = current ?? '';
+        } else if (/\s/.test(char)) {
+            if (current !== null) {
+                items.push(current);
+                current = null;
+            }
+        } else {
+            current = (current ?? '') + char;
+        }
+    }
+
+    if (quote) {
+        throw new Error(`unmatched ${quote === '"' ? 'double' : 'single'} quote; by default quotes are special to xargs unless you use the -0 option`);
+    }
+    if (current !== null) {
+        items.push(current);
+    }
+    return items;
+}
+
+/**
+ * Run COMMAND with items read from the piped input as arguments
+ * @param {string[]} args - Command arguments
+ * @param {Object} executor - Command executor that runs the commands
+ * @param {string|null} pipeInput - Piped input from previous command
+ * @param {boolean} toTerminal - Whether output goes straight to the terminal
+ * @returns {Promise<CommandResult>}
+ */
+export async function xargs(args, executor, pipeInput = null, toTerminal = false) {
+    let items;
+    let options;
+
+    try {
+        options = parseOptions(args, {
+            flags: '0r',
+            values: 'nId',
+            long: { null: '0', 'no-run-if-empty': 'r', 'max-args': 'n', replace: 'I', delimiter: 'd' },
+            stopAtOperand: true
+        });
+
+        const input = pipeInput === null ? '' : pipeInput;
+        const delimiter = options.flags.has('0') ? '\0' : optionValue(options.values, 'd');
+
+        if (delimiter !== null) {
+            const delimiters = parseDelimiters(delimiter);
+            if (delimiters.length !== 1 || delimiters[0].length !== 1) {
+                throw new Error(`invalid input delimiter specification ${delimiter}: the delimiter must be a single character`);
+            }
+            items = input.split(delimiters[0]);
+            if (items[items.length - 1] === '') {
+                items.pop();
+            }
+        } else if (options.values.I) {
+            // With -I each line is one item, without its leading blanks
+            items = splitLines(input).map(line => line.replace(/^[ \t]+/, '')).filter(line => line !== '');
+        } else {
+            items = xargsItems(input);
+        }
+    } catch (error) {
+        return CommandResult.error(`xargs: ${error.message}`, 1);
+    }
+
+    const [command = 'echo', ...initialArgs] = options.operands;
+    const replace = optionValue(options.values, 'I');
+
+    let batches;
+    if (replace !== null) {
+        batches = items.map(item => [command, ...initialArgs].map(arg => arg.split(replace).join(item)));
+    } else {
+        let size;
+        try {
+            size = countOption(options.values.n, Infinity, 'value for -n option');
+        } catch (error) {
+            return CommandResult.error(`xargs: ${error.message}`, 1);
+        }
+        if (size === 0) {
+            return CommandResult.error('xargs: value 0 for -n option should be >= 1', 1);
+        }
+
+        batches = [];
+        for (let start = 0; start < items.length; start += size) {
+            batches.push([command, ...initialArgs, ...items.slice(start, start + size)]);
+        }
+        // Like GNU xargs, run the command once even without input unless -r is given
+        if (batches.length === 0 && !options.flags.has('r')) {
+            batches.push([command, ...initialArgs]);
+        }
+    }
+
+    const outputs = [];
+    let exitCode = 0;
+
+    for (const [name, ...commandArgs] of batches) {
+        const result = await executor.runCommand(name, commandArgs, null, toTerminal);
+        if (result.exitCode === 127) {
+            outputs.push(`xargs: ${name}: No such file or directory`);
+            exitCode = 127;
+            break;
+        }
+        outputs.push(result.output.replace(/\n$/, ''));
+        if (result.exitCode !== 0) {
+            exitCode = 123;
+        }
+    }
+
+    return new CommandResult(outputs.filter(output => output !== '').join('\n'), exitCode === 0, exitCode);
+}
+
+// ============================================================================
+// Command Definitions
+// ============================================================================
+
+export const commands = [
+    {
+        name: 'grep',
+        category: 'text',
+        summary: 'Search text patterns',
+        usage: 'grep [OPTION...] PATTERN [FILE...]',
+        description: 'Print the lines of each FILE, or of the piped input, that match the regular expression PATTERN. Patterns are basic regular expressions unless -E or -F is given. Matches are highlighted on the terminal, and each line is prefixed with its file name when more than one file is searched.',
+        flags: [
+            '-e    Add PATTERN to the patterns; a line matching any of them is printed',
+            '-E    Read patterns as extended regular expressions',
+            '-F    Read patterns as fixed strings',
+            '-i    Ignore case',
+            '-v    Print the lines that do not match',
+            '-w    Only match whole words',
+            '-x    Only match whole lines',
+            '-c    Print a count of matching lines for each file',
+            '-l    Print only the names of files with a match',
+            '-L    Print only the names of files without a match',
+            '-o    Print only the matched parts of each line',
+            '-q    Print nothing; the exit status tells whether anything matched',
+            '-m    Stop reading a file after NUM matching lines',
+            '-n    Prefix each line with its line number',
+            '-H    Prefix each line with its file name, even for a single file',
+            '-h    Never prefix lines with the file name',
+            '-A    Print NUM lines of context after each match',
+            '-B    Print NUM lines of context before each match',
+            '-C    Print NUM lines of context before and after each match',
+            '-r    Search directories recursively',
+            '-R    Search recursively, following symbolic links',
+            '-s    Suppress messages about missing or unreadable files',
+            '--include=GLOB    Only search files whose name matches GLOB when recursing',
+            '--exclude=GLOB    Skip files whose name matches GLOB when recursing',
+            '--exclude-dir=GLOB    Skip directories whose name matches GLOB',
+            '--color[=WHEN]    Highlight matches always, never or on the terminal (auto)'
+        ],
+        examples: [
+            'grep -i flag notes.txt',
+            'grep -rn --include=\'*.md\' password ~',
+            'grep -C 2 -e error -e warning log.txt',
+            'grep -Eo \'[0-9]+\' data.txt',
+            'history | grep ssh'
+        ],
+        run: (args, { filesystem, pipeInput, toTerminal }) => grep(args, filesystem, pipeInput, toTerminal)
+    },
+    {
+        name: 'wc',
+        category: 'text',
+        summary: 'Count lines/words/characters',
+        usage: 'wc [-lwc] [FILE...]',
+        description: 'Count the lines, words and characters of each FILE, or of the piped input.',
+        flags: [
+            '-l    Print the line count',
+            '-w    Print the word count',
+            '-c    Print the character count'
+        ],
+        examples: ['wc notes.txt', 'ls | wc -l'],
+        run: (args, { filesystem, pipeInput }) => wc(args, filesystem, pipeInput)
+    },
+    {
+        name: 'sort',
+        category: 'text',
+        summary: 'Sort lines',
+        usage: 'sort [-bcfhnrsuV] [-t SEP] [-k POS1[,POS2]]... [FILE...]',
+        description: 'Print the lines of the FILEs, or of the piped input, in sorted order. Lines are compared character by character, or by the keys given with -k. A key POS is F[.C][OPTS]: field F, character C, with the ordering options OPTS (b, f, h, n, r, V) for that key only. Lines with equal keys are compared whole unless -s or -u is given.',
+        flags: [
+            '-n    Compare by numeric value',
+            '-h    Compare human-readable sizes such as 2K and 1G',
+            '-V    Compare version numbers such as 1.2 and 1.10',
+            '-f    Ignore case',
+            '-b    Ignore leading blanks',
+            '-r    Reverse the order',
+            '-k    Sort by the key from POS1 to POS2, or to the end of the line',
+            '-t    Split fields on SEP instead of runs of blanks',
+            '-u    Print only the first of lines with equal keys',
+            '-s    Keep lines with equal keys in their input order',
+            '-c    Check that the input is sorted and report the first line out of order'
+        ],
+        examples: ['sort names.txt', 'cat scores.txt | sort -nr', 'sort -t: -k3,3n /etc/passwd', 'ls -l | sort -k5,5nr'],
+        run: (args, { filesystem, pipeInput }) => sort(args, filesystem, pipeInput)
+    },
+    {
+        name: 'uniq',
+        category: 'text',
+        summary: 'Filter duplicate lines',
+        usage: 'uniq [-cdui] [-f N] [-s N] [FILE]',
+        description: 'Collapse adjacent identical lines of FILE, or of the piped input, into one. Sort the input first to collapse all duplicates.',
+        flags: [
+            '-c    Prefix each line with its number of occurrences',
+            '-d    Only print duplicated lines',
+            '-u    Only print lines that are not repeated',
+            '-i    Ignore case when comparing',
+            '-f    Skip the first N fields when comparing',
+            '-s    Skip the first N characters when comparing'
+        ],
+        examples: ['sort names.txt | uniq -c', 'cut -d: -f7 /etc/passwd | sort | uniq -c | sort -rn'],
+        run: (args, { filesystem, pipeInput }) => uniq(args, filesystem, pipeInput)
+    },
+    {
+        name: 'cut',
+        category: 'text',
+        summary: 'Extract columns from lines',
+        usage: 'cut -f LIST [-d DELIM] [FILE]',
+        description: 'Print the selected fields of each line of FILE, or of the piped input. LIST is a comma-separated list of field numbers and ranges such as 1,3-4.',
+        flags: [
+            '-f    Select the fields in LIST',
+            '-d    Split fields on DELIM instead of tab'
+        ],
+        examples: ['cut -d , -f 1 data.csv', 'echo "a b c" | cut -d " " -f 2-3'],
+        run: (args, { filesystem, pipeInput }) => cut(args, filesystem, pipeInput)
+    },
+    {
+        name: 'tr',
+        category: 'text',
+        summary: 'Translate characters',
+        usage: 'tr [-d] SET1 [SET2]',
+        description: 'Replace each character of SET1 in the piped input with the character at the same position in SET2.',
+        flags: ['-d    Delete the characters in SET1 instead'],
+        examples: ['echo hello | tr el ip', 'echo "hello world" | tr -d lo'],
+        run: (args, { pipeInput }) => tr(args, pipeInput)
+    },
+    {
+        name: 'sed',
+        category: 'text',
+        summary: 'Stream editor',
+        usage: 'sed [-nE] [-i[SUFFIX]] {SCRIPT | -e SCRIPT...} [FILE...]',
+        description: 'Edit each line of the FILEs, or of the piped input, with SCRIPT and print the result. Commands are separated by ; or newlines, and each may follow an address that selects the lines it applies to: a line number, $ for the last line, /REGEX/, or a range such as 2,5 or /start/,/end/; a ! after the address selects the other lines. s/REGEX/REPLACEMENT/ replaces the first match, where & and \\1 to \\9 in REPLACEMENT stand for the match and its groups, and the flags g, i, p and N replace every match, ignore case, print the result and replace the Nth match. d deletes the line, p prints it and q stops.',
+        flags: [
+            '-n    Only print the lines that p prints',
+            '-e    Add SCRIPT to the commands to run; may be repeated',
+            '-E    Use extended regular expressions, as -r does',
+            '-i    Edit the FILEs in place, keeping a copy of each with SUFFIX appended if one is given'
+        ],
+        examples: [
+            "sed 's/http:/https:/g' links.txt",
+            "sed -n '2,5p' notes.txt",
+            "sed -i -e '/^#/d' -e 's/ *$//' config.txt",
+            "echo 'Ada Lovelace' | sed -E 's/(\\w+) (\\w+)/\\2, \\1/'"
+        ],
+        run: (args, { filesystem, pipeInput }) => sed(args, filesystem, pipeInput)
+    },
+    {
+        name: 'awk',
+        category: 'text',
+        summary: 'Pattern scanning and processing language',
+        usage: 'awk [-F FS] [-v VAR=VALUE] {PROGRAM | -f FILE} [FILE...]',
+        description: 'Run PROGRAM on each line of the FILEs, or of the piped input. A program is a list of PATTERN { ACTION } rules: the action runs for each line the pattern matches, BEGIN and END actions run before and after the input, and a missing pattern matches every line. Lines are split into the fields $1 to $NF on FS (blanks by default), and NR, NF, FS, OFS, ORS, RS and FILENAME hold the current state. Actions use C-like statements (if, while, for, for (key in array)), associative arrays, print and printf, user-defined functions, and the functions length, substr, index, split, sub, gsub, match, sprintf, tolower, toupper, int, sqrt, exp, log, sin, cos, atan2, rand and srand. A VAR=VALUE operand sets VAR before the next FILE is read.',
+        flags: [
+            '-F    Split fields on FS, a character or regular expression',
+            '-v    Set VAR to VALUE before the program starts',
+            '-f    Read the program from FILE'
+        ],
+        examples: [
+            "awk -F: '{print $1}' /etc/passwd",
+            "awk '$3 > 100 {sum += $3} END {print sum}' data.txt",
+            "ls -l | awk 'NR > 1 {printf \"%-20s %s\\n\", $9, $5}'",
+            "awk '{count[$1]++} END {for (word in count) print word, count[word]}' words.txt"
+        ],
+        run: (args, { filesystem, pipeInput }) => awk(args, filesystem, pipeInput)
+    },
+    {
+        name: 'nl',
+        category: 'text',
+        summary: 'Number lines',
+        usage: 'nl [OPTION...] [FILE...]',
+        description: 'Print the lines of each FILE, or of the piped input, with line numbers. By default only non-empty lines are numbered; numbering carries on from one file to the next.',
+        flags: [
+            '-b    Number all lines (a), non-empty lines (t), no lines (n) or lines matching a regular expression (pREGEX)',
+            '-n    Format numbers left-justified (ln), right-justified (rn) or right-justified with leading zeros (rz)',
+            '-w    Use NUMBER columns for line numbers (default 6)',
+            '-s    Put STRING between the number and the line (default tab)',
+            '-v    Start numbering at NUMBER',
+            '-i    Add NUMBER to the line number for each line'
+        ],
+        examples: ['nl notes.txt', 'nl -ba -w3 -s\': \' script.sh'],
+        run: (args, { filesystem, pipeInput }) => nl(args, filesystem, pipeInput)
+    },
+    {
+        name: 'tac',
+        category: 'text',
+        summary: 'Print lines in reverse order',
+        usage: 'tac [FILE...]',
+        description: 'Print the lines of each FILE, or of the piped input, last line first.',
+        flags: [],
+        examples: ['tac log.txt', 'history | tac'],
+        run: (args, { filesystem, pipeInput }) => tac(args, filesystem, pipeInput)
+    },
+    {
+        name: 'paste',
+        category: 'text',
+        summary: 'Merge lines of files',
+        usage: 'paste [-s] [-d LIST] [FILE...]',
+        description: 'Print the first lines of all the FILEs side by side separated by tabs, then the second lines, and so on. A FILE of - reads the piped input.',
+        flags: [
+            '-d    Separate columns with the characters of LIST in turn, where \\n, \\t, \\\\ and \\0 (no separator) are understood',
+            '-s    Paste the lines of each file onto one line instead'
+        ],
+        examples: ['paste names.txt ages.txt', 'seq 6 | paste -d, - - -', 'paste -sd+ numbers.txt'],
+        run: (args, { filesystem, pipeInput }) => paste(args, filesystem, pipeInput)
+    },
+    {
+        name: 'join',
+        category: 'text',
+        summary: 'Join lines of two files on a common field',
+        usage: 'join [OPTION...] FILE1 FILE2',
+        description: 'For each pair of lines in FILE1 and FILE2 with the same join field, print the join field followed by the other fields of both lines. Both files must be sorted on the join field, and either may be - for the piped input.',
+        flags: [
+            '-1    Join on field FIELD of FILE1',
+            '-2    Join on field FIELD of FILE2',
+            '-j    Join on field FIELD of both files',
+            '-t    Separate fields with CHAR instead of blanks',
+            '-a    Also print the unpairable lines of file FILENUM (1 or 2)',
+            '-v    Print only the unpairable lines of file FILENUM',
+            '-e    Print EMPTY for missing fields',
+            '-o    Print the fields in FORMAT, such as 0,1.2,2.3',
+            '-i    Ignore case when comparing join fields'
+        ],
+        examples: ['join users.txt scores.txt', 'join -t: -1 3 -2 1 passwd.txt groups.txt'],
+        run: (args, { filesystem, pipeInput }) => join(args, filesystem, pipeInput)
+    },
+    {
+        name: 'comm',
+        category: 'text',
+        summary: 'Compare two sorted files line by line',
+        usage: 'comm [-123] FILE1 FILE2',
+        description: 'Print three columns: lines only in FILE1, lines only in FILE2 and lines in both. Both files must be sorted, and either may be - for the piped input.',
+        flags: [
+            '-1    Hide lines only in FILE1',
+            '-2    Hide lines only in FILE2',
+            '-3    Hide lines in both files'
+        ],
+        examples: ['comm old.txt new.txt', 'comm -12 a.txt b.txt'],
+        run: (args, { filesystem, pipeInput }) => comm(args, filesystem, pipeInput)
+    },
+    {
+        name: 'column',
+        category: 'text',
+        summary: 'Format input into columns',
+        usage: 'column [-t] [-s SEP] [-o SEP] [-c WIDTH] [FILE...]',
+        description: 'Fill the lines of each FILE, or of the piped input, into as many columns as fit the width. With -t, split each line into fields and align them as a table instead.',
+        flags: [
+            '-t    Align the fields of each line into a table',
+            '-s    Split fields on any of the characters in SEP instead of blanks',
+            '-o    Separate table columns with SEP instead of two spaces',
+            '-c    Fill columns to WIDTH characters (default 80)'
+        ],
+        examples: ['ls | column', 'column -t -s: /etc/passwd', 'mount | column -t'],
+        run: (args, { filesystem, pipeInput }) => column(args, filesystem, pipeInput)
+    },
+    {
+        name: 'fold',
+        category: 'text',
+        summary: 'Wrap long lines',
+        usage: 'fold [-bs] [-w WIDTH] [FILE...]',
+        description: 'Break each line of the FILEs, or of the piped input, that is wider than WIDTH columns (default 80).',
+        flags: [
+            '-w    Break lines at WIDTH columns',
+            '-s    Break after the last blank that fits, when there is one',
+            '-b    Count characters rather than columns, so tabs count as one'
+        ],
+        examples: ['fold -w 40 notes.txt', 'fold -sw 60 essay.txt'],
+        run: (args, { filesystem, pipeInput }) => fold(args, filesystem, pipeInput)
+    },
+    {
+        name: 'fmt',
+        category: 'text',
+        summary: 'Fill paragraphs',
+        usage: 'fmt [-u] [-w WIDTH] [FILE...]',
+        description: 'Join and break the lines of each paragraph so they are close to, and no wider than, WIDTH columns (default 75). Paragraphs are separated by blank lines and by changes of indentation.',
+        flags: [
+            '-w    Fill lines to at most WIDTH columns; -WIDTH does the same',
+            '-u    Put one space between words and two after sentences'
+        ],
+        examples: ['fmt notes.txt', 'fmt -w 60 -u essay.txt'],
+        run: (args, { filesystem, pipeInput }) => fmt(args, filesystem, pipeInput)
+    },
+    {
+        name: 'split',
+        category: 'text',
+        summary: 'Split a file into pieces',
+        usage: 'split [-d] [-l LINES | -b SIZE] [-a LENGTH] [FILE [PREFIX]]',
+        description: 'Write FILE, or the piped input, in pieces of 1000 lines to PREFIXaa, PREFIXab and so on. PREFIX is x unless given.',
+        flags: [
+            '-l    Put LINES lines in each piece',
+            '-b    Put SIZE bytes in each piece; SIZE may end in K, M or G',
+            '-a    Use suffixes of LENGTH characters (default 2)',
+            '-d    Use numeric suffixes instead of letters'
+        ],
+        examples: ['split -l 100 log.txt log-', 'seq 10 | split -l 3 -d'],
+        run: (args, { filesystem, pipeInput }) => split(args, filesystem, pipeInput)
+    },
+    {
+        name: 'seq',
+        category: 'text',
+        summary: 'Print a sequence of numbers',
+        usage: 'seq [OPTION...] [FIRST [INCREMENT]] LAST',
+        description: 'Print the numbers from FIRST to LAST, one per line, counting by INCREMENT. FIRST and INCREMENT default to 1, and numbers are printed with as many decimals as FIRST and INCREMENT have.',
+        flags: [
+            '-s    Separate numbers with STRING instead of a newline',
+            '-f    Print each number with the printf FORMAT, such as %05.1f',
+            '-w    Pad numbers with leading zeros to the same width'
+        ],
+        examples: ['seq 5', 'seq 0 0.25 1', 'seq -w 1 10', 'seq -s, 10 -2 0'],
+        run: args => seq(args)
+    },
+    {
+        name: 'printf',
+        category: 'text',
+        summary: 'Format and print data',
+        usage: 'printf FORMAT [ARGUMENT...]',
+        description: 'Print the ARGUMENTs according to FORMAT, which is used again as long as arguments remain. FORMAT understands the escapes \\n, \\t, \\\\, \\NNN and \\xHH and the conversions %d, %i, %o, %u, %x, %X, %e, %E, %f, %F, %g, %G, %c, %s, %b (a string with its escapes expanded) and %%, each with optional flags (-+ #0), width and precision; * takes the width or precision from the arguments. Unlike echo, printf adds no newline.',
+        flags: [],
+        examples: [
+            'printf \'%s\\n\' one two three',
+            'printf \'%-10s %5.2f\\n\' apples 1.5 pears 0.75',
+            'printf \'%x %o %c\\n\' 255 8 A'
+        ],
+        run: args => printf(args)
+    },
+    {
+        name: 'expand',
+        category: 'text',
+        summary: 'Convert tabs to spaces',
+        usage: 'expand [-i] [-t TABS] [FILE...]',
+        description: 'Replace the tabs in each FILE, or in the piped input, with the spaces that reach the same column.',
+        flags: [
+            '-t    Put tab stops every TABS columns, or at the columns in a list such as 4,8,12 (default 8)',
+            '-i    Only convert tabs before the first non-blank of each line'
+        ],
+        examples: ['expand -t 4 Makefile', 'expand -i code.txt'],
+        run: (args, { filesystem, pipeInput }) => expand(args, filesystem, pipeInput)
+    },
+    {
+        name: 'unexpand',
+        category: 'text',
+        summary: 'Convert spaces to tabs',
+        usage: 'unexpand [-a] [-t TABS] [FILE...]',
+        description: 'Replace the leading blanks of each line of the FILEs, or of the piped input, with tabs where they reach a tab stop.',
+        flags: [
+            '-a    Convert all blanks, not only leading ones',
+            '-t    Put tab stops every TABS columns, or at the columns in a list (default 8); implies -a',
+            '--first-only    Only convert leading blanks, even with -t'
+        ],
+        examples: ['unexpand table.txt', 'unexpand -t 4 code.txt'],
+        run: (args, { filesystem, pipeInput }) => unexpand(args, filesystem, pipeInput)
+    },
+    {
+        name: 'tee',
+        category: 'text',
+        summary: 'Copy input to files',
+        usage: 'tee [-a] [FILE...]',
+        description: 'Write the piped input to each FILE and also print it, so a pipeline can save its output part way along.',
+        flags: ['-a    Append to the FILEs instead of overwriting them'],
+        examples: ['ls -l | tee listing.txt', 'echo done | tee -a log.txt', 'sort names.txt | tee sorted.txt | wc -l'],
+        run: (args, { filesystem, pipeInput, pipeBytes }) => tee(args, filesystem, pipeInput, pipeBytes)
+    },
+    {
+        name: 'xargs',
+        category: 'text',
+        summary: 'Build command lines from input',
+        usage: 'xargs [OPTION...] [COMMAND [INITIAL-ARGS...]]',
+        description: 'Run COMMAND (echo by default) with INITIAL-ARGS followed by the items of the piped input. Items are separated by blanks and newlines, which quotes and backslashes can protect.',
+        flags: [
+            '-n    Use at most MAX-ARGS items for each command',
+            '-I    Run COMMAND once for each input line, replacing REPLACE in INITIAL-ARGS with the line',
+            '-d    Separate items with the character DELIM instead',
+            '-0    Separate items with null characters instead',
+            '-r    Do not run COMMAND when there are no items'
+        ],
+        examples: [
+            'find . -name \'*.tmp\' | xargs rm',
+            'echo a b c d | xargs -n 2',
+            'ls *.txt | xargs -I {} cp {} backup/{}'
+        ],
+        run: (args, { executor, pipeInput, toTerminal }) => xargs(args, executor, pipeInput, toTerminal)
+    }
+];
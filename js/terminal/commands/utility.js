@@ -1,206 +1,43 @@
 /**
  * Utility Commands for Portfolio Terminal
- * Includes: echo, clear, help, man, history, whoami, date, uname, alias, type
+ * Includes: echo, clear, help, man, history, whoami, date, uname, alias, type,
+ * export, unset, env, set
  */
 
 import { CommandResult } from '../parser.js';
+import * as archive from './archive.js';
 
 // ============================================================================
-// Command Metadata - Used by help and man
+// Help Categories
 // ============================================================================
 
-const COMMAND_CATEGORIES = {
-    navigation: {
-        title: 'NAVIGATION',
-        commands: ['pwd', 'cd', 'ls', 'tree']
-    },
-    files: {
-        title: 'FILES',
-        commands: ['cat', 'head', 'tail', 'touch', 'mkdir', 'rm', 'cp', 'mv', 'find', 'file']
-    },
-    text: {
-        title: 'TEXT PROCESSING',
-        commands: ['grep', 'wc', 'sort', 'uniq', 'cut', 'tr', 'sed']
-    },
-    encoding: {
-        title: 'ENCODING',
-        commands: ['base64', 'base32', 'hex', 'rot13', 'md5', 'sha256']
-    },
-    utility: {
-        title: 'UTILITY',
-        commands: ['echo', 'clear', 'help', 'man', 'history', 'whoami', 'date', 'uname', 'alias', 'type']
-    }
+// Titles of the built-in help categories, in the order help lists them;
+// other categories follow in the order their first command was registered
+const CATEGORY_TITLES = {
+    navigation: 'NAVIGATION',
+    files: 'FILES',
+    text: 'TEXT PROCESSING',
+    encoding: 'ENCODING',
+    utility: 'UTILITY',
+    scripting: 'SCRIPTING',
+    git: 'VERSION CONTROL'
 };
 
-const COMMAND_DESCRIPTIONS = {
-    // Navigation
-    'pwd': 'Print working directory',
-    'cd': 'Change directory',
-    'ls': 'List directory contents',
-    'tree': 'Display directory tree',
-
-    // Files
-    'cat': 'Display file contents',
-    'head': 'Display first lines of file',
-    'tail': 'Display last lines of file',
-    'touch': 'Create empty file',
-    'mkdir': 'Create directory',
-    'rm': 'Remove files/directories',
-    'cp': 'Copy files/directories',
-    'mv': 'Move/rename files',
-    'find': 'Search for files',
-    'file': 'Determine file type',
-
-    // Text Processing
-    'grep': 'Search text patterns',
-    'wc': 'Count lines/words/characters',
-    'sort': 'Sort lines',
-    'uniq': 'Filter duplicate lines',
-    'cut': 'Extract columns from lines',
-    'tr': 'Translate characters',
-    'sed': 'Stream editor',
-
-    // Encoding
-    'base64': 'Base64 encode/decode',
-    'base32': 'Base32 encode/decode',
-    'hex': 'Hexadecimal encode/decode',
-    'rot13': 'ROT13 cipher',
-    'md5': 'Calculate MD5 hash',
-    'sha256': 'Calculate SHA256 hash',
-
-    // Utility
-    'echo': 'Print text to output',
-    'clear': 'Clear terminal screen',
-    'help': 'Show available commands',
-    'man': 'Display manual pages',
-    'history': 'Show command history',
-    'whoami': 'Print current user',
-    'date': 'Display current date/time',
-    'uname': 'Print system information',
-    'alias': 'Manage command aliases',
-    'type': 'Show command type'
-};
-
-const MANUAL_PAGES = {
-    echo: {
-        name: 'echo',
-        synopsis: 'echo [-n] [-e] [STRING...]',
-        description: 'Display a line of text to the terminal output.',
-        options: [
-            '-n    Do not output trailing newline',
-            '-e    Enable interpretation of backslash escapes'
-        ],
-        escapes: [
-            '\\n    newline',
-            '\\t    horizontal tab',
-            '\\\\    backslash'
-        ],
-        examples: [
-            'echo "Hello World"',
-            'echo -n "No newline"',
-            'echo -e "Line 1\\nLine 2"',
-            'echo "Current path: $PWD"'
-        ]
-    },
-
-    clear: {
-        name: 'clear',
-        synopsis: 'clear',
-        description: 'Clear the terminal screen and scroll history.',
-        options: [],
-        examples: ['clear']
-    },
-
-    help: {
-        name: 'help',
-        synopsis: 'help [COMMAND]',
-        description: 'Display information about available commands. Without arguments, lists all commands by category. With a command name, shows detailed help for that specific command.',
-        options: [],
-        examples: [
-            'help',
-            'help ls',
-            'help grep'
-        ]
-    },
-
-    man: {
-        name: 'man',
-        synopsis: 'man COMMAND',
-        description: 'Display the manual page for a command, including detailed usage, options, and examples.',
-        options: [],
-        examples: [
-            'man echo',
-            'man grep',
-            'man base64'
-        ]
-    },
-
-    history: {
-        name: 'history',
-        synopsis: 'history [-c]',
-        description: 'Display the command history list with line numbers. Each command is numbered for easy reference.',
-        options: [
-            '-c    Clear command history'
-        ],
-        examples: [
-            'history',
-            'history -c'
-        ]
-    },
-
-    whoami: {
-        name: 'whoami',
-        synopsis: 'whoami',
-        description: 'Print the current user name.',
-        options: [],
-        examples: ['whoami']
-    },
-
-    date: {
-        name: 'date',
-        synopsis: 'date',
-        description: 'Display the current date and time in the system timezone.',
-        options: [],
-        examples: ['date']
-    },
-
-    uname: {
-        name: 'uname',
-        synopsis: 'uname [-a]',
-        description: 'Print system information.',
-        options: [
-            '-a    Print all information'
-        ],
-        examples: [
-            'uname',
-            'uname -a'
-        ]
-    },
-
-    alias: {
-        name: 'alias',
-        synopsis: 'alias [NAME[=VALUE]...]',
-        description: 'Define or display command aliases. Without arguments, displays all current aliases. With arguments, creates new aliases.',
-        options: [],
-        examples: [
-            'alias',
-            'alias ll="ls -la"',
-            'alias cls="clear"'
-        ]
-    },
+// ============================================================================
+// System Information
+// ============================================================================
 
-    type: {
-        name: 'type',
-        synopsis: 'type COMMAND...',
-        description: 'Display information about command type, indicating whether it is a builtin command, alias, or external command.',
-        options: [],
-        examples: [
-            'type ls',
-            'type echo',
-            'type ll'
-        ]
-    }
-};
+// Fields uname prints, in this order, by option letter and the file each
+// is read from; the operating system is not a kernel value
+const UNAME_FIELDS = [
+    ['s', '/proc/sys/kernel/ostype'],
+    ['n', '/proc/sys/kernel/hostname'],
+    ['r', '/proc/sys/kernel/osrelease'],
+    ['v', '/proc/sys/kernel/version'],
+    ['m', '/proc/sys/kernel/arch'],
+    ['o', null]
+];
+const OPERATING_SYSTEM = 'GNU/Linux';
 
 // ============================================================================
 // Utility Functions
@@ -221,43 +58,43 @@ function processEscapes(str) {
 
 /**
  * Format manual page for display
- * @param {Object} manPage - Manual page object
+ * @param {Object} definition - Registered command definition
  * @returns {string} Formatted manual page
  */
-function formatManPage(manPage) {
+function formatManPage(definition) {
     let output = [];
 
     output.push(`NAME`);
-    output.push(`    ${manPage.name} - ${COMMAND_DESCRIPTIONS[manPage.name] || 'command'}`);
+    output.push(`    ${definition.name} - ${definition.summary || 'command'}`);
     output.push('');
 
     output.push(`SYNOPSIS`);
-    output.push(`    ${manPage.synopsis}`);
+    output.push(`    ${definition.usage || definition.name}`);
     output.push('');
 
     output.push(`DESCRIPTION`);
-    output.push(`    ${manPage.description}`);
+    output.push(`    ${definition.description || definition.summary || ''}`);
     output.push('');
 
-    if (manPage.options && manPage.options.length > 0) {
+    if (definition.flags && definition.flags.length > 0) {
         output.push(`OPTIONS`);
-        manPage.options.forEach(opt => {
+        definition.flags.forEach(opt => {
             output.push(`    ${opt}`);
         });
         output.push('');
     }
 
-    if (manPage.escapes && manPage.escapes.length > 0) {
+    if (definition.escapes && definition.escapes.length > 0) {
         output.push(`ESCAPE SEQUENCES`);
-        manPage.escapes.forEach(esc => {
+        definition.escapes.forEach(esc => {
             output.push(`    ${esc}`);
         });
         output.push('');
     }
 
-    if (manPage.examples && manPage.examples.length > 0) {
+    if (definition.examples && definition.examples.length > 0) {
         output.push(`EXAMPLES`);
-        manPage.examples.forEach(ex => {
+        definition.examples.forEach(ex => {
             output.push(`    ${ex}`);
         });
         output.push('');
@@ -266,6 +103,30 @@ function formatManPage(manPage) {
     return output.join('\n');
 }
 
+/**
+ * Group the registered commands that have a category by that category
+ * @param {Object} executor - Command executor holding the command registry
+ * @returns {Array<{title: string, commands: Object[]}>} Categories in help order
+ */
+function groupByCategory(executor) {
+    const groups = new Map(Object.keys(CATEGORY_TITLES).map(key => [key, []]));
+
+    for (const definition of executor.getCommands()) {
+        if (!definition.category) {
+            continue;
+        }
+        if (!groups.has(definition.category)) {
+            groups.set(definition.category, []);
+        }
+        groups.get(definition.category).push(definition);
+    }
+
+    return Array.from(groups, ([key, commands]) => ({
+        title: CATEGORY_TITLES[key] || key.toUpperCase(),
+        commands
+    })).filter(group => group.commands.length > 0);
+}
+
 // ============================================================================
 // Command Implementations
 // ============================================================================
@@ -282,24 +143,17 @@ export function echo(args) {
 
     let noNewline = false;
     let interpretEscapes = false;
-    let textArgs = [];
-
-    // Parse flags
-    for (let i = 0; i < args.length; i++) {
-        const arg = args[i];
-
-        if (arg === '-n') {
-            noNewline = true;
-        } else if (arg === '-e') {
-            interpretEscapes = true;
-        } else if (arg.startsWith('-') && arg.length > 1) {
-            // Combined flags like -ne
-            if (arg.includes('n')) noNewline = true;
-            if (arg.includes('e')) interpretEscapes = true;
-        } else {
-            textArgs.push(arg);
-        }
+
+    // Parse flags; only leading words made of option letters are flags,
+    // so text such as "- item" is printed as is
+    let i = 0;
+    for (; i < args.length && /^-[neE]+$/.test(args[i]); i++) {
+        // Combined flags like -ne
+        if (args[i].includes('n')) noNewline = true;
+        if (args[i].includes('e')) interpretEscapes = true;
+        if (args[i].includes('E')) interpretEscapes = false;
     }
+    const textArgs = args.slice(i);
 
     // Join text arguments
     let output = textArgs.join(' ');
@@ -331,27 +185,30 @@ export function clear() {
 /**
  * help - Show available commands
  * @param {string[]} args - Command arguments
- * @param {Object} executor - Command executor (for accessing all commands)
+ * @param {Object} executor - Command executor holding the command registry
  * @returns {CommandResult}
  */
 export function help(args, executor) {
     // If specific command requested, show detailed help
     if (args && args.length > 0) {
         const command = args[0];
+        const definition = executor.getCommand(command);
 
-        if (MANUAL_PAGES[command]) {
-            const manPage = MANUAL_PAGES[command];
+        if (definition) {
             let output = [];
-            output.push(`${manPage.name} - ${COMMAND_DESCRIPTIONS[command]}`);
+            output.push(`${definition.name} - ${definition.summary || 'command'}`);
             output.push('');
-            output.push(`Usage: ${manPage.synopsis}`);
-            output.push('');
-            output.push(manPage.description);
+            output.push(`Usage: ${definition.usage || definition.name}`);
+
+            if (definition.description) {
+                output.push('');
+                output.push(definition.description);
+            }
 
-            if (manPage.options && manPage.options.length > 0) {
+            if (definition.flags.length > 0) {
                 output.push('');
                 output.push('Options:');
-                manPage.options.forEach(opt => {
+                definition.flags.forEach(opt => {
                     output.push(`  ${opt}`);
                 });
             }
@@ -367,12 +224,11 @@ export function help(args, executor) {
     output.push('Available commands:');
     output.push('');
 
-    Object.values(COMMAND_CATEGORIES).forEach(category => {
+    groupByCategory(executor).forEach(category => {
         output.push(category.title);
-        category.commands.forEach(cmd => {
-            const desc = COMMAND_DESCRIPTIONS[cmd] || '';
-            const padding = ' '.repeat(12 - cmd.length);
-            output.push(`  ${cmd}${padding}${desc}`);
+        category.commands.forEach(definition => {
+            const padding = ' '.repeat(Math.max(1, 12 - definition.name.length));
+            output.push(`  ${definition.name}${padding}${definition.summary || ''}`);
         });
         output.push('');
     });
@@ -386,20 +242,22 @@ export function help(args, executor) {
 /**
  * man - Display manual pages
  * @param {string[]} args - Command arguments
+ * @param {Object} executor - Command executor holding the command registry
  * @returns {CommandResult}
  */
-export function man(args) {
+export function man(args, executor) {
     if (!args || args.length === 0) {
         return CommandResult.error('What manual page do you want?\nFor example, try "man echo"');
     }
 
     const command = args[0];
+    const definition = executor.getCommand(command);
 
-    if (!MANUAL_PAGES[command]) {
+    if (!definition) {
         return CommandResult.error(`No manual entry for ${command}`);
     }
 
-    return CommandResult.success(formatManPage(MANUAL_PAGES[command]));
+    return CommandResult.success(formatManPage(definition));
 }
 
 /**
@@ -440,10 +298,11 @@ export function history(args, executor) {
 
 /**
  * whoami - Print current user
+ * @param {VirtualFilesystem} filesystem - Filesystem holding the current uid
  * @returns {CommandResult}
  */
-export function whoami() {
-    return CommandResult.success('guest');
+export function whoami(filesystem) {
+    return CommandResult.success(filesystem.userName(filesystem.uid));
 }
 
 /**
@@ -472,21 +331,83 @@ export function date() {
 }
 
 /**
- * uname - Print system information
+ * Seconds per sleep interval suffix
+ */
+const SLEEP_UNITS = { '': 1, 's': 1, 'm': 60, 'h': 3600, 'd': 86400 };
+
+/**
+ * sleep - Wait for the given number of seconds
+ * @param {string[]} args - Intervals such as 2, 0.5 or 1m
+ * @param {AbortSignal|null} signal - Stops the wait early when aborted
+ * @returns {Promise<CommandResult>} Rejects with the abort reason if aborted
+ */
+export function sleep(args, signal = null) {
+    if (!args || args.length === 0) {
+        return Promise.resolve(CommandResult.error('sleep: missing operand\nUsage: sleep NUMBER[SUFFIX]...'));
+    }
+
+    let seconds = 0;
+    for (const arg of args) {
+        const match = arg.match(/^(\d+(?:\.\d*)?|\.\d+)([smhd]?)$/);
+        if (!match) {
+            return Promise.resolve(CommandResult.error(`sleep: invalid time interval '${arg}'`));
+        }
+        seconds += parseFloat(match[1]) * SLEEP_UNITS[match[2]];
+    }
+
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(signal.reason);
+            return;
+        }
+
+        const timer = setTimeout(() => resolve(CommandResult.success('')), seconds * 1000);
+        if (signal) {
+            signal.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(signal.reason);
+            }, { once: true });
+        }
+    });
+}
+
+/**
+ * uname - Print system information from /proc/sys/kernel
  * @param {string[]} args - Command arguments
+ * @param {Object} filesystem - Virtual filesystem instance
  * @returns {CommandResult}
  */
-export function uname(args) {
-    const hasFlag = args && args.length > 0 && args[0] === '-a';
+export function uname(args, filesystem) {
+    const selected = new Set();
 
-    if (hasFlag) {
-        // Full system info
-        const output = 'PortfolioOS 1.5.0 portfolio-terminal x86_64 GNU/Linux';
-        return CommandResult.success(output);
+    for (const arg of args) {
+        if (!arg.startsWith('-') || arg.length < 2) {
+            return CommandResult.error(`uname: extra operand '${arg}'`, 2);
+        }
+        for (const letter of arg.substring(1)) {
+            if (letter === 'a') {
+                UNAME_FIELDS.forEach(([field]) => selected.add(field));
+            } else if (UNAME_FIELDS.some(([field]) => field === letter)) {
+                selected.add(letter);
+            } else {
+                return CommandResult.error(`uname: invalid option -- '${letter}'`, 2);
+            }
+        }
     }
 
-    // Just OS name
-    return CommandResult.success('PortfolioOS');
+    // With no options, just the kernel name
+    if (selected.size === 0) {
+        selected.add('s');
+    }
+
+    try {
+        const values = UNAME_FIELDS
+            .filter(([field]) => selected.has(field))
+            .map(([, path]) => path ? filesystem.cat(path).trim() : OPERATING_SYSTEM);
+        return CommandResult.success(values.join(' '));
+    } catch (error) {
+        return CommandResult.error(`uname: ${error.message.replace(/^cat: /, '')}`);
+    }
 }
 
 /**
@@ -557,8 +478,14 @@ export function type(args, executor) {
             }
         }
 
+        // Check if it's a user-defined function
+        if (executor && executor.hasFunction && executor.hasFunction(cmdName)) {
+            output.push(`${cmdName} is a function`);
+            continue;
+        }
+
         // Check if it's a builtin command
-        if (COMMAND_DESCRIPTIONS[cmdName]) {
+        if (executor && executor.getCommand && executor.getCommand(cmdName)) {
             output.push(`${cmdName} is a shell builtin`);
         } else {
             output.push(`${cmdName}: not found`);
@@ -568,6 +495,337 @@ export function type(args, executor) {
     return CommandResult.success(output.join('\n'));
 }
 
+/**
+ * Check whether a string is a valid shell variable name
+ * @param {string} name - Candidate name
+ * @returns {boolean}
+ */
+export function isValidVariableName(name) {
+    return /^[A-Za-z_][A-Za-z0-9_]*$/.test(name);
+}
+
+/**
+ * Quote a value so it can be pasted back into the shell
+ * @param {string} value - Variable value
+ * @returns {string} Single-quoted value
+ */
+function quoteValue(value) {
+    return `'${value.replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * export - Export shell variables to the environment
+ * @param {string[]} args - Command arguments (NAME or NAME=VALUE)
+ * @param {Object} executor - Command executor with variable management
+ * @returns {CommandResult}
+ */
+export function exportVariables(args, executor) {
+    // Without arguments (or with -p), list exported variables
+    if (!args || args.length === 0 || (args.length === 1 && args[0] === '-p')) {
+        const output = Object.entries(executor.getEnvironment())
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([name, value]) => `declare -x ${name}="${value}"`)
+            .join('\n');
+
+        return CommandResult.success(output);
+    }
+
+    const errors = [];
+
+    for (const arg of args) {
+        const separator = arg.indexOf('=');
+        const name = separator === -1 ? arg : arg.substring(0, separator);
+
+        if (!isValidVariableName(name)) {
+            errors.push(`export: \`${arg}': not a valid identifier`);
+            continue;
+        }
+
+        if (separator === -1) {
+            executor.exportVariable(name);
+        } else {
+            executor.setVariable(name, arg.substring(separator + 1), true);
+        }
+    }
+
+    return errors.length > 0 ? CommandResult.error(errors.join('\n')) : CommandResult.success('');
+}
+
+/**
+ * unset - Remove shell variables
+ * @param {string[]} args - Variable names
+ * @param {Object} executor - Command executor with variable management
+ * @returns {CommandResult}
+ */
+export function unset(args, executor) {
+    const errors = [];
+
+    for (const name of args || []) {
+        if (!isValidVariableName(name)) {
+            errors.push(`unset: \`${name}': not a valid identifier`);
+            continue;
+        }
+        executor.unsetVariable(name);
+    }
+
+    return errors.length > 0 ? CommandResult.error(errors.join('\n')) : CommandResult.success('');
+}
+
+/**
+ * env - Print the exported environment
+ * @param {Object} executor - Command executor with variable management
+ * @returns {CommandResult}
+ */
+export function env(executor) {
+    const output = Object.entries(executor.getEnvironment())
+        .map(([name, value]) => `${name}=${value}`)
+        .join('\n');
+
+    return CommandResult.success(output);
+}
+
+/**
+ * set - Print all shell variables, or replace the positional parameters with set -- ARGS
+ * @param {string[]} args - Command arguments
+ * @param {Object} executor - Command executor with variable management
+ * @returns {CommandResult}
+ */
+export function set(args, executor) {
+    if (args && args[0] === '--') {
+        executor.setPositionalParameters(args.slice(1));
+        return CommandResult.success('');
+    }
+
+    if (args && args.length > 0) {
+        return CommandResult.error(`set: ${args[0]}: invalid option`, 2);
+    }
+
+    const output = Object.entries(executor.getVariables())
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([name, value]) => `${name}=${quoteValue(value)}`)
+        .join('\n');
+
+    return CommandResult.success(output);
+}
+
+// ============================================================================
+// Command Definitions
+// ============================================================================
+
+export const commands = [
+    {
+        name: 'echo',
+        category: 'utility',
+        summary: 'Print text to output',
+        usage: 'echo [-n] [-e] [STRING...]',
+        description: 'Display a line of text to the terminal output.',
+        flags: [
+            '-n    Do not output trailing newline',
+            '-e    Enable interpretation of backslash escapes'
+        ],
+        escapes: [
+            '\\n    newline',
+            '\\t    horizontal tab',
+            '\\\\    backslash'
+        ],
+        examples: [
+            'echo "Hello World"',
+            'echo -n "No newline"',
+            'echo -e "Line 1\\nLine 2"',
+            'echo "Current path: $PWD"'
+        ],
+        run: (args) => echo(args)
+    },
+    {
+        name: 'clear',
+        category: 'utility',
+        summary: 'Clear terminal screen',
+        usage: 'clear',
+        description: 'Clear the terminal screen and scroll history.',
+        examples: ['clear'],
+        run: () => clear()
+    },
+    {
+        name: 'help',
+        category: 'utility',
+        summary: 'Show available commands',
+        usage: 'help [COMMAND]',
+        description: 'Display information about available commands. Without arguments, lists all commands by category. With a command name, shows detailed help for that specific command.',
+        examples: [
+            'help',
+            'help ls',
+            'help grep'
+        ],
+        run: (args, { executor }) => help(args, executor)
+    },
+    {
+        name: 'man',
+        category: 'utility',
+        summary: 'Display manual pages',
+        usage: 'man COMMAND',
+        description: 'Display the manual page for a command, including detailed usage, options, and examples.',
+        examples: [
+            'man echo',
+            'man grep',
+            'man base64'
+        ],
+        run: (args, { executor }) => man(args, executor)
+    },
+    {
+        name: 'history',
+        category: 'utility',
+        summary: 'Show command history',
+        usage: 'history [-c]',
+        description: 'Display the command history list with line numbers. Each command is numbered for easy reference.',
+        flags: [
+            '-c    Clear command history'
+        ],
+        examples: [
+            'history',
+            'history -c'
+        ],
+        run: (args, { executor }) => history(args, executor)
+    },
+    {
+        name: 'whoami',
+        category: 'utility',
+        summary: 'Print current user',
+        usage: 'whoami',
+        description: 'Print the name that /etc/passwd gives the current user ID.',
+        examples: ['whoami'],
+        run: (args, { filesystem }) => whoami(filesystem)
+    },
+    {
+        name: 'date',
+        category: 'utility',
+        summary: 'Display current date/time',
+        usage: 'date',
+        description: 'Display the current date and time in the system timezone.',
+        examples: ['date'],
+        run: () => date()
+    },
+    {
+        name: 'sleep',
+        category: 'utility',
+        summary: 'Wait for a number of seconds',
+        usage: 'sleep NUMBER[SUFFIX]...',
+        description: 'Wait for NUMBER seconds; the wait is the sum of all arguments. NUMBER may be a decimal, and SUFFIX may be s (seconds, the default), m (minutes), h (hours) or d (days). Press Ctrl-C to stop waiting.',
+        examples: [
+            'sleep 2',
+            'sleep 0.5',
+            'for i in 3 2 1; do echo $i; sleep 1; done'
+        ],
+        run: (args, { signal }) => sleep(args, signal)
+    },
+    {
+        name: 'uname',
+        category: 'utility',
+        summary: 'Print system information',
+        usage: 'uname [-asnrvmo]',
+        description: 'Print system information, as read from /proc/sys/kernel. With no options, print the kernel name.',
+        flags: [
+            '-a    Print all information',
+            '-s    Print the kernel name',
+            '-n    Print the network node hostname',
+            '-r    Print the kernel release',
+            '-v    Print the kernel version',
+            '-m    Print the machine hardware name',
+            '-o    Print the operating system'
+        ],
+        examples: [
+            'uname',
+            'uname -a',
+            'uname -nr'
+        ],
+        run: (args, { filesystem }) => uname(args, filesystem)
+    },
+    {
+        name: 'alias',
+        category: 'utility',
+        summary: 'Manage command aliases',
+        usage: 'alias [NAME[=VALUE]...]',
+        description: 'Define or display command aliases. Without arguments, displays all current aliases. With arguments, creates new aliases.',
+        examples: [
+            'alias',
+            'alias ll="ls -la"',
+            'alias cls="clear"'
+        ],
+        run: (args, { executor }) => alias(args, executor)
+    },
+    {
+        name: 'type',
+        category: 'utility',
+        summary: 'Show command type',
+        usage: 'type COMMAND...',
+        description: 'Display information about command type, indicating whether it is a builtin command, alias, or external command.',
+        examples: [
+            'type ls',
+            'type echo',
+            'type ll'
+        ],
+        run: (args, { executor }) => type(args, executor)
+    },
+    {
+        name: 'export',
+        category: 'utility',
+        summary: 'Export shell variables',
+        usage: 'export [NAME[=VALUE]...]\n    export --tar|--zip [PATH]',
+        description: 'Mark shell variables for export to the environment, optionally assigning a value. Without arguments, lists all exported variables. With --tar or --zip, download PATH (default: the whole filesystem) to your computer as an archive instead; load one back with import.',
+        flags: [
+            '--tar    Download PATH as a .tar archive',
+            '--zip    Download PATH as a .zip archive'
+        ],
+        examples: [
+            'export',
+            'export EDITOR=vim',
+            'export PS1="\\u@\\h:\\w\\$ "',
+            'export --zip ~/notes'
+        ],
+        run: (args, { executor, filesystem }) => args[0] === '--tar' || args[0] === '--zip'
+            ? archive.exportArchive(args, filesystem)
+            : exportVariables(args, executor)
+    },
+    {
+        name: 'unset',
+        category: 'utility',
+        summary: 'Remove shell variables',
+        usage: 'unset NAME...',
+        description: 'Remove each named shell variable, including from the environment.',
+        examples: [
+            'unset EDITOR'
+        ],
+        run: (args, { executor }) => unset(args, executor)
+    },
+    {
+        name: 'env',
+        category: 'utility',
+        summary: 'Print the environment',
+        usage: 'env',
+        description: 'Print the exported environment variables, one NAME=value pair per line.',
+        examples: [
+            'env',
+            'env | grep HOME'
+        ],
+        run: (args, { executor }) => env(executor)
+    },
+    {
+        name: 'set',
+        category: 'utility',
+        summary: 'Print shell variables',
+        usage: 'set [-- ARGS...]',
+        description: 'Print all shell variables, exported or not, in a form that can be reused as input. With --, set the positional parameters $1, $2, ... to ARGS instead.',
+        flags: [
+            '--    Set the positional parameters to the remaining arguments'
+        ],
+        examples: [
+            'set',
+            'set | grep PS1',
+            'set -- one two; echo $2'
+        ],
+        run: (args, { executor }) => set(args, executor)
+    }
+];
+
 // ============================================================================
 // Exports
 // ============================================================================
@@ -580,7 +838,12 @@ export default {
     history,
     whoami,
     date,
+    sleep,
     uname,
     alias,
-    type
+    type,
+    exportVariables,
+    unset,
+    env,
+    set
 };
@@ -0,0 +1,266 @@
+/**
+ * Tab Completion for Portfolio Terminal
+ * Completes command names, aliases, filesystem paths, and command flags
+ */
+
+/**
+ * Characters that start a new command on the same line
+ */
+const COMMAND_SEPARATORS = ['|', ';', '&'];
+
+/**
+ * Characters that must be escaped with a backslash outside quotes
+ */
+const SHELL_SPECIAL_CHARACTERS = /[\s'"\\$`|&;()<>*?[\]{}!#]/g;
+
+/**
+ * Split the input line into the text before the word being completed,
+ * the word itself, and the command the word belongs to. The word is
+ * returned with its quotes and backslash escapes removed.
+ * @param {string} line - Current input line
+ * @returns {{before: string, word: string, quote: string|null, command: string|null}}
+ *          quote is the quote character left open at the end of the line, if any
+ */
+function splitCurrentWord(line) {
+    let quote = null;
+    let wordStart = 0;
+    let commandStart = 0;
+    let word = '';
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+
+        if (quote === "'") {
+            if (char === "'") {
+                quote = null;
+            } else {
+                word += char;
+            }
+        } else if (quote === '"') {
+            if (char === '"') {
+                quote = null;
+            } else if (char === '\\' && '"\\$`'.includes(line[i + 1] || '')) {
+                word += line[++i];
+            } else {
+                word += char;
+            }
+        } else if (char === '\\') {
+            word += line[++i] || '';
+        } else if (char === "'" || char === '"') {
+            quote = char;
+        } else if (char === ' ') {
+            wordStart = i + 1;
+            word = '';
+        } else if (COMMAND_SEPARATORS.includes(char)) {
+            wordStart = i + 1;
+            commandStart = i + 1;
+            word = '';
+        } else {
+            word += char;
+        }
+    }
+
+    const before = line.substring(0, wordStart);
+    const precedingWords = line.substring(commandStart, wordStart).trim().split(/\s+/).filter(w => w);
+
+    return {
+        before,
+        word,
+        quote,
+        command: precedingWords.length > 0 ? precedingWords[0] : null
+    };
+}
+
+/**
+ * Write a completed word back into the line so the shell reads it as one
+ * word: inside the quote the user opened, or with special characters
+ * backslash-escaped
+ * @param {string} text - Word to insert
+ * @param {string|null} quote - Quote left open by the user, if any
+ * @returns {string}
+ */
+function quoteWord(text, quote) {
+    if (quote === "'") {
+        return `'${text.replace(/'/g, "'\\''")}`;
+    }
+    if (quote === '"') {
+        return `"${text.replace(/["\\$`]/g, '\\$&')}`;
+    }
+    return text.replace(SHELL_SPECIAL_CHARACTERS, '\\$&');
+}
+
+/**
+ * Complete a command name against builtins and aliases
+ * @param {string} word - Partial command name
+ * @param {CommandExecutor} executor - Executor providing commands and aliases
+ * @returns {Array<{value: string, display: string, suffix: string}>}
+ */
+function completeCommand(word, executor) {
+    const names = new Set([
+        ...executor.getCommandNames(),
+        ...Object.keys(executor.getAliases())
+    ]);
+
+    return Array.from(names)
+        .filter(name => name.startsWith(word))
+        .sort()
+        .map(name => ({ value: name, display: name, suffix: ' ' }));
+}
+
+/**
+ * List the flags documented by a registered command
+ * @param {Object|null} definition - Command definition from the executor
+ * @returns {string[]} Flags such as '-n' or '--decode'
+ */
+function commandFlags(definition) {
+    if (!definition) {
+        return [];
+    }
+
+    return definition.flags
+        .flatMap(line => line.split(/\s{2,}/)[0].split(/,\s*/))
+        .map(flag => flag.match(/^(-{1,2}[\w-]+)/))
+        .filter(match => match)
+        .map(match => match[1]);
+}
+
+/**
+ * Complete a flag for the given command from its registered flags
+ * @param {string} command - Command the flag belongs to
+ * @param {string} word - Partial flag
+ * @param {CommandExecutor} executor - Executor holding the command registry and aliases
+ * @returns {Array<{value: string, display: string, suffix: string}>}
+ */
+function completeFlag(command, word, executor) {
+    const alias = executor.getAliases()[command];
+    const target = alias ? alias.split(/\s+/)[0] : command;
+
+    return commandFlags(executor.getCommand(target))
+        .filter(flag => flag.startsWith(word))
+        .map(flag => ({ value: flag, display: flag, suffix: ' ' }));
+}
+
+/**
+ * Complete a path relative to the current directory
+ * @param {string} word - Partial path
+ * @param {VirtualFilesystem} filesystem - Filesystem instance
+ * @returns {Array<{value: string, display: string, suffix: string}>}
+ */
+function completePath(word, filesystem) {
+    const slashIndex = word.lastIndexOf('/');
+    const dirPart = slashIndex === -1 ? '' : word.substring(0, slashIndex + 1);
+    const basePart = slashIndex === -1 ? word : word.substring(slashIndex + 1);
+
+    // A bare "~" completes to the home directory itself
+    if (word === '~') {
+        return [{ value: '~', display: '~/', suffix: '/' }];
+    }
+
+    const directory = dirPart === '' ? '.' : dirPart;
+    if (!filesystem.isDirectory(directory)) {
+        return [];
+    }
+
+    const showHidden = basePart.startsWith('.');
+
+    return filesystem.ls(directory)
+        .filter(entry => entry.name.startsWith(basePart))
+        .filter(entry => showHidden || !entry.name.startsWith('.'))
+        .map(entry => {
+            const isDirectory = entry.type === 'directory' ||
+                (entry.type === 'symlink' && filesystem.isDirectory(`${directory}/${entry.name}`));
+            return {
+                value: dirPart + entry.name,
+                display: isDirectory ? `${entry.name}/` : entry.name,
+                suffix: isDirectory ? '/' : ' '
+            };
+        });
+}
+
+/**
+ * Find the longest common prefix of a list of strings
+ * @param {string[]} values - Strings to compare
+ * @returns {string}
+ */
+function commonPrefix(values) {
+    if (values.length === 0) {
+        return '';
+    }
+
+    let prefix = values[0];
+    for (const value of values.slice(1)) {
+        while (!value.startsWith(prefix)) {
+            prefix = prefix.slice(0, -1);
+        }
+    }
+    return prefix;
+}
+
+/**
+ * Complete the last word of an input line
+ * @param {string} line - Current input line
+ * @param {CommandExecutor} executor - Executor providing commands and the filesystem
+ * @returns {{line: string, matches: string[]}} Completed line and the candidates
+ *          (more than one match means the completion was ambiguous)
+ */
+export function complete(line, executor) {
+    const { before, word, quote, command } = splitCurrentWord(line);
+
+    let candidates;
+    if (command === null && !word.includes('/')) {
+        candidates = completeCommand(word, executor);
+    } else if (command !== null && word.startsWith('-')) {
+        candidates = completeFlag(command, word, executor);
+    } else {
+        candidates = completePath(word, executor.filesystem);
+    }
+
+    if (candidates.length === 0) {
+        return { line, matches: [] };
+    }
+
+    if (candidates.length === 1) {
+        const [match] = candidates;
+        // A finished word closes the user's quote; a directory leaves it open
+        const completed = match.suffix === ' '
+            ? `${quoteWord(match.value, quote)}${quote || ''} `
+            : quoteWord(match.value + match.suffix, quote);
+        return { line: before + completed, matches: [match.display] };
+    }
+
+    const prefix = commonPrefix(candidates.map(c => c.value));
+    return {
+        line: prefix.length > word.length ? before + quoteWord(prefix, quote) : line,
+        matches: candidates.map(c => c.display)
+    };
+}
+
+/**
+ * Lay out completion candidates in columns, ordered top to bottom like ls
+ * @param {string[]} items - Candidates to display
+ * @param {number} width - Available width in characters
+ * @returns {string} Formatted columns
+ */
+export function formatColumns(items, width = 80) {
+    if (items.length === 0) {
+        return '';
+    }
+
+    const columnWidth = Math.max(...items.map(item => item.length)) + 2;
+    const columns = Math.max(1, Math.floor(width / columnWidth));
+    const rows = Math.ceil(items.length / columns);
+    const lines = [];
+
+    for (let row = 0; row < rows; row++) {
+        let line = '';
+        for (let col = 0; col < columns; col++) {
+            const item = items[col * rows + row];
+            if (item !== undefined) {
+                line += item.padEnd(columnWidth);
+            }
+        }
+        lines.push(line.trimEnd());
+    }
+
+    return lines.join('\n');
+}
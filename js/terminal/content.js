@@ -1,568 +1,978 @@
 /**
- * Initial Filesystem Content
- * Portfolio data for the terminal interface
+ * Shipped Filesystem Content
+ * The manifest the virtual filesystem is built from. Each entry is a file,
+ * directory or link; see manifest.js for the fields. To add a project, add
+ * a file entry here.
  */
 
-export const initialFilesystem = {
-  // Home directory welcome
-  '/home/user/readme.txt': `Welcome to the Portfolio Terminal v1.0
+export const manifest = {
+  entries: [
+    // The home directory and everything in it belong to the user
+    { path: '/home/user', type: 'directory', uid: 1000, gid: 1000 },
 
-This is an interactive terminal interface for exploring my cybersecurity portfolio.
+    {
+      path: '/home/user/readme.txt',
+      content: `Welcome to my Cybersecurity Portfolio Terminal!
 
-Tips:
-  - Use 'ls' to list directory contents
-  - Use 'cd' to navigate directories
-  - Use 'cat' to read file contents
-  - Use 'help' for a full command list
-  - Try 'cat /home/user/.flag.txt' for a surprise
+This interactive terminal provides access to my projects, research, and experience.
 
-Navigate to /home/user/cyberops/ to explore my projects.
-Check /home/user/about/ for professional information.
+Quick Start:
+  ls              - List files in current directory
+  cat <file>      - Display file contents
+  cd <directory>  - Change directory
+  help            - Show available commands
 
-Happy exploring!
-`,
+Notable Directories:
+  ~/cyberops      - Cybersecurity tools & frameworks
+  ~/research      - Hardware, radio, and chemistry projects
+  ~/intel         - CTF writeups and technical notes
+  ~/about         - Professional profile and certifications
 
-  // About section
-  '/home/user/about/profile.txt': `Jeremy Laratro
-Cybersecurity Professional
+Type 'help' for a full list of commands.
+`
+    },
 
-Offensive security specialist with expertise in penetration testing, red teaming,
-and security tool development. Passionate about automating security workflows and
-building innovative solutions that bridge offensive and defensive capabilities.
+    // Shell startup file, sourced when the terminal starts
+    {
+      path: '/home/user/.bashrc',
+      content: `# ~/.bashrc: sourced by the terminal at the start of each session.
+# Aliases and variables defined here are available in every new session.
 
-Background: Systems administration, network security, application security, and
-full-stack development. Strong focus on Python automation, infrastructure security,
-and cloud security (AWS, Azure).
+export EDITOR=vim
+export HISTSIZE=1000
 
-Current focus: Advanced exploitation techniques, Active Directory security, cloud
-penetration testing, and AI-assisted security research.
+alias projects='ls ~/cyberops'
+alias writeups='ls ~/intel/ctf-writeups'
+`
+    },
 
-Approach: Methodology-driven security assessments combined with creative problem-solving
-and continuous learning. Active contributor to the security community through open-source
-tool development and knowledge sharing.
-`,
+    // Hidden flag
+    {
+      path: '/home/user/.flag.txt',
+      content: `Congratulations! You found the hidden flag.
 
-  '/home/user/about/certifications.txt': `Professional Certifications
-
-[*] Offensive Security Certified Professional (OSCP)
-    - Advanced penetration testing certification
-    - 24-hour practical exam in isolated network
-    - Manual exploitation techniques, no automated tools
+FLAG{w3lc0m3_t0_th3_t3rm1n4l_h4ck3r}
 
-[*] Offensive Security Experienced Penetration Tester (OSEP)
-    - Advanced red team operations
-    - Active Directory attack techniques
-    - Evasion and bypass methodologies
+You've demonstrated curiosity and basic enumeration skills - key traits
+for any security professional. Keep exploring!
+`
+    },
 
-[*] CompTIA Security+
-    - Foundational cybersecurity knowledge
-    - Security concepts, threats, and vulnerabilities
+    // ======================================================================
+    // /home/user/cyberops - All cyber security projects
+    // ======================================================================
 
-[*] AWS Certified Solutions Architect
-    - Cloud infrastructure design
-    - Security best practices in AWS
+    // DHM
+    {
+      path: '/home/user/cyberops/dhm.txt',
+      content: `Dependency Health Monitor (DHM)
+================================================================================
+GitHub: https://github.com/jeremylaratro/dhm
 
-Additional Training:
-- SANS SEC560: Network Penetration Testing and Ethical Hacking
-- TCM Security Practical Ethical Hacking
-- HackTheBox Pro Labs (Dante, RastaLabs, Offshore)
-`,
+Python tool for comprehensive dependency health assessments. Calculates weighted
+health scores across security, maintenance, community, and popularity metrics.
 
-  '/home/user/about/contact.txt': `Contact Information
+Features:
+  - OSV vulnerability scanning integration
+  - Weighted health scoring (A-F grades)
+  - License categorization and risk assessment
+  - SQLite caching for performance
+  - CI/CD-ready JSON output
+
+Tech Stack: Python, PyPI, OSV API
+Status: Active - Published on PyPI
+`
+    },
+
+    // ULP
+    {
+      path: '/home/user/cyberops/ulp.txt',
+      content: `Universal Log Parser (ULP)
+================================================================================
+GitHub: https://github.com/jeremylaratro/ulp
 
-[>] Email: contact@jlaratro.com
-[>] GitHub: github.com/jlaratro
-[>] LinkedIn: linkedin.com/in/jeremylaratro
-[>] Twitter: @jlaratro
+Python library and CLI tool for automatic log detection, parsing, and normalization.
+Built for production environments with support for large files and log correlation.
 
-PGP Key: Available on request
-Bug Bounty Programs: HackerOne, Bugcrowd
+Supported Formats (11 types):
+  - JSON/JSONL
+  - Apache Combined/Common
+  - Nginx Access/Error
+  - Syslog (RFC 3164 & 5424)
+  - Python Logging
+  - Docker JSON
+  - Kubernetes
 
-Response Time: Usually within 24-48 hours
+Features:
+  - Auto-detection of log formats (no manual config needed)
+  - Streaming support for 10GB+ files (memory-mapped I/O)
+  - Log correlation across multiple sources
+  - Normalized output to unified schema
+  - Rich CLI with table, JSON, CSV, compact views
+  - Extensible architecture for custom parsers
+
+Tech Stack: Python, Clean Architecture, Domain-Driven Design
+Status: Active - MIT License
+`
+    },
+
+    // Polybar Widgets
+    {
+      path: '/home/user/cyberops/polybar-widgets.txt',
+      content: `Polybar Widgets
+================================================================================
+GitHub: https://github.com/jeremylaratro/polybar_widgets
+
+Custom Polybar widgets for Linux desktop security monitoring and system utilities.
+
+Widgets Included:
+  - Flameshot screenshot integration
+  - Docker container status
+  - System uptime display
+  - Screen brightness control
+  - IDS alert notifications
+  - VPN connection status
+  - System update checker
+  - IP information display
+
+Tech Stack: Shell, Polybar, Linux
+Status: Active
+`
+    },
+
+    // LSS
+    {
+      path: '/home/user/cyberops/lss.txt',
+      content: `Linux Security Suite (LSS)
+================================================================================
+GitHub: https://github.com/jeremylaratro/lss
 
-Open to:
-- Consulting opportunities
-- Security research collaboration
-- Speaking engagements
-- Open source contributions
-`,
+Unified desktop security dashboard consolidating multiple security tools into
+a single monitoring interface with threat intelligence integration.
 
-  // Hidden CTF flag
-  '/home/user/.flag.txt': `Congratulations! You found the hidden flag.
+Core Components:
+  - Suricata/Snort IDS integration
+  - ClamAV antivirus monitoring
+  - Firewall management
+  - Real-time network monitoring
+  - JA3/JA4 TLS fingerprinting
+  - System hardening audits
+
+Threat Intelligence:
+  - VirusTotal API integration
+  - AbuseIPDB lookups
+  - AlienVault OTX feeds
+  - ThreatFox IOC database
+
+Tech Stack: Python, Suricata, ClamAV, Flask
+Status: Active - Personal infrastructure deployment
+`
+    },
+
+    // iCTF
+    {
+      path: '/home/user/cyberops/ictf.txt',
+      content: `iCTF - Mobile CTF Platform
+================================================================================
+GitHub: https://github.com/jeremylaratro/iOScTF
 
-FLAG{w3lc0m3_t0_th3_t3rm1n4l_h4ck3r}
+Mobile cybersecurity CTF platform for iOS providing hands-on security challenges
+without requiring jailbreak.
 
-You've demonstrated curiosity and basic enumeration skills - key traits
-for any security professional. Keep exploring!
-`,
+Challenge Categories:
+  - Cryptography
+  - Web Security
+  - Forensics
+  - Reverse Engineering
+  - Network Challenges
 
-  // Project files
-  '/home/user/cyberops/cyberquizzer.txt': `CyberQuizzer - Interactive Security Interview Prep Platform
+Features:
+  - Sandboxed execution environment
+  - Built-in terminal emulator
+  - Progress tracking and hints
+  - Offline challenge support
+
+Tech Stack: Dart, Flutter, iOS
+Status: Private beta
+`
+    },
+
+    // AugFly
+    {
+      path: '/home/user/cyberops/augfly.txt',
+      content: `AugFly - AR Flight Tracking
 ================================================================================
 
-An interactive interview preparation platform designed for cybersecurity
-professionals, featuring 135+ real-world challenges across multiple domains.
+Augmented reality flight tracking application. Point your camera at the sky
+to see real-time flight information overlaid on aircraft.
 
-Categories:
-  - Penetration Testing (OSCP-style challenges)
-  - Blue Team Operations (incident response, threat hunting)
-  - Hardware Security (embedded systems, IoT)
-  - Network Security
-  - Web Application Security
-  - Cryptography
+Features:
+  - ARKit integration for iOS
+  - Live ADS-B data feeds
+  - GPS positioning
+  - Detailed flight information
+  - Native performance optimization
+
+Tech Stack: TypeScript, ARKit, ADS-B
+Status: In Development
+`
+    },
+
+    // PurpleSploit
+    {
+      path: '/home/user/cyberops/purplesploit.txt',
+      content: `PurpleSploit - Pentesting Workflow Framework
+================================================================================
+GitHub: https://github.com/jeremylaratro/Purplesploit
+
+A framework for ultimate pentesting workflow efficiency with centralized
+credential and target management.
 
 Features:
-  - Progressive difficulty levels (beginner to advanced)
-  - Detailed explanations and learning resources
-  - Score tracking and progress analytics
-  - Mobile-responsive design
-  - No account required - privacy-focused
+  - SQLite-based credential/hash management
+  - Nmap XML parsing for service enumeration
+  - fzf-powered interactive selection menus
+  - Ligolo-ng proxy tunneling integration
+  - Automated exploit module system
 
-Tech Stack: React, TypeScript, Tailwind CSS, Firebase
-Status: Live and actively maintained
-URL: https://cyberquizzer.com
-`,
+Tech Stack: Python, SQLite, Flask
+Status: Active development
+`
+    },
 
-  '/home/user/cyberops/purplesploit.txt': `PurpleSploit - Penetration Testing Framework
+    // ArgusCloud
+    {
+      path: '/home/user/cyberops/arguscloud.txt',
+      content: `ArgusCloud - Cloud Attack Path Generator
 ================================================================================
+GitHub: https://github.com/jeremylaratro/ArgusCloud
 
-Comprehensive Python-based pentesting framework combining offensive tools with
-organized vulnerability management and credential tracking.
+Full-featured cloud-focused attack-path generation and graphing toolkit
+for identifying privilege escalation paths in cloud infrastructure.
 
-Core Features:
-  - Dual interface: CLI for automation, Web UI for visualization
-  - SQLite database for credential/hash management
-  - Nmap XML parsing and service enumeration
-  - Ligolo-ng integration for pivoting and tunneling
-  - Automated exploit module system
-  - Custom payload generation and obfuscation
+Supported Platforms:
+  - AWS (IAM, EC2, S3, Lambda)
+  - Azure (AD, VMs, Storage)
+  - GCP (IAM, Compute, Storage)
 
-Modules:
-  - Reconnaissance (subdomain enum, port scanning, DNS)
-  - Exploitation (SMB, RDP, SSH, web vulns)
-  - Post-exploitation (credential harvesting, persistence)
-  - Reporting (automated markdown/HTML reports)
+Features:
+  - Attack path visualization
+  - Privilege escalation detection
+  - Resource relationship mapping
+  - Export to Neo4j/BloodHound format
 
-Tech Stack: Python 3.11, Flask, SQLAlchemy, Click
+Tech Stack: Python, AWS/Azure/GCP APIs
 Status: Active development
-GitHub: github.com/jlaratro/purplesploit
-`,
+`
+    },
 
-  '/home/user/cyberops/quantsploit.txt': `QuantSploit - Quantitative Trading Framework
+    // ThreatMobile
+    {
+      path: '/home/user/cyberops/threatmobile.txt',
+      content: `ThreatMobile - Mobile Threat Intelligence
 ================================================================================
 
-Terminal-based quantitative trading framework with real-time market analysis
-and technical indicator calculations for algorithmic trading strategies.
+Mobile threat intelligence application for security analysts with real-time
+IOC lookups and threat feed aggregation.
+
+Data Sources:
+  - VirusTotal
+  - AlienVault OTX
+  - ThreatFox
+  - AbuseIPDB
+
+Features:
+  - Real-time IOC lookups
+  - CVE tracking and alerts
+  - Watchlist management
+  - Push notifications for matches
+
+Tech Stack: Go, Mobile
+Status: In Development
+`
+    },
+
+    // GrepEx
+    {
+      path: '/home/user/cyberops/grepex.txt',
+      content: `GrepEx - Regex & Search Dork Generator
+================================================================================
+GitHub: https://github.com/jeremylaratro/grepex
+
+iOS app for security researchers to generate regex patterns and search dorks
+with extensive template library.
+
+Features:
+  - 80+ pre-built regex templates
+  - 21 programming language outputs
+  - GHDB integration (3600+ dorks)
+  - Live pattern testing
+  - ReDoS protection
+  - Gamification with achievements
+
+Tech Stack: TypeScript, iOS
+Status: App Store release planned
+`
+    },
+
+    // Quantsploit
+    {
+      path: '/home/user/cyberops/quantsploit.txt',
+      content: `Quantsploit - Quantitative Trading Framework
+================================================================================
+GitHub: https://github.com/jeremylaratro/Quantsploit
+
+Modular quantitative trading framework inspired by Metasploit with interactive
+TUI and comprehensive technical analysis.
 
 Technical Indicators:
-  - RSI (Relative Strength Index)
-  - MACD (Moving Average Convergence Divergence)
-  - SMA/EMA (Simple/Exponential Moving Averages)
+  - RSI, MACD, SMA, EMA
   - Bollinger Bands
   - Stochastic Oscillator
 
-Options Analytics:
-  - Greeks calculation (Delta, Gamma, Theta, Vega, Rho)
-  - Implied volatility modeling
-  - Black-Scholes pricing
-  - Risk/reward analysis
-
 Features:
-  - Rich TUI interface with real-time charts
-  - Backtesting engine with historical data
-  - Custom strategy builder
-  - Multi-exchange support (Alpaca, TD Ameritrade)
+  - Interactive TUI with auto-completion
+  - Multi-stock market scanning
+  - Options chain analysis with Greeks
+  - Strategy backtesting engine
 
 Tech Stack: Python, Rich/Textual, NumPy, Pandas
-Status: Personal use, selective sharing
-`,
-
-  '/home/user/cyberops/mcp-kali.txt': `MCP-Kali - AI-Assisted Penetration Testing Bridge
+Status: Active - Personal use
+`
+    },
+
+    // GuacaMappy
+    {
+      path: '/home/user/cyberops/guacamappy.txt',
+      content: `GuacaMappy - Apache Guacamole Mobile Client
 ================================================================================
+GitHub: https://github.com/jeremylaratro/guacamappy
 
-Model Context Protocol (MCP) server that bridges Kali Linux tools with AI models,
-enabling AI-assisted penetration testing workflows.
+Cross-platform mobile client for Apache Guacamole remote desktop gateway.
 
-Supported AI Models:
-  - OpenAI GPT-4 / GPT-4 Turbo
-  - Anthropic Claude 3 (Opus, Sonnet, Haiku)
-  - Google Gemini Pro
-
-Capabilities:
-  - Natural language tool invocation ("scan this subnet")
-  - Intelligent command suggestions based on context
-  - Automated vulnerability analysis and exploitation
-  - Report generation with AI-powered insights
-  - Chain complex attack sequences through conversation
-
-Security Features:
-  - Sandboxed execution environment
-  - Command whitelisting and validation
-  - Audit logging for all AI-assisted actions
-  - No credential exposure to AI models
-
-Tech Stack: Python, MCP SDK, Docker
-Status: Experimental / Research project
-GitHub: github.com/jlaratro/mcp-kali
-`,
+Supported Protocols:
+  - RDP (Remote Desktop Protocol)
+  - VNC (Virtual Network Computing)
+  - SSH (Secure Shell)
+  - Telnet
 
-  '/home/user/cyberops/b-neas.txt': `B-NEAS - Bash Network Enumeration Automation Script
+Features:
+  - MFA/TOTP authentication
+  - WebSocket tunneling
+  - Touch-to-mouse input translation
+  - Multi-session management
+
+Tech Stack: Dart, Flutter
+Status: Beta testing
+`
+    },
+
+    // supwngo
+    {
+      path: '/home/user/cyberops/supwngo.txt',
+      content: `supwngo - Automated Penetration Testing Utility
 ================================================================================
+GitHub: https://github.com/jeremylaratro/supwngo
 
-OSCP-focused automation script for efficient network enumeration and initial
-reconnaissance during penetration testing engagements.
+Automated penetration testing utility with autopwn capabilities designed to
+streamline exploitation workflows.
 
-Automation Modules:
-  - Port scanning (nmap with optimized flags)
-  - Service enumeration (version detection, default credentials)
-  - Web directory bruteforcing (gobuster, feroxbuster)
-  - SMB enumeration (shares, users, null sessions)
-  - DNS zone transfers and subdomain discovery
-  - SNMP enumeration and community string bruteforce
+Features:
+  - Multi-threaded target discovery
+  - Vulnerability matching
+  - Automated exploitation
+  - Credential reuse testing
+  - Post-exploitation automation
+
+Tech Stack: Python
+Status: Internal tool
+`
+    },
+
+    // Pentest Scripts
+    {
+      path: '/home/user/cyberops/pentest-scripts.txt',
+      content: `Pentest Scripts (B-NEAS)
+================================================================================
+GitHub: https://github.com/jeremylaratro/pentest_scripts
 
-OSCP-Specific Features:
-  - Organized output directory structure
-  - Automatic note generation for screenshots
-  - Quick wins detection (EternalBlue, MS17-010, etc.)
-  - Minimal noise for exam environments
+Scripts designed for automation and streamlining of discovery and enumeration
+tasks. Created during OSCP labs for maximum efficiency.
 
-Output:
-  - Structured markdown notes
-  - Copy-paste ready exploitation commands
-  - Evidence collection for reporting
+Modules:
+  - Port scanning automation
+  - Service enumeration
+  - Web directory bruteforcing
+  - SMB enumeration
+  - DNS zone transfers
+
+Tech Stack: Shell, Nmap
+Status: Stable - OSCP tested
+`
+    },
+
+    // SecureLLaMA
+    {
+      path: '/home/user/cyberops/securellama.txt',
+      content: `SecureLLaMA - Secure LLaMA Deployment
+================================================================================
+GitHub: https://github.com/jeremylaratro/secureLLaMA
 
-Tech Stack: Bash, standard Kali tools
-Status: Stable, exam-tested
-GitHub: github.com/jlaratro/b-neas
-`,
+Secure implementation of open-source LLaMA LLM using Docker with proper
+isolation and access controls for AI/ML workloads.
 
-  '/home/user/cyberops/winbins.txt': `WinBins - Windows Pentesting Binary Updater
+Features:
+  - Docker containerization
+  - Network isolation
+  - Access control configuration
+  - Gradio web interface
+
+Tech Stack: Shell, Docker, Python, Gradio
+Status: Stable
+`
+    },
+
+    // WinBins
+    {
+      path: '/home/user/cyberops/winbins.txt',
+      content: `WinBins - Windows Red Team Binary Updater
 ================================================================================
+GitHub: https://github.com/jeremylaratro/WinBins
 
-Automated utility for maintaining an up-to-date collection of Windows pentesting
-binaries and tools for red team operations.
+Automated utility for maintaining up-to-date Windows pentesting binaries.
 
 Managed Tools:
-  - Privilege escalation (winPEAS, PowerUp, Seatbelt)
-  - Credential dumping (Mimikatz, LaZagne, SharpDPAPI)
-  - Network tools (Chisel, ligolo-ng, plink)
-  - Execution (Rubeus, Certify, SharpHound)
-  - AV evasion (Invoke-Obfuscation, Donut, ScareCrow)
+  - winPEAS, PowerUp, Seatbelt
+  - Mimikatz, LaZagne, SharpDPAPI
+  - Chisel, ligolo-ng, plink
+  - Rubeus, Certify, SharpHound
 
 Features:
-  - Automatic version checking against GitHub releases
-  - Binary integrity verification (hash checking)
-  - Organized directory structure by category
-  - Quick deployment to target systems
-  - Metadata tracking (version, last update, CVEs addressed)
-
-Workflow Integration:
-  - Pre-engagement preparation automation
-  - SMB share staging for internal pentests
-  - USB rubber ducky payload preparation
+  - GitHub release auto-updates
+  - Binary integrity verification
+  - Organized directory structure
+
+Tech Stack: Python, GitHub API
+Status: Stable
+`
+    },
+
+    // Discord Auto Updater
+    {
+      path: '/home/user/cyberops/discord-updater.txt',
+      content: `Discord Auto Updater
+================================================================================
+GitHub: https://github.com/jeremylaratro/Auto_Update_Discord_Linux
 
-Tech Stack: Python, Requests, GitHub API
-Status: Stable, actively maintained
-`,
+Shell script automation for Discord installations on Linux (Debian/Fedora).
 
-  '/home/user/cyberops/supwngo.txt': `SupwnGo - Automated Penetration Testing Utility
+Features:
+  - Automatic installation
+  - Update detection
+  - Cron scheduling for weekly updates
+
+Tech Stack: Shell, Linux
+Status: Stable
+`
+    },
+
+    // CyberQuizzer
+    {
+      path: '/home/user/cyberops/cyberquizzer.txt',
+      content: `CyberQuizzer - Interview Preparation Platform
 ================================================================================
 
-Automated penetration testing utility designed for rapid vulnerability assessment
-and exploitation with built-in autopwn capabilities.
+Interactive interview preparation platform with 135+ real-world security
+challenges covering multiple domains.
+
+Categories:
+  - Penetration Testing (OSCP-style)
+  - Blue Team Operations
+  - Hardware Security
+  - Network Security
+  - Web Application Security
+
+Features:
+  - Progress tracking
+  - Categorized topics
+  - Detailed answer explanations
+
+Tech Stack: HTML, JavaScript
+Status: Live
+`
+    },
+
+    // MCP-Kali-Server
+    {
+      path: '/home/user/cyberops/mcp-kali.txt',
+      content: `MCP-Kali-Server Bridges
+================================================================================
+GitHub: https://github.com/jeremylaratro/MCP-Kali-Server_Bridges
 
-Core Functionality:
-  - Multi-threaded target discovery and enumeration
-  - Vulnerability matching against exploit database
-  - Automated exploitation with callback verification
-  - Credential reuse and password spraying
-  - Post-exploitation automation (loot collection)
+Bridging MCP server to AI systems for AI-assisted penetration testing.
 
-Autopwn Modules:
-  - Common CVEs (EternalBlue, BlueKeep, PrintNightmare)
-  - Default credentials across 500+ services
-  - Web application vulnerabilities (SQLi, RCE, LFI)
-  - Misconfigurations (weak permissions, unquoted paths)
+Supported AI Models:
+  - OpenAI GPT-4
+  - Anthropic Claude
+  - Google Gemini
+  - Local models (LM-Studio)
 
-Safety Features:
-  - Dry-run mode for testing
-  - Rate limiting to avoid detection
-  - Automatic backup before exploitation
-  - Detailed logging for post-engagement review
+Features:
+  - Terminal access via AI
+  - Natural language tool invocation
+  - Sandboxed execution
+
+Tech Stack: Python, MCP SDK
+Status: Experimental
+`
+    },
+
+    // PhotoSec
+    {
+      path: '/home/user/cyberops/photosec.txt',
+      content: `PhotoSec - Photo Metadata & Privacy Tool
+================================================================================
+GitHub: https://github.com/jeremylaratro/PhotoSec
 
-Tech Stack: Go, concurrent execution patterns
-Status: Internal tool, not publicly released
-`,
+Privacy-focused utility for analyzing and removing metadata from photos.
 
-  '/home/user/cyberops/aradex.txt': `Aradex - Rapid Software Development Platform
+Features:
+  - Bulk metadata removal
+  - GPS coordinate extraction
+  - EXIF data analysis
+  - Steganography detection
+
+Tech Stack: Python, ExifTool, Binwalk
+Status: Stable
+`
+    },
+
+    // Securicoder
+    {
+      path: '/home/user/cyberops/securicoder.txt',
+      content: `Securicoder - AI Code Security Analysis
 ================================================================================
+URL: https://securicoder.com
 
-Cloud-native rapid application development platform focused on accelerated
-deployment pipelines and infrastructure automation.
+Full-stack web application using OpenAI API for static code analysis on
+user-submitted code.
 
-Architecture:
-  - Frontend: React with TypeScript, hosted on AWS S3
-  - CDN: CloudFront distribution with edge caching
-  - Backend: Serverless (AWS Lambda, API Gateway)
-  - Database: DynamoDB for NoSQL, RDS for relational
-  - CI/CD: GitHub Actions with automated testing
+Features:
+  - OWASP Top 10 detection
+  - Secret detection
+  - Code quality analysis
+  - Natural language explanations
 
-Key Features:
-  - Component library with 50+ pre-built UI elements
-  - Drag-and-drop interface builder
-  - Real-time collaboration (multiplayer editing)
-  - Version control integration
-  - One-click deployment to multiple environments
+Tech Stack: Django, OpenAI API, Snort
+Status: Production
+`
+    },
 
-Performance:
-  - Global CDN latency <50ms
-  - 99.9% uptime SLA
-  - Auto-scaling based on traffic
-  - Cost optimization through serverless architecture
+    // ======================================================================
+    // /home/user/research - Hardware, radio and chemistry
+    // ======================================================================
 
-Tech Stack: React, TypeScript, AWS (S3, CloudFront, Lambda), Terraform
-Status: Production, private beta
-`,
+    // Hardware
 
-  '/home/user/cyberops/grepex.txt': `GrepEx - Regex & Search Dork Generator for iOS
+    {
+      path: '/home/user/research/hardware/mini-cnc.txt',
+      content: `Mini-CNC Machine with GRBL Controller
 ================================================================================
 
-Powerful iOS application for generating regular expressions and search dorks
-with extensive template library and multi-language export capabilities.
+Built using aluminum extrusion, stepper motors, 10k rpm spindle motor, and
+open-source GRBL control board. Total cost under $200.
 
-Regex Features:
-  - 80+ pre-built regex templates
-  - Interactive pattern tester with live validation
-  - Common patterns (email, IP, URL, phone, credit cards)
-  - Custom pattern builder with visual editor
-  - Export to 21+ programming languages
+Components:
+  - Aluminum extrusion frame
+  - NEMA17 stepper motors
+  - GRBL CNC controller
+  - 10,000 RPM spindle
 
-Search Dork Integration:
-  - Google Hacking Database (GHDB) with 3,600+ dorks
-  - Category filtering (files, vulnerabilities, sensitive data)
-  - Custom dork creation and sharing
-  - Direct search integration (Google, Shodan, Censys)
-  - Favorites and history tracking
+Software: GRBL, bCNC, KiCAD for PCB design
+`
+    },
+
+    {
+      path: '/home/user/research/hardware/gps-speedometer.txt',
+      content: `GPS Speedometer for Boat/Bike
+================================================================================
 
-Export Languages:
-  Python, JavaScript, Java, C#, PHP, Ruby, Go, Rust, Swift, Kotlin,
-  Perl, R, Scala, Haskell, Lua, and more
+Started with Arduino Uno prototyping, then migrated to standalone ATMEGA328P
+with NEO-6M GPS Module and OLED display.
 
-Tech Stack: Swift, SwiftUI, CoreData
-Status: App Store release planned Q2 2026
-`,
+Components:
+  - ATMEGA328P microcontroller
+  - NEO-6M GPS module
+  - SSD1306 OLED display
+  - 3D printed enclosure
+`
+    },
 
-  '/home/user/cyberops/guacamappy.txt': `GuacamAPPy - Apache Guacamole Mobile Client
+    {
+      path: '/home/user/research/hardware/class-a-amp.txt',
+      content: `Class A Audio Amplifier
 ================================================================================
 
-Feature-rich mobile client for Apache Guacamole remote desktop gateway,
-supporting multiple protocols and seamless connectivity.
+Simple Class A audio amplifier circuit using 2x BC337 transistors with
+chemically etched PCB and SMT components.
 
-Supported Protocols:
-  - RDP (Remote Desktop Protocol)
-  - VNC (Virtual Network Computing)
-  - SSH (Secure Shell)
-  - Telnet
+Specifications:
+  - Class A topology
+  - BC337 NPN transistors
+  - Custom etched PCB
+  - SMT component assembly
+`
+    },
+
+    {
+      path: '/home/user/research/hardware/armachat.txt',
+      content: `ArmaChat: LoRa Text Messenger
+================================================================================
+
+Standalone LoRa-based text messenger for off-grid communications with
+mesh networking capabilities.
 
 Features:
-  - Multi-session management (switch between connections)
-  - Credential vault with biometric authentication
-  - Custom keyboard with function keys and shortcuts
-  - Gesture controls (pinch-to-zoom, swipe navigation)
-  - Session recording and playback
-  - File transfer (SFTP integration)
+  - LoRa radio communication
+  - Mesh networking protocol
+  - Keyboard input
+  - E-ink display
+`
+    },
+
+    // Radio
+
+    {
+      path: '/home/user/research/radio/usdx-radio.txt',
+      content: `uSDX: Open Source HF Radio
+================================================================================
+
+Credit card-sized fully operational HF radio capable of SSB and CW with
+Class E amplifier design.
+
+Specifications:
+  - Multi-band HF coverage
+  - SSB and CW modes
+  - Class E amplifier
+  - QRP output (5W)
+  - Built-in ATU
+`
+    },
+
+    {
+      path: '/home/user/research/radio/rtl-sdr.txt',
+      content: `RTL-SDR Projects
+================================================================================
 
-Security:
-  - End-to-end encryption
-  - Certificate pinning
-  - No credential storage on device (optional)
-  - Session timeout and auto-lock
+Software Defined Radio experiments with RTL-SDR dongles.
 
-Tech Stack: Flutter, Dart, Apache Guacamole API
-Status: Beta testing, iOS and Android
-GitHub: github.com/jlaratro/guacamappy
-`,
+Projects:
+  - ADS-B aircraft tracking
+  - Weather satellite imagery (NOAA)
+  - SSTV from ISS
+  - Trunked radio decoding
+  - Pager monitoring
+`
+    },
 
-  '/home/user/cyberops/ictf.txt': `iCTF - Mobile Capture The Flag Platform
+    {
+      path: '/home/user/research/radio/repeater-network.txt',
+      content: `VHF/UHF Repeater Network
 ================================================================================
 
-iOS-native CTF (Capture The Flag) platform featuring sandboxed security
-challenges and an integrated terminal emulator for on-the-go learning.
+Running linked VHF/UHF repeaters with commercial hardware.
 
-Challenge Categories:
-  - Web exploitation
-  - Cryptography
-  - Reverse engineering (ARM/x86)
-  - Binary exploitation
-  - Forensics
-  - OSINT (Open Source Intelligence)
+Equipment:
+  - Commercial repeaters
+  - Duplexer cavities
+  - Antenna systems
+  - Linking equipment
+`
+    },
 
-Platform Features:
-  - Built-in terminal emulator with Python/Bash support
-  - Sandboxed challenge environment (no jailbreak required)
-  - Progress tracking and leaderboards
-  - Hints system with point penalties
-  - Write-up submission and sharing
-  - Offline mode for challenges without network
+    // Chemistry
 
-Educational Focus:
-  - Beginner-friendly tutorials
-  - Progressive difficulty curve
-  - Detailed explanations for each solution
-  - Mobile-optimized interface
+    {
+      path: '/home/user/research/chemistry/electrochemistry.txt',
+      content: `Electrochemistry Projects
+================================================================================
+
+Various electrochemical synthesis and experiments.
 
-Tech Stack: Swift, SwiftUI, LibTerm (terminal), Themis (crypto)
-Status: Private beta, App Store submission pending
-`,
+Projects:
+  - Copper sulfate synthesis (CuSO4 5H2O)
+  - Ferric chloride for PCB etching
+  - Sodium hydroxide electrolysis
+  - Electroplating experiments
+`
+    },
 
-  '/home/user/cyberops/lss.txt': `LSS - Linux Security Suite
+    {
+      path: '/home/user/research/chemistry/pcb-etching.txt',
+      content: `Chemical PCB Etching
 ================================================================================
 
-Comprehensive Linux security monitoring suite combining intrusion detection,
-malware scanning, and threat intelligence integration.
+Home PCB fabrication using various etchants.
 
-Core Components:
-  - Suricata IDS/IPS (intrusion detection/prevention)
-  - ClamAV antivirus with real-time scanning
-  - Custom log aggregation and analysis
-  - OSSEC host-based intrusion detection
-
-Threat Intelligence Integration:
-  - VirusTotal API (file/URL reputation)
-  - AlienVault OTX (Open Threat Exchange)
-  - ThreatFox (IOC database from abuse.ch)
-  - AbuseIPDB (IP reputation and reporting)
-
-Monitoring Capabilities:
-  - Real-time file integrity monitoring (FIM)
-  - Network traffic analysis and alerting
-  - Log correlation across multiple sources
-  - Automated incident response workflows
-  - Email/Slack/Discord alert notifications
+Etchants Used:
+  - Ferric chloride (FeCl3)
+  - Cupric chloride (CuCl2)
+  - Sodium persulfate
 
-Dashboard:
-  - Web-based interface for alert management
-  - Threat visualization and trending
-  - Custom rule creation and tuning
+Process: Photoresist -> UV exposure -> Develop -> Etch -> Drill
+`
+    },
 
-Tech Stack: Python, Suricata, ClamAV, SQLite, Flask
-Status: Stable, personal infrastructure deployment
-`,
+    // ======================================================================
+    // /home/user/intel - CTF writeups and technical notes
+    // ======================================================================
 
-  '/home/user/cyberops/photosec.txt': `PhotoSec - Photo Metadata & Privacy Tool
-================================================================================
+    // CTF writeups
 
-Privacy-focused utility for analyzing and removing sensitive metadata from
-photos to prevent information leakage and protect user privacy.
+    {
+      path: '/home/user/intel/ctf-writeups/daily-bugle.txt',
+      content: `THM - Daily Bugle
+================================================================================
+Platform: TryHackMe
+Published: Medium (System Weakness)
+
+Attack Chain:
+  1. Joomla enumeration
+  2. CVE-2017-8917 (SQLi)
+  3. Hash extraction
+  4. Hashcat password cracking
+  5. Webshell upload
+  6. yum privilege escalation
+
+Key Techniques:
+  - Joomblah for SQLi exploitation
+  - JohnTheRipper/Hashcat for cracking
+  - GTFOBins for yum privesc
+`
+    },
+
+    {
+      path: '/home/user/intel/ctf-writeups/rick-ctf.txt',
+      content: `THM - Rick CTF (Rick and Morty themed)
+================================================================================
+Platform: TryHackMe
 
-Metadata Analysis:
-  - EXIF data extraction (camera, settings, timestamps)
-  - GPS coordinates and location mapping
-  - Software/device identification
-  - Copyright and ownership information
-  - Hidden metadata and steganography detection
+Attack Chain:
+  1. Web enumeration
+  2. robots.txt discovery
+  3. Command injection
+  4. Sudo privilege escalation
 
-Privacy Features:
-  - One-click metadata stripping
-  - Batch processing for multiple files
-  - Selective metadata removal (keep timestamps, remove GPS)
-  - Secure deletion with overwrite
-  - Before/after comparison view
+Flags: 3 ingredients to find
+`
+    },
 
-Security Applications:
-  - OSINT reconnaissance (analyze target photos)
-  - OpSec for red team operations
-  - Digital forensics (metadata timeline analysis)
-  - Privacy auditing for personal photos
+    {
+      path: '/home/user/intel/ctf-writeups/rootme.txt',
+      content: `THM - RootMe
+================================================================================
+Platform: TryHackMe
 
-Supported Formats:
-  JPEG, PNG, TIFF, HEIC, RAW (CR2, NEF, ARW), WebP, GIF
+Attack Chain:
+  1. Directory bruteforcing
+  2. File upload bypass
+  3. Reverse shell
+  4. SUID binary exploitation
+`
+    },
 
-Tech Stack: Python, Pillow, ExifTool, PyQt6
-Status: Stable, open source
-GitHub: github.com/jlaratro/photosec
-`,
+    // Technical notes
 
-  '/home/user/cyberops/securicoder.txt': `SecuriCoder - AI Code Security Analysis Platform
+    {
+      path: '/home/user/intel/technical-notes/windows-privesc.txt',
+      content: `Windows Privilege Escalation Notes
 ================================================================================
 
-AI-powered code security analysis platform leveraging large language models
-to identify vulnerabilities and provide actionable remediation guidance.
+Common Techniques:
+  - SeImpersonatePrivilege (Potato attacks)
+  - Unquoted Service Paths
+  - AlwaysInstallElevated
+  - DLL Hijacking
+  - GPO Abuse
+  - Weak service permissions
+  - Token impersonation
+
+Tools: winPEAS, PowerUp, Seatbelt, SharpUp
+`
+    },
+
+    {
+      path: '/home/user/intel/technical-notes/linux-privesc.txt',
+      content: `Linux Privilege Escalation Notes
+================================================================================
 
-Analysis Capabilities:
-  - Static code analysis with vulnerability detection
-  - OWASP Top 10 coverage (injection, XSS, broken auth, etc.)
-  - Supply chain security (dependency analysis)
-  - Secret detection (API keys, passwords, tokens)
-  - Code quality and best practices review
+Common Techniques:
+  - SUID/SGID binaries
+  - Sudo misconfigurations
+  - Kernel exploits
+  - Capabilities abuse
+  - Cron job exploitation
+  - PATH hijacking
+  - NFS no_root_squash
+
+Tools: LinPEAS, Linux Exploit Suggester, pspy
+`
+    },
+
+    {
+      path: '/home/user/intel/technical-notes/active-directory.txt',
+      content: `Active Directory Notes
+================================================================================
 
-AI Integration:
-  - OpenAI GPT-4 for natural language explanations
-  - Custom fine-tuned models for specific languages
-  - Context-aware remediation suggestions
-  - False positive reduction through ML
+Enumeration:
+  - BloodHound/SharpHound
+  - PowerView
+  - ldapsearch
+  - enum4linux-ng
+
+Attacks:
+  - Kerberoasting
+  - AS-REP Roasting
+  - Pass-the-Hash
+  - Golden/Silver Tickets
+  - DCSync
+  - NTLM Relay
+
+Tools: Impacket, Rubeus, Mimikatz, CrackMapExec
+`
+    },
+
+    {
+      path: '/home/user/intel/technical-notes/web-attacks.txt',
+      content: `Web Application Attack Notes
+================================================================================
 
-Supported Languages:
-  Python, JavaScript, TypeScript, Java, C#, Go, PHP, Ruby, Rust
+OWASP Top 10:
+  - SQL Injection
+  - XSS (Reflected, Stored, DOM)
+  - SSTI (Server-Side Template Injection)
+  - LFI/RFI (File Inclusion)
+  - SSRF (Server-Side Request Forgery)
+  - XXE (XML External Entity)
+  - Insecure Deserialization
+
+Tools: Burp Suite, SQLMap, ffuf, Nuclei
+`
+    },
+
+    // ======================================================================
+    // /home/user/about
+    // ======================================================================
+
+    {
+      path: '/home/user/about/profile.txt',
+      content: `=== Professional Profile ===
+
+Name: Jeremy Laratro
+Role: Cybersecurity Professional
+Focus: Offensive Security, Purple Teaming, Security Research
+
+Areas of Expertise:
+  - Penetration Testing & Vulnerability Assessment
+  - Red Team Operations & Attack Simulation
+  - Security Tool Development
+  - Cloud Security (AWS, Azure, GCP)
+  - Active Directory Security
+
+Background:
+  Systems administration, network security, application security,
+  and full-stack development. Strong focus on Python automation,
+  infrastructure security, and cloud security.
+`
+    },
+
+    {
+      path: '/home/user/about/certifications.txt',
+      content: `=== Certifications ===
+
+[*] OSEP - Offensive Security Experienced Penetration Tester
+    - Advanced red team operations
+    - Active Directory attack techniques
+    - Evasion and bypass methodologies
 
-Features:
-  - GitHub/GitLab integration (PR comments)
-  - CI/CD pipeline integration
-  - Historical vulnerability tracking
-  - Developer training recommendations
-  - Compliance reporting (PCI-DSS, HIPAA, SOC2)
-
-Tech Stack: Django, Python, OpenAI API, Celery, PostgreSQL
-Status: Production, SaaS offering
-URL: https://securicoder.io
-`,
-
-  // System files
-  '/etc/passwd': `root:x:0:0:root:/root:/bin/bash
+[*] HackTheBox Pro Labs
+    - Zephyr (Completed)
+    - Dante (Completed)
+
+[*] Active Platforms
+    - HackTheBox
+    - TryHackMe
+    - PicoCTF
+    - LeetCode
+`
+    },
+
+    {
+      path: '/home/user/about/contact.txt',
+      content: `=== Contact ===
+
+Email: contact@jlaratro.us
+
+Profiles:
+  - GitHub: github.com/jeremylaratro
+  - LinkedIn: linkedin.com/in/jeremylaratro
+  - HackTheBox: app.hackthebox.com/profile/1106620
+  - TryHackMe: tryhackme.com/p/jeremylaratro
+`
+    },
+
+    // ======================================================================
+    // /etc
+    // ======================================================================
+
+    {
+      path: '/etc/passwd',
+      content: `root:x:0:0:root:/root:/bin/bash
 daemon:x:1:1:daemon:/usr/sbin:/usr/sbin/nologin
-bin:x:2:2:bin:/bin:/usr/sbin/nologin
-sys:x:3:3:sys:/dev:/usr/sbin/nologin
-sync:x:4:65534:sync:/bin:/bin/sync
-games:x:5:60:games:/usr/games:/usr/sbin/nologin
-man:x:6:12:man:/var/cache/man:/usr/sbin/nologin
-lp:x:7:7:lp:/var/spool/lpd:/usr/sbin/nologin
-mail:x:8:8:mail:/var/mail:/usr/sbin/nologin
-news:x:9:9:news:/var/spool/news:/usr/sbin/nologin
-www-data:x:33:33:www-data:/var/www:/usr/sbin/nologin
-backup:x:34:34:backup:/var/backups:/usr/sbin/nologin
 user:x:1000:1000:Portfolio User:/home/user:/bin/bash
-sshd:x:110:65534::/run/sshd:/usr/sbin/nologin
-`,
-
-  '/etc/hosts': `127.0.0.1       localhost
-127.0.1.1       portfolio-terminal
-::1             localhost ip6-localhost ip6-loopback
-ff02::1         ip6-allnodes
-ff02::2         ip6-allrouters
-
-# Portfolio infrastructure
-192.168.1.10    dev.jlaratro.local
-192.168.1.11    staging.jlaratro.local
-192.168.1.12    prod.jlaratro.local
-
-# Lab environment
-10.10.10.1      kali.lab.local
-10.10.10.2      windows-dc.lab.local
-10.10.10.3      ubuntu-server.lab.local
-`,
-
-  '/etc/motd': `
-╔══════════════════════════════════════════════════════════════╗
-║                                                              ║
-║              Welcome to the Portfolio Terminal               ║
-║                      Jeremy Laratro                          ║
-║                  Cybersecurity Professional                  ║
-║                                                              ║
-║  Type 'help' for available commands                          ║
-║  Type 'cat /home/user/readme.txt' to get started            ║
-║                                                              ║
-║  Last login: 2026-01-11                                      ║
-║                                                              ║
-╚══════════════════════════════════════════════════════════════╝
-`,
+`
+    },
+
+    {
+      path: '/etc/group',
+      content: `root:x:0:
+daemon:x:1:
+adm:x:4:
+users:x:100:user
+user:x:1000:
+`
+    },
+
+    {
+      path: '/etc/hosts',
+      content: `127.0.0.1   localhost
+127.0.1.1   cyber-portfolio
+::1         localhost ip6-localhost ip6-loopback
+`
+    },
+
+    {
+      path: '/etc/motd',
+      content: `
+======================================================================
+
+              Welcome to the Portfolio Terminal
+                      Jeremy Laratro
+                  Cybersecurity Professional
+
+  Type 'help' for available commands
+  Type 'cat ~/readme.txt' to get started
+
+======================================================================
+`
+    },
+
+    // /tmp, where anyone may create files but only remove their own
+    { path: '/tmp', type: 'directory', mode: 0o1777 },
+
+    // /root, the superuser's home directory
+    { path: '/root', type: 'directory', mode: 0o700 }
+  ]
 };
+
+export default manifest;
@@ -1,23 +1,113 @@
 /**
  * Command Executor
- * Main execution engine for the terminal that parses and routes commands,
- * handles pipelines and redirects, and manages history and aliases.
+ * Main execution engine for the terminal that parses commands into syntax
+ * trees and runs them: pipelines, redirects, control flow and functions.
+ * Also manages history, aliases and shell variables.
  */
 
-import { parseCommandLine, containsUnquotedPipe, containsUnquotedRedirect, splitByPipe, parseRedirect, CommandResult } from './parser.js';
+import { parseCommandLine, parseScript, globToRegExp, bytesToText, concatBytes, toBytes, CommandResult } from './parser.js';
 import { VirtualFilesystem } from './filesystem.js';
+import { devices, processes, system } from './pseudofs.js';
 import * as navigation from './commands/navigation.js';
 import * as files from './commands/files.js';
+import * as archive from './commands/archive.js';
+import * as permissions from './commands/permissions.js';
 import * as text from './commands/text.js';
 import * as encoding from './commands/encoding.js';
 import * as utility from './commands/utility.js';
 import * as easter from './commands/easter.js';
+import * as shell from './commands/shell.js';
+import * as git from './commands/git.js';
+
+// Deepest allowed nesting of $(...) substitutions
+const MAX_SUBSTITUTION_DEPTH = 16;
+
+// Deepest allowed nesting of scripts running or sourcing other scripts
+const MAX_SCRIPT_DEPTH = 16;
+
+// Deepest allowed nesting of function calls
+const MAX_FUNCTION_DEPTH = 100;
+
+// Default time limit (ms) for one command line; 0 disables it
+const DEFAULT_COMMAND_TIMEOUT = 30000;
+
+// Longest time (ms) a loop runs before letting the page handle input such as Ctrl-C
+const YIELD_INTERVAL = 50;
+
+// Exit statuses for commands stopped by Ctrl-C and by the time limit
+const EXIT_INTERRUPTED = 130;
+const EXIT_TIMED_OUT = 124;
+
+// Leading NAME=value words of a simple command
+const ASSIGNMENT_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*=/;
+
+// Command packs registered by every executor, in help order
+const BUILTIN_COMMAND_PACKS = [navigation, files, archive, permissions, text, encoding, utility, shell, git, easter];
 
 export class CommandExecutor {
-  constructor() {
-    this.filesystem = new VirtualFilesystem();
+  /**
+   * @param {Object} options - Executor options
+   * @param {number} options.commandTimeout - Time limit (ms) for one command
+   *        line; 0 disables it
+   * @param {Array<Object>} options.commandPacks - Extra command pack modules
+   *        to register (see loadCommandPack)
+   * @param {Object} options.manifest - Filesystem content, in the format of
+   *        content.js (default: content.js)
+   */
+  constructor(options = {}) {
+    this.filesystem = new VirtualFilesystem(options.manifest);
     this.history = [];
     this.maxHistory = 1000;
+    this.lastExitCode = 0;
+    this.substitutionDepth = 0;
+    this.scriptDepth = 0;
+    this.subshellDepth = 0;
+    this.loopDepth = 0;
+
+    // Signal of the running command line, aborted by Ctrl-C or the time limit
+    this.commandTimeout = options.commandTimeout ?? DEFAULT_COMMAND_TIMEOUT;
+    this.signal = null;
+    this.lastYield = 0;
+    this._pauseTimeout = null;
+
+    // Line of the simple command being run, for script error messages
+    this.currentLine = 0;
+
+    // Exit status of the last command substitution, which becomes the
+    // status of a command made only of assignments
+    this.substitutionStatus = null;
+
+    // Running scripts and function calls, each with its positional
+    // parameters; the bottom frame is the interactive shell
+    this.callStack = [{ type: 'shell', name: 'bash', args: [] }];
+
+    // User-defined functions: name to body node
+    this.functions = {};
+
+    // Aliases being expanded, so an alias cannot expand itself
+    this.activeAliases = new Set();
+
+    // Registered commands: name to definition
+    this.commands = new Map();
+    BUILTIN_COMMAND_PACKS.forEach(pack => this.loadCommandPack(pack));
+    (options.commandPacks || []).forEach(pack => this.loadCommandPack(pack));
+
+    // Shell variables; exported names are also shown by env
+    this.variables = {
+      HOME: this.filesystem.homeDirectory,
+      USER: 'user',
+      PWD: this.filesystem.pwd(),
+      OLDPWD: this.filesystem.pwd(),
+      PATH: '/usr/local/bin:/usr/bin:/bin',
+      SHELL: '/bin/bash',
+      PS1: 'd0sf3t@compromised_host03:\\w$'
+    };
+    this.exportedVariables = new Set(['HOME', 'USER', 'PWD', 'OLDPWD', 'PATH', 'SHELL']);
+
+    // Generated directories describing the session
+    this.filesystem.mount('/dev', devices(), 0o755);
+    this.filesystem.mount('/proc', processes(this));
+    this.filesystem.mount('/sys', system());
 
     // Default aliases
     this.aliases = {
@@ -33,9 +123,10 @@ export class CommandExecutor {
   /**
    * Main entry point for command execution
    * @param {string} commandLine - The command line to execute
-   * @returns {CommandResult} The result of the command execution
+   * @param {AbortSignal|null} signal - Aborts the command, as Ctrl-C does
+   * @returns {Promise<CommandResult>} The result of the command execution
    */
-  execute(commandLine) {
+  async execute(commandLine, signal = null) {
     console.log('Executing command:', commandLine);
 
     try {
@@ -50,120 +141,874 @@ export class CommandExecutor {
       // Add to history
       this.addToHistory(commandLine);
 
-      // Check for aliases and expand
-      const firstWord = commandLine.split(/\s+/)[0];
-      if (this.aliases[firstWord]) {
-        const rest = commandLine.substring(firstWord.length).trim();
-        commandLine = rest ? `${this.aliases[firstWord]} ${rest}` : this.aliases[firstWord];
+      const result = await this._runCancellable(() => this._executeLine(commandLine), signal);
+      console.log('Command result:', result);
+      return result;
+    } catch (error) {
+      console.error('Execute error:', error);
+      return CommandResult.error(`Execution error: ${error.message}`);
+    }
+  }
+
+  /**
+   * Run a top-level command so it can be cancelled: it stops when signal
+   * aborts or when it runs longer than commandTimeout
+   * @param {Function} run - Runs the command and returns its CommandResult
+   * @param {AbortSignal|null} signal - Caller's signal, such as the UI's Ctrl-C
+   * @returns {Promise<CommandResult>} The result; exit code 130 if
+   *          interrupted, or 124 if timed out
+   * @private
+   */
+  async _runCancellable(run, signal) {
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(signal.reason);
+    if (signal) {
+      if (signal.aborted) {
+        onAbort();
+      } else {
+        signal.addEventListener('abort', onAbort, { once: true });
       }
+    }
 
-      // Check for pipes
-      if (containsUnquotedPipe(commandLine)) {
-        return this.executePipeline(commandLine);
+    const seconds = this.commandTimeout / 1000;
+    let timer = null;
+    const startTimer = () => {
+      if (this.commandTimeout > 0) {
+        timer = setTimeout(() => controller.abort(new DOMException(`timed out after ${seconds}s`, 'TimeoutError')), this.commandTimeout);
       }
+    };
+    startTimer();
+
+    // Lets waitForUser stop the clock; returns a function that restarts it
+    this._pauseTimeout = () => {
+      clearTimeout(timer);
+      return startTimer;
+    };
+
+    this.signal = controller.signal;
+    this.lastYield = Date.now();
 
-      // Check for redirects
-      if (containsUnquotedRedirect(commandLine)) {
-        return this.executeWithRedirect(commandLine);
+    try {
+      return await run();
+    } catch (error) {
+      if (!controller.signal.aborted) {
+        throw error;
       }
 
-      // Parse and execute single command
-      const tokens = parseCommandLine(commandLine);
-      console.log('Parsed tokens:', tokens);
-      const command = tokens[0] || '';
-      const args = tokens.slice(1);
-      const result = this._executeCommand(command, args, null);
-      console.log('Command result:', result);
+      const timedOut = controller.signal.reason && controller.signal.reason.name === 'TimeoutError';
+      this.lastExitCode = timedOut ? EXIT_TIMED_OUT : EXIT_INTERRUPTED;
+      return timedOut
+        ? CommandResult.error(`bash: command timed out after ${seconds}s`, EXIT_TIMED_OUT)
+        : CommandResult.error('^C', EXIT_INTERRUPTED);
+    } finally {
+      clearTimeout(timer);
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      this.signal = null;
+      this._pauseTimeout = null;
+    }
+  }
+
+  /**
+   * Wait for the visitor, such as for a file picker, without the time limit
+   * running; the full limit starts again once the wait is over. Ctrl-C
+   * still interrupts the wait.
+   * @param {Promise} promise - Settles when the visitor is done
+   * @returns {Promise} The promise's result
+   */
+  async waitForUser(promise) {
+    const resume = this._pauseTimeout ? this._pauseTimeout() : null;
+    try {
+      return await promise;
+    } finally {
+      if (resume) {
+        resume();
+      }
+    }
+  }
+
+  /**
+   * Stop the running command if it has been cancelled
+   * @throws {DOMException} The abort reason, if cancelled
+   * @private
+   */
+  _checkSignal() {
+    if (this.signal) {
+      this.signal.throwIfAborted();
+    }
+  }
+
+  /**
+   * Let cancellation win over an error a command reported while it was stopping
+   * @param {Error} error - The caught error
+   * @throws {Error} The error again, if the command was cancelled
+   * @private
+   */
+  _rethrowIfAborted(error) {
+    if (this.signal && this.signal.aborted) {
+      throw error;
+    }
+  }
+
+  /**
+   * Parse and run a command line without recording it in history
+   * @param {string} commandLine - The command line to execute
+   * @returns {Promise<CommandResult>} The result
+   * @private
+   */
+  async _executeLine(commandLine) {
+    let script;
+    try {
+      script = parseScript(commandLine);
+    } catch (error) {
+      this.lastExitCode = 2;
+      return this._shellError(error.message, 2);
+    }
+
+    return await this.executeNode(script, null, this.substitutionDepth === 0);
+  }
+
+  /**
+   * Run the command inside $(...) or backticks in a subshell and capture its output
+   * @param {string} commandLine - The substituted command line
+   * @returns {Promise<string>} The command's output, or nothing if it failed
+   * @throws {Error} If substitutions are nested too deeply
+   * @private
+   */
+  async _substituteCommand(commandLine) {
+    if (this.substitutionDepth >= MAX_SUBSTITUTION_DEPTH) {
+      throw new Error(`command substitution nested more than ${MAX_SUBSTITUTION_DEPTH} levels deep`);
+    }
+
+    this.substitutionDepth++;
+    try {
+      const result = await this._runSubshell(() => this._executeLine(commandLine.trim()));
+      this.substitutionStatus = result.exitCode;
+      return result.success ? result.output : '';
+    } finally {
+      this.substitutionDepth--;
+    }
+  }
+
+  /**
+   * Run a script file from the virtual filesystem
+   * @param {string} path - Path to the script
+   * @param {Array<string>} args - Script arguments, available as $1, $2, ...
+   * @param {boolean} subshell - Run in a subshell (sh, bash, ./script) so
+   *        variable, function, alias and directory changes do not leak out;
+   *        source runs in the current shell instead
+   * @returns {Promise<CommandResult>} Combined output with the status of the last command
+   */
+  async runScript(path, args = [], subshell = false) {
+    if (!this.filesystem.exists(path)) {
+      return CommandResult.error(`bash: ${path}: No such file or directory`, 127);
+    }
+    if (this.filesystem.isDirectory(path)) {
+      return CommandResult.error(`bash: ${path}: Is a directory`, 126);
+    }
+    if (!this.filesystem.canAccess(path, 'r')) {
+      return CommandResult.error(`bash: ${path}: Permission denied`, 126);
+    }
+    if (this.scriptDepth >= MAX_SCRIPT_DEPTH) {
+      return CommandResult.error(`bash: ${path}: scripts nested more than ${MAX_SCRIPT_DEPTH} levels deep`, 126);
+    }
+
+    // The whole script is parsed first, so a syntax error anywhere stops it running
+    let script;
+    try {
+      script = parseScript(this.filesystem.readFile(path));
+    } catch (error) {
+      return CommandResult.error(`${path}: line ${error.line}: ${error.message}`, 2);
+    }
+
+    // A sourced script without arguments sees the caller's
+    if (!subshell && args.length === 0) {
+      args = this.getPositionalParameters();
+    }
+
+    const saved = subshell ? this._saveShellState() : null;
+    this.scriptDepth++;
+    this.callStack.push({ type: 'script', name: path, args });
+
+    try {
+      const result = await this.executeNode(script);
+      if (result.control && ['exit', 'return'].includes(result.control.type)) {
+        result.control = null;
+      }
+      return result;
+    } finally {
+      this.callStack.pop();
+      this.scriptDepth--;
+      if (saved) {
+        this._restoreShellState(saved);
+      }
+    }
+  }
+
+  /**
+   * Run one command by name, as if it were a simple command with these
+   * words, for commands such as xargs that run others
+   * @param {string} command - Command name
+   * @param {Array<string>} args - Command arguments
+   * @param {string|null} pipeInput - Input for the command
+   * @param {boolean} toTerminal - Whether output goes straight to the terminal
+   * @returns {Promise<CommandResult>} The result
+   */
+  async runCommand(command, args, pipeInput = null, toTerminal = false) {
+    this._checkSignal();
+    return await this._executeCommand(command, args, pipeInput, toTerminal);
+  }
+
+  /**
+   * Run an executable file invoked by path (./script or /path/to/script)
+   * @param {string} path - Path to the file
+   * @param {Array<string>} args - Script arguments
+   * @returns {Promise<CommandResult>} The result
+   * @private
+   */
+  async _executeFile(path, args) {
+    if (!this.filesystem.exists(path)) {
+      return CommandResult.error(`bash: ${path}: No such file or directory`, 127);
+    }
+    if (this.filesystem.isDirectory(path)) {
+      return CommandResult.error(`bash: ${path}: Is a directory`, 126);
+    }
+    if (!this.filesystem.canAccess(path, 'x') || !this.filesystem.canAccess(path, 'r')) {
+      return CommandResult.error(`bash: ${path}: Permission denied`, 126);
+    }
+
+    // Only shell scripts can run here; files without a shebang run as shell scripts
+    const firstLine = this.filesystem.readFile(path).split('\n')[0];
+    const shebang = firstLine.match(/^#!\s*(.+?)\s*$/);
+    if (shebang && !/(^|[/\s])(ba)?sh$/.test(shebang[1])) {
+      return CommandResult.error(`bash: ${path}: ${shebang[1]}: bad interpreter: No such file or directory`, 126);
+    }
+
+    return await this.runScript(path, args, true);
+  }
+
+  /**
+   * Run a function in a subshell: state changes are discarded afterwards
+   * and exit only leaves the subshell
+   * @param {Function} run - Returns the subshell's CommandResult
+   * @returns {Promise<CommandResult>} The result
+   * @private
+   */
+  async _runSubshell(run) {
+    const saved = this._saveShellState();
+    this.subshellDepth++;
+
+    try {
+      const result = await run();
+      if (result.control && result.control.type === 'exit') {
+        result.control = null;
+      }
       return result;
+    } finally {
+      this.subshellDepth--;
+      this._restoreShellState(saved);
+    }
+  }
+
+  /**
+   * Snapshot the state a subshell must not change in its parent
+   * @returns {Object} Saved variables, exports, functions, aliases and working directory
+   * @private
+   */
+  _saveShellState() {
+    return {
+      variables: { ...this.variables },
+      exportedVariables: new Set(this.exportedVariables),
+      functions: { ...this.functions },
+      aliases: { ...this.aliases },
+      cwd: this.filesystem.pwd()
+    };
+  }
+
+  /**
+   * Restore state saved by _saveShellState
+   * @param {Object} state - Saved state
+   * @private
+   */
+  _restoreShellState(state) {
+    this.variables = state.variables;
+    this.exportedVariables = state.exportedVariables;
+    this.functions = state.functions;
+    this.aliases = state.aliases;
+    try {
+      this.filesystem.cd(state.cwd);
     } catch (error) {
-      console.error('Execute error:', error);
-      return CommandResult.error(`Execution error: ${error.message}`);
+      // The directory was removed by the subshell; stay where it left us
+    }
+  }
+
+  /**
+   * Source ~/.bashrc if it exists, so saved aliases and variables apply
+   * to a new session
+   * @param {AbortSignal|null} signal - Aborts the startup file, as Ctrl-C does
+   * @returns {Promise<CommandResult|null>} The result, or null if there is no ~/.bashrc
+   */
+  async loadStartupFile(signal = null) {
+    const bashrc = `${this.filesystem.homeDirectory}/.bashrc`;
+    if (!this.filesystem.fileExists(bashrc)) {
+      return null;
+    }
+
+    try {
+      return await this._runCancellable(() => this.runScript(bashrc), signal);
+    } catch (error) {
+      return CommandResult.error(`bash: ${bashrc}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build an error reported by the shell itself, prefixed like bash: with
+   * "bash:" interactively, or with the script name and line inside a script
+   * @param {string} message - Error message
+   * @param {number} exitCode - Exit code (default: 1)
+   * @returns {CommandResult} The error result
+   * @private
+   */
+  _shellError(message, exitCode = 1) {
+    const script = this.callStack.slice().reverse().find(frame => frame.type === 'script');
+    const prefix = script ? `${script.name}: line ${this.currentLine}: ` : 'bash: ';
+    return CommandResult.error(prefix + message, exitCode);
+  }
+
+  /**
+   * Join the outputs of several results into one
+   * @param {Array<CommandResult>} results - Results in the order they ran
+   * @param {CommandResult} last - Result whose status and control flow the
+   *        combined result keeps (default: the last one)
+   * @returns {CommandResult} Combined result
+   * @private
+   */
+  _combineResults(results, last = results[results.length - 1]) {
+    last = last || CommandResult.success('');
+
+    // A lone command keeps its own result (and any UI markers on it)
+    if (results.length === 1 && results[0] === last) {
+      return last;
+    }
+
+    const output = results
+      .map(result => result.output.replace(/\n$/, ''))
+      .filter(output => output)
+      .join('\n');
+    const combined = new CommandResult(output, last.success, last.exitCode);
+    combined.control = last.control;
+    return combined;
+  }
+
+  /**
+   * Execute a syntax tree node produced by parseScript
+   * @param {Object} node - The node to run
+   * @param {string|null} pipeInput - Piped input, or null
+   * @param {boolean} toTerminal - Whether output is shown rather than piped or captured
+   * @returns {Promise<CommandResult>} The result; a control property set by break,
+   *          continue, return or exit tells enclosing nodes to stop early
+   */
+  async executeNode(node, pipeInput = null, toTerminal = true) {
+    this._checkSignal();
+
+    if (node.redirects && node.redirects.length > 0) {
+      return await this._executeWithRedirects(node, pipeInput, toTerminal);
+    }
+
+    switch (node.type) {
+      case 'list':
+        return await this._executeList(node, pipeInput, toTerminal);
+      case 'and_or':
+        return await this._executeAndOr(node, pipeInput, toTerminal);
+      case 'pipeline':
+        return await this._executePipeline(node, pipeInput, toTerminal);
+      case 'simple':
+        return await this._executeSimple(node, pipeInput, toTerminal);
+      case 'if':
+        return await this._executeIf(node, pipeInput, toTerminal);
+      case 'for':
+        return await this._executeFor(node, pipeInput, toTerminal);
+      case 'while':
+        return await this._executeWhile(node, pipeInput, toTerminal);
+      case 'case':
+        return await this._executeCase(node, pipeInput, toTerminal);
+      case 'group':
+        return await this.executeNode(node.body, pipeInput, toTerminal);
+      case 'subshell':
+        return await this._runSubshell(() => this.executeNode(node.body, pipeInput, toTerminal));
+      case 'function':
+        this.functions[node.name] = node.body;
+        return CommandResult.success('');
+      default:
+        throw new Error(`unknown syntax node: ${node.type}`);
+    }
+  }
+
+  /**
+   * Execute commands separated by ;, & or newlines
+   * @private
+   */
+  async _executeList(node, pipeInput, toTerminal) {
+    const results = [];
+
+    for (const item of node.items) {
+      const result = await this.executeNode(item, pipeInput, toTerminal);
+      results.push(result);
+      if (result.control) {
+        break;
+      }
     }
+
+    return this._combineResults(results);
   }
 
   /**
-   * Execute a pipeline of commands
-   * @param {string} commandLine - The pipeline command line
-   * @returns {CommandResult} The final result
+   * Execute pipelines joined by && and ||, honouring short-circuiting
+   * @private
    */
-  executePipeline(commandLine) {
-    const commands = splitByPipe(commandLine);
-    let result = CommandResult.success('');
+  async _executeAndOr(node, pipeInput, toTerminal) {
+    const results = [];
 
-    for (let i = 0; i < commands.length; i++) {
-      const cmd = commands[i].trim();
+    for (let i = 0; i < node.pipelines.length; i++) {
+      // && only runs after success, || only after failure
+      const operator = node.operators[i - 1];
+      if ((operator === '&&' && this.lastExitCode !== 0) ||
+          (operator === '||' && this.lastExitCode === 0)) {
+        continue;
+      }
 
-      // Check if last command has redirect
-      if (i === commands.length - 1 && containsUnquotedRedirect(cmd)) {
-        return this.executeWithRedirect(cmd, result.output);
+      const result = await this.executeNode(node.pipelines[i], pipeInput, toTerminal);
+      this.lastExitCode = result.exitCode;
+      results.push(result);
+      if (result.control) {
+        break;
       }
+    }
+
+    return this._combineResults(results);
+  }
 
-      // Execute with previous output as input
-      result = this.executeWithInput(cmd, result.output);
+  /**
+   * Execute a pipeline, feeding each command's output to the next
+   * @private
+   */
+  async _executePipeline(node, pipeInput, toTerminal) {
+    let result = null;
+    let input = pipeInput;
+
+    for (let i = 0; i < node.commands.length; i++) {
+      // Only the last stage writes to the terminal
+      const isLast = i === node.commands.length - 1;
+      result = await this.executeNode(node.commands[i], input, isLast && toTerminal);
 
       // If command failed, stop pipeline
-      if (!result.success) {
-        return result;
+      if (!result.success && !isLast) {
+        break;
       }
+      input = result.data || result.output;
+    }
+
+    if (node.negated) {
+      const exitCode = result.exitCode === 0 ? 1 : 0;
+      return new CommandResult(result.output, exitCode === 0, exitCode);
     }
 
     return result;
   }
 
   /**
-   * Execute command with output redirection
-   * @param {string} commandLine - The command line with redirect
-   * @param {string} pipeInput - Optional piped input
-   * @returns {CommandResult} The result
+   * Execute a command with its redirects applied. Output of a command that
+   * succeeded is its standard output (1) and output of one that failed is
+   * its standard error (2); N>FILE, N>>FILE, N>&M, &>FILE and &>>FILE send
+   * each to a file, to the other stream, or nowhere (N>&-), in order.
+   * @private
    */
-  executeWithRedirect(commandLine, pipeInput = null) {
-    const redirect = parseRedirect(commandLine);
+  async _executeWithRedirects(node, pipeInput, toTerminal) {
+    let input = pipeInput;
+    const stdout = { stream: 1 };
+    const stderr = { stream: 2 };
+    const streams = { 1: stdout, 2: stderr };
+    const files = [];
+
+    for (const redirect of node.redirects) {
+      let targets;
+      try {
+        targets = await this._expandWords([redirect.target]);
+      } catch (error) {
+        this._rethrowIfAborted(error);
+        return this._shellError(error.message);
+      }
+      if (targets.length !== 1) {
+        return this._shellError(`${redirect.target}: ambiguous redirect`);
+      }
 
-    if (!redirect || !redirect.file) {
-      return CommandResult.error('Error: Invalid redirect syntax');
+      const [target] = targets;
+      if (redirect.operator === '>&' && /^(\d+|-)$/.test(target)) {
+        if (target === '-') {
+          streams[redirect.fd] = null;
+        } else if (streams[target] !== undefined) {
+          streams[redirect.fd] = streams[target];
+        } else {
+          return this._shellError(`${target}: Bad file descriptor`);
+        }
+        continue;
+      }
+
+      const path = this.filesystem.resolvePath(target);
+      if (redirect.operator === '<') {
+        if (!this.filesystem.fileExists(path)) {
+          return this._shellError(`${target}: No such file or directory`);
+        }
+        try {
+          const content = bytesToText(this.filesystem.readBytes(path));
+          if (redirect.fd === 0) {
+            input = content;
+          }
+        } catch (error) {
+          return this._shellError(error.message.replace(/^cat: /, ''));
+        }
+        continue;
+      }
+
+      // >&FILE is another way to write &>FILE
+      const file = { path, append: redirect.operator.endsWith('>>'), content: null };
+      files.push(file);
+      if (redirect.fd === null || redirect.operator === '>&') {
+        streams[1] = file;
+        streams[2] = file;
+      } else if (redirect.fd === 1 || redirect.fd === 2) {
+        streams[redirect.fd] = file;
+      }
+    }
+
+    const result = await this.executeNode({ ...node, redirects: [] }, input, toTerminal && streams[1] === stdout);
+    if (files.length === 0 && streams[1] === stdout && streams[2] === stderr) {
+      return result;
+    }
+
+    // Output that is not text is written as its raw bytes
+    const destination = streams[result.success ? 1 : 2];
+    if (destination && destination.path) {
+      destination.content = result.success ? (result.data || result.output) : result.output;
     }
 
-    // Execute the command
-    const result = this.executeWithInput(redirect.command, pipeInput);
+    for (const file of files) {
+      try {
+        let content = file.content ?? '';
+        if (file.append && this.filesystem.fileExists(file.path)) {
+          const current = bytesToText(this.filesystem.readBytes(file.path));
+          if (typeof current === 'string' && typeof content === 'string') {
+            const separator = current && content && !current.endsWith('\n') ? '\n' : '';
+            content = current + separator + content;
+          } else {
+            content = concatBytes([toBytes(current), toBytes(content)]);
+          }
+        }
+        this.filesystem.writeFile(file.path, content);
+      } catch (error) {
+        return CommandResult.error(`Error: ${error.message}`);
+      }
+    }
+
+    // What reaches the terminal or pipe keeps the command's exit status;
+    // only output on standard error is shown as an error
+    let redirected;
+    if (destination === stdout || destination === stderr) {
+      redirected = new CommandResult(result.output, destination === stdout, result.exitCode);
+      redirected.data = destination === stdout ? result.data : null;
+    } else {
+      redirected = new CommandResult('', true, result.exitCode);
+    }
+    redirected.control = result.control;
+    return redirected;
+  }
+
+  /**
+   * Execute a simple command: expand aliases and words, apply leading
+   * NAME=value assignments, then run the command. Assignments on their own
+   * set shell variables; before a command they only last for that command.
+   * @private
+   */
+  async _executeSimple(node, pipeInput, toTerminal) {
+    this.currentLine = node.line;
+
+    // Aliases expand before parsing, so an alias may contain lists and pipes
+    const [firstWord, ...restWords] = node.words;
+    if (this.aliases[firstWord] !== undefined && !this.activeAliases.has(firstWord)) {
+      return await this._executeAlias(firstWord, restWords, pipeInput, toTerminal);
+    }
 
-    // Write output to file
+    let assignments;
+    let words;
     try {
-      const currentDir = this.filesystem.pwd();
-      const targetPath = this.filesystem.resolvePath(redirect.file, currentDir);
+      this.substitutionStatus = null;
+      let count = 0;
+      while (count < node.words.length && ASSIGNMENT_PATTERN.test(node.words[count])) {
+        count++;
+      }
+
+      assignments = [];
+      for (const word of node.words.slice(0, count)) {
+        const separator = word.indexOf('=');
+        assignments.push([word.substring(0, separator), await this._expandValue(word.substring(separator + 1))]);
+      }
+      words = await this._expandWords(node.words.slice(count));
+    } catch (error) {
+      this._rethrowIfAborted(error);
+      return this._shellError(error.message);
+    }
+
+    const [command, ...args] = words;
+
+    if (!command) {
+      assignments.forEach(([name, value]) => this.setVariable(name, value));
+      const exitCode = this.substitutionStatus ?? 0;
+      return new CommandResult('', exitCode === 0, exitCode);
+    }
 
-      // Check if file exists for append mode
-      const exists = this.filesystem.fileExists(targetPath);
+    const saved = assignments.map(([name]) => [name, this.variables[name]]);
+    assignments.forEach(([name, value]) => { this.variables[name] = value; });
 
-      if (redirect.append) {
-        // Append mode
-        if (exists) {
-          const currentContent = this.filesystem.readFile(targetPath);
-          this.filesystem.writeFile(targetPath, currentContent + '\n' + result.output);
+    try {
+      return await this._executeCommand(command, args, pipeInput, toTerminal);
+    } finally {
+      saved.forEach(([name, value]) => {
+        if (value === undefined) {
+          delete this.variables[name];
         } else {
-          this.filesystem.writeFile(targetPath, result.output);
+          this.variables[name] = value;
         }
-      } else {
-        // Overwrite mode
-        this.filesystem.writeFile(targetPath, result.output);
+      });
+    }
+  }
+
+  /**
+   * Replace an alias with its value and run the result
+   * @param {string} name - The alias name
+   * @param {Array<string>} words - Raw words following the alias
+   * @param {string|null} pipeInput - Piped input, or null
+   * @param {boolean} toTerminal - Whether output is shown rather than piped or captured
+   * @returns {Promise<CommandResult>} The result
+   * @private
+   */
+  async _executeAlias(name, words, pipeInput, toTerminal) {
+    let script;
+    try {
+      script = parseScript([this.aliases[name], ...words].join(' '));
+    } catch (error) {
+      return this._shellError(error.message, 2);
+    }
+
+    this.activeAliases.add(name);
+    try {
+      return await this.executeNode(script, pipeInput, toTerminal);
+    } finally {
+      this.activeAliases.delete(name);
+    }
+  }
+
+  /**
+   * Execute an if statement
+   * @private
+   */
+  async _executeIf(node, pipeInput, toTerminal) {
+    const results = [];
+
+    for (const clause of node.clauses) {
+      const condition = await this.executeNode(clause.condition, pipeInput, toTerminal);
+      results.push(condition);
+      if (condition.control) {
+        return this._combineResults(results);
       }
 
-      return CommandResult.success('');
+      if (condition.exitCode === 0) {
+        const body = await this.executeNode(clause.body, pipeInput, toTerminal);
+        results.push(body);
+        return this._combineResults(results, body);
+      }
+    }
+
+    if (node.elseBody) {
+      const body = await this.executeNode(node.elseBody, pipeInput, toTerminal);
+      results.push(body);
+      return this._combineResults(results, body);
+    }
+
+    // No branch ran
+    return this._combineResults(results, CommandResult.success(''));
+  }
+
+  /**
+   * Execute a for loop
+   * @private
+   */
+  async _executeFor(node, pipeInput, toTerminal) {
+    let values;
+    try {
+      values = node.words === null ? this.getPositionalParameters() : await this._expandWords(node.words);
+    } catch (error) {
+      this._rethrowIfAborted(error);
+      return this._shellError(error.message);
+    }
+
+    const results = [];
+    this.loopDepth++;
+    try {
+      for (const value of values) {
+        await this._loopCheckpoint();
+        this.setVariable(node.variable, value);
+
+        const result = await this.executeNode(node.body, pipeInput, toTerminal);
+        results.push(result);
+        if (this._endsLoop(result)) {
+          break;
+        }
+      }
+    } finally {
+      this.loopDepth--;
+    }
+
+    return this._combineResults(results);
+  }
+
+  /**
+   * Execute a while or until loop
+   * @private
+   */
+  async _executeWhile(node, pipeInput, toTerminal) {
+    const results = [];
+    let last = null;
+
+    this.loopDepth++;
+    try {
+      for (;;) {
+        await this._loopCheckpoint();
+
+        const condition = await this.executeNode(node.condition, pipeInput, toTerminal);
+        results.push(condition);
+        if (condition.control) {
+          last = condition;
+          break;
+        }
+        if ((condition.exitCode === 0) === node.until) {
+          break;
+        }
+
+        last = await this.executeNode(node.body, pipeInput, toTerminal);
+        results.push(last);
+        if (this._endsLoop(last)) {
+          break;
+        }
+      }
+    } finally {
+      this.loopDepth--;
+    }
+
+    // The loop's status is its body's, or 0 if the body never ran
+    return this._combineResults(results, last);
+  }
+
+  /**
+   * Execute a case statement: run the first item with a pattern that
+   * matches the word
+   * @private
+   */
+  async _executeCase(node, pipeInput, toTerminal) {
+    let word;
+    try {
+      word = await this._expandValue(node.word);
+      for (const item of node.items) {
+        const patterns = await this._expandWords(item.patterns, { patterns: true });
+
+        if (patterns.some(pattern => globToRegExp(pattern).test(word))) {
+          return await this.executeNode(item.body, pipeInput, toTerminal);
+        }
+      }
     } catch (error) {
-      return CommandResult.error(`Error: ${error.message}`);
+      this._rethrowIfAborted(error);
+      return this._shellError(error.message);
+    }
+
+    return CommandResult.success('');
+  }
+
+  /**
+   * Give the page a chance to handle input before a loop iteration, so a
+   * long loop can be interrupted with Ctrl-C or stopped by the time limit
+   * @throws {Error} If the command was cancelled
+   * @private
+   */
+  async _loopCheckpoint() {
+    if (Date.now() - this.lastYield > YIELD_INTERVAL) {
+      await new Promise(resolve => setTimeout(resolve, 0));
+      this.lastYield = Date.now();
+    }
+    this._checkSignal();
+  }
+
+  /**
+   * Handle break and continue at the end of a loop iteration
+   * @param {CommandResult} result - Result of the loop body
+   * @returns {boolean} Whether the loop should stop
+   * @private
+   */
+  _endsLoop(result) {
+    const control = result.control;
+    if (!control) {
+      return false;
+    }
+
+    if (control.type !== 'break' && control.type !== 'continue') {
+      // return and exit leave the loop and keep going up
+      return true;
+    }
+
+    // break N and continue N also stop the N-1 enclosing loops
+    if (control.levels > 1) {
+      control.levels--;
+      return true;
     }
+
+    result.control = null;
+    return control.type === 'break';
   }
 
   /**
-   * Execute command with piped input
-   * @param {string} commandLine - The command line
-   * @param {string} pipeInput - The piped input
-   * @returns {CommandResult} The result
+   * Call a user-defined function with its own positional parameters
+   * @param {string} name - The function name
+   * @param {Array<string>} args - The function arguments
+   * @param {string|null} pipeInput - Piped input, or null
+   * @param {boolean} toTerminal - Whether output is shown rather than piped or captured
+   * @returns {Promise<CommandResult>} The result
+   * @private
    */
-  executeWithInput(commandLine, pipeInput) {
-    const tokens = parseCommandLine(commandLine);
-    const command = tokens[0] || '';
-    const args = tokens.slice(1);
-    return this._executeCommand(command, args, pipeInput);
+  async _callFunction(name, args, pipeInput, toTerminal) {
+    const depth = this.callStack.filter(frame => frame.type === 'function').length;
+    if (depth >= MAX_FUNCTION_DEPTH) {
+      return this._shellError(`${name}: maximum function nesting level exceeded (${MAX_FUNCTION_DEPTH})`);
+    }
+
+    // Variables declared with local are restored when the function returns
+    const frame = { type: 'function', name, args, locals: new Map() };
+    this.callStack.push(frame);
+
+    try {
+      const result = await this.executeNode(this.functions[name], pipeInput, toTerminal);
+      if (result.control && result.control.type === 'return') {
+        result.control = null;
+      }
+      return result;
+    } finally {
+      this.callStack.pop();
+      frame.locals.forEach((value, variable) => {
+        if (value === undefined) {
+          delete this.variables[variable];
+        } else {
+          this.variables[variable] = value;
+        }
+      });
+    }
   }
 
   /**
@@ -171,81 +1016,208 @@ export class CommandExecutor {
    * @param {string} command - The command name
    * @param {Array<string>} args - The command arguments
    * @param {string} pipeInput - Optional piped input
-   * @returns {CommandResult} The result
+   * @param {boolean} toTerminal - Whether output is shown rather than piped or captured
+   * @returns {Promise<CommandResult>} The result
    * @private
    */
-  _executeCommand(command, args, pipeInput) {
+  async _executeCommand(command, args, pipeInput, toTerminal = true) {
     if (!command) {
       return CommandResult.success('');
     }
 
-    // Command routing map
-    const commands = {
-      // Navigation
-      'pwd': () => navigation.pwd(this.filesystem),
-      'cd': () => navigation.cd(args, this.filesystem),
-      'ls': () => navigation.ls(args, this.filesystem),
-
-      // Files
-      'cat': () => files.cat(args, this.filesystem, pipeInput),
-      'head': () => files.head(args, this.filesystem, pipeInput),
-      'tail': () => files.tail(args, this.filesystem, pipeInput),
-      'less': () => files.less(args, this.filesystem),
-      'file': () => files.file(args, this.filesystem),
-      'stat': () => files.stat(args, this.filesystem),
-
-      // Text processing
-      'grep': () => text.grep(args, this.filesystem, pipeInput),
-      'wc': () => text.wc(args, this.filesystem, pipeInput),
-      'sort': () => text.sort(args, this.filesystem, pipeInput),
-      'uniq': () => text.uniq(args, this.filesystem, pipeInput),
-      'cut': () => text.cut(args, this.filesystem, pipeInput),
-      'tr': () => text.tr(args, pipeInput),
-
-      // Encoding
-      'base64': () => encoding.base64(args, this.filesystem, pipeInput),
-      'xxd': () => encoding.xxd(args, this.filesystem, pipeInput),
-      'strings': () => encoding.strings(args, this.filesystem, pipeInput),
-      'md5sum': () => encoding.md5sum(args, this.filesystem, pipeInput),
-      'sha256sum': () => encoding.sha256sum(args, this.filesystem, pipeInput),
-      'rot13': () => encoding.rot13(args, pipeInput),
-      'rev': () => encoding.rev(args, this.filesystem, pipeInput),
-
-      // Utility
-      'echo': () => utility.echo(args),
-      'clear': () => utility.clear(),
-      'help': () => utility.help(args),
-      'man': () => utility.man(args),
-      'history': () => utility.history(args, this),
-      'whoami': () => utility.whoami(),
-      'date': () => utility.date(),
-      'uname': () => utility.uname(args),
-      'alias': () => utility.alias(args, this),
-      'type': () => utility.type(args, this),
-
-      // Easter eggs
-      'sudo': () => easter.sudo(args),
-      'rm': () => easter.rm(args, this.filesystem),
-      'cowsay': () => easter.cowsay(args),
-      'matrix': () => easter.matrix(),
-      'hack': () => easter.hack(args),
-      'neofetch': () => easter.neofetch(),
-      'sl': () => easter.sl(),
-      'fortune': () => easter.fortune(),
-      'exit': () => easter.exit(),
-    };
+    // Functions take precedence over builtins, like bash
+    if (this.hasFunction(command)) {
+      return await this._callFunction(command, args, pipeInput, toTerminal);
+    }
+
+    const definition = this.commands.get(command);
+    if (definition) {
+      // Commands read piped text from pipeInput; pipeBytes has the exact bytes
+      const context = {
+        executor: this,
+        filesystem: this.filesystem,
+        pipeInput: pipeInput instanceof Uint8Array ? new TextDecoder().decode(pipeInput) : pipeInput,
+        get pipeBytes() {
+          return pipeInput === null ? null : toBytes(pipeInput);
+        },
+        toTerminal,
+        signal: this.signal
+      };
 
-    // Execute command if it exists
-    if (commands[command]) {
       try {
-        return commands[command]();
+        return await definition.run(args, context);
       } catch (error) {
+        this._rethrowIfAborted(error);
         return CommandResult.error(`Error executing ${command}: ${error.message}`);
       }
     }
 
+    // Paths run as scripts
+    if (command.includes('/')) {
+      return await this._executeFile(command, args);
+    }
+
     // Command not found
-    return CommandResult.error(`Command not found: ${command}. Type 'help' for available commands.`);
+    if (this.callStack.length > 1) {
+      return this._shellError(`${command}: command not found`, 127);
+    }
+    return CommandResult.error(`Command not found: ${command}. Type 'help' for available commands.`, 127);
+  }
+
+  /**
+   * Expand raw words into command arguments. Command substitutions run
+   * first, since commands may be asynchronous; the words are then parsed
+   * with their output filled in, in order.
+   * @param {Array<string>} words - Raw words from the syntax tree
+   * @param {Object} options - Extra expansion options, such as patterns for case
+   * @returns {Promise<Array<string>>} Expanded words
+   * @private
+   */
+  async _expandWords(words, options = {}) {
+    const expansion = { ...this._expansionContext(), ...options };
+    const expanded = [];
+
+    for (const word of words) {
+      const commands = [];
+      parseCommandLine(word, {
+        ...expansion,
+        glob: null,
+        evaluate: false,
+        substitute: (commandLine) => {
+          commands.push(commandLine);
+          return '';
+        }
+      });
+
+      const outputs = [];
+      for (const commandLine of commands) {
+        outputs.push(await this._substituteCommand(commandLine));
+      }
+
+      expanded.push(...parseCommandLine(word, { ...expansion, substitute: () => outputs.shift() }));
+    }
+
+    return expanded;
+  }
+
+  /**
+   * Expand a raw word into a single value, as for assignments and case
+   * @param {string} word - Raw word
+   * @returns {Promise<string>} Expanded value
+   * @private
+   */
+  async _expandValue(word) {
+    return (await this._expandWords([word])).join(' ');
+  }
+
+  /**
+   * Look up a parameter: a shell variable, a positional parameter
+   * ($0, $1, ...) or a special parameter ($?, $#, $@ and $*)
+   * @param {string} name - The parameter name
+   * @returns {string|undefined} The value, or undefined if unset
+   * @private
+   */
+  _lookupParameter(name) {
+    const { args } = this.callStack[this.callStack.length - 1];
+
+    if (name === '?') {
+      return String(this.lastExitCode);
+    }
+    if (name === '#') {
+      return String(args.length);
+    }
+    if (name === '@' || name === '*') {
+      return args.join(' ');
+    }
+    if (name === '0') {
+      return this.callStack.filter(frame => frame.type !== 'function').pop().name;
+    }
+    if (/^\d+$/.test(name)) {
+      return args[parseInt(name, 10) - 1];
+    }
+
+    return this.variables[name];
+  }
+
+  /**
+   * Expansion hooks used when parsing command lines: parameter lookup,
+   * filename globbing and "$@"; _expandWords adds command substitution
+   * @returns {Object} Expansion context
+   * @private
+   */
+  _expansionContext() {
+    return {
+      lookup: (name) => this._lookupParameter(name),
+      glob: (pattern) => this.filesystem.glob(pattern),
+      positional: () => this.getPositionalParameters()
+    };
+  }
+
+  /**
+   * Register a command, replacing any command of the same name
+   * @param {Object} definition - Command definition
+   * @param {string} definition.name - Name the command is run by
+   * @param {string} [definition.category] - Help category such as 'files';
+   *        commands without one are left out of help
+   * @param {string} [definition.summary] - One-line description for help and man
+   * @param {string} [definition.usage] - Synopsis, such as 'cat [-n] FILE...'
+   * @param {string} [definition.description] - Full description for man
+   * @param {Array<string>} [definition.flags] - Option lines for man, each
+   *        starting with the flag, such as '-n    Number all output lines';
+   *        tab completion offers the flags
+   * @param {Array<string>} [definition.examples] - Example command lines for man
+   * @param {Function} definition.run - Handler called as run(args, context),
+   *        where context holds executor, filesystem, pipeInput, toTerminal
+   *        and signal; returns a CommandResult or a Promise of one
+   */
+  registerCommand(definition) {
+    if (!definition || typeof definition.name !== 'string' || definition.name === '') {
+      throw new Error('registerCommand: a command needs a name');
+    }
+    if (typeof definition.run !== 'function') {
+      throw new Error(`registerCommand: ${definition.name} needs a run function`);
+    }
+
+    this.commands.set(definition.name, { flags: [], examples: [], ...definition });
+  }
+
+  /**
+   * Register every command of a command pack
+   * @param {Object|Array<Object>} pack - Module exporting a commands array,
+   *        or the array itself
+   */
+  loadCommandPack(pack) {
+    const definitions = Array.isArray(pack) ? pack : pack && pack.commands;
+    if (!Array.isArray(definitions)) {
+      throw new Error('loadCommandPack: a command pack must export a commands array');
+    }
+
+    definitions.forEach(definition => this.registerCommand(definition));
+  }
+
+  /**
+   * Look up a registered command
+   * @param {string} name - Command name
+   * @returns {Object|null} The command definition
+   */
+  getCommand(name) {
+    return this.commands.get(name) || null;
+  }
+
+  /**
+   * Get all registered commands in registration order
+   * @returns {Array<Object>} Command definitions
+   */
+  getCommands() {
+    return Array.from(this.commands.values());
+  }
+
+  /**
+   * Get the names of all registered commands
+   * @returns {Array<string>} Command names
+   */
+  getCommandNames() {
+    return Array.from(this.commands.keys());
   }
 
   /**
@@ -290,6 +1262,133 @@ export class CommandExecutor {
     return { ...this.aliases };
   }
 
+  /**
+   * Get a shell variable
+   * @param {string} name - The variable name
+   * @returns {string|undefined} The value, or undefined if unset
+   */
+  getVariable(name) {
+    return this.variables[name];
+  }
+
+  /**
+   * Set a shell variable
+   * @param {string} name - The variable name
+   * @param {string} value - The value
+   * @param {boolean} exported - Whether to also export the variable
+   */
+  setVariable(name, value, exported = false) {
+    this.variables[name] = value;
+    if (exported) {
+      this.exportedVariables.add(name);
+    }
+  }
+
+  /**
+   * Mark a shell variable as exported to the environment
+   * @param {string} name - The variable name
+   */
+  exportVariable(name) {
+    this.exportedVariables.add(name);
+  }
+
+  /**
+   * Remove a shell variable
+   * @param {string} name - The variable name
+   */
+  unsetVariable(name) {
+    delete this.variables[name];
+    this.exportedVariables.delete(name);
+  }
+
+  /**
+   * Get all shell variables
+   * @returns {Object} The variables map
+   */
+  getVariables() {
+    return { ...this.variables };
+  }
+
+  /**
+   * Get the exported variables
+   * @returns {Object} The environment map
+   */
+  getEnvironment() {
+    const environment = {};
+    this.exportedVariables.forEach(name => {
+      if (this.variables[name] !== undefined) {
+        environment[name] = this.variables[name];
+      }
+    });
+    return environment;
+  }
+
+  /**
+   * Get the positional parameters ($1, $2, ...) of the running script or function
+   * @returns {Array<string>} The parameters
+   */
+  getPositionalParameters() {
+    return [...this.callStack[this.callStack.length - 1].args];
+  }
+
+  /**
+   * Replace the positional parameters of the running script or function
+   * @param {Array<string>} args - The new parameters
+   */
+  setPositionalParameters(args) {
+    this.callStack[this.callStack.length - 1].args = [...args];
+  }
+
+  /**
+   * Whether commands come straight from the prompt, rather than from a
+   * script, function or subshell
+   * @returns {boolean}
+   */
+  isInteractive() {
+    return this.callStack.length === 1 && this.subshellDepth === 0;
+  }
+
+  /**
+   * Whether a script or function is running, so return has somewhere to go
+   * @returns {boolean}
+   */
+  canReturn() {
+    return this.callStack.length > 1;
+  }
+
+  /**
+   * Set a variable that is restored when the running function returns
+   * @param {string} name - The variable name
+   * @param {string|undefined} value - The value, or undefined to leave it unset
+   * @returns {boolean} False if no function is running
+   */
+  setLocalVariable(name, value) {
+    const frame = this.callStack.slice().reverse().find(f => f.type === 'function');
+    if (!frame) {
+      return false;
+    }
+
+    if (!frame.locals.has(name)) {
+      frame.locals.set(name, this.variables[name]);
+    }
+
+    if (value === undefined) {
+      delete this.variables[name];
+    } else {
+      this.variables[name] = value;
+    }
+    return true;
+  }
+
+  /**
+   * Check whether a user-defined function exists
+   * @param {string} name - The function name
+   * @returns {boolean}
+   */
+  hasFunction(name) {
+    return Object.prototype.hasOwnProperty.call(this.functions, name);
+  }
+
   /**
    * Get command history
    * @returns {Array<string>} The history array
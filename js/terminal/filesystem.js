@@ -3,6 +3,112 @@
  * Based on iOScTF patterns with immutable tree structure
  */
 
+import { globToRegExp, bytesToText } from './parser.js';
+import { validateManifest } from './manifest.js';
+import { manifest as defaultManifest } from './content.js';
+
+const TEXT_MIME_PREFIX = 'text/';
+
+// Earlier contents each file keeps; a write past this drops the oldest
+const MAX_REVISIONS = 20;
+
+/**
+ * Encode bytes as base64, the form raw file contents take in saved changes
+ * @param {Uint8Array} bytes - Raw bytes
+ * @returns {string}
+ */
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Decode a string holding one character per byte, as base64 data decodes
+ * to and as binary files were saved before they held bytes
+ * @param {string} binary - One character per byte
+ * @returns {Uint8Array}
+ */
+function binaryStringToBytes(binary) {
+    return Uint8Array.from(binary, char => char.charCodeAt(0) & 0xff);
+}
+
+// MIME type of a file given new content: text keeps a text type, and bytes
+// keep a binary one, falling back to plain text and octet-stream
+function mimeTypeFor(content, current = null) {
+    const isText = typeof content === 'string';
+    if (current && current.startsWith(TEXT_MIME_PREFIX) === isText) {
+        return current;
+    }
+    return isText ? 'text/plain' : 'application/octet-stream';
+}
+
+// ============================================================================
+// Permission Helpers
+// ============================================================================
+
+// Modes of new files and directories before the umask is applied
+const DEFAULT_FILE_MODE = 0o666;
+const DEFAULT_DIRECTORY_MODE = 0o777;
+
+// The setuid, setgid and sticky bits, shown in place of the execute
+// permission at this index of the rwx string
+const SPECIAL_BITS = [
+    { bit: 0o4000, index: 2, letter: 's' },
+    { bit: 0o2000, index: 5, letter: 's' },
+    { bit: 0o1000, index: 8, letter: 't' }
+];
+
+// Permission bits for the other users; shift left by 3 for the group and
+// by 6 for the owner
+const ACCESS_BITS = { r: 4, w: 2, x: 1 };
+
+// Like Linux, a lookup fails with ELOOP after following this many symbolic links
+const MAX_SYMLINK_HOPS = 40;
+
+// ls type character for each node type; regular files use '-'
+const TYPE_CHARS = { directory: 'd', symlink: 'l', hardlink: 'h' };
+
+/**
+ * Convert a permission string such as '-rw-r--r--' to mode bits (0o644)
+ * @param {string} permissions - ls-style permission string
+ * @returns {number} Mode bits
+ */
+export function permissionsToMode(permissions) {
+    const chars = permissions.slice(1, 10);
+    let mode = 0;
+    for (const char of chars) {
+        mode = (mode << 1) | ('-ST'.includes(char) ? 0 : 1);
+    }
+    for (const { bit, index } of SPECIAL_BITS) {
+        if ('sStT'.includes(chars[index])) {
+            mode |= bit;
+        }
+    }
+    return mode;
+}
+
+/**
+ * Convert mode bits such as 0o755 to a permission string
+ * @param {number} mode - Mode bits
+ * @param {string} type - 'file', 'directory' or 'symlink'
+ * @returns {string} ls-style permission string such as 'drwxr-xr-x'
+ */
+export function modeToPermissions(mode, type = 'file') {
+    const chars = [];
+    for (let bit = 8; bit >= 0; bit--) {
+        chars.push(mode & (1 << bit) ? 'rwx'[(8 - bit) % 3] : '-');
+    }
+    for (const { bit, index, letter } of SPECIAL_BITS) {
+        if (mode & bit) {
+            chars[index] = chars[index] === 'x' ? letter : letter.toUpperCase();
+        }
+    }
+    return (TYPE_CHARS[type] || '-') + chars.join('');
+}
+
 // ============================================================================
 // FSNode Base Class
 // ============================================================================
@@ -10,10 +116,16 @@
 class FSNode {
     constructor(name, type = 'file') {
         this.name = name;
-        this.type = type; // 'file' or 'directory'
+        this.type = type; // 'file', 'directory' or 'symlink'
         this.createdAt = new Date().toISOString();
         this.modifiedAt = new Date().toISOString();
-        this.permissions = type === 'directory' ? 'drwxr-xr-x' : '-rw-r--r--';
+        this.mode = type === 'directory' ? 0o755 : 0o644;
+        this.uid = 0;
+        this.gid = 0;
+    }
+
+    get permissions() {
+        return modeToPermissions(this.mode, this.type);
     }
 
     updateModified() {
@@ -25,23 +137,59 @@ class FSNode {
 // VirtualFile Class
 // ============================================================================
 
+// Content is a string of text, or a Uint8Array of bytes that are not text
 class VirtualFile extends FSNode {
     constructor(name, content = '', mimeType = 'text/plain') {
         super(name, 'file');
         this.content = content;
         this.mimeType = mimeType;
+
+        // Contents replaced by writes, oldest first, with their times
+        this.revisions = [];
+    }
+
+    // The content as text; bytes are decoded as UTF-8 only when read
+    get text() {
+        const content = this.content;
+        return typeof content === 'string' ? content : new TextDecoder().decode(content);
+    }
+
+    // The content as bytes; text is encoded as UTF-8
+    get bytes() {
+        const content = this.content;
+        return typeof content === 'string' ? new TextEncoder().encode(content) : content;
     }
 
     get size() {
-        return new Blob([this.content]).size;
+        return this.bytes.length;
     }
 
     setContent(content) {
+        this.revisions.push({ content: this.content, modifiedAt: this.modifiedAt });
+        if (this.revisions.length > MAX_REVISIONS) {
+            this.revisions.shift();
+        }
         this.content = content;
         this.updateModified();
     }
 }
 
+// ============================================================================
+// VirtualSymlink Class
+// ============================================================================
+
+class VirtualSymlink extends FSNode {
+    constructor(name, target) {
+        super(name, 'symlink');
+        this.target = target;
+        this.mode = 0o777;
+    }
+
+    get size() {
+        return new Blob([this.target]).size;
+    }
+}
+
 // ============================================================================
 // VirtualDirectory Class
 // ============================================================================
@@ -52,8 +200,9 @@ class VirtualDirectory extends FSNode {
         this.children = new Map();
     }
 
-    addChild(node) {
-        this.children.set(node.name, node);
+    // A node added under a second name is a hard link to it
+    addChild(node, name = node.name) {
+        this.children.set(name, node);
         this.updateModified();
     }
 
@@ -78,18 +227,24 @@ class VirtualDirectory extends FSNode {
         const copy = new VirtualDirectory(this.name);
         copy.createdAt = this.createdAt;
         copy.modifiedAt = modifications.updateModified ? new Date().toISOString() : this.modifiedAt;
-        copy.permissions = this.permissions;
+        copy.mode = this.mode;
+        copy.uid = this.uid;
+        copy.gid = this.gid;
 
         // Deep copy children
         this.children.forEach((child, name) => {
             if (child instanceof VirtualDirectory) {
                 copy.children.set(name, child.copyWith());
             } else {
-                const fileCopy = new VirtualFile(child.name, child.content, child.mimeType);
-                fileCopy.createdAt = child.createdAt;
-                fileCopy.modifiedAt = child.modifiedAt;
-                fileCopy.permissions = child.permissions;
-                copy.children.set(name, fileCopy);
+                const nodeCopy = child instanceof VirtualSymlink
+                    ? new VirtualSymlink(child.name, child.target)
+                    : new VirtualFile(child.name, child.content, child.mimeType);
+                nodeCopy.createdAt = child.createdAt;
+                nodeCopy.modifiedAt = child.modifiedAt;
+                nodeCopy.mode = child.mode;
+                nodeCopy.uid = child.uid;
+                nodeCopy.gid = child.gid;
+                copy.children.set(name, nodeCopy);
             }
         });
 
@@ -101,15 +256,105 @@ class VirtualDirectory extends FSNode {
     }
 }
 
+// ============================================================================
+// Generated Nodes
+// ============================================================================
+
+// A file whose content, text or bytes, comes from read each time it is
+// used; written content goes to write, and without write it is read-only
+class VirtualGeneratedFile extends VirtualFile {
+    constructor(name, { read, write = null, mimeType = 'text/plain' }) {
+        super(name, '', mimeType);
+        this.read = read;
+        this.write = write;
+    }
+
+    get content() {
+        return this.read();
+    }
+
+    set content(content) {
+        if (this.write) {
+            this.write(content);
+        }
+    }
+
+    // Generated content is not kept, so writes leave no revisions
+    setContent(content) {
+        this.content = content;
+    }
+}
+
+// A read-only directory whose entries are built by a provider each time
+// they are listed. A provider is called with the filesystem and returns an
+// object mapping names to entries:
+//   { type: 'file', read, write?, mode?, mimeType?, uid?, gid? }
+//   { type: 'symlink', target }
+//   { type: 'directory', entries, mode?, uid?, gid? }
+// where entries is itself a provider.
+class VirtualMount extends VirtualDirectory {
+    constructor(name, provider, filesystem) {
+        super(name);
+        this.provider = provider;
+        this.filesystem = filesystem;
+    }
+
+    get children() {
+        const children = new Map();
+        Object.entries(this.provider(this.filesystem)).forEach(([name, spec]) => {
+            children.set(name, createGeneratedNode(name, spec, this.filesystem));
+        });
+        return children;
+    }
+
+    // The entries are never stored, so the empty map from VirtualDirectory is dropped
+    set children(children) {}
+}
+
+function createGeneratedNode(name, spec, filesystem) {
+    if (spec.type === 'symlink') {
+        return new VirtualSymlink(name, spec.target);
+    }
+
+    let node;
+    if (spec.type === 'directory') {
+        node = new VirtualMount(name, spec.entries, filesystem);
+        node.mode = spec.mode ?? 0o555;
+    } else {
+        node = new VirtualGeneratedFile(name, spec);
+        node.mode = spec.mode ?? (spec.write ? 0o666 : 0o444);
+    }
+    node.uid = spec.uid ?? 0;
+    node.gid = spec.gid ?? 0;
+    return node;
+}
+
 // ============================================================================
 // VirtualFilesystem Class
 // ============================================================================
 
 export class VirtualFilesystem {
-    constructor() {
+    /**
+     * @param {Object} [manifest] - Shipped content, in the format of content.js
+     * @throws {Error} If the manifest is not valid
+     */
+    constructor(manifest = defaultManifest) {
+        this.manifest = manifest;
+        this.manifestEntries = validateManifest(manifest);
         this.root = this._createInitialStructure();
         this.currentDirectory = '/home/user';
         this.homeDirectory = '/home/user';
+
+        // Credentials for access checks and for the owner of new nodes
+        this.uid = 1000;
+        this.gid = 1000;
+        this.umask = 0o022;
+
+        // Generated directories by mount point, kept across reset()
+        this.mounts = new Map();
+
+        // Called as onChange(type, path) after every change to the tree
+        this.onChange = null;
     }
 
     // ========================================================================
@@ -155,27 +400,98 @@ export class VirtualFilesystem {
         return '/' + normalized.join('/');
     }
 
-    _getNodeAtPath(path) {
-        const resolvedPath = this.resolvePath(path);
+    /**
+     * Find the node at a path
+     * @param {string} path - Path to look up
+     * @param {boolean} followLinks - Whether a symbolic link in the last
+     *        component is followed; links in earlier components always are
+     * @returns {FSNode|null} Null if there is no such node or it cannot be
+     *          reached; _lookupError says why
+     */
+    _getNodeAtPath(path, followLinks = true) {
+        return this._lookup(path, followLinks).node;
+    }
 
-        if (resolvedPath === '/') {
-            return this.root;
-        }
+    /**
+     * Explain why a path cannot be looked up
+     * @param {string} path - Path that _getNodeAtPath did not find
+     * @returns {string} 'Permission denied' if a directory on the way cannot
+     *          be searched, 'Too many levels of symbolic links' if links loop,
+     *          'Not a directory' if a file is used as one, otherwise
+     *          'No such file or directory'
+     */
+    _lookupError(path) {
+        return this._lookup(path).error || 'No such file or directory';
+    }
 
-        const parts = resolvedPath.split('/').filter(p => p !== '');
-        let current = this.root;
+    /**
+     * Walk a path from the root, following symbolic links. The path itself
+     * is normalised first, so '..' after a link returns to the directory
+     * holding the link, as with cd in bash; '..' inside a link's target
+     * goes to the parent of the directory the link leads to.
+     * @param {string} path - Path to look up
+     * @param {boolean} followLinks - Whether to follow a link in the last component
+     * @param {boolean} allowMissing - Whether the last component may be missing
+     * @returns {{node: FSNode|null, path: string|null, error: string|null}}
+     *          The node, its path with every link resolved, and the reason
+     *          for a failed lookup
+     */
+    _lookup(path, followLinks = true, allowMissing = false) {
+        const pending = this.resolvePath(path).split('/').filter(p => p !== '');
+        const trail = [{ name: '', node: this.root }];
+        const failed = error => ({ node: null, path: null, error });
+        let hops = 0;
+
+        while (pending.length > 0) {
+            const part = pending.shift();
+            const current = trail[trail.length - 1].node;
 
-        for (const part of parts) {
+            if (part === '.') {
+                continue;
+            }
+            if (part === '..') {
+                if (trail.length > 1) {
+                    trail.pop();
+                }
+                continue;
+            }
             if (!(current instanceof VirtualDirectory)) {
-                return null;
+                return failed('Not a directory');
             }
-            current = current.getChild(part);
-            if (!current) {
-                return null;
+            // Looking up an entry needs search (execute) permission on its directory
+            if (!this._hasAccess(current, 'x')) {
+                return failed('Permission denied');
             }
+
+            const child = current.getChild(part);
+            if (!child) {
+                if (allowMissing && pending.length === 0) {
+                    trail.push({ name: part, node: null });
+                    break;
+                }
+                return failed('No such file or directory');
+            }
+
+            if (child instanceof VirtualSymlink && (pending.length > 0 || followLinks)) {
+                if (++hops > MAX_SYMLINK_HOPS) {
+                    return failed('Too many levels of symbolic links');
+                }
+                // Relative targets continue from the directory holding the link
+                if (child.target.startsWith('/')) {
+                    trail.length = 1;
+                }
+                pending.unshift(...child.target.split('/').filter(p => p !== ''));
+                continue;
+            }
+
+            trail.push({ name: part, node: child });
         }
 
-        return current;
+        return {
+            node: trail[trail.length - 1].node,
+            path: '/' + trail.slice(1).map(step => step.name).join('/'),
+            error: null
+        };
     }
 
     _getParentAndName(path) {
@@ -206,49 +522,55 @@ export class VirtualFilesystem {
         const node = this._getNodeAtPath(resolvedPath);
 
         if (!node) {
-            throw new Error(`cd: ${path}: No such file or directory`);
+            throw new Error(`cd: ${path}: ${this._lookupError(path)}`);
         }
 
         if (!(node instanceof VirtualDirectory)) {
             throw new Error(`cd: ${path}: Not a directory`);
         }
 
+        if (!this._hasAccess(node, 'x')) {
+            throw new Error(`cd: ${path}: Permission denied`);
+        }
+
         this.currentDirectory = resolvedPath;
         return resolvedPath;
     }
 
-    ls(path = '.') {
+    /**
+     * Describe the entries of a directory, or a file or link itself
+     * @param {string} path - Path to list
+     * @param {boolean} followLinks - Whether a link to a directory lists the
+     *        directory rather than itself; a path ending in / always does
+     * @returns {Array<Object>} Entries, directories first
+     */
+    ls(path = '.', followLinks = true) {
         const resolvedPath = this.resolvePath(path);
-        const node = this._getNodeAtPath(resolvedPath);
+        const entry = this._getNodeAtPath(resolvedPath, false);
+        const follow = entry instanceof VirtualSymlink && (followLinks || path.endsWith('/'));
+        const node = follow ? this._getNodeAtPath(resolvedPath) : entry;
 
-        if (!node) {
-            throw new Error(`ls: cannot access '${path}': No such file or directory`);
+        if (!entry) {
+            throw new Error(`ls: cannot access '${path}': ${this._lookupError(path)}`);
         }
 
-        if (node instanceof VirtualFile) {
-            return [{
-                name: node.name,
-                type: 'file',
-                size: node.size,
-                permissions: node.permissions,
-                modifiedAt: node.modifiedAt
-            }];
+        // A followed link to a directory lists the directory; other links list themselves
+        if (!(node instanceof VirtualDirectory)) {
+            return [this._describeEntry(entry, this._baseName(resolvedPath))];
+        }
+
+        if (!this._hasAccess(node, 'r')) {
+            throw new Error(`ls: cannot open directory '${path}': Permission denied`);
         }
 
         const entries = [];
         node.children.forEach((child, name) => {
-            entries.push({
-                name: name,
-                type: child.type,
-                size: child instanceof VirtualFile ? child.size : child.children.size,
-                permissions: child.permissions,
-                modifiedAt: child.modifiedAt
-            });
+            entries.push(this._describeEntry(child, name));
         });
 
         // Sort: directories first, then alphabetically
         entries.sort((a, b) => {
-            if (a.type !== b.type) {
+            if ((a.type === 'directory') !== (b.type === 'directory')) {
                 return a.type === 'directory' ? -1 : 1;
             }
             return a.name.localeCompare(b.name);
@@ -257,45 +579,124 @@ export class VirtualFilesystem {
         return entries;
     }
 
+    _describeEntry(node, name) {
+        const entry = {
+            name: name,
+            type: node.type,
+            size: node instanceof VirtualDirectory ? node.children.size : node.size,
+            permissions: node.permissions,
+            links: this._linkCount(node),
+            owner: this.userName(node.uid),
+            group: this.groupName(node.gid),
+            modifiedAt: node.modifiedAt
+        };
+
+        if (node instanceof VirtualSymlink) {
+            entry.target = node.target;
+        }
+
+        return entry;
+    }
+
+    // Number of names a node has: a directory is named in its parent, by
+    // its own '.' and by the '..' of each subdirectory; anything else once
+    // for each hard link to it
+    _linkCount(node) {
+        if (node instanceof VirtualDirectory) {
+            let count = 2;
+            node.children.forEach(child => {
+                if (child instanceof VirtualDirectory) {
+                    count++;
+                }
+            });
+            return count;
+        }
+
+        let count = 0;
+        const visit = (directory) => directory.children.forEach(child => {
+            if (child === node) {
+                count++;
+            } else if (child instanceof VirtualDirectory && !(child instanceof VirtualMount)) {
+                visit(child);
+            }
+        });
+        visit(this.root);
+        return Math.max(count, 1);
+    }
+
+    _baseName(resolvedPath) {
+        return resolvedPath === '/' ? '' : resolvedPath.substring(resolvedPath.lastIndexOf('/') + 1);
+    }
+
     cat(path) {
+        return this._readableFile(path).text;
+    }
+
+    // The file at path, if the current user may read it
+    _readableFile(path) {
         const node = this._getNodeAtPath(path);
 
         if (!node) {
-            throw new Error(`cat: ${path}: No such file or directory`);
+            throw new Error(`cat: ${path}: ${this._lookupError(path)}`);
         }
 
         if (!(node instanceof VirtualFile)) {
             throw new Error(`cat: ${path}: Is a directory`);
         }
 
-        return node.content;
+        if (!this._hasAccess(node, 'r')) {
+            throw new Error(`cat: ${path}: Permission denied`);
+        }
+
+        return node;
     }
 
-    stat(path) {
+    /**
+     * Describe a file, directory or link
+     * @param {string} path - Path to describe
+     * @param {boolean} followLinks - Whether a symbolic link describes the
+     *        node it points to (stat -L) or itself
+     * @returns {Object} Name, type, size, link count, mode and owners,
+     *          times, path, and the target of a link
+     */
+    stat(path, followLinks = true) {
         const resolvedPath = this.resolvePath(path);
-        const node = this._getNodeAtPath(resolvedPath);
+        const node = this._getNodeAtPath(resolvedPath, followLinks);
 
         if (!node) {
-            throw new Error(`stat: cannot stat '${path}': No such file or directory`);
+            throw new Error(`stat: cannot stat '${path}': ${this._lookupError(path)}`);
         }
 
-        return {
-            name: node.name,
+        const info = {
+            name: this._baseName(resolvedPath),
             type: node.type,
-            size: node instanceof VirtualFile ? node.size : node.children.size,
+            size: node instanceof VirtualDirectory ? node.children.size : node.size,
+            links: this._linkCount(node),
             permissions: node.permissions,
+            mode: node.mode,
+            uid: node.uid,
+            gid: node.gid,
+            owner: this.userName(node.uid),
+            group: this.groupName(node.gid),
             createdAt: node.createdAt,
             modifiedAt: node.modifiedAt,
             path: resolvedPath
         };
+
+        if (node instanceof VirtualSymlink) {
+            info.target = node.target;
+        }
+
+        return info;
     }
 
     // ========================================================================
     // File/Directory Checks
     // ========================================================================
 
-    exists(path) {
-        return this._getNodeAtPath(path) !== null;
+    // Without followLinks, a link counts even if what it points to is missing
+    exists(path, followLinks = true) {
+        return this._getNodeAtPath(path, followLinks) !== null;
     }
 
     isDirectory(path) {
@@ -308,6 +709,10 @@ export class VirtualFilesystem {
         return node instanceof VirtualFile;
     }
 
+    isSymlink(path) {
+        return this._getNodeAtPath(path, false) instanceof VirtualSymlink;
+    }
+
     fileExists(path) {
         const node = this._getNodeAtPath(path);
         return node instanceof VirtualFile;
@@ -321,11 +726,19 @@ export class VirtualFilesystem {
     // File Operations
     // ========================================================================
 
-    writeFile(path, content) {
+    /**
+     * Write a file, creating it if need be
+     * @param {string} path - File path
+     * @param {string|Uint8Array} content - Text, or raw bytes
+     * @param {string|null} mimeType - MIME type; by default text files stay
+     *        text/* and binary files stay binary
+     * @returns {boolean}
+     */
+    writeFile(path, content, mimeType = null) {
         const { parent, name } = this._getParentAndName(path);
 
         if (!parent) {
-            throw new Error(`writeFile: cannot create file '${path}': No such file or directory`);
+            throw new Error(`writeFile: cannot create file '${path}': ${this._lookupError(path)}`);
         }
 
         if (!(parent instanceof VirtualDirectory)) {
@@ -333,25 +746,49 @@ export class VirtualFilesystem {
         }
 
         // Check if file already exists
-        const existing = parent.getChild(name);
+        let existing = parent.getChild(name);
+        if (existing instanceof VirtualSymlink) {
+            // Writing to a link writes the file it points to, creating it if need be
+            const { node, path: target, error } = this._lookup(path, true, true);
+            if (error) {
+                throw new Error(`writeFile: cannot create file '${path}': ${error}`);
+            }
+            if (!node) {
+                return this.writeFile(target, content, mimeType);
+            }
+            existing = node;
+        }
         if (existing) {
             if (!(existing instanceof VirtualFile)) {
                 throw new Error(`writeFile: cannot create file '${path}': Is a directory`);
             }
+            if (!this._hasAccess(existing, 'w')) {
+                throw new Error(`writeFile: cannot create file '${path}': Permission denied`);
+            }
+            existing.mimeType = mimeType || mimeTypeFor(content, existing.mimeType);
             existing.setContent(content);
         } else {
-            const newFile = new VirtualFile(name, content);
-            parent.addChild(newFile);
+            if (!this._hasAccess(parent, 'w')) {
+                throw new Error(`writeFile: cannot create file '${path}': Permission denied`);
+            }
+            const file = this._createNode(name, 'file', content);
+            file.mimeType = mimeType || mimeTypeFor(content);
+            parent.addChild(file);
         }
 
+        this._notifyChange('write', path);
         return true;
     }
 
-    mkdir(path) {
+    mkdir(path, parents = false) {
+        if (parents) {
+            return this._mkdirParents(path);
+        }
+
         const { parent, name } = this._getParentAndName(path);
 
         if (!parent) {
-            throw new Error(`mkdir: cannot create directory '${path}': No such file or directory`);
+            throw new Error(`mkdir: cannot create directory '${path}': ${this._lookupError(path)}`);
         }
 
         if (!(parent instanceof VirtualDirectory)) {
@@ -362,22 +799,67 @@ export class VirtualFilesystem {
             throw new Error(`mkdir: cannot create directory '${path}': File exists`);
         }
 
-        const newDir = new VirtualDirectory(name);
+        if (!this._hasAccess(parent, 'w')) {
+            throw new Error(`mkdir: cannot create directory '${path}': Permission denied`);
+        }
+
+        const newDir = this._createNode(name, 'directory');
         parent.addChild(newDir);
+        this._notifyChange('mkdir', path);
         return true;
     }
 
+    // mkdir -p: create missing parents, and accept a directory that exists
+    _mkdirParents(path) {
+        const resolvedPath = this.resolvePath(path);
+        const parts = resolvedPath.split('/').filter(p => p !== '');
+        let current = this.root;
+        let currentPath = '';
+        let created = false;
+
+        for (const part of parts) {
+            if (!this._hasAccess(current, 'x')) {
+                throw new Error(`mkdir: cannot create directory '${path}': Permission denied`);
+            }
+
+            currentPath += `/${part}`;
+            let child = current.getChild(part);
+            if (child instanceof VirtualSymlink) {
+                child = this._getNodeAtPath(currentPath) || child;
+            }
+            if (!child) {
+                if (!this._hasAccess(current, 'w')) {
+                    throw new Error(`mkdir: cannot create directory '${path}': Permission denied`);
+                }
+                child = this._createNode(part, 'directory');
+                current.addChild(child);
+                created = true;
+            } else if (!(child instanceof VirtualDirectory)) {
+                throw new Error(`mkdir: cannot create directory '${path}': ${currentPath === resolvedPath ? 'File exists' : 'Not a directory'}`);
+            }
+            current = child;
+        }
+
+        if (created) {
+            this._notifyChange('mkdir', path);
+        }
+        return created;
+    }
+
     rm(path, recursive = false) {
         const { parent, name } = this._getParentAndName(path);
 
         if (!parent) {
-            throw new Error(`rm: cannot remove '${path}': No such file or directory`);
+            throw new Error(`rm: cannot remove '${path}': ${this._lookupError(path)}`);
         }
 
         const node = parent.getChild(name);
         if (!node) {
             throw new Error(`rm: cannot remove '${path}': No such file or directory`);
         }
+        if (this.mounts.has(this.resolvePath(path))) {
+            throw new Error(`rm: cannot remove '${path}': Device or resource busy`);
+        }
 
         if (node instanceof VirtualDirectory) {
             if (!recursive && node.children.size > 0) {
@@ -385,97 +867,752 @@ export class VirtualFilesystem {
             }
         }
 
+        if (!this._canRemove(parent, node) || !this._canEmpty(node)) {
+            throw new Error(`rm: cannot remove '${path}': Permission denied`);
+        }
+
         parent.removeChild(name);
+        this._notifyChange('rm', path);
         return true;
     }
 
-    // ========================================================================
-    // Search Operations
-    // ========================================================================
+    touch(path, create = true) {
+        const node = this._getNodeAtPath(path);
 
-    find(path = '.', pattern = '*') {
-        const resolvedPath = this.resolvePath(path);
-        const node = this._getNodeAtPath(resolvedPath);
+        if (node) {
+            if (node.uid !== this.uid && !this._hasAccess(node, 'w')) {
+                throw new Error(`touch: cannot touch '${path}': Permission denied`);
+            }
+            node.updateModified();
+        } else if (this.isSymlink(path)) {
+            // Touching a link whose target is missing creates the target
+            const { path: target, error } = this._lookup(path, true, true);
+            if (error) {
+                throw new Error(`touch: cannot touch '${path}': ${error}`);
+            }
+            return this.touch(target, create);
+        } else {
+            const { parent, name } = this._getParentAndName(path);
+
+            if (!(parent instanceof VirtualDirectory)) {
+                throw new Error(`touch: cannot touch '${path}': ${parent ? 'Not a directory' : this._lookupError(path)}`);
+            }
+            if (!create) {
+                return false;
+            }
+            if (!this._hasAccess(parent, 'w')) {
+                throw new Error(`touch: cannot touch '${path}': Permission denied`);
+            }
+            parent.addChild(this._createNode(name, 'file'));
+        }
+
+        this._notifyChange('touch', path);
+        return true;
+    }
+
+    // Like cp -r, a recursive copy copies links as links; otherwise the
+    // file a link points to is copied
+    copy(source, destination, recursive = false) {
+        const node = this._getNodeAtPath(source, !recursive);
 
         if (!node) {
-            throw new Error(`find: '${path}': No such file or directory`);
+            throw new Error(`cp: cannot stat '${source}': ${this._lookupError(source)}`);
         }
 
-        if (!(node instanceof VirtualDirectory)) {
-            throw new Error(`find: '${path}': Not a directory`);
+        if (node instanceof VirtualDirectory && !recursive) {
+            throw new Error(`cp: -r not specified; omitting directory '${source}'`);
         }
 
-        const results = [];
-        const regex = this._globToRegex(pattern);
+        if (node instanceof VirtualDirectory && this._isWithin(this.resolvePath(destination), this.resolvePath(source))) {
+            throw new Error(`cp: cannot copy a directory, '${source}', into itself, '${destination}'`);
+        }
 
-        const traverse = (dir, currentPath) => {
-            dir.children.forEach((child, name) => {
-                const fullPath = `${currentPath}/${name}`;
+        // Copying a file onto a link writes the file the link points to
+        if (node instanceof VirtualFile && this.isSymlink(destination)) {
+            const { path: target, error } = this._lookup(destination, true, true);
+            if (!error) {
+                destination = target;
+            }
+        }
 
-                if (regex.test(name)) {
-                    results.push(fullPath);
-                }
+        const { parent, name } = this._checkTarget('cp', node, source, destination);
 
-                if (child instanceof VirtualDirectory) {
-                    traverse(child, fullPath);
-                }
-            });
-        };
+        if (!this._canRead(node)) {
+            throw new Error(`cp: cannot open '${source}' for reading: Permission denied`);
+        }
+        const existing = parent.getChild(name);
+        if (existing ? !this._hasAccess(existing, 'w') : !this._hasAccess(parent, 'w')) {
+            throw new Error(`cp: cannot create '${destination}': Permission denied`);
+        }
 
-        traverse(node, resolvedPath);
-        return results;
+        this._copyNode(node, parent, name);
+        this._notifyChange('copy', destination);
+        return true;
     }
 
-    grep(pattern, path = '.', recursive = false) {
-        const resolvedPath = this.resolvePath(path);
-        const node = this._getNodeAtPath(resolvedPath);
+    move(source, destination) {
+        const { parent: sourceParent, name: sourceName } = this._getParentAndName(source);
+        const node = sourceParent instanceof VirtualDirectory ? sourceParent.getChild(sourceName) : null;
 
         if (!node) {
-            throw new Error(`grep: ${path}: No such file or directory`);
+            throw new Error(`mv: cannot stat '${source}': ${sourceParent ? 'No such file or directory' : this._lookupError(source)}`);
         }
 
-        const results = [];
-        const regex = new RegExp(pattern, 'gi');
+        const sourcePath = this.resolvePath(source);
+        const destinationPath = this.resolvePath(destination);
+        if (this.mounts.has(sourcePath)) {
+            throw new Error(`mv: cannot move '${source}' to '${destination}': Device or resource busy`);
+        }
+        const { parent, name } = this._checkTarget('mv', node, source, destination);
 
-        const searchFile = (file, filePath) => {
-            const lines = file.content.split('\n');
-            lines.forEach((line, index) => {
-                if (regex.test(line)) {
-                    results.push({
-                        file: filePath,
-                        line: index + 1,
-                        content: line.trim()
-                    });
-                }
-            });
-        };
+        if (node instanceof VirtualDirectory && this._isWithin(destinationPath, sourcePath)) {
+            throw new Error(`mv: cannot move '${source}' to a subdirectory of itself, '${destination}'`);
+        }
 
-        const traverse = (current, currentPath) => {
-            if (current instanceof VirtualFile) {
-                searchFile(current, currentPath);
-            } else if (current instanceof VirtualDirectory) {
-                current.children.forEach((child, name) => {
-                    const fullPath = `${currentPath}/${name}`;
-                    if (child instanceof VirtualFile) {
-                        searchFile(child, fullPath);
-                    } else if (recursive && child instanceof VirtualDirectory) {
-                        traverse(child, fullPath);
-                    }
-                });
-            }
-        };
+        const existing = parent.getChild(name);
+        if (existing instanceof VirtualDirectory && existing.children.size > 0) {
+            throw new Error(`mv: cannot move '${source}' to '${destination}': Directory not empty`);
+        }
 
-        traverse(node, resolvedPath);
+        if (!this._canRemove(sourceParent, node) || !(existing ? this._canRemove(parent, existing) : this._hasAccess(parent, 'w'))) {
+            throw new Error(`mv: cannot move '${source}' to '${destination}': Permission denied`);
+        }
+
+        sourceParent.removeChild(sourceName);
+        node.name = name;
+        parent.addChild(node);
+
+        // Keep the current directory when it moves along with its parent
+        if (this._isWithin(this.currentDirectory, sourcePath)) {
+            this.currentDirectory = destinationPath + this.currentDirectory.substring(sourcePath.length);
+        }
+
+        this._notifyChange('move', source);
+        this._notifyChange('move', destination);
+        return true;
+    }
+
+    // Check that node may be copied or moved to destination, and find the
+    // directory it will be placed in
+    _checkTarget(command, node, source, destination) {
+        const { parent, name } = this._getParentAndName(destination);
+
+        if (!(parent instanceof VirtualDirectory) || !name) {
+            throw new Error(`${command}: cannot create '${destination}': ${parent ? 'Not a directory' : this._lookupError(destination)}`);
+        }
+
+        const existing = parent.getChild(name);
+        if (existing === node) {
+            throw new Error(`${command}: '${source}' and '${destination}' are the same file`);
+        }
+        if (existing instanceof VirtualDirectory && !(node instanceof VirtualDirectory)) {
+            throw new Error(`${command}: cannot overwrite directory '${destination}' with non-directory`);
+        }
+        if (existing && !(existing instanceof VirtualDirectory) && node instanceof VirtualDirectory) {
+            throw new Error(`${command}: cannot overwrite non-directory '${destination}' with directory '${source}'`);
+        }
+
+        return { parent, name };
+    }
+
+    // Copy node into parent as name, merging directories into ones that
+    // exist. Copies belong to the current user and keep the source's mode
+    // less the umask, as with cp without -p.
+    _copyNode(node, parent, name) {
+        const existing = parent.getChild(name);
+
+        if (node instanceof VirtualSymlink) {
+            parent.addChild(this._createNode(name, 'symlink', node.target));
+            return;
+        }
+
+        if (node instanceof VirtualFile) {
+            if (existing instanceof VirtualFile) {
+                existing.mimeType = node.mimeType;
+                existing.setContent(node.content);
+            } else {
+                const copy = this._createNode(name, 'file', node.content);
+                copy.mimeType = node.mimeType;
+                copy.mode = node.mode & ~this.umask;
+                parent.addChild(copy);
+            }
+            return;
+        }
+
+        let directory = existing;
+        if (!directory) {
+            directory = this._createNode(name, 'directory');
+            directory.mode = node.mode & ~this.umask;
+            parent.addChild(directory);
+        }
+
+        node.children.forEach((child, childName) => this._copyNode(child, directory, childName));
+    }
+
+    _isWithin(path, directory) {
+        return path === directory || path.startsWith(directory === '/' ? '/' : `${directory}/`);
+    }
+
+    // ========================================================================
+    // Links
+    // ========================================================================
+
+    /**
+     * Create a symbolic link. The target is stored as given and only looked
+     * up when the link is used, so it may be relative or missing.
+     * @param {string} target - Path the link points to
+     * @param {string} path - Path of the new link
+     * @returns {boolean}
+     */
+    symlink(target, path) {
+        const { parent, name } = this._getParentAndName(path);
+        const fail = reason => new Error(`ln: failed to create symbolic link '${path}': ${reason}`);
+
+        if (!parent) {
+            throw fail(this._lookupError(path));
+        }
+        if (!(parent instanceof VirtualDirectory)) {
+            throw fail('Not a directory');
+        }
+        if (target === '') {
+            throw fail('No such file or directory');
+        }
+        if (parent.hasChild(name)) {
+            throw fail('File exists');
+        }
+        if (!this._hasAccess(parent, 'w')) {
+            throw fail('Permission denied');
+        }
+
+        parent.addChild(this._createNode(name, 'symlink', target));
+        this._notifyChange('symlink', path);
+        return true;
+    }
+
+    /**
+     * Create a hard link: a second name for the same file, sharing its
+     * contents, mode and owner. Directories cannot be hard linked.
+     * @param {string} existing - Path of the file to link to
+     * @param {string} path - Path of the new name
+     * @returns {boolean}
+     */
+    link(existing, path) {
+        const node = this._getNodeAtPath(existing, false);
+
+        if (!node) {
+            throw new Error(`ln: failed to access '${existing}': ${this._lookupError(existing)}`);
+        }
+        if (node instanceof VirtualDirectory) {
+            throw new Error(`ln: ${existing}: hard link not allowed for directory`);
+        }
+
+        const { parent, name } = this._getParentAndName(path);
+        const fail = reason => new Error(`ln: failed to create hard link '${path}': ${reason}`);
+
+        if (!parent) {
+            throw fail(this._lookupError(path));
+        }
+        if (!(parent instanceof VirtualDirectory)) {
+            throw fail('Not a directory');
+        }
+        if (parent.hasChild(name)) {
+            throw fail('File exists');
+        }
+        if (!this._hasAccess(parent, 'w')) {
+            throw fail('Permission denied');
+        }
+
+        parent.addChild(node, name);
+        this._notifyChange('link', path);
+        return true;
+    }
+
+    /**
+     * Read the target of a symbolic link
+     * @param {string} path - Path of the link
+     * @returns {string} The target as stored in the link
+     * @throws {Error} 'Invalid argument' if path is not a link
+     */
+    readlink(path) {
+        const node = this._getNodeAtPath(path, false);
+
+        if (!node) {
+            throw new Error(this._lookupError(path));
+        }
+        if (!(node instanceof VirtualSymlink)) {
+            throw new Error('Invalid argument');
+        }
+
+        return node.target;
+    }
+
+    /**
+     * Resolve every symbolic link, '.' and '..' in a path
+     * @param {string} path - Path to resolve
+     * @param {boolean} allowMissing - Whether the last component may be
+     *        missing, as with readlink -f
+     * @returns {string} Absolute path without links
+     * @throws {Error} Why the path cannot be resolved
+     */
+    realpath(path, allowMissing = false) {
+        const { path: resolved, error } = this._lookup(path, true, allowMissing);
+
+        if (error) {
+            throw new Error(error);
+        }
+
+        return resolved;
+    }
+
+    // ========================================================================
+    // Search Operations
+    // ========================================================================
+
+    find(path = '.', pattern = '*') {
+        const resolvedPath = this.resolvePath(path);
+        const node = this._getNodeAtPath(resolvedPath);
+
+        if (!node) {
+            throw new Error(`find: '${path}': No such file or directory`);
+        }
+
+        if (!(node instanceof VirtualDirectory)) {
+            throw new Error(`find: '${path}': Not a directory`);
+        }
+
+        const results = [];
+        const regex = this._globToRegex(pattern);
+
+        const traverse = (dir, currentPath) => {
+            dir.children.forEach((child, name) => {
+                const fullPath = `${currentPath}/${name}`;
+
+                if (regex.test(name)) {
+                    results.push(fullPath);
+                }
+
+                if (child instanceof VirtualDirectory) {
+                    traverse(child, fullPath);
+                }
+            });
+        };
+
+        traverse(node, resolvedPath);
+        return results;
+    }
+
+    grep(pattern, path = '.', recursive = false) {
+        const resolvedPath = this.resolvePath(path);
+        const node = this._getNodeAtPath(resolvedPath);
+
+        if (!node) {
+            throw new Error(`grep: ${path}: No such file or directory`);
+        }
+
+        const results = [];
+        const regex = new RegExp(pattern, 'gi');
+
+        const searchFile = (file, filePath) => {
+            const lines = file.text.split('\n');
+            lines.forEach((line, index) => {
+                if (regex.test(line)) {
+                    results.push({
+                        file: filePath,
+                        line: index + 1,
+                        content: line.trim()
+                    });
+                }
+            });
+        };
+
+        const traverse = (current, currentPath) => {
+            if (current instanceof VirtualFile) {
+                searchFile(current, currentPath);
+            } else if (current instanceof VirtualDirectory) {
+                current.children.forEach((child, name) => {
+                    const fullPath = `${currentPath}/${name}`;
+                    if (child instanceof VirtualFile) {
+                        searchFile(child, fullPath);
+                    } else if (recursive && child instanceof VirtualDirectory) {
+                        traverse(child, fullPath);
+                    }
+                });
+            }
+        };
+
+        traverse(node, resolvedPath);
         return results;
     }
 
-    _globToRegex(pattern) {
-        // Convert glob pattern to regex
-        let regexStr = pattern
-            .replace(/\./g, '\\.')
-            .replace(/\*/g, '.*')
-            .replace(/\?/g, '.');
-        return new RegExp(`^${regexStr}$`, 'i');
+    /**
+     * List the paths matching a glob pattern. Supports *, ?, [abc], [!abc],
+     * backslash escapes and ** for any number of directories. Wildcards do
+     * not match a leading dot unless the pattern segment starts with one.
+     * @param {string} pattern - Absolute or relative pattern
+     * @returns {string[]} Sorted matching paths, in the same form as the pattern
+     */
+    glob(pattern) {
+        const absolute = pattern.startsWith('/');
+        const directoriesOnly = pattern.endsWith('/');
+        const segments = pattern.split('/').filter(p => p !== '');
+        const join = (base, name) => base === '' ? name : (base.endsWith('/') ? `${base}${name}` : `${base}/${name}`);
+        const listChildren = (base) => {
+            const node = this._getNodeAtPath(base === '' ? '.' : base);
+            return node instanceof VirtualDirectory && this._hasAccess(node, 'r')
+                ? Array.from(node.children.entries())
+                : [];
+        };
+
+        let paths = [absolute ? '/' : ''];
+
+        segments.forEach((segment, index) => {
+            const isLast = index === segments.length - 1;
+            const next = [];
+
+            for (const base of paths) {
+                if (segment === '**') {
+                    // Zero or more directories (plus every entry when ** is last)
+                    const walk = (dirPath) => {
+                        next.push(dirPath);
+                        for (const [name, child] of listChildren(dirPath)) {
+                            if (name.startsWith('.')) {
+                                continue;
+                            }
+                            if (child instanceof VirtualDirectory) {
+                                walk(join(dirPath, name));
+                            } else if (isLast) {
+                                next.push(join(dirPath, name));
+                            }
+                        }
+                    };
+                    walk(base);
+                } else if (!/[*?[]/.test(segment.replace(/\\./g, ''))) {
+                    const candidate = join(base, segment.replace(/\\(.)/g, '$1'));
+                    if (isLast ? this.exists(candidate) : this.isDirectory(candidate)) {
+                        next.push(candidate);
+                    }
+                } else {
+                    const regex = this._globToRegex(segment, false);
+                    const matchHidden = segment.startsWith('.') || segment.startsWith('\\.');
+
+                    for (const [name] of listChildren(base)) {
+                        if (name.startsWith('.') && !matchHidden) {
+                            continue;
+                        }
+                        if (regex.test(name) && (isLast || this.isDirectory(join(base, name)))) {
+                            next.push(join(base, name));
+                        }
+                    }
+                }
+            }
+
+            paths = next;
+        });
+
+        return Array.from(new Set(paths))
+            .filter(path => path !== '' && (!directoriesOnly || this.isDirectory(path)))
+            .map(path => directoriesOnly && path !== '/' ? `${path}/` : path)
+            .sort();
+    }
+
+    /**
+     * Convert a single glob segment to a regular expression
+     * @param {string} pattern - Glob pattern (*, ?, [abc], [!abc] and \\ escapes)
+     * @param {boolean} ignoreCase - Whether matching is case-insensitive
+     * @returns {RegExp}
+     */
+    _globToRegex(pattern, ignoreCase = true) {
+        return globToRegExp(pattern, ignoreCase);
+    }
+
+    // ========================================================================
+    // Permissions
+    // ========================================================================
+
+    /**
+     * Check whether the current user may read, write or execute a path
+     * @param {string} path - File or directory path
+     * @param {string} access - 'r', 'w' or 'x'
+     * @returns {boolean} False if the path does not exist
+     */
+    canAccess(path, access) {
+        const node = this._getNodeAtPath(path);
+        return node !== null && this._hasAccess(node, access);
+    }
+
+    _hasAccess(node, access) {
+        const bit = ACCESS_BITS[access];
+
+        // Generated nodes take only the writes their provider accepts
+        if (access === 'w' && (node instanceof VirtualMount || (node instanceof VirtualGeneratedFile && !node.write))) {
+            return false;
+        }
+
+        // root may read and write anything, search any directory, and run
+        // any file that someone may run
+        if (this.uid === 0) {
+            return access !== 'x' || node instanceof VirtualDirectory || (node.mode & 0o111) !== 0;
+        }
+        if (node.uid === this.uid) {
+            return (node.mode & (bit << 6)) !== 0;
+        }
+
+        // Group membership only needs looking up when it makes a difference
+        const groupAllowed = (node.mode & (bit << 3)) !== 0;
+        const otherAllowed = (node.mode & bit) !== 0;
+        if (groupAllowed !== otherAllowed && this._inGroup(node.gid)) {
+            return groupAllowed;
+        }
+        return otherAllowed;
+    }
+
+    // Whether the current user could read node and, for a directory,
+    // everything below it
+    _canRead(node) {
+        if (!this._hasAccess(node, 'r')) {
+            return false;
+        }
+        if (!(node instanceof VirtualDirectory)) {
+            return true;
+        }
+        if (node.children.size > 0 && !this._hasAccess(node, 'x')) {
+            return false;
+        }
+        return Array.from(node.children.values()).every(child => this._canRead(child));
+    }
+
+    // Whether the current user may unlink node from parent: this needs write
+    // permission on parent, and in a sticky directory such as /tmp only the
+    // owner of the entry or of the directory may remove it
+    _canRemove(parent, node) {
+        if (!this._hasAccess(parent, 'w')) {
+            return false;
+        }
+        return !(parent.mode & 0o1000) || this.uid === 0 ||
+            node.uid === this.uid || parent.uid === this.uid;
+    }
+
+    // Whether the current user may remove everything below a directory
+    _canEmpty(node) {
+        if (!(node instanceof VirtualDirectory) || node.children.size === 0) {
+            return true;
+        }
+        return Array.from(node.children.values())
+            .every(child => this._canRemove(node, child) && this._canEmpty(child));
+    }
+
+    // New nodes belong to the current user, with the umask applied; the
+    // content of a symbolic link is its target, and links are always 0777
+    _createNode(name, type, content = '') {
+        let node;
+        if (type === 'symlink') {
+            node = new VirtualSymlink(name, content);
+        } else {
+            node = type === 'directory' ? new VirtualDirectory(name) : new VirtualFile(name, content);
+            node.mode = (type === 'directory' ? DEFAULT_DIRECTORY_MODE : DEFAULT_FILE_MODE) & ~this.umask;
+        }
+        node.uid = this.uid;
+        node.gid = this.gid;
+        return node;
+    }
+
+    /**
+     * Change the mode bits of a file or directory; only its owner and root may
+     * @param {string} path - File or directory path
+     * @param {number} mode - New mode bits, such as 0o755
+     * @returns {boolean}
+     */
+    chmod(path, mode) {
+        const node = this._getNodeAtPath(path);
+
+        if (!node) {
+            throw new Error(`cannot access '${path}': ${this._lookupError(path)}`);
+        }
+        if ((this.uid !== 0 && node.uid !== this.uid) || this._isGenerated(node)) {
+            throw new Error(`changing permissions of '${path}': Operation not permitted`);
+        }
+
+        node.mode = mode & 0o7777;
+        this._notifyChange('chmod', path);
+        return true;
+    }
+
+    /**
+     * Change the owner and/or group of a file or directory. Only root may
+     * change the owner; the owner may change the group to one they belong to.
+     * @param {string} path - File or directory path
+     * @param {number|null} uid - New owner, or null to keep it
+     * @param {number|null} gid - New group, or null to keep it
+     * @returns {boolean}
+     */
+    chown(path, uid = null, gid = null) {
+        const node = this._getNodeAtPath(path);
+
+        if (!node) {
+            throw new Error(`cannot access '${path}': ${this._lookupError(path)}`);
+        }
+
+        const changesOwner = uid !== null && uid !== node.uid;
+        const changesGroup = gid !== null && gid !== node.gid;
+        if (this._isGenerated(node) || (this.uid !== 0 && (changesOwner || (changesGroup && (node.uid !== this.uid || !this._inGroup(gid)))))) {
+            throw new Error(`changing ${changesOwner ? 'ownership' : 'group'} of '${path}': Operation not permitted`);
+        }
+
+        if (uid !== null) {
+            node.uid = uid;
+        }
+        if (gid !== null) {
+            node.gid = gid;
+        }
+
+        // Changing the owner of an executable clears its setuid and setgid bits
+        if ((changesOwner || changesGroup) && node instanceof VirtualFile) {
+            node.mode &= ~0o6000;
+        }
+
+        this._notifyChange('chown', path);
+        return true;
+    }
+
+    // ========================================================================
+    // Users and Groups
+    // ========================================================================
+
+    /**
+     * Read the accounts in /etc/passwd
+     * @returns {Array<{name: string, uid: number, gid: number, gecos: string, home: string, shell: string}>}
+     */
+    users() {
+        return this._readDatabase('/etc/passwd').map(([name, , uid, gid, gecos = '', home = '/', shell = '/bin/sh']) => ({
+            name,
+            uid: Number(uid),
+            gid: Number(gid),
+            gecos,
+            home,
+            shell
+        }));
+    }
+
+    /**
+     * Read the groups in /etc/group
+     * @returns {Array<{name: string, gid: number, members: string[]}>}
+     */
+    groups() {
+        return this._readDatabase('/etc/group').map(([name, , gid, members = '']) => ({
+            name,
+            gid: Number(gid),
+            members: members.split(',').filter(member => member !== '')
+        }));
+    }
+
+    /**
+     * Find an account by name or by numeric uid
+     * @param {string|number} user - User name or uid
+     * @returns {Object|null}
+     */
+    findUser(user) {
+        const key = typeof user === 'number' ? 'uid' : 'name';
+        return this.users().find(entry => entry[key] === user) || null;
+    }
+
+    /**
+     * Find a group by name or by numeric gid
+     * @param {string|number} group - Group name or gid
+     * @returns {Object|null}
+     */
+    findGroup(group) {
+        const key = typeof group === 'number' ? 'gid' : 'name';
+        return this.groups().find(entry => entry[key] === group) || null;
+    }
+
+    /**
+     * Name of a uid, or the number itself if /etc/passwd does not list it
+     * @param {number} uid - User ID
+     * @returns {string}
+     */
+    userName(uid) {
+        const user = this.findUser(uid);
+        return user ? user.name : String(uid);
+    }
+
+    /**
+     * Name of a gid, or the number itself if /etc/group does not list it
+     * @param {number} gid - Group ID
+     * @returns {string}
+     */
+    groupName(gid) {
+        const group = this.findGroup(gid);
+        return group ? group.name : String(gid);
+    }
+
+    /**
+     * Groups of the current user: the primary group, then every group in
+     * /etc/group that lists the user as a member
+     * @returns {number[]} Group IDs
+     */
+    userGroups() {
+        const name = this.userName(this.uid);
+        const supplementary = this.groups()
+            .filter(group => group.members.includes(name) && group.gid !== this.gid)
+            .map(group => group.gid);
+        return [this.gid, ...supplementary];
+    }
+
+    _inGroup(gid) {
+        return gid === this.gid || this.userGroups().includes(gid);
+    }
+
+    // Read the colon-separated records of a system database such as
+    // /etc/passwd. Access checks consult these files themselves, so they
+    // are read directly rather than through permission checks.
+    _readDatabase(path) {
+        let node = this.root;
+        for (const part of path.split('/').filter(p => p !== '')) {
+            node = node instanceof VirtualDirectory ? node.getChild(part) : null;
+        }
+
+        if (!(node instanceof VirtualFile)) {
+            return [];
+        }
+
+        return node.text.split('\n')
+            .filter(line => line.trim() !== '' && !line.startsWith('#'))
+            .map(line => line.split(':'));
+    }
+
+    // ========================================================================
+    // Generated Directories
+    // ========================================================================
+
+    /**
+     * Mount a directory whose entries are generated on every read, such as
+     * /proc. Generated nodes are never saved, exported or archived.
+     * @param {string} path - Mount point; its parent must exist
+     * @param {Function} provider - Called with the filesystem; returns the
+     *        entries of the directory, as described at VirtualMount
+     * @param {number} mode - Mode bits of the mount point
+     */
+    mount(path, provider, mode = 0o555) {
+        const mountPoint = this.resolvePath(path);
+        this.mounts.set(mountPoint, { provider, mode });
+        this._attachMount(mountPoint);
+    }
+
+    _attachMount(mountPoint) {
+        const { provider, mode } = this.mounts.get(mountPoint);
+        const { parent, name } = this._getParentAndName(mountPoint);
+
+        if (!(parent instanceof VirtualDirectory) || !name) {
+            throw new Error(`mount: ${mountPoint}: mount point does not exist`);
+        }
+
+        const node = new VirtualMount(name, provider, this);
+        node.mode = mode;
+        parent.addChild(node);
+    }
+
+    _isGenerated(node) {
+        return node instanceof VirtualMount || node instanceof VirtualGeneratedFile;
     }
 
     // ========================================================================
@@ -484,872 +1621,476 @@ export class VirtualFilesystem {
 
     reset() {
         this.root = this._createInitialStructure();
-        this.currentDirectory = '/home/user';
+        this.mounts.forEach((mount, mountPoint) => this._attachMount(mountPoint));
+        this.currentDirectory = this.homeDirectory;
+        this._notifyChange('reset', '/');
+    }
+
+    _notifyChange(type, path) {
+        if (this.onChange) {
+            this.onChange(type, this.resolvePath(path));
+        }
+    }
+
+    // ========================================================================
+    // Local Changes
+    // ========================================================================
+
+    /**
+     * Describe how the tree differs from the shipped content, in a form that
+     * can be stored as JSON and passed to importChanges
+     * @returns {{removed: string[], nodes: Object[]}} Paths of removed shipped
+     *          nodes, and added or changed nodes with parents before children
+     */
+    exportChanges() {
+        const changes = { removed: [], nodes: [] };
+        this._diffDirectory(this._createInitialStructure(), this.root, '', changes, new Map());
+        return changes;
+    }
+
+    /**
+     * Apply changes from exportChanges on top of the current tree
+     * @param {{removed: string[], nodes: Object[]}} changes - Saved changes
+     */
+    importChanges(changes) {
+        // Saved changes are applied whatever their permissions, as root would
+        const { uid, gid } = this;
+        this.uid = 0;
+        try {
+            this._applyChanges(changes, uid, gid);
+        } finally {
+            this.uid = uid;
+        }
+
+        // The saved changes may have removed the current directory
+        if (!this.isDirectory(this.currentDirectory)) {
+            this.currentDirectory = this.isDirectory(this.homeDirectory) ? this.homeDirectory : '/';
+        }
+    }
+
+    // Nodes from saves without owners belong to uid and gid
+    _applyChanges(changes, uid, gid) {
+        for (const path of changes.removed || []) {
+            const { parent, name } = this._getParentAndName(path);
+            if (parent instanceof VirtualDirectory) {
+                parent.children.delete(name);
+            }
+        }
+
+        for (const entry of changes.nodes || []) {
+            const { parent, name } = this._getParentAndName(entry.path);
+            if (!(parent instanceof VirtualDirectory)) {
+                continue;
+            }
+
+            if (entry.hardLink) {
+                const target = this._getNodeAtPath(entry.hardLink, false);
+                if (target && !(target instanceof VirtualDirectory)) {
+                    parent.children.set(name, target);
+                }
+                continue;
+            }
+
+            let node = parent.getChild(name);
+            if (!node || node.type !== entry.type) {
+                if (entry.type === 'directory') {
+                    node = new VirtualDirectory(name);
+                } else {
+                    node = entry.type === 'symlink' ? new VirtualSymlink(name, entry.target) : new VirtualFile(name);
+                }
+                parent.children.set(name, node);
+            }
+
+            if (node instanceof VirtualFile) {
+                node.content = this._savedContent(entry);
+                node.mimeType = entry.mimeType;
+            } else if (node instanceof VirtualSymlink) {
+                node.target = entry.target;
+            }
+            // Saves from before numeric modes only have the permission string
+            node.mode = entry.mode ?? permissionsToMode(entry.permissions);
+            node.uid = entry.uid ?? uid;
+            node.gid = entry.gid ?? gid;
+            node.createdAt = entry.createdAt;
+            node.modifiedAt = entry.modifiedAt;
+        }
     }
 
     // ========================================================================
-    // Initial Filesystem Structure
+    // Bytes and Archives
     // ========================================================================
 
+    /**
+     * Read a file as bytes; text files are UTF-8 encoded
+     * @param {string} path - File path
+     * @returns {Uint8Array}
+     */
+    readBytes(path) {
+        return this._readableFile(path).bytes;
+    }
+
+    /**
+     * Earlier contents of a file, replaced by writes to it; a file keeps
+     * the last MAX_REVISIONS, shared by its hard links
+     * @param {string} path - File path
+     * @returns {Array<{content: string|Uint8Array, modifiedAt: string}>}
+     *          Most recent first
+     */
+    revisions(path) {
+        return [...this._readableFile(path).revisions].reverse();
+    }
+
+    /**
+     * Write bytes to a file with a non-text MIME type
+     * @param {string} path - File path
+     * @param {Uint8Array} bytes - File contents
+     * @param {string} mimeType - MIME type, such as 'application/x-tar'
+     */
+    writeBytes(path, bytes, mimeType = 'application/octet-stream') {
+        this.writeFile(path, bytes, mimeType);
+    }
+
+    /**
+     * List a node and everything below it as archive entries
+     * @param {string} path - Node to archive
+     * @param {string} name - Path of the node inside the archive
+     * @returns {Array<Object>} Entries for archive.js, parents before children
+     */
+    archiveEntries(path, name) {
+        // Like tar, a link is archived as a link rather than what it points to
+        const node = this._getNodeAtPath(path, false);
+        if (!node) {
+            throw new Error(`${path}: Cannot stat: No such file or directory`);
+        }
+
+        const entries = [];
+        const archived = new Map();
+        const visit = (current, currentPath, entryPath) => {
+            const entry = {
+                path: entryPath,
+                type: current.type,
+                mode: current.mode,
+                uid: current.uid,
+                gid: current.gid,
+                owner: this.userName(current.uid),
+                group: this.groupName(current.gid),
+                mtime: new Date(current.modifiedAt),
+                data: current instanceof VirtualFile ? this.readBytes(currentPath) : new Uint8Array(0)
+            };
+
+            if (current instanceof VirtualSymlink) {
+                entry.linkTarget = current.target;
+            } else if (archived.has(current)) {
+                // Later names of a file become hard links to the first
+                entry.type = 'hardlink';
+                entry.linkTarget = archived.get(current);
+            } else if (current instanceof VirtualFile) {
+                archived.set(current, entryPath);
+            }
+            entries.push(entry);
+
+            if (current instanceof VirtualDirectory) {
+                current.children.forEach((child, childName) => {
+                    if (child instanceof VirtualMount) {
+                        return;
+                    }
+                    visit(child, `${currentPath}/${childName}`, entryPath ? `${entryPath}/${childName}` : childName);
+                });
+            }
+        };
+
+        visit(node, this.resolvePath(path).replace(/\/$/, ''), name);
+        return entries.filter(entry => entry.path !== '');
+    }
+
+    /**
+     * Create a file, directory or link from an archive entry below a
+     * directory, creating missing parent directories. UTF-8 file data becomes
+     * a text file; anything else is kept as bytes. Hard links point to an
+     * entry extracted earlier. Like tar run by a normal user, the current
+     * user owns what is extracted and the umask applies.
+     * @param {Object} entry - Entry from archive.js
+     * @param {string} destination - Directory to extract into
+     */
+    extractEntry(entry, destination = '.') {
+        const parts = entry.path.split('/').filter(part => part !== '' && part !== '.');
+        if (parts.includes('..')) {
+            throw new Error(`${entry.path}: Member name contains '..'`);
+        }
+        if (parts.length === 0) {
+            return;
+        }
+
+        let directory = this._getNodeAtPath(destination);
+        if (!(directory instanceof VirtualDirectory)) {
+            throw new Error(`${destination}: Cannot open: Not a directory`);
+        }
+
+        const denied = () => new Error(`${entry.path}: Cannot open: Permission denied`);
+
+        for (const part of parts.slice(0, -1)) {
+            if (!directory.hasChild(part)) {
+                if (!this._hasAccess(directory, 'w')) {
+                    throw denied();
+                }
+                directory.addChild(this._createNode(part, 'directory'));
+            }
+            directory = directory.getChild(part);
+            if (!(directory instanceof VirtualDirectory)) {
+                throw new Error(`${entry.path}: Cannot open: Not a directory`);
+            }
+        }
+
+        const name = parts[parts.length - 1];
+        let node = directory.getChild(name);
+
+        if (entry.type === 'directory') {
+            if (node && !(node instanceof VirtualDirectory)) {
+                throw new Error(`${entry.path}: Cannot mkdir: File exists`);
+            }
+            if (!node) {
+                if (!this._hasAccess(directory, 'w')) {
+                    throw denied();
+                }
+                node = this._createNode(name, 'directory');
+                directory.addChild(node);
+            }
+        } else if (entry.type === 'symlink' || entry.type === 'hardlink') {
+            if (node instanceof VirtualDirectory) {
+                throw new Error(`${entry.path}: Cannot create link: Is a directory`);
+            }
+            if (node ? !this._canRemove(directory, node) : !this._hasAccess(directory, 'w')) {
+                throw denied();
+            }
+
+            if (entry.type === 'symlink') {
+                node = this._createNode(name, 'symlink', entry.linkTarget);
+            } else {
+                const targetParts = entry.linkTarget.split('/').filter(part => part !== '' && part !== '.');
+                node = targetParts.includes('..') ? null : this._getNodeAtPath(
+                    `${this.resolvePath(destination)}/${targetParts.join('/')}`, false);
+                if (!node || node instanceof VirtualDirectory) {
+                    throw new Error(`${entry.path}: Cannot hard link to '${entry.linkTarget}': No such file or directory`);
+                }
+            }
+            directory.addChild(node, name);
+        } else {
+            if (node instanceof VirtualDirectory) {
+                throw new Error(`${entry.path}: Cannot open: Is a directory`);
+            }
+            // A link in the way is replaced rather than written through
+            if (node instanceof VirtualSymlink) {
+                node = null;
+            }
+            if (node ? !this._hasAccess(node, 'w') : !this._hasAccess(directory, 'w')) {
+                throw denied();
+            }
+            if (!node) {
+                node = this._createNode(name, 'file');
+                directory.addChild(node);
+            }
+
+            node.content = bytesToText(entry.data);
+            node.mimeType = mimeTypeFor(node.content);
+        }
+
+        if (!(node instanceof VirtualSymlink)) {
+            node.mode = entry.mode & 0o7777 & ~this.umask;
+        }
+        node.modifiedAt = entry.mtime.toISOString();
+        this._notifyChange('write', `${this.resolvePath(destination)}/${parts.join('/')}`);
+    }
+
+    // named maps each file already described to its path, so that its
+    // other names are saved as hard links
+    _diffDirectory(shipped, current, path, changes, named) {
+        shipped.children.forEach((original, name) => {
+            const node = current.getChild(name);
+            if (!node || node.type !== original.type) {
+                changes.removed.push(`${path}/${name}`);
+            }
+        });
+
+        current.children.forEach((node, name) => {
+            const nodePath = `${path}/${name}`;
+            if (node instanceof VirtualMount) {
+                return;
+            }
+            let original = shipped.getChild(name);
+            if (original && original.type !== node.type) {
+                original = null;
+            }
+
+            if (node instanceof VirtualDirectory) {
+                if (!original || !this._sameMetadata(original, node)) {
+                    changes.nodes.push(this._describeNode(node, nodePath));
+                }
+                this._diffDirectory(original || new VirtualDirectory(name), node, nodePath, changes, named);
+            } else if (named.has(node)) {
+                changes.nodes.push({ path: nodePath, type: node.type, hardLink: named.get(node) });
+            } else {
+                named.set(node, nodePath);
+                if (!original || !this._sameContent(original, node) || !this._sameMetadata(original, node)) {
+                    changes.nodes.push(this._describeNode(node, nodePath));
+                }
+            }
+        });
+    }
+
+    // Content of a saved file: bytes are saved as base64, and binary files
+    // saved before files held bytes have no encoding and one character per byte
+    _savedContent(entry) {
+        if (entry.encoding === 'base64') {
+            return binaryStringToBytes(atob(entry.content));
+        }
+        if (!entry.encoding && entry.mimeType && !entry.mimeType.startsWith(TEXT_MIME_PREFIX)) {
+            return binaryStringToBytes(entry.content);
+        }
+        return entry.content;
+    }
+
+    _sameContent(original, node) {
+        if (node instanceof VirtualSymlink) {
+            return original.target === node.target;
+        }
+        if (original.mimeType !== node.mimeType) {
+            return false;
+        }
+        if (typeof original.content === 'string' || typeof node.content === 'string') {
+            return original.content === node.content;
+        }
+        return original.content.length === node.content.length &&
+            original.content.every((byte, index) => byte === node.content[index]);
+    }
+
+    _sameMetadata(original, node) {
+        return original.mode === node.mode && original.uid === node.uid && original.gid === node.gid;
+    }
+
+    _describeNode(node, path) {
+        const entry = {
+            path,
+            type: node.type,
+            mode: node.mode,
+            uid: node.uid,
+            gid: node.gid,
+            createdAt: node.createdAt,
+            modifiedAt: node.modifiedAt
+        };
+
+        if (node instanceof VirtualFile) {
+            if (typeof node.content === 'string') {
+                entry.content = node.content;
+                entry.encoding = 'utf-8';
+            } else {
+                entry.content = bytesToBase64(node.content);
+                entry.encoding = 'base64';
+            }
+            entry.mimeType = node.mimeType;
+        } else if (node instanceof VirtualSymlink) {
+            entry.target = node.target;
+        }
+
+        return entry;
+    }
+
+    // ========================================================================
+    // Shipped Content
+    // ========================================================================
+
+    /**
+     * Replace the shipped content with another manifest, keeping the
+     * generated directories; local changes are discarded
+     * @param {Object} manifest - Manifest in the format of content.js
+     * @throws {Error} If the manifest is not valid
+     */
+    setManifest(manifest) {
+        this.manifestEntries = validateManifest(manifest);
+        this.manifest = manifest;
+        this.reset();
+
+        // The new content may have no home directory
+        if (!this.isDirectory(this.currentDirectory)) {
+            this.currentDirectory = '/';
+        }
+    }
+
+    /**
+     * Add entries to the shipped content, keeping local changes and the
+     * current directory. Entries for paths the content already has, and
+     * paths changed locally, keep what is there.
+     * @param {Array<Object>} entries - Manifest entries
+     * @throws {Error} If an entry is not valid; nothing is added then
+     */
+    addManifestEntries(entries) {
+        const paths = new Set(this.manifest.entries.map(entry => entry.path));
+        const manifest = {
+            ...this.manifest,
+            entries: [...this.manifest.entries, ...entries.filter(entry => !paths.has(entry.path))]
+        };
+        const manifestEntries = validateManifest(manifest);
+
+        const changes = this.exportChanges();
+        const directory = this.currentDirectory;
+        this.manifest = manifest;
+        this.manifestEntries = manifestEntries;
+        this.root = this._createInitialStructure();
+        this.mounts.forEach((mount, mountPoint) => this._attachMount(mountPoint));
+        this.importChanges(changes);
+
+        if (this.isDirectory(directory)) {
+            this.currentDirectory = directory;
+        }
+    }
+
+    // Build the shipped tree from the manifest entries. Directories are made
+    // for any missing parents, and nodes without an owner get their parent's
     _createInitialStructure() {
         const root = new VirtualDirectory('');
+        const nodes = [];
+
+        for (const entry of this.manifestEntries) {
+            const parts = entry.path.split('/').filter(Boolean);
+            const name = parts.pop();
+
+            let parent = root;
+            for (const part of parts) {
+                let child = parent.getChild(part);
+                if (!child) {
+                    child = new VirtualDirectory(part);
+                    child.uid = parent.uid;
+                    child.gid = parent.gid;
+                    parent.addChild(child);
+                }
+                parent = child;
+            }
+
+            // A directory may already exist as the parent of an earlier entry
+            let node = parent.getChild(name);
+            if (!node) {
+                if (entry.type === 'directory') {
+                    node = new VirtualDirectory(name);
+                } else if (entry.type === 'symlink') {
+                    node = new VirtualSymlink(name, entry.target);
+                } else {
+                    node = new VirtualFile(name, entry.content, entry.mimeType);
+                }
+                parent.addChild(node);
+            }
+
+            node.mode = entry.mode ?? node.mode;
+            node.uid = entry.uid ?? parent.uid;
+            node.gid = entry.gid ?? parent.gid;
+            nodes.push({ node, entry });
+        }
 
-        // /home
-        const home = new VirtualDirectory('home');
-        const user = new VirtualDirectory('user');
-
-        // /home/user/readme.txt
-        const readme = new VirtualFile('readme.txt',
-`Welcome to my Cybersecurity Portfolio Terminal!
-
-This interactive terminal provides access to my projects, research, and experience.
-
-Quick Start:
-  ls              - List files in current directory
-  cat <file>      - Display file contents
-  cd <directory>  - Change directory
-  help            - Show available commands
-
-Notable Directories:
-  ~/cyberops      - Cybersecurity tools & frameworks
-  ~/research      - Hardware, radio, and chemistry projects
-  ~/intel         - CTF writeups and technical notes
-  ~/about         - Professional profile and certifications
-
-Type 'help' for a full list of commands.
-`);
-        user.addChild(readme);
-
-        // Hidden flag
-        user.addChild(new VirtualFile('.flag.txt',
-`Congratulations! You found the hidden flag.
-
-FLAG{w3lc0m3_t0_th3_t3rm1n4l_h4ck3r}
-
-You've demonstrated curiosity and basic enumeration skills - key traits
-for any security professional. Keep exploring!
-`));
-
-        // ====================================================================
-        // /home/user/cyberops/ - All cyber security projects
-        // ====================================================================
-        const cyberops = new VirtualDirectory('cyberops');
-
-        // DHM
-        cyberops.addChild(new VirtualFile('dhm.txt',
-`Dependency Health Monitor (DHM)
-================================================================================
-GitHub: https://github.com/jeremylaratro/dhm
-
-Python tool for comprehensive dependency health assessments. Calculates weighted
-health scores across security, maintenance, community, and popularity metrics.
-
-Features:
-  - OSV vulnerability scanning integration
-  - Weighted health scoring (A-F grades)
-  - License categorization and risk assessment
-  - SQLite caching for performance
-  - CI/CD-ready JSON output
-
-Tech Stack: Python, PyPI, OSV API
-Status: Active - Published on PyPI
-`));
-
-        // ULP
-        cyberops.addChild(new VirtualFile('ulp.txt',
-`Universal Log Parser (ULP)
-================================================================================
-GitHub: https://github.com/jeremylaratro/ulp
-
-Python library and CLI tool for automatic log detection, parsing, and normalization.
-Built for production environments with support for large files and log correlation.
-
-Supported Formats (11 types):
-  - JSON/JSONL
-  - Apache Combined/Common
-  - Nginx Access/Error
-  - Syslog (RFC 3164 & 5424)
-  - Python Logging
-  - Docker JSON
-  - Kubernetes
-
-Features:
-  - Auto-detection of log formats (no manual config needed)
-  - Streaming support for 10GB+ files (memory-mapped I/O)
-  - Log correlation across multiple sources
-  - Normalized output to unified schema
-  - Rich CLI with table, JSON, CSV, compact views
-  - Extensible architecture for custom parsers
-
-Tech Stack: Python, Clean Architecture, Domain-Driven Design
-Status: Active - MIT License
-`));
-
-        // Polybar Widgets
-        cyberops.addChild(new VirtualFile('polybar-widgets.txt',
-`Polybar Widgets
-================================================================================
-GitHub: https://github.com/jeremylaratro/polybar_widgets
-
-Custom Polybar widgets for Linux desktop security monitoring and system utilities.
-
-Widgets Included:
-  - Flameshot screenshot integration
-  - Docker container status
-  - System uptime display
-  - Screen brightness control
-  - IDS alert notifications
-  - VPN connection status
-  - System update checker
-  - IP information display
-
-Tech Stack: Shell, Polybar, Linux
-Status: Active
-`));
-
-        // LSS
-        cyberops.addChild(new VirtualFile('lss.txt',
-`Linux Security Suite (LSS)
-================================================================================
-GitHub: https://github.com/jeremylaratro/lss
-
-Unified desktop security dashboard consolidating multiple security tools into
-a single monitoring interface with threat intelligence integration.
-
-Core Components:
-  - Suricata/Snort IDS integration
-  - ClamAV antivirus monitoring
-  - Firewall management
-  - Real-time network monitoring
-  - JA3/JA4 TLS fingerprinting
-  - System hardening audits
-
-Threat Intelligence:
-  - VirusTotal API integration
-  - AbuseIPDB lookups
-  - AlienVault OTX feeds
-  - ThreatFox IOC database
-
-Tech Stack: Python, Suricata, ClamAV, Flask
-Status: Active - Personal infrastructure deployment
-`));
-
-        // iCTF
-        cyberops.addChild(new VirtualFile('ictf.txt',
-`iCTF - Mobile CTF Platform
-================================================================================
-GitHub: https://github.com/jeremylaratro/iOScTF
-
-Mobile cybersecurity CTF platform for iOS providing hands-on security challenges
-without requiring jailbreak.
-
-Challenge Categories:
-  - Cryptography
-  - Web Security
-  - Forensics
-  - Reverse Engineering
-  - Network Challenges
-
-Features:
-  - Sandboxed execution environment
-  - Built-in terminal emulator
-  - Progress tracking and hints
-  - Offline challenge support
-
-Tech Stack: Dart, Flutter, iOS
-Status: Private beta
-`));
-
-        // AugFly
-        cyberops.addChild(new VirtualFile('augfly.txt',
-`AugFly - AR Flight Tracking
-================================================================================
-
-Augmented reality flight tracking application. Point your camera at the sky
-to see real-time flight information overlaid on aircraft.
-
-Features:
-  - ARKit integration for iOS
-  - Live ADS-B data feeds
-  - GPS positioning
-  - Detailed flight information
-  - Native performance optimization
-
-Tech Stack: TypeScript, ARKit, ADS-B
-Status: In Development
-`));
-
-        // PurpleSploit
-        cyberops.addChild(new VirtualFile('purplesploit.txt',
-`PurpleSploit - Pentesting Workflow Framework
-================================================================================
-GitHub: https://github.com/jeremylaratro/Purplesploit
-
-A framework for ultimate pentesting workflow efficiency with centralized
-credential and target management.
-
-Features:
-  - SQLite-based credential/hash management
-  - Nmap XML parsing for service enumeration
-  - fzf-powered interactive selection menus
-  - Ligolo-ng proxy tunneling integration
-  - Automated exploit module system
-
-Tech Stack: Python, SQLite, Flask
-Status: Active development
-`));
-
-        // ArgusCloud
-        cyberops.addChild(new VirtualFile('arguscloud.txt',
-`ArgusCloud - Cloud Attack Path Generator
-================================================================================
-GitHub: https://github.com/jeremylaratro/ArgusCloud
-
-Full-featured cloud-focused attack-path generation and graphing toolkit
-for identifying privilege escalation paths in cloud infrastructure.
-
-Supported Platforms:
-  - AWS (IAM, EC2, S3, Lambda)
-  - Azure (AD, VMs, Storage)
-  - GCP (IAM, Compute, Storage)
-
-Features:
-  - Attack path visualization
-  - Privilege escalation detection
-  - Resource relationship mapping
-  - Export to Neo4j/BloodHound format
-
-Tech Stack: Python, AWS/Azure/GCP APIs
-Status: Active development
-`));
-
-        // ThreatMobile
-        cyberops.addChild(new VirtualFile('threatmobile.txt',
-`ThreatMobile - Mobile Threat Intelligence
-================================================================================
-
-Mobile threat intelligence application for security analysts with real-time
-IOC lookups and threat feed aggregation.
-
-Data Sources:
-  - VirusTotal
-  - AlienVault OTX
-  - ThreatFox
-  - AbuseIPDB
-
-Features:
-  - Real-time IOC lookups
-  - CVE tracking and alerts
-  - Watchlist management
-  - Push notifications for matches
-
-Tech Stack: Go, Mobile
-Status: In Development
-`));
-
-        // GrepEx
-        cyberops.addChild(new VirtualFile('grepex.txt',
-`GrepEx - Regex & Search Dork Generator
-================================================================================
-GitHub: https://github.com/jeremylaratro/grepex
-
-iOS app for security researchers to generate regex patterns and search dorks
-with extensive template library.
-
-Features:
-  - 80+ pre-built regex templates
-  - 21 programming language outputs
-  - GHDB integration (3600+ dorks)
-  - Live pattern testing
-  - ReDoS protection
-  - Gamification with achievements
-
-Tech Stack: TypeScript, iOS
-Status: App Store release planned
-`));
-
-        // Quantsploit
-        cyberops.addChild(new VirtualFile('quantsploit.txt',
-`Quantsploit - Quantitative Trading Framework
-================================================================================
-GitHub: https://github.com/jeremylaratro/Quantsploit
-
-Modular quantitative trading framework inspired by Metasploit with interactive
-TUI and comprehensive technical analysis.
-
-Technical Indicators:
-  - RSI, MACD, SMA, EMA
-  - Bollinger Bands
-  - Stochastic Oscillator
-
-Features:
-  - Interactive TUI with auto-completion
-  - Multi-stock market scanning
-  - Options chain analysis with Greeks
-  - Strategy backtesting engine
-
-Tech Stack: Python, Rich/Textual, NumPy, Pandas
-Status: Active - Personal use
-`));
-
-        // GuacaMappy
-        cyberops.addChild(new VirtualFile('guacamappy.txt',
-`GuacaMappy - Apache Guacamole Mobile Client
-================================================================================
-GitHub: https://github.com/jeremylaratro/guacamappy
-
-Cross-platform mobile client for Apache Guacamole remote desktop gateway.
-
-Supported Protocols:
-  - RDP (Remote Desktop Protocol)
-  - VNC (Virtual Network Computing)
-  - SSH (Secure Shell)
-  - Telnet
-
-Features:
-  - MFA/TOTP authentication
-  - WebSocket tunneling
-  - Touch-to-mouse input translation
-  - Multi-session management
-
-Tech Stack: Dart, Flutter
-Status: Beta testing
-`));
-
-        // supwngo
-        cyberops.addChild(new VirtualFile('supwngo.txt',
-`supwngo - Automated Penetration Testing Utility
-================================================================================
-GitHub: https://github.com/jeremylaratro/supwngo
-
-Automated penetration testing utility with autopwn capabilities designed to
-streamline exploitation workflows.
-
-Features:
-  - Multi-threaded target discovery
-  - Vulnerability matching
-  - Automated exploitation
-  - Credential reuse testing
-  - Post-exploitation automation
-
-Tech Stack: Python
-Status: Internal tool
-`));
-
-        // Pentest Scripts
-        cyberops.addChild(new VirtualFile('pentest-scripts.txt',
-`Pentest Scripts (B-NEAS)
-================================================================================
-GitHub: https://github.com/jeremylaratro/pentest_scripts
-
-Scripts designed for automation and streamlining of discovery and enumeration
-tasks. Created during OSCP labs for maximum efficiency.
-
-Modules:
-  - Port scanning automation
-  - Service enumeration
-  - Web directory bruteforcing
-  - SMB enumeration
-  - DNS zone transfers
-
-Tech Stack: Shell, Nmap
-Status: Stable - OSCP tested
-`));
-
-        // SecureLLaMA
-        cyberops.addChild(new VirtualFile('securellama.txt',
-`SecureLLaMA - Secure LLaMA Deployment
-================================================================================
-GitHub: https://github.com/jeremylaratro/secureLLaMA
-
-Secure implementation of open-source LLaMA LLM using Docker with proper
-isolation and access controls for AI/ML workloads.
-
-Features:
-  - Docker containerization
-  - Network isolation
-  - Access control configuration
-  - Gradio web interface
-
-Tech Stack: Shell, Docker, Python, Gradio
-Status: Stable
-`));
-
-        // WinBins
-        cyberops.addChild(new VirtualFile('winbins.txt',
-`WinBins - Windows Red Team Binary Updater
-================================================================================
-GitHub: https://github.com/jeremylaratro/WinBins
-
-Automated utility for maintaining up-to-date Windows pentesting binaries.
-
-Managed Tools:
-  - winPEAS, PowerUp, Seatbelt
-  - Mimikatz, LaZagne, SharpDPAPI
-  - Chisel, ligolo-ng, plink
-  - Rubeus, Certify, SharpHound
-
-Features:
-  - GitHub release auto-updates
-  - Binary integrity verification
-  - Organized directory structure
-
-Tech Stack: Python, GitHub API
-Status: Stable
-`));
-
-        // Discord Auto Updater
-        cyberops.addChild(new VirtualFile('discord-updater.txt',
-`Discord Auto Updater
-================================================================================
-GitHub: https://github.com/jeremylaratro/Auto_Update_Discord_Linux
-
-Shell script automation for Discord installations on Linux (Debian/Fedora).
-
-Features:
-  - Automatic installation
-  - Update detection
-  - Cron scheduling for weekly updates
-
-Tech Stack: Shell, Linux
-Status: Stable
-`));
-
-        // CyberQuizzer
-        cyberops.addChild(new VirtualFile('cyberquizzer.txt',
-`CyberQuizzer - Interview Preparation Platform
-================================================================================
-
-Interactive interview preparation platform with 135+ real-world security
-challenges covering multiple domains.
-
-Categories:
-  - Penetration Testing (OSCP-style)
-  - Blue Team Operations
-  - Hardware Security
-  - Network Security
-  - Web Application Security
-
-Features:
-  - Progress tracking
-  - Categorized topics
-  - Detailed answer explanations
-
-Tech Stack: HTML, JavaScript
-Status: Live
-`));
-
-        // MCP-Kali-Server
-        cyberops.addChild(new VirtualFile('mcp-kali.txt',
-`MCP-Kali-Server Bridges
-================================================================================
-GitHub: https://github.com/jeremylaratro/MCP-Kali-Server_Bridges
-
-Bridging MCP server to AI systems for AI-assisted penetration testing.
-
-Supported AI Models:
-  - OpenAI GPT-4
-  - Anthropic Claude
-  - Google Gemini
-  - Local models (LM-Studio)
-
-Features:
-  - Terminal access via AI
-  - Natural language tool invocation
-  - Sandboxed execution
-
-Tech Stack: Python, MCP SDK
-Status: Experimental
-`));
-
-        // PhotoSec
-        cyberops.addChild(new VirtualFile('photosec.txt',
-`PhotoSec - Photo Metadata & Privacy Tool
-================================================================================
-GitHub: https://github.com/jeremylaratro/PhotoSec
-
-Privacy-focused utility for analyzing and removing metadata from photos.
-
-Features:
-  - Bulk metadata removal
-  - GPS coordinate extraction
-  - EXIF data analysis
-  - Steganography detection
-
-Tech Stack: Python, ExifTool, Binwalk
-Status: Stable
-`));
-
-        // Securicoder
-        cyberops.addChild(new VirtualFile('securicoder.txt',
-`Securicoder - AI Code Security Analysis
-================================================================================
-URL: https://securicoder.com
-
-Full-stack web application using OpenAI API for static code analysis on
-user-submitted code.
-
-Features:
-  - OWASP Top 10 detection
-  - Secret detection
-  - Code quality analysis
-  - Natural language explanations
-
-Tech Stack: Django, OpenAI API, Snort
-Status: Production
-`));
-
-        user.addChild(cyberops);
-
-        // ====================================================================
-        // /home/user/research/ - Hardware, Radio, Chemistry
-        // ====================================================================
-        const research = new VirtualDirectory('research');
-
-        // Hardware subdirectory
-        const hardware = new VirtualDirectory('hardware');
-        hardware.addChild(new VirtualFile('mini-cnc.txt',
-`Mini-CNC Machine with GRBL Controller
-================================================================================
-
-Built using aluminum extrusion, stepper motors, 10k rpm spindle motor, and
-open-source GRBL control board. Total cost under $200.
-
-Components:
-  - Aluminum extrusion frame
-  - NEMA17 stepper motors
-  - GRBL CNC controller
-  - 10,000 RPM spindle
-
-Software: GRBL, bCNC, KiCAD for PCB design
-`));
-        hardware.addChild(new VirtualFile('gps-speedometer.txt',
-`GPS Speedometer for Boat/Bike
-================================================================================
-
-Started with Arduino Uno prototyping, then migrated to standalone ATMEGA328P
-with NEO-6M GPS Module and OLED display.
-
-Components:
-  - ATMEGA328P microcontroller
-  - NEO-6M GPS module
-  - SSD1306 OLED display
-  - 3D printed enclosure
-`));
-        hardware.addChild(new VirtualFile('class-a-amp.txt',
-`Class A Audio Amplifier
-================================================================================
-
-Simple Class A audio amplifier circuit using 2x BC337 transistors with
-chemically etched PCB and SMT components.
-
-Specifications:
-  - Class A topology
-  - BC337 NPN transistors
-  - Custom etched PCB
-  - SMT component assembly
-`));
-        hardware.addChild(new VirtualFile('armachat.txt',
-`ArmaChat: LoRa Text Messenger
-================================================================================
-
-Standalone LoRa-based text messenger for off-grid communications with
-mesh networking capabilities.
-
-Features:
-  - LoRa radio communication
-  - Mesh networking protocol
-  - Keyboard input
-  - E-ink display
-`));
-        research.addChild(hardware);
-
-        // Radio subdirectory
-        const radio = new VirtualDirectory('radio');
-        radio.addChild(new VirtualFile('usdx-radio.txt',
-`uSDX: Open Source HF Radio
-================================================================================
-
-Credit card-sized fully operational HF radio capable of SSB and CW with
-Class E amplifier design.
-
-Specifications:
-  - Multi-band HF coverage
-  - SSB and CW modes
-  - Class E amplifier
-  - QRP output (5W)
-  - Built-in ATU
-`));
-        radio.addChild(new VirtualFile('rtl-sdr.txt',
-`RTL-SDR Projects
-================================================================================
-
-Software Defined Radio experiments with RTL-SDR dongles.
-
-Projects:
-  - ADS-B aircraft tracking
-  - Weather satellite imagery (NOAA)
-  - SSTV from ISS
-  - Trunked radio decoding
-  - Pager monitoring
-`));
-        radio.addChild(new VirtualFile('repeater-network.txt',
-`VHF/UHF Repeater Network
-================================================================================
-
-Running linked VHF/UHF repeaters with commercial hardware.
-
-Equipment:
-  - Commercial repeaters
-  - Duplexer cavities
-  - Antenna systems
-  - Linking equipment
-`));
-        research.addChild(radio);
-
-        // Chemistry subdirectory
-        const chemistry = new VirtualDirectory('chemistry');
-        chemistry.addChild(new VirtualFile('electrochemistry.txt',
-`Electrochemistry Projects
-================================================================================
-
-Various electrochemical synthesis and experiments.
-
-Projects:
-  - Copper sulfate synthesis (CuSO4 5H2O)
-  - Ferric chloride for PCB etching
-  - Sodium hydroxide electrolysis
-  - Electroplating experiments
-`));
-        chemistry.addChild(new VirtualFile('pcb-etching.txt',
-`Chemical PCB Etching
-================================================================================
-
-Home PCB fabrication using various etchants.
-
-Etchants Used:
-  - Ferric chloride (FeCl3)
-  - Cupric chloride (CuCl2)
-  - Sodium persulfate
-
-Process: Photoresist -> UV exposure -> Develop -> Etch -> Drill
-`));
-        research.addChild(chemistry);
-
-        user.addChild(research);
-
-        // ====================================================================
-        // /home/user/intel/ - CTF writeups and technical notes
-        // ====================================================================
-        const intel = new VirtualDirectory('intel');
-
-        // CTF Writeups
-        const ctfWriteups = new VirtualDirectory('ctf-writeups');
-        ctfWriteups.addChild(new VirtualFile('daily-bugle.txt',
-`THM - Daily Bugle
-================================================================================
-Platform: TryHackMe
-Published: Medium (System Weakness)
-
-Attack Chain:
-  1. Joomla enumeration
-  2. CVE-2017-8917 (SQLi)
-  3. Hash extraction
-  4. Hashcat password cracking
-  5. Webshell upload
-  6. yum privilege escalation
-
-Key Techniques:
-  - Joomblah for SQLi exploitation
-  - JohnTheRipper/Hashcat for cracking
-  - GTFOBins for yum privesc
-`));
-        ctfWriteups.addChild(new VirtualFile('rick-ctf.txt',
-`THM - Rick CTF (Rick and Morty themed)
-================================================================================
-Platform: TryHackMe
-
-Attack Chain:
-  1. Web enumeration
-  2. robots.txt discovery
-  3. Command injection
-  4. Sudo privilege escalation
-
-Flags: 3 ingredients to find
-`));
-        ctfWriteups.addChild(new VirtualFile('rootme.txt',
-`THM - RootMe
-================================================================================
-Platform: TryHackMe
-
-Attack Chain:
-  1. Directory bruteforcing
-  2. File upload bypass
-  3. Reverse shell
-  4. SUID binary exploitation
-`));
-        intel.addChild(ctfWriteups);
-
-        // Technical Notes
-        const technicalNotes = new VirtualDirectory('technical-notes');
-        technicalNotes.addChild(new VirtualFile('windows-privesc.txt',
-`Windows Privilege Escalation Notes
-================================================================================
-
-Common Techniques:
-  - SeImpersonatePrivilege (Potato attacks)
-  - Unquoted Service Paths
-  - AlwaysInstallElevated
-  - DLL Hijacking
-  - GPO Abuse
-  - Weak service permissions
-  - Token impersonation
-
-Tools: winPEAS, PowerUp, Seatbelt, SharpUp
-`));
-        technicalNotes.addChild(new VirtualFile('linux-privesc.txt',
-`Linux Privilege Escalation Notes
-================================================================================
-
-Common Techniques:
-  - SUID/SGID binaries
-  - Sudo misconfigurations
-  - Kernel exploits
-  - Capabilities abuse
-  - Cron job exploitation
-  - PATH hijacking
-  - NFS no_root_squash
-
-Tools: LinPEAS, Linux Exploit Suggester, pspy
-`));
-        technicalNotes.addChild(new VirtualFile('active-directory.txt',
-`Active Directory Notes
-================================================================================
-
-Enumeration:
-  - BloodHound/SharpHound
-  - PowerView
-  - ldapsearch
-  - enum4linux-ng
-
-Attacks:
-  - Kerberoasting
-  - AS-REP Roasting
-  - Pass-the-Hash
-  - Golden/Silver Tickets
-  - DCSync
-  - NTLM Relay
-
-Tools: Impacket, Rubeus, Mimikatz, CrackMapExec
-`));
-        technicalNotes.addChild(new VirtualFile('web-attacks.txt',
-`Web Application Attack Notes
-================================================================================
-
-OWASP Top 10:
-  - SQL Injection
-  - XSS (Reflected, Stored, DOM)
-  - SSTI (Server-Side Template Injection)
-  - LFI/RFI (File Inclusion)
-  - SSRF (Server-Side Request Forgery)
-  - XXE (XML External Entity)
-  - Insecure Deserialization
-
-Tools: Burp Suite, SQLMap, ffuf, Nuclei
-`));
-        intel.addChild(technicalNotes);
-
-        user.addChild(intel);
-
-        // ====================================================================
-        // /home/user/about/
-        // ====================================================================
-        const about = new VirtualDirectory('about');
-        about.addChild(new VirtualFile('profile.txt',
-`=== Professional Profile ===
-
-Name: Jeremy Laratro
-Role: Cybersecurity Professional
-Focus: Offensive Security, Purple Teaming, Security Research
-
-Areas of Expertise:
-  - Penetration Testing & Vulnerability Assessment
-  - Red Team Operations & Attack Simulation
-  - Security Tool Development
-  - Cloud Security (AWS, Azure, GCP)
-  - Active Directory Security
-
-Background:
-  Systems administration, network security, application security,
-  and full-stack development. Strong focus on Python automation,
-  infrastructure security, and cloud security.
-`));
-        about.addChild(new VirtualFile('certifications.txt',
-`=== Certifications ===
-
-[*] OSEP - Offensive Security Experienced Penetration Tester
-    - Advanced red team operations
-    - Active Directory attack techniques
-    - Evasion and bypass methodologies
-
-[*] HackTheBox Pro Labs
-    - Zephyr (Completed)
-    - Dante (Completed)
-
-[*] Active Platforms
-    - HackTheBox
-    - TryHackMe
-    - PicoCTF
-    - LeetCode
-`));
-        about.addChild(new VirtualFile('contact.txt',
-`=== Contact ===
-
-Email: contact@jlaratro.us
-
-Profiles:
-  - GitHub: github.com/jeremylaratro
-  - LinkedIn: linkedin.com/in/jeremylaratro
-  - HackTheBox: app.hackthebox.com/profile/1106620
-  - TryHackMe: tryhackme.com/p/jeremylaratro
-`));
-        user.addChild(about);
-
-        home.addChild(user);
-        root.addChild(home);
-
-        // ====================================================================
-        // /etc
-        // ====================================================================
-        const etc = new VirtualDirectory('etc');
-        etc.addChild(new VirtualFile('passwd',
-`root:x:0:0:root:/root:/bin/bash
-daemon:x:1:1:daemon:/usr/sbin:/usr/sbin/nologin
-user:x:1000:1000:Portfolio User:/home/user:/bin/bash
-`));
-        etc.addChild(new VirtualFile('hosts',
-`127.0.0.1   localhost
-127.0.1.1   cyber-portfolio
-::1         localhost ip6-localhost ip6-loopback
-`));
-        etc.addChild(new VirtualFile('motd',
-`
-======================================================================
-
-              Welcome to the Portfolio Terminal
-                      Jeremy Laratro
-                  Cybersecurity Professional
-
-  Type 'help' for available commands
-  Type 'cat ~/readme.txt' to get started
-
-======================================================================
-`));
-        root.addChild(etc);
-
-        // /tmp
-        const tmp = new VirtualDirectory('tmp');
-        root.addChild(tmp);
+        // Times are set last, since adding a child updates its directory's
+        nodes.forEach(({ node, entry }) => {
+            if (entry.mtime) {
+                node.createdAt = entry.mtime;
+                node.modifiedAt = entry.mtime;
+            }
+        });
 
         return root;
     }
@@ -25,7 +25,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
     try {
       // Initialize the terminal
-      window.portfolioTerminal = initTerminal('.terminal-body');
+      window.portfolioTerminal = initTerminal('.terminal-body', { sitePages: true });
       console.log('Portfolio Terminal v1.5.0 initialized successfully');
       console.log('Terminal instance:', window.portfolioTerminal);
     } catch (error) {
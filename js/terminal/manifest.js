@@ -0,0 +1,226 @@
+/**
+ * Filesystem Manifest
+ * Checks the declarative description of the shipped filesystem that
+ * VirtualFilesystem builds its tree from. A manifest is an object with an
+ * entries array; content.js holds the default one, and the same shape can
+ * be loaded as JSON:
+ *
+ *   { path: '/home/user', type: 'directory', uid: 1000, gid: 1000 }
+ *   { path: '/home/user/notes.txt', content: 'Hello\n', mode: 0o600 }
+ *   { path: '/home/user/sample.bin', content: 'f0VMRg==', encoding: 'base64' }
+ *   { path: '/home/user/latest', target: 'notes.txt' }
+ *
+ * Entries are files unless they have a type or a link target. Missing
+ * parent directories are created, and an entry without uid or gid gets its
+ * directory's owner and group. Modes may be numbers or, for JSON, octal
+ * strings such as "0755".
+ */
+
+const ENTRY_TYPES = ['file', 'directory', 'symlink'];
+
+// Fields an entry may have, and the entry types each applies to
+const ENTRY_FIELDS = {
+    path: ENTRY_TYPES,
+    type: ENTRY_TYPES,
+    mode: ENTRY_TYPES,
+    uid: ENTRY_TYPES,
+    gid: ENTRY_TYPES,
+    mtime: ENTRY_TYPES,
+    content: ['file'],
+    encoding: ['file'],
+    mimeType: ['file'],
+    target: ['symlink']
+};
+
+const ENCODINGS = ['utf-8', 'base64'];
+
+const OCTAL_MODE_PATTERN = /^(0o?)?[0-7]{1,4}$/;
+
+/**
+ * Check a manifest and normalize its entries
+ * @param {Object} manifest - Object with an entries array
+ * @returns {Array<Object>} Entries with path, type, mode, uid, gid and mtime
+ *          (null where not given), content as a string or Uint8Array for
+ *          files, their mimeType, and target for links; parents come first
+ * @throws {Error} Listing every problem found, by entry
+ */
+export function validateManifest(manifest) {
+    if (!manifest || typeof manifest !== 'object' || !Array.isArray(manifest.entries)) {
+        throw new Error('Invalid filesystem manifest: expected an object with an entries array');
+    }
+
+    const errors = [];
+    const entries = [];
+    const types = new Map();
+
+    manifest.entries.forEach((raw, index) => {
+        const where = raw && typeof raw.path === 'string' ? `entries[${index}] (${raw.path})` : `entries[${index}]`;
+        const problems = [];
+        const entry = checkEntry(raw, problems);
+
+        if (entry && types.has(entry.path)) {
+            problems.push('duplicate path');
+        }
+        if (problems.length > 0) {
+            errors.push(...problems.map(problem => `${where}: ${problem}`));
+            return;
+        }
+
+        types.set(entry.path, entry.type);
+        entries.push({ entry, where });
+    });
+
+    // Only directories may have entries below them
+    entries.forEach(({ entry, where }) => {
+        const parts = entry.path.split('/');
+        for (let i = 2; i < parts.length; i++) {
+            const parent = parts.slice(0, i).join('/');
+            if (types.has(parent) && types.get(parent) !== 'directory') {
+                errors.push(`${where}: ${parent} is not a directory`);
+                break;
+            }
+        }
+    });
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid filesystem manifest:\n  ${errors.join('\n  ')}`);
+    }
+
+    // Parents before children, keeping the manifest order otherwise
+    return entries
+        .map(({ entry }) => entry)
+        .sort((a, b) => a.path.split('/').length - b.path.split('/').length);
+}
+
+/**
+ * Fetch a JSON manifest and check it
+ * @param {string} url - Manifest URL
+ * @returns {Promise<Object>} The manifest
+ */
+export async function loadManifest(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`${url}: ${response.status} ${response.statusText}`);
+    }
+
+    const manifest = await response.json();
+    validateManifest(manifest);
+    return manifest;
+}
+
+// Normalize one entry, adding a message to problems for each thing wrong
+// with it; returns null if it is not an entry at all
+function checkEntry(raw, problems) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        problems.push('expected an object');
+        return null;
+    }
+
+    const type = raw.type ?? (raw.target !== undefined ? 'symlink' : 'file');
+    if (!ENTRY_TYPES.includes(type)) {
+        problems.push(`unknown type '${raw.type}'`);
+        return null;
+    }
+
+    Object.keys(raw).forEach(field => {
+        if (!ENTRY_FIELDS[field]) {
+            problems.push(`unknown field '${field}'`);
+        } else if (!ENTRY_FIELDS[field].includes(type)) {
+            problems.push(`'${field}' does not apply to a ${type}`);
+        }
+    });
+
+    const entry = {
+        path: checkPath(raw.path, problems),
+        type,
+        mode: checkMode(raw.mode, problems),
+        uid: checkId(raw.uid, 'uid', problems),
+        gid: checkId(raw.gid, 'gid', problems),
+        mtime: checkTime(raw.mtime, problems)
+    };
+
+    if (type === 'file') {
+        entry.content = checkContent(raw.content ?? '', raw.encoding ?? 'utf-8', problems);
+        if (raw.mimeType !== undefined && typeof raw.mimeType !== 'string') {
+            problems.push('mimeType must be a string');
+        }
+        entry.mimeType = raw.mimeType ?? (typeof entry.content === 'string' ? 'text/plain' : 'application/octet-stream');
+    } else if (type === 'symlink') {
+        if (typeof raw.target !== 'string' || raw.target === '') {
+            problems.push('a symlink needs a target');
+        }
+        entry.target = raw.target;
+    }
+
+    return entry;
+}
+
+function checkPath(path, problems) {
+    if (typeof path !== 'string') {
+        problems.push('missing path');
+        return path;
+    }
+    const parts = path.split('/').slice(1);
+    if (!path.startsWith('/') || parts.some(part => part === '' || part === '.' || part === '..')) {
+        problems.push('path must be absolute, without empty, . or .. components');
+    }
+    return path;
+}
+
+function checkMode(mode, problems) {
+    if (mode === undefined) {
+        return null;
+    }
+    if (typeof mode === 'string' && OCTAL_MODE_PATTERN.test(mode)) {
+        return parseInt(mode.replace(/^0o/, ''), 8);
+    }
+    if (!Number.isInteger(mode) || mode < 0 || mode > 0o7777) {
+        problems.push(`invalid mode '${mode}'`);
+        return null;
+    }
+    return mode;
+}
+
+function checkId(id, field, problems) {
+    if (id === undefined) {
+        return null;
+    }
+    if (!Number.isInteger(id) || id < 0) {
+        problems.push(`${field} must be a non-negative integer`);
+        return null;
+    }
+    return id;
+}
+
+function checkTime(mtime, problems) {
+    if (mtime === undefined) {
+        return null;
+    }
+    const time = new Date(mtime);
+    if ((typeof mtime !== 'string' && !(mtime instanceof Date)) || Number.isNaN(time.getTime())) {
+        problems.push(`invalid mtime '${mtime}'`);
+        return null;
+    }
+    return time.toISOString();
+}
+
+function checkContent(content, encoding, problems) {
+    if (typeof content !== 'string') {
+        problems.push('content must be a string');
+        return '';
+    }
+    if (!ENCODINGS.includes(encoding)) {
+        problems.push(`unknown encoding '${encoding}'`);
+        return '';
+    }
+    if (encoding === 'utf-8') {
+        return content;
+    }
+
+    try {
+        return Uint8Array.from(atob(content), char => char.charCodeAt(0));
+    } catch (error) {
+        problems.push('content is not valid base64');
+        return '';
+    }
+}
@@ -0,0 +1,346 @@
+/**
+ * Site Pages
+ * Publishes the site's blog posts and project pages in the virtual
+ * filesystem as text files, so the terminal reads and searches the pages
+ * themselves rather than copies of them. Pages are found through the cards
+ * on the listing pages that link to them, or in an index built with the
+ * site, and are turned into manifest entries for VirtualFilesystem.
+ */
+
+// Directories, under the home directory, that pages are published in, and
+// the listing page whose cards link to them. A link such as blog/xss.html
+// on the blog listing becomes ~/blog/xss.txt.
+export const SITE_SECTIONS = [
+    { directory: 'blog', listing: 'pages/blog.html' },
+    { directory: 'projects', listing: 'pages/cyber-projects.html' },
+    { directory: 'projects', listing: 'pages/projects.html' }
+];
+
+// Links on a listing page that lead to the pages it lists
+const CARD_LINK_SELECTOR = 'a.clickable-card[href]';
+
+// Elements whose text is not part of a page's content
+const SKIPPED_ELEMENTS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'SVG', 'NAV', 'BUTTON']);
+const SKIPPED_CLASSES = ['back-link'];
+
+// Elements that start a new line of text
+const BLOCK_ELEMENTS = new Set([
+    'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'DD', 'DIV', 'DL', 'DT', 'FIGCAPTION',
+    'FIGURE', 'FOOTER', 'FORM', 'HEADER', 'MAIN', 'OL', 'SECTION', 'TABLE', 'TR', 'UL'
+]);
+
+// Elements set off from their neighbours by a blank line
+const PARAGRAPH_ELEMENTS = new Set(['P', 'HR']);
+const HEADING_ELEMENTS = new Set(['H1', 'H2', 'H3', 'H4', 'H5', 'H6']);
+
+// Page text is wrapped to the width of the hand-written files
+const LINE_WIDTH = 80;
+
+const TEXT_NODE = 3;
+const ELEMENT_NODE = 1;
+
+// ============================================================================
+// Loading
+// ============================================================================
+
+/**
+ * Fetch the site's pages and describe them as manifest entries
+ * @param {Object} options - Loader options
+ * @param {string} options.home - Directory the sections are published in
+ * @param {string} options.baseUrl - URL the listings are relative to,
+ *        normally the page the terminal is on
+ * @param {string|null} options.index - URL of a JSON index to read instead
+ *        of the listings: {"sections": [{"directory": "blog", "pages":
+ *        ["blog/xss.html"]}]}, with pages relative to the index
+ * @param {Function} options.onError - Called with the error for each
+ *        listing or page that cannot be fetched (default: console.warn);
+ *        pages the server does not have (404) are not errors, since
+ *        listings may link to pages that are not published yet
+ * @returns {Promise<Array<Object>>} File entries, one per page; pages that
+ *          cannot be fetched are left out
+ * @throws {Error} If the index cannot be read
+ */
+export async function loadSitePages(options) {
+    const { home, baseUrl, index = null, onError = error => console.warn('Failed to load site page:', error) } = options;
+    const sections = index ? await readIndex(new URL(index, baseUrl).href) : await readListings(baseUrl, onError);
+
+    const pages = new Map();
+    for (const { directory, links } of sections) {
+        for (const { href, url } of links) {
+            const path = `${home}/${directory}/${pageFileName(href, directory)}`;
+            if (!pages.has(path)) {
+                pages.set(path, url);
+            }
+        }
+    }
+
+    const entries = await Promise.all(Array.from(pages, async ([path, url]) => {
+        try {
+            const response = await fetchPage(url);
+            const entry = { path, content: formatPage(extractPage(await response.text(), url), url) };
+            const modified = new Date(response.headers.get('Last-Modified'));
+            if (!Number.isNaN(modified.getTime())) {
+                entry.mtime = modified.toISOString();
+            }
+            return entry;
+        } catch (error) {
+            if (error.status !== 404) {
+                onError(error);
+            }
+            return null;
+        }
+    }));
+    return entries.filter(Boolean);
+}
+
+async function fetchPage(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        const error = new Error(`${url}: ${response.status} ${response.statusText}`);
+        error.status = response.status;
+        throw error;
+    }
+    return response;
+}
+
+// Sections of the index, with their pages resolved against it
+async function readIndex(url) {
+    const index = await (await fetchPage(url)).json();
+    if (!index || !Array.isArray(index.sections)) {
+        throw new Error(`${url}: expected an object with a sections array`);
+    }
+
+    return index.sections.map(section => ({
+        directory: section.directory,
+        links: (section.pages || []).filter(isPageLink).map(href => ({ href, url: new URL(href, url).href }))
+    }));
+}
+
+// Sections of SITE_SECTIONS, with the pages their listings' cards link to;
+// a listing that cannot be fetched adds no pages
+async function readListings(baseUrl, onError) {
+    return Promise.all(SITE_SECTIONS.map(async ({ directory, listing }) => {
+        const url = new URL(listing, baseUrl).href;
+        try {
+            const html = await (await fetchPage(url)).text();
+            const document = new DOMParser().parseFromString(html, 'text/html');
+            const hrefs = Array.from(document.querySelectorAll(CARD_LINK_SELECTOR), link => link.getAttribute('href'));
+            return {
+                directory,
+                links: hrefs.filter(isPageLink).map(href => ({ href, url: new URL(href, url).href }))
+            };
+        } catch (error) {
+            onError(error);
+            return { directory, links: [] };
+        }
+    }));
+}
+
+// Only pages of this site, below the listing, are published
+function isPageLink(href) {
+    return typeof href === 'string'
+        && /^[\w./-]+\.html$/.test(href)
+        && !href.split('/').includes('..');
+}
+
+// blog/xss.html in the blog section is xss.txt; other directories are kept
+function pageFileName(href, directory) {
+    return href
+        .replace(/^(\.\/)+/, '')
+        .replace(new RegExp(`^${directory}/`), '')
+        .replace(/\.html$/, '.txt');
+}
+
+// ============================================================================
+// Text Extraction
+// ============================================================================
+
+/**
+ * Extract the title, text and links of an HTML page
+ * @param {string} html - The page's HTML
+ * @param {string} url - The page's URL, for resolving its links
+ * @returns {{title: string, subtitle: string, text: string, links: string[]}}
+ *          The text marks each link with its number in links, as [1]
+ */
+export function extractPage(html, url) {
+    const document = new DOMParser().parseFromString(html, 'text/html');
+    const heading = document.querySelector('h1');
+    const subtitle = document.querySelector('.page-subtitle');
+    const title = heading
+        ? collapse(heading.textContent)
+        : collapse(document.title).split(' | ')[0];
+
+    const renderer = new TextRenderer(url, heading);
+    const content = document.querySelector('main') || document.body;
+    if (content) {
+        renderer.render(content);
+    }
+
+    return {
+        title,
+        subtitle: subtitle ? collapse(subtitle.textContent).replace(/^\/\/\s*/, '') : '',
+        text: renderer.finish(),
+        links: renderer.links
+    };
+}
+
+// Lay out a page as the hand-written files in ~/cyberops are
+function formatPage(page, url) {
+    const lines = [page.title, '='.repeat(LINE_WIDTH)];
+    if (page.subtitle) {
+        lines.push(page.subtitle);
+    }
+    lines.push(`Source: ${url}`, '', page.text);
+
+    if (page.links.length > 0) {
+        lines.push('', 'Links:');
+        page.links.forEach((link, index) => lines.push(`  [${index + 1}] ${link}`));
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+function collapse(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+// Break text into lines of at most LINE_WIDTH, starting the first with
+// prefix and the rest with as many spaces
+function wrap(text, prefix = '') {
+    const indent = ' '.repeat(prefix.length);
+    const lines = [];
+    let line = '';
+
+    for (const word of text.split(' ')) {
+        if (line && prefix.length + line.length + 1 + word.length > LINE_WIDTH) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = line ? `${line} ${word}` : word;
+        }
+    }
+    lines.push(line);
+    return lines.map((line, index) => `${index === 0 ? prefix : indent}${line}`);
+}
+
+/**
+ * Walks a page's elements, building wrapped lines of text: headings and
+ * paragraphs are set off by blank lines, list items become bullets, and
+ * preformatted text is kept as it is, indented
+ */
+class TextRenderer {
+    /**
+     * @param {string} url - URL of the page, for resolving links
+     * @param {Element|null} title - Heading already used as the title
+     */
+    constructor(url, title) {
+        this.url = url;
+        this.title = title;
+        this.lines = [];
+        this.links = [];
+        this.inline = '';
+        this.bullet = null;
+        this.depth = 0;
+    }
+
+    render(node) {
+        if (node.nodeType === TEXT_NODE) {
+            this.inline += node.nodeValue;
+            return;
+        }
+        if (node.nodeType !== ELEMENT_NODE || node === this.title || this._isSkipped(node)) {
+            return;
+        }
+
+        const tag = node.tagName.toUpperCase();
+        if (tag === 'PRE') {
+            this._blank();
+            this.lines.push(...node.textContent.replace(/\n+$/, '').split('\n').map(line => `    ${line}`.trimEnd()));
+            this._blank();
+        } else if (HEADING_ELEMENTS.has(tag)) {
+            this._blank();
+            const text = collapse(node.textContent);
+            this.lines.push(text);
+            if (tag === 'H2') {
+                this.lines.push('-'.repeat(Math.min(text.length, LINE_WIDTH)));
+            }
+            this._blank();
+        } else if (tag === 'LI') {
+            this._flush();
+            this.bullet = '- ';
+            this.depth++;
+            this._renderChildren(node);
+            this._flush();
+            this.depth--;
+        } else if (tag === 'BR') {
+            this._flush();
+        } else if (tag === 'A') {
+            this._renderChildren(node);
+            this._addLink(node.getAttribute('href'));
+        } else if (PARAGRAPH_ELEMENTS.has(tag)) {
+            this._blank();
+            this._renderChildren(node);
+            this._blank();
+        } else if (BLOCK_ELEMENTS.has(tag)) {
+            this._flush();
+            this._renderChildren(node);
+            this._flush();
+        } else {
+            this._renderChildren(node);
+        }
+    }
+
+    // The text, without leading, trailing or repeated blank lines
+    finish() {
+        this._flush();
+        return this.lines
+            .filter((line, index, lines) => line !== '' || (index > 0 && lines[index - 1] !== ''))
+            .join('\n')
+            .trim();
+    }
+
+    _renderChildren(node) {
+        node.childNodes.forEach(child => this.render(child));
+    }
+
+    _isSkipped(element) {
+        return SKIPPED_ELEMENTS.has(element.tagName.toUpperCase())
+            || SKIPPED_CLASSES.some(name => element.classList.contains(name));
+    }
+
+    // Number a link after its text; anchors within the page are not links
+    _addLink(href) {
+        if (!href || href.startsWith('#') || href.startsWith('javascript:')) {
+            return;
+        }
+
+        let url;
+        try {
+            url = new URL(href, this.url).href;
+        } catch (error) {
+            return;
+        }
+        if (!this.links.includes(url)) {
+            this.links.push(url);
+        }
+        this.inline += ` [${this.links.indexOf(url) + 1}]`;
+    }
+
+    // End the current line of text, wrapping it
+    _flush() {
+        const text = collapse(this.inline);
+        this.inline = '';
+        if (!text) {
+            return;
+        }
+
+        const indent = '  '.repeat(Math.max(this.depth - 1, 0));
+        const prefix = this.bullet ? `${indent}${this.bullet}` : indent;
+        this.bullet = null;
+        this.lines.push(...wrap(text, prefix));
+    }
+
+    _blank() {
+        this._flush();
+        this.lines.push('');
+    }
+}
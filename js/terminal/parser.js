@@ -1,16 +1,69 @@
 /**
  * Command Parser for Portfolio Terminal
- * Handles tokenization, quote parsing, pipes, and redirects
+ * Handles tokenization, quote parsing, expansions, and parsing scripts into syntax trees
  */
 
 /**
- * CommandResult class for standardized command output
+ * Decode bytes that are valid UTF-8 to a string; anything else stays bytes.
+ * Encoding the string again gives back exactly the same bytes.
+ * @param {Uint8Array} bytes - Raw bytes
+ * @returns {string|Uint8Array}
+ */
+export function bytesToText(bytes) {
+    try {
+        return new TextDecoder('utf-8', { fatal: true, ignoreBOM: true }).decode(bytes);
+    } catch (error) {
+        return bytes;
+    }
+}
+
+/**
+ * Encode piped or redirected data, a string of text or a Uint8Array of
+ * bytes that are not text, as bytes
+ * @param {string|Uint8Array} data - Text or bytes
+ * @returns {Uint8Array}
+ */
+export function toBytes(data) {
+    return typeof data === 'string' ? new TextEncoder().encode(data) : data;
+}
+
+/**
+ * Join byte arrays into one
+ * @param {Array<Uint8Array>} chunks - Byte arrays
+ * @returns {Uint8Array}
+ */
+export function concatBytes(chunks) {
+    const output = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+    let offset = 0;
+    for (const chunk of chunks) {
+        output.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return output;
+}
+
+/**
+ * Escape text for an output line that is rendered as HTML. The terminal
+ * renders any line containing span markup as HTML, so file names, link
+ * targets and other text placed in such a line must be escaped.
+ * @param {string} text - Plain text
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * CommandResult class for standardized command output. Output that is not
+ * text also keeps its raw bytes in data, so redirects and pipes pass them on
+ * unchanged while output stays a string for display.
  */
 export class CommandResult {
     constructor(output = '', success = true, exitCode = 0) {
         this.output = output;
         this.success = success;
         this.exitCode = exitCode;
+        this.data = null;
     }
 
     /**
@@ -31,31 +84,387 @@ export class CommandResult {
     static error(message, exitCode = 1) {
         return new CommandResult(message, false, exitCode);
     }
+
+    /**
+     * Create a successful result from raw bytes; valid UTF-8 becomes
+     * ordinary text output
+     * @param {Uint8Array} bytes - Command output
+     * @returns {CommandResult}
+     */
+    static bytes(bytes) {
+        const text = bytesToText(bytes);
+        if (typeof text === 'string') {
+            return CommandResult.success(text);
+        }
+
+        const result = CommandResult.success(new TextDecoder().decode(bytes));
+        result.data = bytes;
+        return result;
+    }
+}
+
+/**
+ * Read a parameter reference ($NAME, ${NAME}, ${NAME:-default}, a positional
+ * parameter such as $1 or ${10}, or one of $?, $#, $@ and $*) starting at
+ * the given '$'
+ * @param {string} line - Text containing the reference
+ * @param {number} start - Index of the '$'
+ * @returns {{name: string, defaultValue: string|null, end: number}|null}
+ *          The reference, with end pointing at its last character, or null
+ *          if the '$' does not start one
+ */
+function readParameter(line, start) {
+    const next = line[start + 1];
+
+    // Special parameters and single-digit positional parameters
+    if (next !== undefined && '?#@*0123456789'.includes(next)) {
+        return { name: next, defaultValue: null, end: start + 1 };
+    }
+
+    if (next === '{') {
+        const close = line.indexOf('}', start + 2);
+        if (close === -1) {
+            return null;
+        }
+
+        const body = line.substring(start + 2, close);
+        const match = body.match(/^([A-Za-z_][A-Za-z0-9_]*|\d+|[?#@*])(?::-(.*))?$/s);
+        if (!match) {
+            return null;
+        }
+
+        return {
+            name: match[1],
+            defaultValue: match[2] !== undefined ? match[2] : null,
+            end: close
+        };
+    }
+
+    const match = line.substring(start + 1).match(/^[A-Za-z_][A-Za-z0-9_]*/);
+    if (!match) {
+        return null;
+    }
+
+    return { name: match[0], defaultValue: null, end: start + match[0].length };
+}
+
+/**
+ * Resolve a parameter reference to its value
+ * @param {{name: string, defaultValue: string|null}} parameter - Parsed reference
+ * @param {{lookup: function(string): (string|undefined)}} expansion - Parameter lookup
+ * @returns {string} The value, or the expanded default when unset or empty
+ */
+function resolveParameter(parameter, expansion) {
+    const value = expansion.lookup(parameter.name);
+
+    if ((value === undefined || value === '') && parameter.defaultValue !== null) {
+        return expandParameters(parameter.defaultValue, expansion);
+    }
+
+    return value ?? '';
+}
+
+/**
+ * Expand parameter references in plain text, without quote handling
+ * @param {string} text - Text to expand
+ * @param {{lookup: function(string): (string|undefined)}} expansion - Parameter lookup
+ * @returns {string} Expanded text
+ */
+export function expandParameters(text, expansion) {
+    let result = '';
+
+    for (let i = 0; i < text.length; i++) {
+        const parameter = text[i] === '$' ? readParameter(text, i) : null;
+        if (parameter) {
+            result += resolveParameter(parameter, expansion);
+            i = parameter.end;
+        } else {
+            result += text[i];
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Find the end of a command substitution ($(...) or `...`) starting at the
+ * given index
+ * @param {string} line - Command line to scan
+ * @param {number} start - Index that may begin a substitution
+ * @returns {number} Index of the closing ) or `, or -1 if no complete
+ *          substitution starts here
+ */
+export function findSubstitutionEnd(line, start) {
+    if (line[start] === '`') {
+        for (let i = start + 1; i < line.length; i++) {
+            if (line[i] === '\\') {
+                i++;
+            } else if (line[i] === '`') {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    if (line[start] !== '$' || line[start + 1] !== '(') {
+        return -1;
+    }
+
+    let depth = 1;
+    let inSingleQuote = false;
+    let inDoubleQuote = false;
+
+    for (let i = start + 2; i < line.length; i++) {
+        const char = line[i];
+
+        if (char === '\\' && !inSingleQuote) {
+            i++;
+        } else if (char === "'" && !inDoubleQuote) {
+            inSingleQuote = !inSingleQuote;
+        } else if (char === '"' && !inSingleQuote) {
+            inDoubleQuote = !inDoubleQuote;
+        } else if (!inSingleQuote && !inDoubleQuote) {
+            if (char === '(') {
+                depth++;
+            } else if (char === ')' && --depth === 0) {
+                return i;
+            }
+        }
+    }
+
+    return -1;
+}
+
+/**
+ * Characters with special meaning in glob patterns and brace expressions
+ */
+const PATTERN_CHARS = '*?[]{},';
+
+/**
+ * Escape pattern characters so they match literally
+ * @param {string} text - Literal text
+ * @returns {string} Text safe to embed in a glob pattern
+ */
+function escapePattern(text) {
+    let escapedText = '';
+    for (const char of text) {
+        escapedText += PATTERN_CHARS.includes(char) || char === '\\' ? `\\${char}` : char;
+    }
+    return escapedText;
+}
+
+/**
+ * Remove the backslash escapes from a pattern
+ * @param {string} pattern - Pattern with escapes
+ * @returns {string} Literal text
+ */
+function unescapePattern(pattern) {
+    return pattern.replace(/\\(.)/g, '$1');
+}
+
+/**
+ * Check whether a pattern contains unescaped glob characters
+ * @param {string} pattern - Pattern with escapes
+ * @returns {boolean}
+ */
+export function hasGlobChars(pattern) {
+    for (let i = 0; i < pattern.length; i++) {
+        if (pattern[i] === '\\') {
+            i++;
+        } else if ('*?['.includes(pattern[i])) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Expand the first brace expression in a word ({a,b,c}, {1..5} or {a..e}),
+ * recursing into the results
+ * @param {string} word - Pattern with escapes
+ * @returns {string[]} Expanded words, or the word itself if it has no brace expression
+ */
+export function expandBraces(word) {
+    for (let open = 0; open < word.length; open++) {
+        if (word[open] === '\\') {
+            open++;
+            continue;
+        }
+        if (word[open] !== '{') {
+            continue;
+        }
+
+        // Find the matching close brace and the top-level commas
+        let depth = 0;
+        const commas = [];
+        let close = -1;
+        for (let i = open + 1; i < word.length && close === -1; i++) {
+            if (word[i] === '\\') {
+                i++;
+            } else if (word[i] === '{') {
+                depth++;
+            } else if (word[i] === '}') {
+                if (depth === 0) {
+                    close = i;
+                } else {
+                    depth--;
+                }
+            } else if (word[i] === ',' && depth === 0) {
+                commas.push(i);
+            }
+        }
+
+        if (close === -1) {
+            return [word];
+        }
+
+        const prefix = word.substring(0, open);
+        const suffix = word.substring(close + 1);
+        const body = word.substring(open + 1, close);
+        let alternatives = null;
+
+        if (commas.length > 0) {
+            alternatives = [];
+            let from = open + 1;
+            for (const comma of [...commas, close]) {
+                alternatives.push(word.substring(from, comma));
+                from = comma + 1;
+            }
+        } else {
+            alternatives = expandSequence(body);
+        }
+
+        // Not a brace expression; keep looking after it
+        if (!alternatives) {
+            continue;
+        }
+
+        return alternatives.flatMap(alternative => expandBraces(prefix + alternative + suffix));
+    }
+
+    return [word];
+}
+
+/**
+ * Expand a brace sequence body such as 1..5 or a..e
+ * @param {string} body - Text between the braces
+ * @returns {string[]|null} The sequence, or null if the body is not one
+ */
+function expandSequence(body) {
+    const numeric = body.match(/^(-?\d+)\.\.(-?\d+)$/);
+    const alpha = body.match(/^([A-Za-z])\.\.([A-Za-z])$/);
+    if (!numeric && !alpha) {
+        return null;
+    }
+
+    const start = numeric ? parseInt(numeric[1], 10) : alpha[1].charCodeAt(0);
+    const end = numeric ? parseInt(numeric[2], 10) : alpha[2].charCodeAt(0);
+    const step = start <= end ? 1 : -1;
+    const values = [];
+
+    for (let value = start; value !== end + step; value += step) {
+        values.push(numeric ? String(value) : String.fromCharCode(value));
+    }
+
+    return values;
 }
 
 /**
- * Parse command line into tokens, respecting quoted strings
- * @param {string} line - Command line to parse
- * @returns {string[]} Array of tokens
+ * Split a command line into words, respecting quotes and applying expansions
+ * @param {string} line - Command line or single word to expand
+ * @param {{lookup: function(string): (string|undefined), substitute: function(string): string, glob: function(string): string[], positional: function(): string[], patterns: boolean, evaluate: boolean}|null} expansion
+ *        Optional expansion context: lookup resolves $NAME, ${NAME}, ${NAME:-default}
+ *        and the special parameters, substitute runs the command inside $(...) or `...`
+ *        and returns its output, glob lists the paths matching a pattern, and positional
+ *        lists the arguments "$@" expands to. With a context, unquoted words also get
+ *        tilde, brace and arithmetic ($((...))) expansion. None of these apply inside
+ *        quotes, except parameters, substitutions and arithmetic inside double quotes.
+ *        With patterns set, words are returned as escaped glob patterns instead of
+ *        being brace-expanded and matched against the filesystem (used by case).
+ *        With evaluate set to false, $((...)) is not evaluated, but the
+ *        substitutions inside it are still passed to substitute (used to collect
+ *        them before they run).
+ * @returns {string[]} Array of words
  */
-export function parseCommandLine(line) {
+export function parseCommandLine(line, expansion = null) {
     const tokens = [];
     let current = '';
     let inSingleQuote = false;
     let inDoubleQuote = false;
     let escaped = false;
 
+    // Quotes keep a word even when it ends up empty ("" or "$UNSET");
+    // "$@" with no arguments drops its word again
+    let quotedToken = false;
+    let dropIfEmpty = false;
+
+    // The current token as a pattern: quoted text is escaped so only
+    // unquoted *, ?, [...] and {...} take effect
+    let pattern = '';
+    let hasPattern = false;
+
+    const appendLiteral = (text) => {
+        current += text;
+        pattern += escapePattern(text);
+    };
+
+    const pushToken = () => {
+        if (current.length === 0 && (!quotedToken || dropIfEmpty)) {
+            quotedToken = false;
+            dropIfEmpty = false;
+            return;
+        }
+
+        if (expansion && expansion.patterns) {
+            tokens.push(pattern);
+        } else if (hasPattern && expansion) {
+            for (const word of expandBraces(pattern)) {
+                const matches = hasGlobChars(word) && expansion.glob ? expansion.glob(word) : [];
+                // A pattern with no matches is passed through literally
+                tokens.push(...(matches.length > 0 ? matches : [unescapePattern(word)]));
+            }
+        } else {
+            tokens.push(current);
+        }
+
+        current = '';
+        pattern = '';
+        hasPattern = false;
+        quotedToken = false;
+        dropIfEmpty = false;
+    };
+
+    // Quoted expansions stay in the current token; unquoted ones are split into words
+    const appendExpansion = (value) => {
+        if (inDoubleQuote) {
+            appendLiteral(value);
+            return;
+        }
+
+        value.split(/[ \t\n]+/).forEach((field, index) => {
+            if (index > 0) {
+                pushToken();
+            }
+            appendLiteral(field);
+        });
+    };
+
     for (let i = 0; i < line.length; i++) {
         const char = line[i];
 
         // Handle escape sequences
         if (escaped) {
-            current += char;
+            // An escaped newline continues the line
+            if (char !== '\n') {
+                appendLiteral(char);
+            }
             escaped = false;
             continue;
         }
 
-        if (char === '\\') {
+        // Inside double quotes a backslash only escapes $, `, ", \ and newline
+        if (char === '\\' && !inSingleQuote &&
+            (!inDoubleQuote || '$`"\\\n'.includes(line[i + 1]))) {
             escaped = true;
             continue;
         }
@@ -63,252 +472,992 @@ export function parseCommandLine(line) {
         // Handle quotes
         if (char === "'" && !inDoubleQuote) {
             inSingleQuote = !inSingleQuote;
+            quotedToken = true;
             continue;
         }
 
         if (char === '"' && !inSingleQuote) {
             inDoubleQuote = !inDoubleQuote;
+            quotedToken = true;
             continue;
         }
 
-        // Handle spaces (split tokens if not in quotes)
-        if (char === ' ' && !inSingleQuote && !inDoubleQuote) {
-            if (current.length > 0) {
-                tokens.push(current);
-                current = '';
-            }
+        if (inSingleQuote) {
+            appendLiteral(char);
             continue;
         }
 
-        // Handle pipe and redirect operators as separate tokens
-        if (!inSingleQuote && !inDoubleQuote) {
-            if (char === '|') {
-                if (current.length > 0) {
-                    tokens.push(current);
-                    current = '';
-                }
-                tokens.push('|');
-                continue;
-            }
+        // Expand command substitutions and arithmetic, trimming trailing newlines
+        const substitutionEnd = findSubstitutionEnd(line, i);
+        if (substitutionEnd !== -1) {
+            const text = line.substring(i, substitutionEnd + 1);
+            i = substitutionEnd;
 
-            if (char === '>') {
-                if (current.length > 0) {
-                    tokens.push(current);
-                    current = '';
-                }
-                // Check for >>
-                if (i + 1 < line.length && line[i + 1] === '>') {
-                    tokens.push('>>');
-                    i++;
+            if (!expansion || !expansion.substitute) {
+                appendLiteral(text);
+            } else if (text.startsWith('$((') && text.endsWith('))')) {
+                if (expansion.evaluate === false) {
+                    expandSubstitutions(text.slice(3, -2), expansion);
                 } else {
-                    tokens.push('>');
+                    appendExpansion(String(evaluateArithmetic(text.slice(3, -2), expansion)));
                 }
-                continue;
+            } else {
+                const command = text.startsWith('$(')
+                    ? text.slice(2, -1)
+                    : text.slice(1, -1).replace(/\\([`\\$])/g, '$1');
+                appendExpansion(expansion.substitute(command).replace(/\n+$/, ''));
+            }
+            continue;
+        }
+
+        // Expand parameters; "$@" gives one word per positional parameter
+        const parameter = char === '$' && expansion ? readParameter(line, i) : null;
+        if (parameter) {
+            i = parameter.end;
+            if (parameter.name === '@' && inDoubleQuote && expansion.positional) {
+                const values = expansion.positional();
+                values.forEach((value, index) => {
+                    if (index > 0) {
+                        pushToken();
+                        quotedToken = true;
+                    }
+                    appendLiteral(value);
+                });
+                dropIfEmpty = values.length === 0 && current.length === 0;
+            } else {
+                appendExpansion(resolveParameter(parameter, expansion));
             }
+            continue;
+        }
+
+        // Handle whitespace (split tokens if not in quotes)
+        if ((char === ' ' || char === '\t' || char === '\n') && !inDoubleQuote) {
+            pushToken();
+            continue;
+        }
+
+        if (inDoubleQuote) {
+            appendLiteral(char);
+            continue;
+        }
+
+        // Expand a leading ~ to the home directory
+        if (char === '~' && expansion && current.length === 0 &&
+            (i + 1 === line.length || line[i + 1] === '/' || line[i + 1] === ' ')) {
+            appendLiteral(expansion.lookup('HOME') ?? '~');
+            continue;
         }
 
         // Add character to current token
         current += char;
+        pattern += char;
+        hasPattern = hasPattern || PATTERN_CHARS.includes(char);
     }
 
     // Add final token
-    if (current.length > 0) {
-        tokens.push(current);
-    }
+    pushToken();
 
     return tokens;
 }
 
 /**
- * Check if line contains an unquoted pipe character
- * @param {string} line - Command line to check
- * @returns {boolean} True if unquoted pipe found
+ * Binary operators in $((...)), loosest binding first
  */
-export function containsUnquotedPipe(line) {
-    let inSingleQuote = false;
-    let inDoubleQuote = false;
-    let escaped = false;
+const ARITHMETIC_PRECEDENCE = [
+    ['||'],
+    ['&&'],
+    ['==', '!='],
+    ['<=', '>=', '<', '>'],
+    ['+', '-'],
+    ['*', '/', '%']
+];
 
-    for (let i = 0; i < line.length; i++) {
-        const char = line[i];
+/**
+ * Replace the command substitutions in text with their output, trimmed of
+ * trailing newlines, as inside $((...))
+ * @param {string} text - Text to expand
+ * @param {{substitute: function(string): string}} expansion - Runs a substituted command
+ * @returns {string} Expanded text
+ */
+function expandSubstitutions(text, expansion) {
+    let result = '';
 
-        // Handle escape sequences
-        if (escaped) {
-            escaped = false;
+    for (let i = 0; i < text.length; i++) {
+        const end = findSubstitutionEnd(text, i);
+        if (end === -1 || text.startsWith('$((', i)) {
+            result += text[i];
             continue;
         }
 
-        if (char === '\\') {
-            escaped = true;
-            continue;
+        const command = text[i] === '`'
+            ? text.slice(i + 1, end).replace(/\\([`\\$])/g, '$1')
+            : text.slice(i + 2, end);
+        result += (expansion.substitute ? expansion.substitute(command) : '').replace(/\n+$/, '');
+        i = end;
+    }
+
+    return result;
+}
+
+/**
+ * Evaluate an integer arithmetic expression, as in $((i + 1))
+ * @param {string} expression - Expression text; variables may be written with
+ *        or without $, and command substitutions are run first
+ * @param {{lookup: function(string): (string|undefined), substitute: function(string): string}} expansion
+ *        Parameter lookup, and what runs substituted commands
+ * @returns {number} The integer result
+ * @throws {Error} If the expression is malformed or divides by zero
+ */
+export function evaluateArithmetic(expression, expansion) {
+    const tokens = expandParameters(expandSubstitutions(expression, expansion), expansion)
+        .match(/\d+|[A-Za-z_][A-Za-z0-9_]*|\|\||&&|[=!<>]=|[-+*/%()<>!]|\S/g) || [];
+    let position = 0;
+
+    const fail = () => {
+        const rest = tokens.slice(position).join(' ');
+        throw new Error(`${expression.trim()}: syntax error in expression (error token is "${rest}")`);
+    };
+
+    const parseOperand = () => {
+        const token = tokens[position++];
+
+        if (token === '(') {
+            const value = parseLevel(0);
+            if (tokens[position++] !== ')') {
+                fail();
+            }
+            return value;
+        }
+        if (token === '-') {
+            return -parseOperand();
+        }
+        if (token === '+') {
+            return parseOperand();
+        }
+        if (token === '!') {
+            return parseOperand() === 0 ? 1 : 0;
+        }
+        if (/^\d+$/.test(token || '')) {
+            return parseInt(token, 10);
+        }
+        if (/^[A-Za-z_]/.test(token || '')) {
+            // Unset or non-numeric variables count as 0, like bash
+            return parseInt(expansion.lookup(token), 10) || 0;
         }
 
-        // Track quote state
-        if (char === "'" && !inDoubleQuote) {
-            inSingleQuote = !inSingleQuote;
-            continue;
+        position--;
+        return fail();
+    };
+
+    const parseLevel = (level) => {
+        if (level === ARITHMETIC_PRECEDENCE.length) {
+            return parseOperand();
         }
 
-        if (char === '"' && !inSingleQuote) {
-            inDoubleQuote = !inDoubleQuote;
-            continue;
+        let value = parseLevel(level + 1);
+        while (ARITHMETIC_PRECEDENCE[level].includes(tokens[position])) {
+            const operator = tokens[position++];
+            const right = parseLevel(level + 1);
+
+            if ((operator === '/' || operator === '%') && right === 0) {
+                throw new Error(`${expression.trim()}: division by 0`);
+            }
+
+            switch (operator) {
+                case '||': value = value || right ? 1 : 0; break;
+                case '&&': value = value && right ? 1 : 0; break;
+                case '==': value = value === right ? 1 : 0; break;
+                case '!=': value = value !== right ? 1 : 0; break;
+                case '<=': value = value <= right ? 1 : 0; break;
+                case '>=': value = value >= right ? 1 : 0; break;
+                case '<': value = value < right ? 1 : 0; break;
+                case '>': value = value > right ? 1 : 0; break;
+                case '+': value += right; break;
+                case '-': value -= right; break;
+                case '*': value *= right; break;
+                case '/': value = Math.trunc(value / right); break;
+                case '%': value %= right; break;
+            }
         }
+        return value;
+    };
 
-        // Check for unquoted pipe
-        if (char === '|' && !inSingleQuote && !inDoubleQuote) {
-            return true;
+    if (tokens.length === 0) {
+        return 0;
+    }
+
+    const result = parseLevel(0);
+    if (position < tokens.length) {
+        fail();
+    }
+    return result;
+}
+
+/**
+ * Convert a glob pattern to a regular expression matching a whole string
+ * @param {string} pattern - Pattern with *, ?, [...] and backslash escapes
+ * @param {boolean} ignoreCase - Match case-insensitively
+ * @returns {RegExp}
+ */
+export function globToRegExp(pattern, ignoreCase = false) {
+    let source = '';
+
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+
+        if (char === '\\' && i + 1 < pattern.length) {
+            source += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        } else if (char === '*') {
+            source += '.*';
+        } else if (char === '?') {
+            source += '.';
+        } else if (char === '[' && pattern.indexOf(']', i + 2) !== -1) {
+            const close = pattern.indexOf(']', i + 2);
+            let body = pattern.substring(i + 1, close);
+            const negated = body.startsWith('!') || body.startsWith('^');
+            if (negated) {
+                body = body.substring(1);
+            }
+            source += `[${negated ? '^' : ''}${body.replace(/[\]\\^]/g, '\\$&')}]`;
+            i = close;
+        } else {
+            source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
         }
     }
 
-    return false;
+    return new RegExp(`^${source}$`, ignoreCase ? 'i' : '');
 }
 
+// POSIX character classes in bracket expressions, as JavaScript ranges
+const POSIX_CLASSES = {
+    alpha: 'a-zA-Z',
+    digit: '0-9',
+    alnum: 'a-zA-Z0-9',
+    upper: 'A-Z',
+    lower: 'a-z',
+    space: '\\s',
+    blank: ' \\t',
+    punct: '!-\\/:-@\\[-`{-~',
+    xdigit: '0-9A-Fa-f'
+};
+
+// Characters that are operators in extended regular expressions but must
+// be escaped to be operators in basic ones
+const BRE_ESCAPED_OPERATORS = '(){}+?|';
+
 /**
- * Check if line contains an unquoted redirect operator (> or >>)
- * @param {string} line - Command line to check
- * @returns {boolean} True if unquoted redirect found
+ * Convert a POSIX regular expression, as sed, grep and awk take them, to a
+ * JavaScript one. Basic expressions use \( \) \{ \} \+ \? \| as operators
+ * and take the bare characters literally; extended ones are the other way
+ * around. Bracket expressions may use classes such as [:digit:], and \< and
+ * \> match at word boundaries.
+ * @param {string} pattern - Regular expression
+ * @param {boolean} extended - Whether it is an extended expression
+ * @param {string} flags - JavaScript flags for the result
+ * @returns {RegExp}
+ * @throws {Error} If the expression is not valid
  */
-export function containsUnquotedRedirect(line) {
-    let inSingleQuote = false;
-    let inDoubleQuote = false;
-    let escaped = false;
+export function posixToRegExp(pattern, extended = false, flags = '') {
+    let source = '';
+    let atStart = true; // Where * is a literal in a basic expression
 
-    for (let i = 0; i < line.length; i++) {
-        const char = line[i];
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        let atom;
 
-        // Handle escape sequences
-        if (escaped) {
-            escaped = false;
-            continue;
+        if (char === '[') {
+            let j = i + 1;
+            let body = '';
+            if (pattern[j] === '^') {
+                body += '^';
+                j++;
+            }
+            if (pattern[j] === ']') {
+                body += '\\]';
+                j++;
+            }
+            while (j < pattern.length && pattern[j] !== ']') {
+                const posixClass = pattern.slice(j).match(/^\[:(\w+):\]/);
+                if (posixClass && POSIX_CLASSES[posixClass[1]]) {
+                    body += POSIX_CLASSES[posixClass[1]];
+                    j += posixClass[0].length;
+                } else if (pattern[j] === '\\' && j + 1 < pattern.length) {
+                    body += pattern.slice(j, j + 2);
+                    j += 2;
+                } else {
+                    body += pattern[j] === '[' ? '\\[' : pattern[j];
+                    j++;
+                }
+            }
+            if (j >= pattern.length) {
+                throw new Error('unmatched [');
+            }
+            atom = `[${body}]`;
+            i = j;
+        } else if (char === '\\' && i + 1 < pattern.length) {
+            const next = pattern[++i];
+            if (!extended && BRE_ESCAPED_OPERATORS.includes(next)) {
+                atom = next;
+            } else if (/[1-9ntwWsSbB]/.test(next)) {
+                atom = `\\${next}`;
+            } else if (next === '<' || next === '>') {
+                atom = '\\b';
+            } else {
+                atom = next.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+            }
+        } else if (!extended && BRE_ESCAPED_OPERATORS.includes(char)) {
+            atom = `\\${char}`;
+        } else if (!extended && char === '*' && atStart) {
+            atom = '\\*';
+        } else {
+            atom = char;
         }
 
-        if (char === '\\') {
-            escaped = true;
-            continue;
+        source += atom;
+        atStart = (char === '^' && i === 0) || (!extended && atom === '(');
+    }
+
+    return new RegExp(source, flags);
+}
+
+/**
+ * Parse options the way getopt does: short options may be combined (-nr),
+ * a value may be attached (-t:) or be the next argument, long options take
+ * --name=value or --name value, and -- ends the options
+ * @param {string[]} args - Command arguments
+ * @param {Object} spec - Accepted options
+ * @param {string} [spec.flags] - Short options without a value
+ * @param {string} [spec.values] - Short options that take a value
+ * @param {Object<string, string>} [spec.long] - Long option names and the short option each stands for
+ * @param {boolean} [spec.stopAtOperand] - Stop parsing options at the first operand
+ * @returns {{flags: Set<string>, values: Object<string, string[]>, operands: string[]}}
+ * @throws {Error} For an unknown option or a missing value, with getopt's
+ *         message for the command to prefix with its name
+ */
+export function parseOptions(args, { flags = '', values = '', long = {}, stopAtOperand = false } = {}) {
+    const result = { flags: new Set(), values: {}, operands: [] };
+    const addValue = (option, value) => {
+        (result.values[option] = result.values[option] || []).push(value);
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+
+        if (arg === '--') {
+            result.operands.push(...args.slice(i + 1));
+            break;
         }
 
-        // Track quote state
-        if (char === "'" && !inDoubleQuote) {
-            inSingleQuote = !inSingleQuote;
+        if (arg.startsWith('--')) {
+            const equals = arg.indexOf('=');
+            const name = equals === -1 ? arg.slice(2) : arg.slice(2, equals);
+            const option = long[name];
+
+            if (option === undefined) {
+                throw new Error(`unrecognized option '${arg}'`);
+            }
+
+            if (values.includes(option)) {
+                if (equals !== -1) {
+                    addValue(option, arg.slice(equals + 1));
+                } else if (i + 1 < args.length) {
+                    addValue(option, args[++i]);
+                } else {
+                    throw new Error(`option '--${name}' requires an argument`);
+                }
+            } else if (equals !== -1) {
+                throw new Error(`option '--${name}' doesn't allow an argument`);
+            } else {
+                result.flags.add(option);
+            }
             continue;
         }
 
-        if (char === '"' && !inSingleQuote) {
-            inDoubleQuote = !inDoubleQuote;
+        if (!arg.startsWith('-') || arg === '-') {
+            if (stopAtOperand) {
+                result.operands.push(...args.slice(i));
+                break;
+            }
+            result.operands.push(arg);
             continue;
         }
 
-        // Check for unquoted redirect
-        if (char === '>' && !inSingleQuote && !inDoubleQuote) {
-            return true;
+        for (let j = 1; j < arg.length; j++) {
+            const char = arg[j];
+
+            if (values.includes(char)) {
+                if (j + 1 < arg.length) {
+                    addValue(char, arg.slice(j + 1));
+                } else if (i + 1 < args.length) {
+                    addValue(char, args[++i]);
+                } else {
+                    throw new Error(`option requires an argument -- '${char}'`);
+                }
+                break;
+            }
+
+            if (!flags.includes(char)) {
+                throw new Error(`invalid option -- '${char}'`);
+            }
+            result.flags.add(char);
         }
     }
 
-    return false;
+    return result;
 }
 
+// ============================================================================
+// Script Parsing
+// ============================================================================
+
 /**
- * Split command line by unquoted pipe characters
- * @param {string} line - Command line to split
- * @returns {string[]} Array of command strings
+ * Operators recognised by the tokenizer, longest first
  */
-export function splitByPipe(line) {
-    const commands = [];
-    let current = '';
-    let inSingleQuote = false;
-    let inDoubleQuote = false;
-    let escaped = false;
+const OPERATORS = ['&>>', '&&', '||', ';;', '>>', '>&', '&>', '|', ';', '&', '>', '<', '(', ')'];
 
-    for (let i = 0; i < line.length; i++) {
-        const char = line[i];
+/**
+ * Redirect operators, which a file descriptor number may prefix (2>, 2>&1)
+ */
+const REDIRECT_OPERATORS = ['>>', '>&', '>', '<'];
 
-        // Handle escape sequences
-        if (escaped) {
-            current += char;
-            escaped = false;
+/**
+ * A redirect operator token: an optional descriptor number and the operator
+ */
+const REDIRECT_TOKEN = /^(\d*)(>>|>&|>|<)$|^&>>?$/;
+
+/**
+ * Characters that end an unquoted word
+ */
+const WORD_BREAKS = ' \t\r\n&|;<>()';
+
+/**
+ * Words that open or close compound commands when they appear where a command
+ * name is expected
+ */
+const RESERVED_WORDS = ['if', 'then', 'elif', 'else', 'fi', 'for', 'in', 'while', 'until',
+    'do', 'done', 'case', 'esac', 'function', '{', '}', '!'];
+
+/**
+ * Create a syntax error that records the line it was found on
+ * @param {string} message - Error message
+ * @param {number} line - 1-based line number
+ * @returns {Error}
+ */
+function syntaxError(message, line) {
+    const error = new Error(message);
+    error.line = line;
+    return error;
+}
+
+/**
+ * Find the closing double quote of a string starting at the given index
+ * @param {string} source - Text to scan
+ * @param {number} start - Index of the opening quote
+ * @returns {number} Index of the closing quote, or -1 if there is none
+ */
+function findQuoteEnd(source, start) {
+    for (let i = start + 1; i < source.length; i++) {
+        if (source[i] === '\\') {
+            i++;
+        } else if (source[i] === '"') {
+            return i;
+        } else {
+            const substitutionEnd = findSubstitutionEnd(source, i);
+            if (substitutionEnd !== -1) {
+                i = substitutionEnd;
+            }
+        }
+    }
+    return -1;
+}
+
+/**
+ * Split shell source into word and operator tokens. Words keep their quotes
+ * and expansions unprocessed; they are expanded with parseCommandLine when
+ * the command runs. Comments are dropped and newlines become operators.
+ * @param {string} source - Shell source, one command line or a whole script
+ * @returns {Array<{type: string, value: string, line: number}>} Tokens
+ * @throws {Error} If a quote or substitution is not closed
+ */
+export function tokenizeScript(source) {
+    const tokens = [];
+    let line = 1;
+    let i = 0;
+
+    while (i < source.length) {
+        const char = source[i];
+
+        // Line continuations and blanks separate nothing
+        if (char === '\\' && source[i + 1] === '\n') {
+            line++;
+            i += 2;
+            continue;
+        }
+        if (char === ' ' || char === '\t' || char === '\r') {
+            i++;
             continue;
         }
 
-        if (char === '\\') {
-            current += char;
-            escaped = true;
+        if (char === '#') {
+            while (i < source.length && source[i] !== '\n') {
+                i++;
+            }
             continue;
         }
 
-        // Track quote state
-        if (char === "'" && !inDoubleQuote) {
-            inSingleQuote = !inSingleQuote;
-            current += char;
+        if (char === '\n') {
+            tokens.push({ type: 'operator', value: '\n', line });
+            line++;
+            i++;
             continue;
         }
 
-        if (char === '"' && !inSingleQuote) {
-            inDoubleQuote = !inDoubleQuote;
-            current += char;
+        const operator = OPERATORS.find(op => source.startsWith(op, i));
+        if (operator) {
+            tokens.push({ type: 'operator', value: operator, line });
+            i += operator.length;
             continue;
         }
 
-        // Split on unquoted pipe
-        if (char === '|' && !inSingleQuote && !inDoubleQuote) {
-            commands.push(current.trim());
-            current = '';
+        // Digits directly before a redirect name the descriptor it applies to
+        const descriptor = /^\d+/.exec(source.slice(i));
+        const redirect = descriptor && REDIRECT_OPERATORS.find(op => source.startsWith(op, i + descriptor[0].length));
+        if (redirect) {
+            tokens.push({ type: 'operator', value: descriptor[0] + redirect, line });
+            i += descriptor[0].length + redirect.length;
             continue;
         }
 
-        current += char;
-    }
+        // A word runs to the next unquoted blank or operator character
+        const start = i;
+        while (i < source.length && !WORD_BREAKS.includes(source[i])) {
+            let end = i;
+
+            if (source[i] === '\\') {
+                end = i + 1;
+            } else if (source[i] === "'") {
+                end = source.indexOf("'", i + 1);
+                if (end === -1) {
+                    throw syntaxError("unexpected EOF while looking for matching `''", line);
+                }
+            } else if (source[i] === '"') {
+                end = findQuoteEnd(source, i);
+                if (end === -1) {
+                    throw syntaxError('unexpected EOF while looking for matching `"\'', line);
+                }
+            } else if (source.startsWith('${', i)) {
+                end = source.indexOf('}', i);
+                if (end === -1) {
+                    throw syntaxError("unexpected EOF while looking for matching `}'", line);
+                }
+            } else if (source.startsWith('$(', i) || source[i] === '`') {
+                end = findSubstitutionEnd(source, i);
+                if (end === -1) {
+                    const closing = source[i] === '`' ? '`' : ')';
+                    throw syntaxError(`unexpected EOF while looking for matching \`${closing}'`, line);
+                }
+            }
+
+            i = end + 1;
+        }
 
-    // Add final command
-    if (current.length > 0) {
-        commands.push(current.trim());
+        const value = source.substring(start, i);
+        tokens.push({ type: 'word', value, line });
+        line += value.split('\n').length - 1;
     }
 
-    return commands;
+    return tokens;
+}
+
+/**
+ * Check whether a string is a valid variable or function name
+ * @param {string} name - Candidate name
+ * @returns {boolean}
+ */
+function isName(name) {
+    return /^[A-Za-z_][A-Za-z0-9_]*$/.test(name);
 }
 
 /**
- * Parse redirect from command line
- * @param {string} line - Command line with redirect
- * @returns {{command: string, file: string, append: boolean}|null} Parsed redirect or null
+ * Recursive-descent parser turning tokens into a syntax tree.
+ *
+ * Node types:
+ *   list      { items: and_or[] }                   commands separated by ; & or newlines
+ *   and_or    { pipelines: pipeline[], operators }  pipelines joined by && and ||
+ *   pipeline  { commands: command[], negated }
+ *   simple    { words, redirects, line }            words are raw, unexpanded text
+ *   if        { clauses: [{condition, body}], elseBody }
+ *   for       { variable, words, body }             words is null for "$@"
+ *   while     { condition, body, until }
+ *   case      { word, items: [{patterns, body}] }
+ *   group     { body }                              { list; }
+ *   subshell  { body }                              ( list )
+ *   function  { name, body }
+ * Compound commands also carry redirects: [{operator, fd, target}], where
+ * operator is <, >, >>, >& (duplicate a descriptor), &> or &>> (both output
+ * streams), and fd is the descriptor redirected (null for &> and &>>).
  */
-export function parseRedirect(line) {
-    const tokens = parseCommandLine(line);
+class ScriptParser {
+    constructor(tokens) {
+        this.tokens = tokens;
+        this.position = 0;
+    }
 
-    // Find redirect operator
-    let redirectIndex = -1;
-    let append = false;
+    peek(offset = 0) {
+        return this.tokens[this.position + offset] || null;
+    }
 
-    for (let i = 0; i < tokens.length; i++) {
-        if (tokens[i] === '>>' || tokens[i] === '>') {
-            redirectIndex = i;
-            append = tokens[i] === '>>';
-            break;
+    next() {
+        return this.tokens[this.position++];
+    }
+
+    isOperator(value, offset = 0) {
+        const token = this.peek(offset);
+        return token !== null && token.type === 'operator' && token.value === value;
+    }
+
+    isReserved(word) {
+        const token = this.peek();
+        return token !== null && token.type === 'word' && token.value === word;
+    }
+
+    /**
+     * Throw a syntax error for the current token
+     * @throws {Error}
+     */
+    unexpected() {
+        const token = this.peek();
+        if (!token) {
+            const last = this.tokens[this.tokens.length - 1];
+            throw syntaxError('syntax error: unexpected end of file', last ? last.line : 1);
         }
+
+        const text = token.value === '\n' ? 'newline' : token.value;
+        throw syntaxError(`syntax error near unexpected token \`${text}'`, token.line);
     }
 
-    if (redirectIndex === -1) {
-        return null;
+    expectReserved(word) {
+        if (!this.isReserved(word)) {
+            this.unexpected();
+        }
+        this.next();
     }
 
-    // Extract command (everything before redirect)
-    const commandTokens = tokens.slice(0, redirectIndex);
-    if (commandTokens.length === 0) {
-        return null;
+    expectOperator(value) {
+        if (!this.isOperator(value)) {
+            this.unexpected();
+        }
+        this.next();
     }
 
-    // Extract target file (everything after redirect)
-    const fileTokens = tokens.slice(redirectIndex + 1);
-    if (fileTokens.length === 0) {
-        return null;
+    expectWord() {
+        const token = this.peek();
+        if (!token || token.type !== 'word') {
+            this.unexpected();
+        }
+        return this.next().value;
+    }
+
+    skipNewlines() {
+        while (this.isOperator('\n')) {
+            this.next();
+        }
     }
 
-    // Reconstruct command and file
-    const command = commandTokens.join(' ');
-    const file = fileTokens.join(' '); // Handle multiple tokens after redirect
+    /**
+     * Check whether the current token ends a list: one of the given reserved
+     * words, or an operator that cannot start a command
+     * @param {string[]} terminators - Reserved words that close the enclosing construct
+     * @returns {boolean}
+     */
+    atListEnd(terminators) {
+        const token = this.peek();
+        if (token.type === 'word') {
+            return terminators.includes(token.value);
+        }
+        return token.value === ')' || token.value === ';;';
+    }
 
-    return {
-        command: command.trim(),
-        file: file.trim(),
-        append
-    };
+    parseList(terminators = []) {
+        const items = [];
+        this.skipNewlines();
+
+        while (this.peek() && !this.atListEnd(terminators)) {
+            items.push(this.parseAndOr());
+
+            // Background jobs are not supported, so & separates commands like ;
+            if (this.isOperator(';') || this.isOperator('&') || this.isOperator('\n')) {
+                this.next();
+                this.skipNewlines();
+            } else {
+                break;
+            }
+        }
+
+        return { type: 'list', items };
+    }
+
+    /**
+     * Parse the body of a compound command, which may not be empty
+     * @param {string[]} terminators - Reserved words that close the body
+     * @returns {Object} List node
+     */
+    parseBody(terminators) {
+        const body = this.parseList(terminators);
+        if (body.items.length === 0) {
+            this.unexpected();
+        }
+        return body;
+    }
+
+    parseAndOr() {
+        const pipelines = [this.parsePipeline()];
+        const operators = [];
+
+        while (this.isOperator('&&') || this.isOperator('||')) {
+            operators.push(this.next().value);
+            this.skipNewlines();
+            pipelines.push(this.parsePipeline());
+        }
+
+        return { type: 'and_or', pipelines, operators };
+    }
+
+    parsePipeline() {
+        let negated = false;
+        if (this.isReserved('!')) {
+            this.next();
+            negated = true;
+        }
+
+        const commands = [this.parseCommand()];
+        while (this.isOperator('|')) {
+            this.next();
+            this.skipNewlines();
+            commands.push(this.parseCommand());
+        }
+
+        return { type: 'pipeline', commands, negated };
+    }
+
+    parseCommand() {
+        const token = this.peek();
+        if (!token) {
+            this.unexpected();
+        }
+
+        let node;
+        if (token.type === 'operator') {
+            if (token.value !== '(') {
+                this.unexpected();
+            }
+            this.next();
+            node = { type: 'subshell', body: this.parseBody([]) };
+            this.expectOperator(')');
+        } else if (token.value === 'if') {
+            node = this.parseIf();
+        } else if (token.value === 'for') {
+            node = this.parseFor();
+        } else if (token.value === 'while' || token.value === 'until') {
+            node = this.parseWhile();
+        } else if (token.value === 'case') {
+            node = this.parseCase();
+        } else if (token.value === '{') {
+            this.next();
+            node = { type: 'group', body: this.parseBody(['}']) };
+            this.expectReserved('}');
+        } else if (token.value === 'function' ||
+                   (isName(token.value) && this.isOperator('(', 1) && this.isOperator(')', 2))) {
+            return this.parseFunction();
+        } else if (RESERVED_WORDS.includes(token.value)) {
+            this.unexpected();
+        } else {
+            return this.parseSimple();
+        }
+
+        node.redirects = this.parseRedirects();
+        return node;
+    }
+
+    parseSimple() {
+        const node = { type: 'simple', words: [], redirects: [], line: this.peek().line };
+
+        for (let token = this.peek(); token; token = this.peek()) {
+            if (token.type === 'word') {
+                node.words.push(this.next().value);
+            } else if (this.isRedirect()) {
+                node.redirects.push(this.parseRedirect());
+            } else {
+                break;
+            }
+        }
+
+        return node;
+    }
+
+    isRedirect() {
+        const token = this.peek();
+        return token !== null && token.type === 'operator' && REDIRECT_TOKEN.test(token.value);
+    }
+
+    parseRedirect() {
+        const value = this.next().value;
+        const [, number, operator] = value.match(REDIRECT_TOKEN);
+        if (!operator) {
+            return { operator: value, fd: null, target: this.expectWord() };
+        }
+
+        const fd = number === '' ? (operator === '<' ? 0 : 1) : parseInt(number, 10);
+        return { operator, fd, target: this.expectWord() };
+    }
+
+    parseRedirects() {
+        const redirects = [];
+        while (this.isRedirect()) {
+            redirects.push(this.parseRedirect());
+        }
+        return redirects;
+    }
+
+    parseIf() {
+        const parseClause = () => {
+            const condition = this.parseBody(['then']);
+            this.expectReserved('then');
+            return { condition, body: this.parseBody(['elif', 'else', 'fi']) };
+        };
+
+        this.next();
+        const clauses = [parseClause()];
+        while (this.isReserved('elif')) {
+            this.next();
+            clauses.push(parseClause());
+        }
+
+        let elseBody = null;
+        if (this.isReserved('else')) {
+            this.next();
+            elseBody = this.parseBody(['fi']);
+        }
+
+        this.expectReserved('fi');
+        return { type: 'if', clauses, elseBody };
+    }
+
+    parseFor() {
+        const forToken = this.next();
+        const variable = this.expectWord();
+        if (!isName(variable)) {
+            throw syntaxError(`\`${variable}': not a valid identifier`, forToken.line);
+        }
+
+        // Without "in WORDS" the loop runs over the positional parameters
+        let words = null;
+        this.skipNewlines();
+        if (this.isReserved('in')) {
+            this.next();
+            words = [];
+            while (this.peek() && this.peek().type === 'word') {
+                words.push(this.next().value);
+            }
+            if (!this.isOperator(';') && !this.isOperator('\n')) {
+                this.unexpected();
+            }
+            this.next();
+        } else if (this.isOperator(';')) {
+            this.next();
+        }
+
+        this.skipNewlines();
+        this.expectReserved('do');
+        const body = this.parseBody(['done']);
+        this.expectReserved('done');
+
+        return { type: 'for', variable, words, body };
+    }
+
+    parseWhile() {
+        const until = this.next().value === 'until';
+        const condition = this.parseBody(['do']);
+        this.expectReserved('do');
+        const body = this.parseBody(['done']);
+        this.expectReserved('done');
+
+        return { type: 'while', condition, body, until };
+    }
+
+    parseCase() {
+        this.next();
+        const word = this.expectWord();
+        this.skipNewlines();
+        this.expectReserved('in');
+        this.skipNewlines();
+
+        const items = [];
+        while (!this.isReserved('esac')) {
+            if (this.isOperator('(')) {
+                this.next();
+            }
+
+            const patterns = [this.expectWord()];
+            while (this.isOperator('|')) {
+                this.next();
+                patterns.push(this.expectWord());
+            }
+            this.expectOperator(')');
+
+            items.push({ patterns, body: this.parseList(['esac']) });
+
+            if (!this.isOperator(';;')) {
+                break;
+            }
+            this.next();
+            this.skipNewlines();
+        }
+
+        this.expectReserved('esac');
+        return { type: 'case', word, items };
+    }
+
+    parseFunction() {
+        const keyword = this.isReserved('function');
+        if (keyword) {
+            this.next();
+        }
+
+        const nameToken = this.peek();
+        const name = this.expectWord();
+        if (!isName(name) || RESERVED_WORDS.includes(name)) {
+            throw syntaxError(`\`${name}': not a valid identifier`, nameToken.line);
+        }
+
+        if (!keyword || this.isOperator('(')) {
+            this.expectOperator('(');
+            this.expectOperator(')');
+        }
+
+        this.skipNewlines();
+        const body = this.parseCommand();
+        if (body.type === 'simple') {
+            throw syntaxError(`syntax error near unexpected token \`${body.words[0] || 'newline'}'`, body.line);
+        }
+
+        return { type: 'function', name, body, redirects: [] };
+    }
+}
+
+/**
+ * Parse shell source into a syntax tree
+ * @param {string} source - Shell source, one command line or a whole script
+ * @returns {Object} List node; see ScriptParser for the node types
+ * @throws {Error} On a syntax error; the error's line property gives the line
+ */
+export function parseScript(source) {
+    const parser = new ScriptParser(tokenizeScript(source));
+    const script = parser.parseList();
+
+    if (parser.peek()) {
+        parser.unexpected();
+    }
+
+    return script;
 }
@@ -0,0 +1,233 @@
+/**
+ * Filesystem Persistence
+ * Saves the user's changes to the virtual filesystem in IndexedDB, or in
+ * localStorage where IndexedDB is unavailable, and restores them on top of
+ * the shipped content at startup
+ */
+
+const DATABASE_NAME = 'portfolio-terminal';
+const STORE_NAME = 'filesystem';
+const RECORD_KEY = 'changes';
+const LOCAL_STORAGE_KEY = 'portfolio-terminal:filesystem';
+
+// Version of the saved format; saves in any other format are ignored
+const FORMAT_VERSION = 1;
+
+// Time (ms) to wait after a change before saving, so a burst of writes
+// such as a loop of redirects is saved once
+const SAVE_DELAY = 500;
+
+// ============================================================================
+// Storage Backends
+// ============================================================================
+
+/**
+ * Stores saved changes as one record in an IndexedDB object store
+ */
+export class IndexedDBStorage {
+    /**
+     * @param {IDBFactory} factory - IndexedDB implementation
+     */
+    constructor(factory = globalThis.indexedDB) {
+        this.factory = factory;
+        this.database = null;
+    }
+
+    _open() {
+        if (!this.database) {
+            this.database = new Promise((resolve, reject) => {
+                const request = this.factory.open(DATABASE_NAME, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.database;
+    }
+
+    async _run(mode, operation) {
+        const database = await this._open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(STORE_NAME, mode);
+            const request = operation(transaction.objectStore(STORE_NAME));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    async load() {
+        return (await this._run('readonly', store => store.get(RECORD_KEY))) || null;
+    }
+
+    save(data) {
+        return this._run('readwrite', store => store.put(data, RECORD_KEY));
+    }
+
+    clear() {
+        return this._run('readwrite', store => store.delete(RECORD_KEY));
+    }
+}
+
+/**
+ * Stores saved changes as JSON under one localStorage key
+ */
+export class LocalStorageStorage {
+    /**
+     * @param {Storage} storage - Web Storage implementation
+     */
+    constructor(storage = globalThis.localStorage) {
+        this.storage = storage;
+    }
+
+    async load() {
+        const json = this.storage.getItem(LOCAL_STORAGE_KEY);
+        return json ? JSON.parse(json) : null;
+    }
+
+    async save(data) {
+        this.storage.setItem(LOCAL_STORAGE_KEY, JSON.stringify(data));
+    }
+
+    async clear() {
+        this.storage.removeItem(LOCAL_STORAGE_KEY);
+    }
+}
+
+/**
+ * Get localStorage if the browser allows access to it
+ * @returns {Storage|null}
+ */
+function availableLocalStorage() {
+    try {
+        return globalThis.localStorage || null;
+    } catch (error) {
+        // Reading localStorage throws when storage is blocked
+        return null;
+    }
+}
+
+/**
+ * Pick the storage backend: IndexedDB if the browser has it, else localStorage
+ * @returns {IndexedDBStorage|LocalStorageStorage|null} Null if neither is usable
+ */
+export function createStorage() {
+    if (globalThis.indexedDB) {
+        return new IndexedDBStorage();
+    }
+
+    const storage = availableLocalStorage();
+    return storage ? new LocalStorageStorage(storage) : null;
+}
+
+// ============================================================================
+// FilesystemPersistence Class
+// ============================================================================
+
+export class FilesystemPersistence {
+    /**
+     * @param {VirtualFilesystem} filesystem - Filesystem to save and restore
+     * @param {Object} options - Persistence options
+     * @param {Object} options.storage - Storage backend with load, save and
+     *        clear methods (default: createStorage())
+     * @param {number} options.delay - Time (ms) to wait after a change before saving
+     */
+    constructor(filesystem, options = {}) {
+        this.filesystem = filesystem;
+        this.storage = options.storage !== undefined ? options.storage : createStorage();
+        this.delay = options.delay ?? SAVE_DELAY;
+        this.saveTimeout = null;
+        this.restored = null;
+    }
+
+    /**
+     * Apply the saved changes to the filesystem, then save after every
+     * further change. Falls back to localStorage if IndexedDB cannot be
+     * opened, as in some private browsing modes.
+     * @returns {Promise<boolean>} Whether saved changes were applied
+     */
+    async restore() {
+        if (!this.storage) {
+            return false;
+        }
+
+        let data;
+        try {
+            data = await this.storage.load();
+        } catch (error) {
+            const fallback = availableLocalStorage();
+            if (!(this.storage instanceof IndexedDBStorage) || !fallback) {
+                throw error;
+            }
+            this.storage = new LocalStorageStorage(fallback);
+            data = await this.storage.load();
+        } finally {
+            this.filesystem.onChange = () => this.scheduleSave();
+        }
+
+        if (!data || data.version !== FORMAT_VERSION) {
+            return false;
+        }
+
+        this.filesystem.importChanges(data.changes);
+        this.restored = data.changes;
+        return true;
+    }
+
+    /**
+     * Apply the restored changes again below directories that have just
+     * been added to the shipped content, such as site pages that load after
+     * restore: changes there were skipped while their parents were missing
+     * @param {string[]} directories - Directories added to the shipped content
+     */
+    reapply(directories) {
+        if (!this.restored) {
+            return;
+        }
+
+        const within = path => directories.some(directory => path === directory || path.startsWith(`${directory}/`));
+        this.filesystem.importChanges({
+            removed: (this.restored.removed || []).filter(within),
+            nodes: (this.restored.nodes || []).filter(node => within(node.path))
+        });
+        this.scheduleSave();
+    }
+
+    /**
+     * Save after the filesystem has been left unchanged for the save delay
+     */
+    scheduleSave() {
+        clearTimeout(this.saveTimeout);
+        this.saveTimeout = setTimeout(() => {
+            this.flush().catch(error => console.warn('Failed to save filesystem changes:', error));
+        }, this.delay);
+    }
+
+    /**
+     * Save the changes now, or clear the saved record if there are none
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        clearTimeout(this.saveTimeout);
+        this.saveTimeout = null;
+
+        if (!this.storage) {
+            return;
+        }
+
+        const changes = this.filesystem.exportChanges();
+        if (changes.removed.length === 0 && changes.nodes.length === 0) {
+            await this.storage.clear();
+            return;
+        }
+
+        await this.storage.save({
+            version: FORMAT_VERSION,
+            savedAt: new Date().toISOString(),
+            changes
+        });
+    }
+}
+
+export default FilesystemPersistence;
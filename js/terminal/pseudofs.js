@@ -0,0 +1,199 @@
+/**
+ * Pseudo-filesystems
+ * Providers for the generated /dev, /proc and /sys directories, mounted on
+ * the virtual filesystem with VirtualFilesystem.mount. Their files describe
+ * the running session and are built each time they are read.
+ */
+
+const OS_TYPE = 'PortfolioOS';
+const OS_RELEASE = '1.5.0';
+const HOSTNAME = 'portfolio-terminal';
+const ARCHITECTURE = 'x86_64';
+
+// Bytes produced by one read of /dev/zero or /dev/urandom
+const DEVICE_READ_SIZE = 512;
+
+// Filesystem types listed in /proc/mounts
+const MOUNT_TYPES = { '/dev': 'devtmpfs', '/proc': 'proc', '/sys': 'sysfs' };
+
+// Memory reported when the browser does not say how much it has (bytes)
+const DEFAULT_MEMORY = 4 * 1024 * 1024 * 1024;
+
+// User agent tokens, most specific first, since Chrome also claims to be
+// Safari and Edge to be Chrome
+const ENGINES = [
+    ['Firefox/', 'Firefox'],
+    ['Edg/', 'Edge'],
+    ['OPR/', 'Opera'],
+    ['Chrome/', 'Chrome'],
+    ['Safari/', 'Safari'],
+    ['Node.js/', 'Node.js']
+];
+
+// ============================================================================
+// Session Information
+// ============================================================================
+
+// Time the session started, as the kernel's boot time
+const bootTime = new Date();
+
+function uptimeSeconds() {
+    return (Date.now() - bootTime.getTime()) / 1000;
+}
+
+function cpuCount() {
+    return globalThis.navigator?.hardwareConcurrency || 1;
+}
+
+function cpuModel() {
+    const userAgent = globalThis.navigator?.userAgent || '';
+    const engine = ENGINES.find(([token]) => userAgent.includes(token));
+    return `${engine ? engine[1] : 'Browser'} JavaScript VM`;
+}
+
+function memoryKilobytes() {
+    const total = (globalThis.navigator?.deviceMemory * 1024 * 1024 * 1024) || DEFAULT_MEMORY;
+    const used = globalThis.performance?.memory?.usedJSHeapSize || 0;
+    return { total: Math.round(total / 1024), available: Math.round((total - used) / 1024) };
+}
+
+function kernelVersion() {
+    return `#1 SMP PREEMPT_DYNAMIC ${bootTime.toUTCString()}`;
+}
+
+function cpuRange() {
+    const count = cpuCount();
+    return count > 1 ? `0-${count - 1}\n` : '0\n';
+}
+
+function file(read, options = {}) {
+    return { type: 'file', read, ...options };
+}
+
+function directory(entries, options = {}) {
+    return { type: 'directory', entries, ...options };
+}
+
+// ============================================================================
+// /dev
+// ============================================================================
+
+/**
+ * Devices: null reads as empty, zero and urandom as endless bytes, and all
+ * of them discard what is written
+ * @returns {Function} Provider for VirtualFilesystem.mount
+ */
+export function devices() {
+    const discard = () => {};
+    const randomBytes = () => {
+        const bytes = new Uint8Array(DEVICE_READ_SIZE);
+        return globalThis.crypto.getRandomValues(bytes);
+    };
+    const device = read => file(read, { write: discard, mimeType: 'application/octet-stream' });
+
+    return () => ({
+        null: device(() => ''),
+        zero: device(() => new Uint8Array(DEVICE_READ_SIZE)),
+        random: device(randomBytes),
+        urandom: device(randomBytes)
+    });
+}
+
+// ============================================================================
+// /proc
+// ============================================================================
+
+/**
+ * Kernel and process information; /proc/self is the shell of the session
+ * @param {Object} executor - CommandExecutor whose environment and
+ *        working directory the shell's process shows
+ * @returns {Function} Provider for VirtualFilesystem.mount
+ */
+export function processes(executor) {
+    const pid = 1000 + Math.floor(Math.random() * 30000);
+
+    const shellProcess = (filesystem) => {
+        const owned = { uid: filesystem.uid, gid: filesystem.gid };
+        return {
+            cmdline: file(() => '-bash\0', owned),
+            comm: file(() => 'bash\n', owned),
+            cwd: { type: 'symlink', target: filesystem.currentDirectory },
+            environ: file(() => Object.entries(executor.getEnvironment())
+                .map(([name, value]) => `${name}=${value}\0`)
+                .join(''), { ...owned, mode: 0o400 }),
+            exe: { type: 'symlink', target: '/bin/bash' },
+            status: file(() => [
+                'Name:\tbash',
+                'State:\tR (running)',
+                `Pid:\t${pid}`,
+                'PPid:\t1',
+                `Uid:\t${Array(4).fill(filesystem.uid).join('\t')}`,
+                `Gid:\t${Array(4).fill(filesystem.gid).join('\t')}`,
+                ''
+            ].join('\n'), owned)
+        };
+    };
+
+    const kernel = () => ({
+        arch: file(() => `${ARCHITECTURE}\n`),
+        hostname: file(() => `${HOSTNAME}\n`),
+        osrelease: file(() => `${OS_RELEASE}\n`),
+        ostype: file(() => `${OS_TYPE}\n`),
+        version: file(() => `${kernelVersion()}\n`)
+    });
+
+    return (filesystem) => ({
+        [pid]: directory(shellProcess, { mode: 0o555, uid: filesystem.uid, gid: filesystem.gid }),
+        self: { type: 'symlink', target: String(pid) },
+        cpuinfo: file(() => Array.from({ length: cpuCount() }, (unused, index) => [
+            `processor\t: ${index}`,
+            `vendor_id\t: ${OS_TYPE}`,
+            `model name\t: ${cpuModel()}`,
+            `cpu cores\t: ${cpuCount()}`,
+            '',
+            ''
+        ].join('\n')).join('')),
+        meminfo: file(() => {
+            const { total, available } = memoryKilobytes();
+            return `MemTotal:       ${String(total).padStart(8)} kB\nMemAvailable:   ${String(available).padStart(8)} kB\n`;
+        }),
+        mounts: file(() => Array.from(filesystem.mounts.keys())
+            .map(mountPoint => {
+                const type = MOUNT_TYPES[mountPoint] || 'none';
+                return `${type} ${mountPoint} ${type} ro 0 0\n`;
+            })
+            .join('')),
+        sys: directory(() => ({ kernel: directory(kernel) })),
+        uptime: file(() => {
+            const seconds = uptimeSeconds().toFixed(2);
+            return `${seconds} ${seconds}\n`;
+        }),
+        version: file(() => `${OS_TYPE} version ${OS_RELEASE} (builder@${HOSTNAME}) (JavaScript) ${kernelVersion()}\n`)
+    });
+}
+
+// ============================================================================
+// /sys
+// ============================================================================
+
+/**
+ * Devices as the kernel sees them: the CPUs and the screen
+ * @returns {Function} Provider for VirtualFilesystem.mount
+ */
+export function system() {
+    const cpu = () => ({
+        online: file(cpuRange),
+        possible: file(cpuRange)
+    });
+    const framebuffer = () => ({
+        virtual_size: file(() => {
+            const screen = globalThis.screen;
+            return screen ? `${screen.width},${screen.height}\n` : '1024,768\n';
+        })
+    });
+
+    return () => ({
+        class: directory(() => ({ graphics: directory(() => ({ fb0: directory(framebuffer) })) })),
+        devices: directory(() => ({ system: directory(() => ({ cpu: directory(cpu) })) }))
+    });
+}
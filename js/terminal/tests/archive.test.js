@@ -0,0 +1,54 @@
+/**
+ * Tests for the tar codec
+ * Run with: node --test js/terminal/tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTar, parseTar } from '../archive.js';
+
+const encoder = new TextEncoder();
+
+/**
+ * Build a one-file archive
+ * @returns {Uint8Array} tar bytes
+ */
+function sampleArchive() {
+    return createTar([{
+        path: 'notes.txt',
+        type: 'file',
+        data: encoder.encode('hello\n'),
+        mode: 0o644,
+        uid: 1000,
+        gid: 1000,
+        owner: 'user',
+        group: 'user',
+        mtime: new Date(0)
+    }]);
+}
+
+test('an archive round-trips through createTar and parseTar', () => {
+    const [entry] = parseTar(sampleArchive());
+    assert.equal(entry.path, 'notes.txt');
+    assert.equal(entry.type, 'file');
+    assert.equal(new TextDecoder().decode(entry.data), 'hello\n');
+});
+
+test('empty input is an empty archive', () => {
+    assert.deepEqual(parseTar(new Uint8Array(0)), []);
+});
+
+test('input shorter than one header is not an archive', () => {
+    const passwd = encoder.encode('root:x:0:0:root:/root:/bin/bash\n');
+    assert.throws(() => parseTar(passwd), /This does not look like a tar archive/);
+});
+
+test('a damaged header is not an archive', () => {
+    assert.throws(() => parseTar(encoder.encode('x'.repeat(1024))), /This does not look like a tar archive/);
+});
+
+test('an archive cut off before the end-of-archive marker is rejected', () => {
+    const archive = sampleArchive();
+    assert.throws(() => parseTar(archive.subarray(0, 1024)), /Unexpected end of tar archive/);
+    assert.throws(() => parseTar(archive.subarray(0, 700)), /Unexpected end of tar archive/);
+});
@@ -0,0 +1,32 @@
+/**
+ * Tests for loops, arithmetic and builtins
+ * Run with: node --test js/terminal/tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CommandExecutor } from '../executor.js';
+
+test('loops run as many iterations as they are given', async () => {
+    const executor = new CommandExecutor();
+    const result = await executor.execute('n=0; for i in $(seq 1 12000); do n=$((n + 1)); done; echo $n');
+    assert.equal(result.output.trim(), '12000');
+});
+
+test('a runaway loop stops at the time limit with status 124', async () => {
+    const executor = new CommandExecutor({ commandTimeout: 200 });
+    const result = await executor.execute('while true; do true; done');
+    assert.equal(result.exitCode, 124);
+    assert.equal((await executor.execute('echo $?')).output, '124\n');
+});
+
+test('arithmetic runs command substitutions first', async () => {
+    const executor = new CommandExecutor();
+    assert.equal((await executor.execute('echo $(( $(echo 6) * `echo 7` ))')).output.trim(), '42');
+    assert.equal((await executor.execute('x=5; echo "$(( x + $(echo 1) ))"')).output.trim(), '6');
+});
+
+test(': does nothing and succeeds', async () => {
+    const executor = new CommandExecutor();
+    assert.equal((await executor.execute(': ignored words; echo $?')).output.trim(), '0');
+});
@@ -0,0 +1,33 @@
+/**
+ * Tests for revisions
+ * Run with: node --test js/terminal/tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CommandExecutor } from '../executor.js';
+
+test('revisions lists, prints and restores earlier contents', async () => {
+    const executor = new CommandExecutor();
+    await executor.execute('echo one > /tmp/notes.txt; echo two > /tmp/notes.txt; echo three > /tmp/notes.txt');
+
+    const listing = await executor.execute('revisions /tmp/notes.txt');
+    assert.equal(listing.output.split('\n').length, 2);
+    assert.match(listing.output, /^ 1 .* 4 bytes$/m);
+
+    assert.equal((await executor.execute('revisions -p 1 /tmp/notes.txt')).output, 'two\n');
+
+    await executor.execute('revisions -r 2 /tmp/notes.txt');
+    assert.equal((await executor.execute('cat /tmp/notes.txt')).output, 'one\n');
+    assert.equal((await executor.execute('revisions -p 1 /tmp/notes.txt')).output, 'three\n');
+});
+
+test('revisions fails for a missing revision or file', async () => {
+    const executor = new CommandExecutor();
+    await executor.execute('echo one > /tmp/notes.txt');
+
+    const missing = await executor.execute('revisions -p 1 /tmp/notes.txt');
+    assert.equal(missing.exitCode, 1);
+    assert.equal(missing.output, 'revisions: /tmp/notes.txt: no revision 1');
+    assert.equal((await executor.execute('revisions /tmp/none')).exitCode, 1);
+});
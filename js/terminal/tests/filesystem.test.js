@@ -0,0 +1,29 @@
+/**
+ * Tests for adding shipped content after startup
+ * Run with: node --test js/terminal/tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { VirtualFilesystem } from '../filesystem.js';
+
+test('addManifestEntries adds files and keeps local changes', () => {
+    const filesystem = new VirtualFilesystem();
+    filesystem.writeFile('/tmp/notes.txt', 'kept');
+    filesystem.mkdir('/tmp/work');
+    filesystem.currentDirectory = '/tmp/work';
+
+    filesystem.addManifestEntries([{ path: `${filesystem.homeDirectory}/blog/xss.txt`, content: 'page' }]);
+
+    assert.equal(filesystem.readFile(`${filesystem.homeDirectory}/blog/xss.txt`), 'page');
+    assert.equal(filesystem.readFile('/tmp/notes.txt'), 'kept');
+    assert.equal(filesystem.currentDirectory, '/tmp/work');
+});
+
+test('addManifestEntries adds nothing when an entry is not valid', () => {
+    const filesystem = new VirtualFilesystem();
+    const path = `${filesystem.homeDirectory}/blog/xss.txt`;
+
+    assert.throws(() => filesystem.addManifestEntries([{ path, content: 'page' }, { path: 'relative.txt' }]));
+    assert.equal(filesystem.fileExists(path), false);
+});
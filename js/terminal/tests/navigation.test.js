@@ -0,0 +1,57 @@
+/**
+ * Tests for ls and tree
+ * Run with: node --test js/terminal/tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CommandExecutor } from '../executor.js';
+
+const MARKUP = '<img src=x onerror=alert(1)>';
+
+/**
+ * Create a shell in an empty directory holding a file and a link whose
+ * name and target are markup
+ * @returns {Promise<CommandExecutor>}
+ */
+async function shellWithMarkupNames() {
+    const executor = new CommandExecutor();
+    await executor.execute(`mkdir /tmp/names && cd /tmp/names && touch '${MARKUP}' && ln -s '<b>x</b>' link`);
+    return executor;
+}
+
+test('ls escapes names and link targets on the terminal', async () => {
+    const executor = await shellWithMarkupNames();
+
+    const listing = (await executor.execute('ls -l')).output;
+    assert.ok(!listing.includes('<img') && !listing.includes('<b>'));
+    assert.ok(listing.includes('&lt;img src=x onerror=alert(1)&gt;'));
+    assert.ok(listing.includes('-> &lt;b&gt;x&lt;/b&gt;'));
+
+    assert.ok(!(await executor.execute('ls')).output.includes('<img'));
+});
+
+test('ls prints names unescaped into a pipe', async () => {
+    const executor = await shellWithMarkupNames();
+    assert.equal((await executor.execute('ls | cat')).output, `${MARKUP}\nlink`);
+    assert.match((await executor.execute('ls -l | cat')).output, /link -> <b>x<\/b>$/);
+});
+
+test('tree escapes names and link targets on the terminal', async () => {
+    const executor = await shellWithMarkupNames();
+
+    const tree = (await executor.execute('tree')).output;
+    assert.ok(!tree.includes('<img') && !tree.includes('<b>'));
+    assert.ok(tree.includes('-> &lt;b&gt;x&lt;/b&gt;'));
+
+    assert.match((await executor.execute('tree | cat')).output, /link -> <b>x<\/b>/);
+});
+
+test('ls -l describes a link to a directory unless it ends in /', async () => {
+    const executor = new CommandExecutor();
+    await executor.execute('mkdir /tmp/target && touch /tmp/target/inside && ln -s /tmp/target /tmp/link');
+
+    assert.match((await executor.execute('ls -l /tmp/link | cat')).output, /^l\S+ .* link -> \/tmp\/target$/);
+    assert.match((await executor.execute('ls -l /tmp/link/ | cat')).output, / inside$/);
+    assert.equal((await executor.execute('ls /tmp/link | cat')).output, 'inside');
+});
@@ -0,0 +1,41 @@
+/**
+ * Tests for loading the site's pages
+ * Run with: node --test js/terminal/tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadSitePages } from '../pages.js';
+
+const INDEX = {
+    sections: [{ directory: 'blog', pages: ['blog/missing.html', 'blog/broken.html'] }]
+};
+
+/**
+ * Answer fetches with the index, a 404 for missing pages and a 500 for
+ * the rest
+ * @param {string} url - Requested URL
+ * @returns {Promise<Response>}
+ */
+async function fetchSite(url) {
+    if (url.endsWith('/index.json')) {
+        return new Response(JSON.stringify(INDEX));
+    }
+    return new Response('', { status: url.includes('missing') ? 404 : 500 });
+}
+
+test('loadSitePages skips missing pages quietly and reports other failures', async (context) => {
+    context.mock.method(globalThis, 'fetch', fetchSite);
+    const errors = [];
+
+    const pages = await loadSitePages({
+        home: '/home/user',
+        baseUrl: 'https://example.com/',
+        index: 'pages/index.json',
+        onError: error => errors.push(error)
+    });
+
+    assert.deepEqual(pages, []);
+    assert.equal(errors.length, 1);
+    assert.match(errors[0].message, /broken\.html: 500/);
+});
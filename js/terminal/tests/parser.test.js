@@ -0,0 +1,75 @@
+/**
+ * Tests for the script parser
+ * Run with: node --test js/terminal/tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseScript } from '../parser.js';
+
+/**
+ * Parse a single simple command
+ * @param {string} source - Command line
+ * @returns {Object} The simple command node
+ */
+function parseSimple(source) {
+    return parseScript(source).items[0].pipelines[0].commands[0];
+}
+
+test('plain redirects apply to standard input and output', () => {
+    assert.deepEqual(parseSimple('sort < in > out').redirects, [
+        { operator: '<', fd: 0, target: 'in' },
+        { operator: '>', fd: 1, target: 'out' }
+    ]);
+    assert.deepEqual(parseSimple('echo hi >> log').redirects, [{ operator: '>>', fd: 1, target: 'log' }]);
+});
+
+test('a number before a redirect names its descriptor', () => {
+    const node = parseSimple('cmd 2>/dev/null');
+    assert.deepEqual(node.words, ['cmd']);
+    assert.deepEqual(node.redirects, [{ operator: '>', fd: 2, target: '/dev/null' }]);
+
+    assert.deepEqual(parseSimple('cmd 2>>errors.log').redirects, [{ operator: '>>', fd: 2, target: 'errors.log' }]);
+    assert.deepEqual(parseSimple('cmd 1> out').redirects, [{ operator: '>', fd: 1, target: 'out' }]);
+});
+
+test('N>&M duplicates a descriptor', () => {
+    const node = parseSimple('ls nope 2>&1');
+    assert.deepEqual(node.words, ['ls', 'nope']);
+    assert.deepEqual(node.redirects, [{ operator: '>&', fd: 2, target: '1' }]);
+
+    assert.deepEqual(parseSimple('echo oops >&2').redirects, [{ operator: '>&', fd: 1, target: '2' }]);
+    assert.deepEqual(parseSimple('cmd > out 2>&1').redirects, [
+        { operator: '>', fd: 1, target: 'out' },
+        { operator: '>&', fd: 2, target: '1' }
+    ]);
+});
+
+test('&> and &>> redirect both output streams', () => {
+    assert.deepEqual(parseSimple('cmd &> all.log').redirects, [{ operator: '&>', fd: null, target: 'all.log' }]);
+    assert.deepEqual(parseSimple('cmd &>>all.log').redirects, [{ operator: '&>>', fd: null, target: 'all.log' }]);
+});
+
+test('digits only name a descriptor directly before the operator', () => {
+    assert.deepEqual(parseSimple('echo 2 > out').words, ['echo', '2']);
+    assert.deepEqual(parseSimple('echo a2>out').words, ['echo', 'a2']);
+    assert.deepEqual(parseSimple('echo a2>out').redirects, [{ operator: '>', fd: 1, target: 'out' }]);
+});
+
+test('redirects still separate from lists and pipes', () => {
+    const script = parseScript('ls nope 2>&1 | wc -l && echo done &> /dev/null');
+    const [pipeline, next] = script.items[0].pipelines;
+    assert.equal(pipeline.commands.length, 2);
+    assert.deepEqual(next.commands[0].redirects, [{ operator: '&>', fd: null, target: '/dev/null' }]);
+});
+
+test('compound commands take redirects too', () => {
+    const node = parseScript('if true; then ls; fi 2>/dev/null').items[0].pipelines[0].commands[0];
+    assert.equal(node.type, 'if');
+    assert.deepEqual(node.redirects, [{ operator: '>', fd: 2, target: '/dev/null' }]);
+});
+
+test('a redirect without a target is a syntax error', () => {
+    assert.throws(() => parseScript('ls 2>'), /syntax error/);
+    assert.throws(() => parseScript('ls &>'), /syntax error/);
+});
@@ -0,0 +1,22 @@
+/**
+ * Tests for symbolic modes
+ * Run with: node --test js/terminal/tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applySymbolicMode } from '../commands/permissions.js';
+
+test('applySymbolicMode copies the permissions of another class', () => {
+    assert.equal(applySymbolicMode(0o755, 'g=u'), 0o775);
+    assert.equal(applySymbolicMode(0o705, 'g+u'), 0o775);
+    assert.equal(applySymbolicMode(0o750, 'o=g'), 0o755);
+    assert.equal(applySymbolicMode(0o754, 'go-u'), 0o700);
+});
+
+test('applySymbolicMode applies permission letters', () => {
+    assert.equal(applySymbolicMode(0o644, 'u+x,go-r'), 0o700);
+    assert.equal(applySymbolicMode(0o644, 'a=rx'), 0o555);
+    assert.equal(applySymbolicMode(0o644, 'g='), 0o604);
+    assert.equal(applySymbolicMode(0o644, 'u+q'), null);
+});
@@ -0,0 +1,85 @@
+/**
+ * Tests for grep, sed, printf and tee
+ * Run with: node --test js/terminal/tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CommandExecutor } from '../executor.js';
+
+/**
+ * Run a command line in a new shell
+ * @param {string} line - Command line
+ * @returns {Promise<string>} Its output
+ */
+async function run(line) {
+    return (await new CommandExecutor().execute(line)).output;
+}
+
+test('grep separates groups with -A0, -B0 and -C0', async () => {
+    const executor = new CommandExecutor();
+    await executor.execute("printf 'x\\na\\nx\\nx\\n' > /tmp/lines");
+
+    for (const option of ['-A0', '-B0', '-C0']) {
+        assert.equal((await executor.execute(`grep ${option} x /tmp/lines | cat`)).output, 'x\n--\nx\nx');
+    }
+    assert.equal((await executor.execute('grep x /tmp/lines | cat')).output, 'x\nx\nx');
+});
+
+test('grep separates context groups from different files', async () => {
+    const executor = new CommandExecutor();
+    await executor.execute("printf 'a\\nx\\n' > /tmp/one; printf 'x\\nb\\n' > /tmp/two");
+
+    assert.equal(
+        (await executor.execute('grep -C1 x /tmp/one /tmp/two | cat')).output,
+        '/tmp/one-a\n/tmp/one:x\n--\n/tmp/two:x\n/tmp/two-b'
+    );
+});
+
+test('sed s///g skips an empty match right after a match', async () => {
+    assert.equal(await run("echo aaa | sed 's/a*/X/g'"), 'X\n');
+    assert.equal(await run("echo baaac | sed 's/a*/X/g'"), 'XbXcX\n');
+});
+
+test('sed s///g replaces empty matches between characters', async () => {
+    assert.equal(await run("echo abc | sed 's/x*/-/g'"), '-a-b-c-\n');
+});
+
+test('sed s///N does not count a skipped empty match', async () => {
+    assert.equal(await run("echo baaac | sed 's/a*/X/2'"), 'bXc\n');
+    assert.equal(await run("echo hello | sed 's/l*/X/3'"), 'heXo\n');
+});
+
+test('printf byte escapes give raw bytes', async () => {
+    const executor = new CommandExecutor();
+    await executor.execute("printf '\\x89PNG\\r\\n\\x1a\\n' > /tmp/image; printf '%b' 'a\\0377' > /tmp/octal");
+
+    assert.deepEqual(Array.from(executor.filesystem.readBytes('/tmp/image')), [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+    assert.equal((await executor.execute('file /tmp/image')).output, '/tmp/image: PNG image data');
+    assert.deepEqual(Array.from(executor.filesystem.readBytes('/tmp/octal')), [0x61, 0xff]);
+});
+
+test('printf encodes text as UTF-8', async () => {
+    assert.equal(await run("printf '%s|%4s|\\u00e9\\n' héllo é"), 'héllo|  é|é\n');
+});
+
+test('tee writes and passes on bytes that are not text unchanged', async () => {
+    const executor = new CommandExecutor();
+
+    assert.match((await executor.execute('echo /w== | base64 -d | tee /tmp/out.bin | xxd')).output, /^00000000: ff /);
+    assert.deepEqual(Array.from(executor.filesystem.readBytes('/tmp/out.bin')), [0xff]);
+
+    await executor.execute('echo /w== | base64 -d | tee -a /tmp/out.bin');
+    assert.deepEqual(Array.from(executor.filesystem.readBytes('/tmp/out.bin')), [0xff, 0xff]);
+});
+
+test('sed -i reports a file it cannot write without internal names', async () => {
+    const result = await new CommandExecutor().execute('sed -i s/a/b/ /etc/passwd');
+    assert.equal(result.output, 'sed: /etc/passwd: Permission denied');
+});
+
+test('split and tee report files they cannot write without internal names', async () => {
+    const executor = new CommandExecutor();
+    assert.equal((await executor.execute('echo abc | split -b1 - /etc/x')).output, 'split: /etc/xaa: Permission denied');
+    assert.equal((await executor.execute('echo x | tee /etc/passwd')).output, 'x\ntee: /etc/passwd: Permission denied');
+});
@@ -5,17 +5,60 @@
  */
 
 import { CommandExecutor } from './executor.js';
+import { complete, formatColumns } from './completion.js';
+import { FilesystemPersistence } from './persistence.js';
+import { loadManifest } from './manifest.js';
+import { loadSitePages } from './pages.js';
+
+// Commands that finish faster than this (ms) never show the spinner
+const SPINNER_DELAY = 300;
+
+// Spinner animation frames and the time (ms) each is shown
+const SPINNER_FRAMES = ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'];
+const SPINNER_INTERVAL = 80;
 
 export class Terminal {
-  constructor(containerSelector) {
+  /**
+   * @param {string} containerSelector - CSS selector for the terminal container
+   * @param {Object} options - Terminal options
+   * @param {number} options.commandTimeout - Time limit (ms) for one command
+   *        line; 0 disables it
+   * @param {Array<string|Object>} options.commandPacks - Extra commands: ES
+   *        module URLs, resolved against the page, or imported modules, each
+   *        exporting a commands array
+   * @param {boolean} options.persist - Save changes to the filesystem in the
+   *        browser and restore them on the next visit
+   * @param {string|Object} options.manifest - Filesystem content: the URL of
+   *        a JSON manifest, resolved against the page, or a manifest object
+   *        in the format of content.js (default: content.js)
+   * @param {boolean|string} options.sitePages - Publish the site's blog
+   *        posts and project pages in ~/blog and ~/projects: true to find
+   *        them through the site's listing pages, or the URL of an index of
+   *        them (see loadSitePages in pages.js)
+   */
+  constructor(containerSelector, options = {}) {
     this.container = document.querySelector(containerSelector);
     if (!this.container) {
       throw new Error(`Terminal container "${containerSelector}" not found`);
     }
 
-    this.executor = new CommandExecutor();
+    const { commandPacks = [], persist = false, manifest, sitePages = false, ...executorOptions } = options;
+    this.executor = new CommandExecutor({
+      ...executorOptions,
+      manifest: typeof manifest === 'string' ? undefined : manifest
+    });
+    this.manifestUrl = typeof manifest === 'string' ? manifest : null;
+    this.sitePages = sitePages;
+    this.commandPacks = commandPacks;
+    this.persistence = persist ? new FilesystemPersistence(this.executor.filesystem) : null;
     this.historyIndex = -1;
     this.currentInput = '';
+    this.lastKeyWasTab = false;
+    this.busy = false;
+    this.spinner = null;
+    this.spinnerTimeout = null;
+    this.abortController = null;
+    this.pendingPages = null;
     this.init();
   }
 
@@ -27,6 +70,8 @@ export class Terminal {
     this.setupElements();
     this.setupEventListeners();
     this.displayWelcome();
+    this.runStartupFile();
+    this.updatePrompt();
     this.focus();
   }
 
@@ -67,6 +112,13 @@ export class Terminal {
     // Handle keyboard input
     this.inputElement.addEventListener('keydown', (e) => this.handleKeyDown(e));
 
+    // Save pending filesystem changes before the page goes away
+    if (this.persistence) {
+      window.addEventListener('pagehide', () => {
+        this.persistence.flush().catch(() => {});
+      });
+    }
+
     // Prevent default paste behavior but allow paste
     this.inputElement.addEventListener('paste', (e) => {
       // Allow default paste behavior
@@ -77,6 +129,18 @@ export class Terminal {
    * Handle keyboard events
    */
   handleKeyDown(event) {
+    // While a command runs, only Ctrl-C does anything: it interrupts the command
+    if (this.busy) {
+      event.preventDefault();
+      if (event.key === 'c' && event.ctrlKey && this.abortController) {
+        this.abortController.abort();
+      }
+      return;
+    }
+
+    const previousKeyWasTab = this.lastKeyWasTab;
+    this.lastKeyWasTab = event.key === 'Tab';
+
     switch (event.key) {
       case 'Enter':
         event.preventDefault();
@@ -101,7 +165,7 @@ export class Terminal {
 
       case 'Tab':
         event.preventDefault();
-        // TODO: Implement tab completion
+        this.handleTabCompletion(previousKeyWasTab);
         break;
 
       case 'c':
@@ -124,20 +188,58 @@ export class Terminal {
   }
 
   /**
-   * Execute a command
+   * Complete the word before the cursor; a second Tab on an ambiguous
+   * completion lists the candidates
+   * @param {boolean} repeated - Whether the previous key press was also Tab
+   */
+  handleTabCompletion(repeated) {
+    const input = this.inputElement.value;
+    const { line, matches } = complete(input, this.executor);
+
+    if (line !== input) {
+      this.inputElement.value = line;
+      this.inputElement.setSelectionRange(line.length, line.length);
+      return;
+    }
+
+    if (matches.length > 1 && repeated) {
+      this.addOutput(input, 'prompt', true);
+      this.addOutput(formatColumns(matches, this.getColumns()), 'output');
+      this.scrollToBottom();
+    }
+  }
+
+  /**
+   * Estimate how many characters fit on one output line
+   * @returns {number} Width in characters
    */
-  executeCommand(input) {
+  getColumns() {
+    // Monospace glyphs at the 0.9rem terminal font are roughly 9px wide
+    const width = Math.floor(this.outputContainer.clientWidth / 9);
+    return width > 0 ? width : 80;
+  }
+
+  /**
+   * Execute a command; input is blocked until it finishes or Ctrl-C interrupts it
+   * @param {string} input - The command line
+   * @returns {Promise<void>}
+   */
+  async executeCommand(input) {
     // Display the command with prompt
     this.addOutput(input, 'prompt', true);
+    this.inputElement.value = '';
 
-    // Execute the command
+    // Execute the command; Ctrl-C aborts it through the controller
     let result;
+    this.setBusy(true);
     try {
-      result = this.executor.execute(input);
+      result = await this.executor.execute(input, this.abortController.signal);
       console.log('Command result:', result);
     } catch (error) {
       console.error('Executor error:', error);
       result = { output: `Error: ${error.message}`, success: false };
+    } finally {
+      this.setBusy(false);
     }
 
     // Handle special commands
@@ -164,6 +266,66 @@ export class Terminal {
 
     // Scroll to bottom
     this.scrollToBottom();
+    this.focus();
+  }
+
+  /**
+   * Block input while a command runs, showing a spinner if it runs for
+   * longer than SPINNER_DELAY. The input stays focused (read-only rather
+   * than disabled) so Ctrl-C still reaches handleKeyDown.
+   * @param {boolean} busy - Whether a command is running
+   */
+  setBusy(busy) {
+    this.busy = busy;
+    this.inputElement.readOnly = busy;
+    this.container.classList.toggle('terminal-busy', busy);
+    this.abortController = busy ? new AbortController() : null;
+
+    if (busy) {
+      this.spinnerTimeout = setTimeout(() => this.showSpinner(), SPINNER_DELAY);
+    } else {
+      clearTimeout(this.spinnerTimeout);
+      this.hideSpinner();
+      if (this.pendingPages) {
+        this.addPendingPages();
+      }
+    }
+  }
+
+  /**
+   * Show an animated spinner line at the end of the output
+   */
+  showSpinner() {
+    if (this.spinner) {
+      return;
+    }
+
+    const element = document.createElement('div');
+    element.className = 'terminal-line terminal-spinner';
+    this.outputContainer.appendChild(element);
+
+    let frame = 0;
+    element.textContent = SPINNER_FRAMES[0];
+    const interval = setInterval(() => {
+      frame = (frame + 1) % SPINNER_FRAMES.length;
+      element.textContent = SPINNER_FRAMES[frame];
+    }, SPINNER_INTERVAL);
+
+    this.spinner = { element, interval };
+    this.scrollToBottom();
+  }
+
+  /**
+   * Remove the spinner, if shown
+   */
+  hideSpinner() {
+    if (!this.spinner) {
+      return;
+    }
+
+    clearInterval(this.spinner.interval);
+    this.spinner.element.remove();
+    this.spinner = null;
   }
 
   /**
@@ -241,13 +403,35 @@ export class Terminal {
   }
 
   /**
-   * Update prompt with current directory
+   * Update prompt from PS1 and the current directory
    */
   updatePrompt() {
+    const ps1 = this.executor.getVariable('PS1') ?? '\\w$';
+    this.promptElement.textContent = this.renderPrompt(ps1);
+  }
+
+  /**
+   * Expand bash-style prompt escapes: \u user, \h host, \w working
+   * directory, \W its basename, \$ prompt character, \\ backslash
+   * @param {string} ps1 - The prompt template
+   * @returns {string} The rendered prompt
+   */
+  renderPrompt(ps1) {
     const cwd = this.executor.filesystem.pwd();
     const homeDir = this.executor.filesystem.homeDirectory;
     const shortPath = cwd === homeDir ? '~' : cwd.replace(homeDir, '~');
-    this.promptElement.textContent = `d0sf3t@compromised_host03:${shortPath}$`;
+    const user = this.executor.getVariable('USER') || 'user';
+
+    const escapes = {
+      'u': user,
+      'h': 'compromised_host03',
+      'w': shortPath,
+      'W': shortPath === '/' ? '/' : shortPath.split('/').pop(),
+      '$': user === 'root' ? '#' : '$',
+      '\\': '\\'
+    };
+
+    return ps1.replace(/\\([uhwW$\\])/g, (match, code) => escapes[code]);
   }
 
   /**
@@ -306,6 +490,136 @@ export class Terminal {
     this.addOutput('', 'output');
   }
 
+  /**
+   * Register the command packs given to the constructor, importing those
+   * given as URLs; a pack that fails to load is reported and skipped
+   * @returns {Promise<void>}
+   */
+  async loadCommandPacks() {
+    for (const pack of this.commandPacks) {
+      try {
+        const module = typeof pack === 'string'
+          ? await import(new URL(pack, document.baseURI).href)
+          : pack;
+        this.executor.loadCommandPack(module);
+      } catch (error) {
+        const name = typeof pack === 'string' ? pack : 'module';
+        this.addOutput(`Failed to load command pack ${name}: ${error.message}`, 'error');
+      }
+    }
+  }
+
+  /**
+   * Replace the shipped content with the manifest given as a URL; if it
+   * fails to load, the shipped content is kept and the problem reported
+   * @returns {Promise<void>}
+   */
+  async loadManifest() {
+    if (!this.manifestUrl) {
+      return;
+    }
+
+    try {
+      const manifest = await loadManifest(new URL(this.manifestUrl, document.baseURI).href);
+      this.executor.filesystem.setManifest(manifest);
+    } catch (error) {
+      this.addOutput(`Failed to load filesystem manifest ${this.manifestUrl}: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Fetch the site's pages in the background and add them to the shipped
+   * content once no command is running, so the prompt is usable while they
+   * load. Pages that fail to load are left out and reported in one line.
+   * @returns {Promise<void>}
+   */
+  async loadSitePages() {
+    if (!this.sitePages) {
+      return;
+    }
+
+    const failures = [];
+    try {
+      const pages = await loadSitePages({
+        home: this.executor.filesystem.homeDirectory,
+        baseUrl: document.baseURI,
+        index: typeof this.sitePages === 'string' ? this.sitePages : null,
+        onError: error => failures.push(error)
+      });
+      this.pendingPages = pages;
+      if (!this.busy) {
+        this.addPendingPages();
+      }
+    } catch (error) {
+      this.addOutput(`Failed to load site pages: ${error.message}`, 'error');
+      return;
+    }
+
+    if (failures.length > 0) {
+      const count = failures.length === 1 ? '1 site page' : `${failures.length} site pages`;
+      this.addOutput(`Failed to load ${count}: ${failures[0].message}`, 'error');
+    }
+  }
+
+  /**
+   * Add the site pages that have loaded to the filesystem, with any saved
+   * changes to them
+   */
+  addPendingPages() {
+    const pages = this.pendingPages;
+    this.pendingPages = null;
+    try {
+      this.executor.filesystem.addManifestEntries(pages);
+      if (this.persistence) {
+        this.persistence.reapply([...new Set(pages.map(page => page.path.replace(/\/[^/]*$/, '')))]);
+      }
+    } catch (error) {
+      this.addOutput(`Failed to add site pages: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Apply the filesystem changes saved by an earlier visit
+   * @returns {Promise<void>}
+   */
+  async restoreFilesystem() {
+    if (!this.persistence) {
+      return;
+    }
+
+    try {
+      await this.persistence.restore();
+      this.executor.setVariable('PWD', this.executor.filesystem.pwd());
+    } catch (error) {
+      this.addOutput(`Failed to restore saved files: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Load the filesystem manifest, restore saved files and load command
+   * packs, then source ~/.bashrc and show anything it printed, so the
+   * startup file can use all of them. Site pages load afterwards in the
+   * background, so ~/.bashrc runs before they are there.
+   * @returns {Promise<void>}
+   */
+  async runStartupFile() {
+    this.setBusy(true);
+    try {
+      await this.loadManifest();
+      await this.restoreFilesystem();
+      await this.loadCommandPacks();
+      const result = await this.executor.loadStartupFile(this.abortController.signal);
+      if (result && result.output) {
+        this.addOutput(result.output, result.success ? 'output' : 'error');
+      }
+    } finally {
+      this.setBusy(false);
+      this.updatePrompt();
+      this.focus();
+    }
+    await this.loadSitePages();
+  }
+
   /**
    * Clear the terminal output
    */
@@ -331,10 +645,11 @@ export class Terminal {
 /**
  * Factory function to initialize a terminal
  * @param {string} selector - CSS selector for the terminal container
+ * @param {Object} options - Terminal options (see the Terminal constructor)
  * @returns {Terminal} The initialized terminal instance
  */
-export function initTerminal(selector) {
-  return new Terminal(selector);
+export function initTerminal(selector, options = {}) {
+  return new Terminal(selector, options);
 }
 
 // Default export